@@ -1,14 +1,52 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import Toolbar from './components/Toolbar';
 import AttendanceTable from './components/AttendanceTable';
 import EmployeeModal from './components/EmployeeModal';
+import HolidayCalendar from './components/HolidayCalendar';
+import WorkWeekSettings from './components/WorkWeekSettings';
+import SummaryRules from './components/SummaryRules';
+import AttendanceCodes from './components/AttendanceCodes';
+import LeaveSettings from './components/LeaveSettings';
+import LeaveBalance from './components/LeaveBalance';
+import LeaveRequests from './components/LeaveRequests';
+import MonthLock from './components/MonthLock';
+import ShiftRoster from './components/ShiftRoster';
+import TimeSheet from './components/TimeSheet';
+import PunchImport from './components/PunchImport';
+import ImportWizard from './components/ImportWizard';
+import ColumnMapping from './components/ColumnMapping';
 import { useExcelData } from './hooks/useExcelData';
+import { useHolidayCalendar } from './hooks/useHolidayCalendar';
+import { useWorkWeekPolicy } from './hooks/useWorkWeekPolicy';
+import { useSummaryRules } from './hooks/useSummaryRules';
+import { useAttendanceCodes } from './hooks/useAttendanceCodes';
+import { useLeavePolicy } from './hooks/useLeavePolicy';
+import { useLeaveRequests } from './hooks/useLeaveRequests';
+import { useMonthLocks } from './hooks/useMonthLocks';
+import { useShiftRoster } from './hooks/useShiftRoster';
+import { useTimePolicy } from './hooks/useTimePolicy';
+import { useColumnMappings } from './hooks/useColumnMappings';
 import { 
   markWeekends, 
   markHolidays,
-  getAttendanceStatistics 
+  getAttendanceStatistics,
+  applyMonthAttendance,
+  applyAttendanceDays
 } from './services/attendanceService';
+import { getNegativeLeaveBalances } from './services/leaveService';
+import { getRequestDays } from './services/leaveRequestService';
+import { getMonthChanges, getCellChangesByEmployee } from './services/auditService';
+import { assertMonthsUnlocked, isMonthLocked, formatMonthKey } from './services/monthLockService';
+import { readTimesheetFile, deriveTimeCodes, summarizeMonthTimes } from './services/timeService';
+import {
+  exportLeaveRequestsToExcel,
+  exportAuditLogToExcel,
+  exportRosterComparisonToExcel,
+  exportImportReport,
+  readPunchLogFile
+} from './services/excelService';
 import { generateAttendanceReport } from './utils/calculations';
+import { MONTHS, LEAVE_REQUEST_STATUSES, EXPORT_FORMATS, getMonthKey, parseMonthKey } from './utils/constants';
 import './App.css';
 
 /**
@@ -17,6 +55,19 @@ import './App.css';
 function App() {
   const [showEmployeeModal, setShowEmployeeModal] = useState(false);
   const [editingEmployee, setEditingEmployee] = useState(null);
+  const [showHolidayCalendar, setShowHolidayCalendar] = useState(false);
+  const [showWorkWeekSettings, setShowWorkWeekSettings] = useState(false);
+  const [showSummaryRules, setShowSummaryRules] = useState(false);
+  const [showAttendanceCodes, setShowAttendanceCodes] = useState(false);
+  const [showLeaveSettings, setShowLeaveSettings] = useState(false);
+  const [leaveEmployeeId, setLeaveEmployeeId] = useState(null);
+  const [showLeaveRequests, setShowLeaveRequests] = useState(false);
+  const [showMonthLock, setShowMonthLock] = useState(false);
+  const [showShiftRoster, setShowShiftRoster] = useState(false);
+  const [showTimeSheet, setShowTimeSheet] = useState(false);
+  const [showPunchImport, setShowPunchImport] = useState(false);
+  const [importPreview, setImportPreview] = useState(null);
+  const [mappingRequest, setMappingRequest] = useState(null);
   const [notification, setNotification] = useState(null);
   
   // Get current month and year
@@ -35,8 +86,12 @@ function App() {
     error,
     hasUnsavedChanges,
     lastSaved,
-    loadExcelFile,
+    previewExcelFile,
+    fixImportIssue,
+    previewSummaryMismatches,
+    applyImport,
     saveToExcel,
+    saveYearToExcel,
     loadFromLocalStorage,
     clearAllData,
     addEmployee,
@@ -45,6 +100,20 @@ function App() {
     deleteMultipleEmployees,
     updateAttendance,
     bulkUpdateAttendance,
+    setAttendanceDays,
+    setTimeEntries,
+    recalculateSummaries,
+    undo,
+    redo,
+    historyNotice,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
+    auditLog,
+    auditNotice,
+    editorName,
+    setEditorName,
     toggleEmployeeSelection,
     selectAllEmployees,
     deselectAllEmployees,
@@ -52,42 +121,222 @@ function App() {
     setError
   } = useExcelData(currentMonth, currentYear);
   
+  // Holiday calendar shared by summaries, bulk marking and the table
+  const {
+    holidays: holidayCalendar,
+    locations: holidayLocations,
+    seedYears: seedHolidayYears,
+    createHoliday,
+    editHoliday,
+    removeHoliday,
+    importHolidays
+  } = useHolidayCalendar(year);
+  
+  // Organisation weekly-off policy
+  const { workWeekPolicy, updateWorkWeekPolicy } = useWorkWeekPolicy();
+  
+  // Rules behind the summary columns
+  const {
+    ruleSets: summaryRuleSets,
+    activeRuleSetId,
+    activateRuleSet,
+    saveRuleSet,
+    removeRuleSet
+  } = useSummaryRules();
+  
+  // Attendance code registry
+  const { attendanceCodes, restoreCodes, createCode, editCode, removeCode } = useAttendanceCodes();
+  
+  // Leave types, entitlements and carry-forward
+  const { leavePolicy, updateLeavePolicy } = useLeavePolicy();
+  
+  // Leave requests and their approvals
+  const { leaveRequests, fileRequest, decideRequest, cancelRequest } = useLeaveRequests();
+  
   // Load data from local storage on mount
   useEffect(() => {
-    const hasLocalData = loadFromLocalStorage();
-    if (hasLocalData) {
+    const saved = loadFromLocalStorage();
+    if (saved) {
+      restoreCodes(saved.attendanceCodes);
       showNotification('Loaded data from local storage', 'success');
     }
   }, []);
   
+  // Payroll locks; a locked month is read-only
+  const { monthLocks, lockMonth, unlockMonth } = useMonthLocks();
+  const monthLocked = isMonthLocked(month, year, monthLocks);
+  
+  // Named shifts and the planned roster
+  const {
+    shiftRoster,
+    saveShifts,
+    saveTemplate,
+    removeTemplate,
+    applyTemplate,
+    clearPlan
+  } = useShiftRoster();
+  
+  // How clock times become attendance
+  const { timePolicy, updateTimePolicy } = useTimePolicy();
+  const { columnMappings, saveMapping, removeMapping } = useColumnMappings();
+  
+  // Cell histories for the month on screen
+  const cellChanges = useMemo(
+    () => getCellChangesByEmployee(auditLog, month, year),
+    [auditLog, month, year]
+  );
+  
+  // Handle undo/redo
+  const handleUndo = () => {
+    try {
+      const label = undo();
+      if (label) showNotification(`Undid: ${label}`, 'info');
+    } catch (err) {
+      showNotification(`Can't undo: ${err.message}`, 'error');
+    }
+  };
+  
+  const handleRedo = () => {
+    try {
+      const label = redo();
+      if (label) showNotification(`Redid: ${label}`, 'info');
+    } catch (err) {
+      showNotification(`Can't redo: ${err.message}`, 'error');
+    }
+  };
+  
+  // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) outside text fields
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+  
   // Show notification
-  const showNotification = (message, type = 'info') => {
+  const showNotification = useCallback((message, type = 'info') => {
     setNotification({ message, type });
     setTimeout(() => setNotification(null), 3000);
+  }, []);
+  
+  // Say so when undo steps had to be dropped to fit the session storage
+  useEffect(() => {
+    if (historyNotice) {
+      showNotification(`Undo history is full: ${historyNotice.dropped} older step(s) were dropped`, 'warning');
+    }
+  }, [historyNotice, showNotification]);
+  
+  // Say so when storage is too full to keep the whole change log
+  useEffect(() => {
+    if (auditNotice) {
+      showNotification('Storage is full: the oldest changes were left out of the saved change log. Export it to keep a full record.', 'warning');
+    }
+  }, [auditNotice, showNotification]);
+  
+  // Move to another month, adding its year's holidays before its summaries
+  // are worked out
+  const handleMonthYearChange = (newMonth, newYear) => {
+    seedHolidayYears([newYear]);
+    changeMonthYear(newMonth, newYear);
   };
   
-  // Handle file load
+  // Show what a read file would change, with the holidays of the years it
+  // brings in, so their summaries are worked out against them
+  const showImportPreview = (preview) => {
+    seedHolidayYears(preview.importedSheets.flatMap(sheet => sheet.months).map(key => parseMonthKey(key).year));
+    setImportPreview(preview);
+  };
+  
+  // Handle file load: read it and show what it would change
 const handleLoadFile = async (file) => {
   try {
-    await loadExcelFile(file);
-    showNotification('Excel file loaded successfully', 'success');
-    
-    // IMPORTANT: Force a refresh of the current view after loading
-    // This ensures the table re-renders with the newly loaded data
-    setTimeout(() => {
-      changeMonthYear(month, year);
-    }, 100);
-    
+    const preview = await previewExcelFile(file);
+    if (preview.needsMapping) {
+      setMappingRequest({ file, sheets: preview.unmappedSheets });
+    } else {
+      showImportPreview(preview);
+    }
   } catch (err) {
     showNotification(err.message, 'error');
   }
 };
+
+  // Read the file again with the columns the user mapped
+  const handleApplyMapping = async (mapping) => {
+    const { file } = mappingRequest;
+    setMappingRequest(null);
+    
+    try {
+      showImportPreview(await previewExcelFile(file, mapping));
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+  
+  // Handle column mapping save
+  const handleSaveMapping = (mapping) => {
+    const saved = saveMapping(mapping);
+    showNotification(`Mapping ${saved.name} saved`, 'success');
+    return saved;
+  };
+  
+  // Fix a problem the import found; errors show in the report
+  const handleFixImportIssue = (issueId, value) => {
+    setImportPreview(fixImportIssue(importPreview, issueId, value));
+  };
+  
+  // Export the file with its problems annotated
+  const handleExportImportReport = () => {
+    try {
+      const baseName = importPreview.fileName.replace(/\.[^.]+$/, '');
+      exportImportReport(importPreview.workbook, importPreview.issues, `${baseName}_checked.xlsx`);
+      showNotification(`Exported ${importPreview.issues.length} problem(s)`, 'success');
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+  
+  // Apply the choices made in the import wizard
+  const handleApplyImport = (decisions) => {
+    const { importedSheets } = importPreview;
+    const { lockedMonths } = applyImport(importPreview, decisions);
+    setImportPreview(null);
+    
+    if (lockedMonths.length > 0) {
+      showNotification(`Imported ${importedSheets.length} sheet(s). Locked months left unchanged: ${lockedMonths.map(formatMonthKey).join(', ')}`, 'warning');
+    } else {
+      showNotification(`Imported ${importPreview.fileName} (${importedSheets.length} sheet(s))`, 'success');
+    }
+  };
   
   // Handle save
-  const handleSave = async () => {
+  const handleSave = async (formatValue = EXPORT_FORMATS[0].value) => {
+    try {
+      const format = EXPORT_FORMATS.find(f => f.value === formatValue);
+      await saveToExcel(undefined, format.extension, { formulas: format.formulas });
+      showNotification(`Saved to ${format.label} successfully`, 'success');
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+  
+  // Handle full-year export
+  const handleSaveYear = async () => {
     try {
-      await saveToExcel();
-      showNotification('Saved to Excel successfully', 'success');
+      const exportedMonths = await saveYearToExcel();
+      showNotification(`Exported ${exportedMonths.length} month(s) of ${year} to Excel`, 'success');
     } catch (err) {
       showNotification(err.message, 'error');
     }
@@ -143,8 +392,12 @@ const handleLoadFile = async (file) => {
   
   // Handle delete employee
   const handleDeleteEmployee = (empId) => {
-    deleteEmployee(empId);
-    showNotification('Employee deleted', 'info');
+    try {
+      deleteEmployee(empId);
+      showNotification('Employee deleted', 'info');
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
   };
   
   // Handle delete selected
@@ -152,11 +405,207 @@ const handleLoadFile = async (file) => {
     if (selectedEmployees.length === 0) return;
     
     if (window.confirm(`Delete ${selectedEmployees.length} selected employees?`)) {
-      deleteMultipleEmployees(selectedEmployees);
-      showNotification(`Deleted ${selectedEmployees.length} employees`, 'info');
+      try {
+        deleteMultipleEmployees(selectedEmployees);
+        showNotification(`Deleted ${selectedEmployees.length} employees`, 'info');
+      } catch (err) {
+        showNotification(err.message, 'error');
+      }
+    }
+  };
+  
+  // Warn when an employee's updated attendance overdraws a leave balance
+  const warnIfOverdrawn = (employee, balanceMonth, balanceYear) => {
+    const overdrawn = getNegativeLeaveBalances(
+      employee,
+      leavePolicy,
+      balanceYear,
+      MONTHS.findIndex(m => m.value === balanceMonth)
+    );
+    if (overdrawn.length > 0) {
+      const details = overdrawn.map(item => `${item.type.name} ${item.balance}`).join(', ');
+      showNotification(`${employee.employeeName} is over their leave balance: ${details}`, 'warning');
+    }
+  };
+  
+  // Update a day, warning when it takes the employee over a leave balance
+  const handleAttendanceChange = (empId, day, code, reason) => {
+    try {
+      updateAttendance(empId, day, code, reason);
+    } catch (err) {
+      showNotification(err.message, 'error');
+      return;
+    }
+    
+    const employee = employees.find(emp => emp.empId === empId);
+    if (!employee) return;
+    
+    const attendance = { ...employee.attendance, [day]: code };
+    if (!code) delete attendance[day];
+    warnIfOverdrawn(applyMonthAttendance(employee, attendance, month, year), month, year);
+  };
+  
+  // Fill, clear, cut and paste act on a block of cells as one step
+  const handleRangeChange = (updates, label, unknownCodes = []) => {
+    if (unknownCodes.length > 0) {
+      showNotification(`Skipped values that aren't attendance codes: ${unknownCodes.join(', ')}`, 'warning');
+    }
+    if (Object.keys(updates).length === 0) return;
+    
+    try {
+      bulkUpdateAttendance(updates, label);
+    } catch (err) {
+      showNotification(err.message, 'error');
     }
   };
   
+  // Handle new leave request
+  const handleFileLeaveRequest = (data) => {
+    const employee = employees.find(emp => emp.empId === data.empId);
+    const request = fileRequest(data, leavePolicy, employee);
+    showNotification(`Leave request filed for ${request.employeeName} (${request.days} day(s))`, 'success');
+  };
+  
+  // Approved requests fill their days with the leave type's code
+  const handleDecideLeaveRequest = (id, status, decidedBy, note) => {
+    const pending = leaveRequests.find(request => request.id === id);
+    const employee = employees.find(emp => emp.empId === pending?.empId);
+    if (status === LEAVE_REQUEST_STATUSES.APPROVED) {
+      if (!employee) {
+        throw new Error(`Employee ${pending?.empId} is no longer on the sheet`);
+      }
+      assertMonthsUnlocked(getRequestDays(pending, employee).map(day => getMonthKey(day.month, day.year)));
+    }
+    
+    const request = decideRequest(id, status, decidedBy, note);
+    if (status !== LEAVE_REQUEST_STATUSES.APPROVED) {
+      showNotification(`Leave request ${status}`, 'info');
+      return;
+    }
+    
+    const entries = getRequestDays(request, employee).map(day => ({ ...day, code: request.code }));
+    setAttendanceDays(employee.empId, entries, `Approve leave for ${employee.employeeName}`);
+    showNotification(`Leave approved: ${entries.length} day(s) marked ${request.code} for ${employee.employeeName}`, 'success');
+    
+    const last = entries[entries.length - 1];
+    warnIfOverdrawn(applyAttendanceDays(employee, entries, month, year), last.month, last.year);
+  };
+  
+  // Handle leave request export
+  const handleExportLeaveRequests = () => {
+    try {
+      exportLeaveRequestsToExcel(leaveRequests, `leave_requests_${new Date().toISOString().slice(0, 10)}.xlsx`);
+      showNotification('Leave requests exported', 'success');
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+  
+  // Handle change log export for the month on screen
+  const handleExportChangeLog = () => {
+    const changes = getMonthChanges(auditLog, month, year);
+    if (changes.length === 0) {
+      showNotification(`No changes recorded for ${month} ${year}`, 'info');
+      return;
+    }
+    
+    try {
+      exportAuditLogToExcel(changes, `change_log_${month}_${year}.xlsx`);
+      showNotification(`Exported ${changes.length} change(s)`, 'success');
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+  
+  // Lock the month on screen once payroll is processed
+  const handleLockMonth = (by, reason) => {
+    lockMonth(month, year, by, reason);
+    showNotification(`${month} ${year} locked for payroll`, 'success');
+  };
+  
+  // Reopening a locked month is an override, so it is flagged
+  const handleUnlockMonth = (by, reason) => {
+    unlockMonth(month, year, by, reason);
+    showNotification(`${month} ${year} unlocked by ${by.trim()}: ${reason.trim()}`, 'warning');
+  };
+  
+  // Plan shifts from a roster template
+  const handleApplyRoster = (templateId, empIds, startDate, endDate, stagger) => {
+    applyTemplate(templateId, empIds, startDate, endDate, stagger);
+    const template = shiftRoster.templates.find(t => t.id === templateId);
+    showNotification(`${template.name} planned for ${empIds.length} employee(s), ${startDate} to ${endDate}`, 'success');
+  };
+  
+  const handleClearRoster = (empIds, startDate, endDate) => {
+    clearPlan(empIds, startDate, endDate);
+    showNotification(`Planned shifts cleared from ${startDate} to ${endDate}`, 'info');
+  };
+  
+  // Handle planned vs. actual export for the month on screen
+  const handleExportRosterComparison = (rows) => {
+    try {
+      exportRosterComparisonToExcel(rows, month, year, `roster_vs_actual_${month}_${year}.xlsx`);
+      showNotification(`Exported ${rows.length} mismatch(es)`, 'success');
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+  
+  // Save typed clock times for one employee
+  const handleSaveTimes = (employee, entries, setCodes) => {
+    setTimeEntries(
+      { [employee.empId]: setCodes ? deriveTimeCodes(employee.empId, entries, timePolicy, shiftRoster) : entries },
+      `Clock times for ${employee.employeeName}`
+    );
+    showNotification(`Saved clock times for ${entries.length} day(s)`, 'success');
+  };
+  
+  // Import a timesheet CSV; rows for employees not on the sheet are reported
+  const handleImportTimes = async (file, setCodes) => {
+    const { entriesByEmployee, skipped } = await readTimesheetFile(file);
+    const knownIds = new Set(employees.map(emp => emp.empId));
+    const unknownIds = Object.keys(entriesByEmployee).filter(empId => !knownIds.has(empId));
+    const updates = {};
+    
+    Object.entries(entriesByEmployee)
+      .filter(([empId]) => knownIds.has(empId))
+      .forEach(([empId, entries]) => {
+        updates[empId] = setCodes ? deriveTimeCodes(empId, entries, timePolicy, shiftRoster) : entries;
+      });
+    
+    const entryCount = Object.values(updates).flat().length;
+    if (entryCount === 0) {
+      throw new Error('None of the employees in the file are on the sheet');
+    }
+    
+    setTimeEntries(updates, `Import ${file.name}`);
+    showNotification(`Imported ${entryCount} clock time(s) from ${file.name}`, 'success');
+    return { entries: entryCount, employees: Object.keys(updates).length, skipped, unknownIds };
+  };
+  
+  // Merge an accepted punch log proposal as one undoable step
+  const handleAcceptPunches = (entriesByEmployee, fileName) => {
+    const dayCount = Object.values(entriesByEmployee).flat().length;
+    setTimeEntries(entriesByEmployee, `Import ${fileName}`);
+    setShowPunchImport(false);
+    showNotification(
+      `Merged ${dayCount} day(s) for ${Object.keys(entriesByEmployee).length} employee(s) from ${fileName}`,
+      'success'
+    );
+  };
+  
+  // Handle time rules save
+  const handleSaveTimePolicy = (policy) => {
+    updateTimePolicy(policy, attendanceCodes);
+    showNotification('Time rules saved', 'success');
+  };
+  
+  // Handle leave policy save
+  const handleSaveLeavePolicy = (policy) => {
+    updateLeavePolicy(policy);
+    showNotification('Leave policy saved', 'success');
+  };
+  
   // Handle mark weekends
   const handleMarkWeekends = () => {
     const updates = {};
@@ -164,8 +613,12 @@ const handleLoadFile = async (file) => {
       const markedEmployee = markWeekends(emp, month, year);
       updates[emp.empId] = markedEmployee.attendance;
     });
-    bulkUpdateAttendance(updates);
-    showNotification('Weekends marked for all employees', 'success');
+    try {
+      bulkUpdateAttendance(updates, 'Mark weekly offs');
+      showNotification('Weekly offs marked for all employees', 'success');
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
   };
   
   // Handle mark holidays
@@ -175,8 +628,40 @@ const handleLoadFile = async (file) => {
       const markedEmployee = markHolidays(emp, month, year);
       updates[emp.empId] = markedEmployee.attendance;
     });
-    bulkUpdateAttendance(updates);
-    showNotification('Holidays marked for all employees', 'success');
+    try {
+      bulkUpdateAttendance(updates, 'Mark holidays');
+      showNotification('Holidays marked for all employees', 'success');
+    } catch (err) {
+      showNotification(err.message, 'error');
+    }
+  };
+  
+  // Holidays, summary rules and codes feed every summary, so recalculate after a change
+  const withRecalculation = (action) => (...args) => {
+    const result = action(...args);
+    recalculateSummaries();
+    return result;
+  };
+  
+  const handleImportHolidays = async (file, location) => {
+    const result = await importHolidays(file, location);
+    recalculateSummaries();
+    return result;
+  };
+  
+  // Weekly offs feed holy-day working, so recalculate after a policy change
+  const handleSaveWorkWeekPolicy = (policy) => {
+    updateWorkWeekPolicy(policy);
+    recalculateSummaries();
+    showNotification('Work-week policy saved', 'success');
+  };
+  
+  // Summaries, the Excel export and reports all follow the active rule set
+  const handleActivateRuleSet = (id) => {
+    activateRuleSet(id);
+    recalculateSummaries();
+    const ruleSet = summaryRuleSets.find(set => set.id === id);
+    showNotification(`Summaries now use "${ruleSet ? ruleSet.name : 'custom'}" rules`, 'success');
   };
   
   // Handle export report
@@ -207,7 +692,12 @@ const handleLoadFile = async (file) => {
     fullReport += `─────────────────\n\n`;
     
     employees.forEach(emp => {
-      fullReport += generateAttendanceReport(emp, month, year);
+      fullReport += generateAttendanceReport(
+        emp,
+        month,
+        year,
+        summarizeMonthTimes(emp, month, year, timePolicy, shiftRoster)
+      );
       fullReport += `\n${'─'.repeat(40)}\n\n`;
     });
     
@@ -258,17 +748,39 @@ const handleLoadFile = async (file) => {
         selectedCount={selectedEmployees.length}
         hasUnsavedChanges={hasUnsavedChanges}
         lastSaved={lastSaved}
-        onMonthYearChange={changeMonthYear}
+        onMonthYearChange={handleMonthYearChange}
         onLoadFile={handleLoadFile}
         onSaveFile={handleSave}
+        onSaveYear={handleSaveYear}
         onAddEmployee={handleAddEmployee}
         onDeleteSelected={handleDeleteSelected}
         onSelectAll={selectAllEmployees}
         onDeselectAll={deselectAllEmployees}
         onMarkWeekends={handleMarkWeekends}
         onMarkHolidays={handleMarkHolidays}
+        onOpenHolidays={() => setShowHolidayCalendar(true)}
+        onOpenWorkWeek={() => setShowWorkWeekSettings(true)}
+        onOpenSummaryRules={() => setShowSummaryRules(true)}
+        onOpenAttendanceCodes={() => setShowAttendanceCodes(true)}
+        onOpenLeavePolicy={() => setShowLeaveSettings(true)}
+        onOpenLeaveRequests={() => setShowLeaveRequests(true)}
+        pendingLeaveRequests={leaveRequests.filter(r => r.status === LEAVE_REQUEST_STATUSES.PENDING).length}
         onExportReport={handleExportReport}
         onRefresh={handleRefresh}
+        onUndo={handleUndo}
+        onRedo={handleRedo}
+        canUndo={canUndo}
+        canRedo={canRedo}
+        undoLabel={undoLabel}
+        redoLabel={redoLabel}
+        onExportChangeLog={handleExportChangeLog}
+        editorName={editorName}
+        onEditorNameChange={setEditorName}
+        isMonthLocked={monthLocked}
+        onOpenMonthLock={() => setShowMonthLock(true)}
+        onOpenShiftRoster={() => setShowShiftRoster(true)}
+        onOpenTimeSheet={() => setShowTimeSheet(true)}
+        onOpenPunchImport={() => setShowPunchImport(true)}
       />
       
       {/* Main Content */}
@@ -290,12 +802,22 @@ const handleLoadFile = async (file) => {
             currentMonth={month}
             currentYear={year}
             selectedEmployees={selectedEmployees}
-            onAttendanceChange={updateAttendance}
+            onAttendanceChange={handleAttendanceChange}
             onEmployeeSelect={toggleEmployeeSelection}
             onEmployeeEdit={handleEditEmployee}
             onEmployeeDelete={handleDeleteEmployee}
+            onEmployeeLeave={(employee) => setLeaveEmployeeId(employee.empId)}
             onSelectAll={selectAllEmployees}
-            isEditable={true}
+            holidayCalendar={holidayCalendar}
+            workWeekPolicy={workWeekPolicy}
+            attendanceCodes={attendanceCodes}
+            leavePolicy={leavePolicy}
+            leaveRequests={leaveRequests}
+            cellChanges={cellChanges}
+            shiftRoster={shiftRoster}
+            timePolicy={timePolicy}
+            onRangeChange={handleRangeChange}
+            isEditable={!monthLocked}
           />
         )}
       </div>
@@ -310,13 +832,182 @@ const handleLoadFile = async (file) => {
         onSave={handleSaveEmployee}
         employee={editingEmployee}
         existingEmployeeIds={employees.map(e => e.empId)}
+        orgWorkWeekPolicy={workWeekPolicy}
+        leaveTypes={leavePolicy.leaveTypes}
+      />
+      
+      {/* Holiday Calendar */}
+      <HolidayCalendar
+        isOpen={showHolidayCalendar}
+        onClose={() => setShowHolidayCalendar(false)}
+        holidays={holidayCalendar}
+        locations={[...new Set([
+          ...holidayLocations,
+          ...employees.map(e => e.location).filter(Boolean)
+        ])].sort()}
+        currentYear={year}
+        onAdd={withRecalculation(createHoliday)}
+        onUpdate={withRecalculation(editHoliday)}
+        onDelete={withRecalculation(removeHoliday)}
+        onImport={handleImportHolidays}
+      />
+      
+      {/* Work Week Policy */}
+      <WorkWeekSettings
+        isOpen={showWorkWeekSettings}
+        onClose={() => setShowWorkWeekSettings(false)}
+        policy={workWeekPolicy}
+        onSave={handleSaveWorkWeekPolicy}
+        currentMonth={month}
+        currentYear={year}
+      />
+      
+      {/* Summary Rules */}
+      <SummaryRules
+        isOpen={showSummaryRules}
+        onClose={() => setShowSummaryRules(false)}
+        ruleSets={summaryRuleSets}
+        activeRuleSetId={activeRuleSetId}
+        onActivate={handleActivateRuleSet}
+        onSave={withRecalculation(saveRuleSet)}
+        onDelete={withRecalculation(removeRuleSet)}
+        attendanceCodes={attendanceCodes}
+      />
+      
+      {/* Attendance Codes */}
+      <AttendanceCodes
+        isOpen={showAttendanceCodes}
+        onClose={() => setShowAttendanceCodes(false)}
+        codes={attendanceCodes}
+        onAdd={withRecalculation(createCode)}
+        onUpdate={withRecalculation(editCode)}
+        onDelete={withRecalculation(removeCode)}
+      />
+      
+      {/* Leave Policy */}
+      <LeaveSettings
+        isOpen={showLeaveSettings}
+        onClose={() => setShowLeaveSettings(false)}
+        policy={leavePolicy}
+        onSave={handleSaveLeavePolicy}
+        attendanceCodes={attendanceCodes}
+      />
+      
+      {/* Leave Balance */}
+      <LeaveBalance
+        isOpen={!!leaveEmployeeId}
+        onClose={() => setLeaveEmployeeId(null)}
+        employee={employees.find(emp => emp.empId === leaveEmployeeId)}
+        policy={leavePolicy}
+        currentMonth={month}
+        currentYear={year}
+      />
+      
+      {/* Leave Requests */}
+      <LeaveRequests
+        isOpen={showLeaveRequests}
+        onClose={() => setShowLeaveRequests(false)}
+        requests={leaveRequests}
+        employees={employees}
+        leaveTypes={leavePolicy.leaveTypes}
+        onFile={handleFileLeaveRequest}
+        onDecide={handleDecideLeaveRequest}
+        onCancel={cancelRequest}
+        onExport={handleExportLeaveRequests}
+      />
+      
+      {/* Payroll Lock */}
+      <MonthLock
+        isOpen={showMonthLock}
+        onClose={() => setShowMonthLock(false)}
+        currentMonth={month}
+        currentYear={year}
+        monthLocks={monthLocks}
+        editorName={editorName}
+        onLock={handleLockMonth}
+        onUnlock={handleUnlockMonth}
+      />
+      
+      {/* Shift Roster */}
+      <ShiftRoster
+        isOpen={showShiftRoster}
+        onClose={() => setShowShiftRoster(false)}
+        roster={shiftRoster}
+        employees={employees}
+        selectedEmployees={selectedEmployees}
+        currentMonth={month}
+        currentYear={year}
+        attendanceCodes={attendanceCodes}
+        onSaveShifts={(shifts) => {
+          saveShifts(shifts, attendanceCodes);
+          showNotification('Shifts saved', 'success');
+        }}
+        onSaveTemplate={saveTemplate}
+        onDeleteTemplate={removeTemplate}
+        onApply={handleApplyRoster}
+        onClear={handleClearRoster}
+        onExport={handleExportRosterComparison}
+      />
+      
+      {/* Clock Times */}
+      <TimeSheet
+        isOpen={showTimeSheet}
+        onClose={() => setShowTimeSheet(false)}
+        employees={employees}
+        currentMonth={month}
+        currentYear={year}
+        policy={timePolicy}
+        roster={shiftRoster}
+        attendanceCodes={attendanceCodes}
+        isEditable={!monthLocked}
+        onSave={handleSaveTimes}
+        onImport={handleImportTimes}
+        onSavePolicy={handleSaveTimePolicy}
+      />
+      
+      {/* Column Mapping */}
+      <ColumnMapping
+        isOpen={mappingRequest !== null}
+        onClose={() => setMappingRequest(null)}
+        fileName={mappingRequest?.file.name}
+        sheets={mappingRequest?.sheets}
+        mappings={columnMappings}
+        onSaveMapping={handleSaveMapping}
+        onDeleteMapping={removeMapping}
+        onApply={handleApplyMapping}
+      />
+      
+      {/* Import Wizard */}
+      <ImportWizard
+        isOpen={importPreview !== null}
+        onClose={() => setImportPreview(null)}
+        preview={importPreview}
+        attendanceCodes={attendanceCodes}
+        onFixIssue={handleFixImportIssue}
+        getSummaryMismatches={(decisions) => previewSummaryMismatches(importPreview, decisions)}
+        onExportReport={handleExportImportReport}
+        onApply={handleApplyImport}
+      />
+      
+      {/* Punch Log Import */}
+      <PunchImport
+        isOpen={showPunchImport}
+        onClose={() => setShowPunchImport(false)}
+        employees={employees}
+        currentMonth={month}
+        currentYear={year}
+        policy={timePolicy}
+        roster={shiftRoster}
+        attendanceCodes={attendanceCodes}
+        onReadFile={readPunchLogFile}
+        onAccept={handleAcceptPunches}
       />
       
       {/* Unsaved Changes Warning */}
       {hasUnsavedChanges && (
         <div className="unsaved-warning">
           <span>⚠️ Unsaved changes</span>
-          <button onClick={handleSave}>Save Now</button>
+          <button onClick={() => handleSave()}>Save Now</button>
         </div>
       )}
     </div>
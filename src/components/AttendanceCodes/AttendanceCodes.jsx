@@ -0,0 +1,276 @@
+import React, { useState } from 'react';
+import { SUMMARY_BUCKETS } from '../../utils/constants';
+import './AttendanceCodes.css';
+
+const EMPTY_FORM = {
+  value: '',
+  label: '',
+  color: '#455A64',
+  bgColor: '#ECEFF1',
+  shortcut: '',
+  buckets: {}
+};
+
+/**
+ * AttendanceCodes Component - Define the codes available for attendance
+ */
+const AttendanceCodes = ({
+  isOpen,
+  onClose,
+  codes,
+  onAdd,
+  onUpdate,
+  onDelete
+}) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [editingCode, setEditingCode] = useState(null);
+  const [formError, setFormError] = useState('');
+  
+  // Handle input change
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setFormError('');
+  };
+  
+  // Count a code toward a bucket, or stop counting it
+  const toggleBucket = (bucket) => {
+    setFormData(prev => {
+      const { [bucket]: current, ...rest } = prev.buckets;
+      return { ...prev, buckets: current === undefined ? { ...prev.buckets, [bucket]: 1 } : rest };
+    });
+    setFormError('');
+  };
+  
+  const setBucketWeight = (bucket, weight) => {
+    setFormData(prev => ({ ...prev, buckets: { ...prev.buckets, [bucket]: weight } }));
+    setFormError('');
+  };
+  
+  // Handle add/update submission
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    
+    try {
+      if (editingCode) {
+        onUpdate(editingCode, formData);
+      } else {
+        onAdd(formData);
+      }
+      setFormData(EMPTY_FORM);
+      setEditingCode(null);
+      setFormError('');
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+  
+  // Start editing a code
+  const handleEdit = (info) => {
+    setEditingCode(info.value);
+    setFormData({ ...EMPTY_FORM, ...info, buckets: { ...info.buckets } });
+    setFormError('');
+  };
+  
+  // Cancel editing
+  const handleCancelEdit = () => {
+    setEditingCode(null);
+    setFormData(EMPTY_FORM);
+    setFormError('');
+  };
+  
+  // Delete a code
+  const handleDelete = (info) => {
+    const message = `Delete code ${info.value} (${info.label})? ` +
+      'Days already marked with it will stop counting toward the summaries.';
+    if (!window.confirm(message)) return;
+    
+    try {
+      onDelete(info.value);
+      if (editingCode === info.value) handleCancelEdit();
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+  
+  // Describe the buckets a code counts toward
+  const describeBuckets = (buckets = {}) => {
+    const parts = Object.entries(buckets).map(([key, weight]) => {
+      const bucket = SUMMARY_BUCKETS.find(b => b.key === key);
+      const label = bucket ? bucket.label.replace(/ \(.*\)$/, '') : key;
+      return weight === 1 ? label : `${label} ×${weight}`;
+    });
+    return parts.length > 0 ? parts.join(', ') : 'Not counted';
+  };
+  
+  if (!isOpen) return null;
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content codes-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Attendance Codes</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div className="codes-body">
+          {/* Code List */}
+          <div className="codes-list">
+            <table className="codes-table">
+              <thead>
+                <tr>
+                  <th>Code</th>
+                  <th>Label</th>
+                  <th>Key</th>
+                  <th>Counts toward</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.values(codes).map(info => (
+                  <tr
+                    key={info.value}
+                    className={editingCode === info.value ? 'is-editing' : ''}
+                  >
+                    <td>
+                      <span
+                        className="code-chip"
+                        style={{ color: info.color, backgroundColor: info.bgColor, borderColor: info.color }}
+                      >
+                        {info.value}
+                      </span>
+                    </td>
+                    <td>{info.label}</td>
+                    <td className="code-shortcut">{info.shortcut || '—'}</td>
+                    <td className="code-buckets">{describeBuckets(info.buckets)}</td>
+                    <td className="codes-actions">
+                      <button
+                        className="action-btn"
+                        onClick={() => handleEdit(info)}
+                        title="Edit code"
+                        aria-label="Edit"
+                      >
+                        ✏️
+                      </button>
+                      <button
+                        className="action-btn"
+                        onClick={() => handleDelete(info)}
+                        title="Delete code"
+                        aria-label="Delete"
+                      >
+                        🗑️
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          
+          {/* Add / Edit Form */}
+          <form onSubmit={handleSubmit} className="codes-form">
+            <div className="codes-form-title">
+              {editingCode ? `Edit Code ${editingCode}` : 'Add Code'}
+            </div>
+            <div className="codes-form-row">
+              <input
+                type="text"
+                name="value"
+                value={formData.value}
+                onChange={handleChange}
+                className="form-input codes-input-code"
+                placeholder="e.g., CO"
+                maxLength={4}
+                disabled={!!editingCode}
+                aria-label="Code"
+              />
+              <input
+                type="text"
+                name="label"
+                value={formData.label}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="e.g., Comp Off"
+                aria-label="Label"
+              />
+              <input
+                type="text"
+                name="shortcut"
+                value={formData.shortcut}
+                onChange={handleChange}
+                className="form-input codes-input-shortcut"
+                placeholder="Key"
+                maxLength={1}
+                aria-label="Keyboard shortcut"
+              />
+              <label className="codes-color" title="Text colour">
+                <input type="color" name="color" value={formData.color} onChange={handleChange} />
+              </label>
+              <label className="codes-color" title="Background colour">
+                <input type="color" name="bgColor" value={formData.bgColor} onChange={handleChange} />
+              </label>
+              <span
+                className="code-chip"
+                style={{ color: formData.color, backgroundColor: formData.bgColor, borderColor: formData.color }}
+              >
+                {formData.value.toUpperCase() || '?'}
+              </span>
+            </div>
+            
+            <div className="codes-buckets" role="group" aria-label="Summary buckets">
+              {SUMMARY_BUCKETS.map(bucket => {
+                const weight = formData.buckets[bucket.key];
+                return (
+                  <div key={bucket.key} className="codes-bucket">
+                    <label className="codes-bucket-label">
+                      <input
+                        type="checkbox"
+                        checked={weight !== undefined}
+                        onChange={() => toggleBucket(bucket.key)}
+                      />
+                      {bucket.label}
+                    </label>
+                    {weight !== undefined && (
+                      <input
+                        type="number"
+                        className="form-input codes-bucket-weight"
+                        value={weight}
+                        min="0.25"
+                        step="0.25"
+                        onChange={(e) => setBucketWeight(bucket.key, e.target.value)}
+                        aria-label={`${bucket.label} weight`}
+                      />
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            <span className="form-help">
+              Each day marked with the code adds its weight to the ticked buckets (e.g., 0.5 for a half day)
+            </span>
+            
+            <div className="codes-form-row">
+              <button type="submit" className="btn btn-primary">
+                {editingCode ? 'Update' : 'Add'}
+              </button>
+              {editingCode && (
+                <button type="button" className="btn btn-secondary" onClick={handleCancelEdit}>
+                  Cancel
+                </button>
+              )}
+            </div>
+            {formError && <span className="form-error">{formError}</span>}
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AttendanceCodes;
@@ -0,0 +1 @@
+export { default } from './AttendanceCodes'; 
\ No newline at end of file
@@ -1,9 +1,28 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useCallback, useEffect } from 'react';
 import EmployeeRow from '../EmployeeRow';
 import { getDaysInMonth, SUMMARY_COLUMNS } from '../../utils/constants';
-import { getSundaysInMonth, getHolidaysInMonth } from '../../services/attendanceService';
+import { getHolidaysForMonth } from '../../services/holidayService';
+import { getWeeklyOffsForMonth } from '../../services/workWeekService';
+import {
+  findCodeByShortcut,
+  normalizeAttendanceCode
+} from '../../services/attendanceCodeService';
+import {
+  getRangeBounds,
+  getRangeSize,
+  readRange,
+  toTSV,
+  parseTSV,
+  buildRangeUpdates,
+  buildFillUpdates,
+  buildPasteUpdates,
+  getFillTarget
+} from '../../utils/gridRange';
 import './AttendanceTable.css';
 
+// Rows PageUp/PageDown move the grid cursor by
+const PAGE_ROWS = 10;
+
 /**
  * AttendanceTable Component - Main table component with all employees
  */
@@ -16,17 +35,42 @@ const AttendanceTable = ({
   onEmployeeSelect,
   onEmployeeEdit,
   onEmployeeDelete,
+  onEmployeeLeave,
   onSelectAll,
+  holidayCalendar = [],
+  workWeekPolicy,
+  attendanceCodes,
+  leavePolicy,
+  leaveRequests,
+  cellChanges = {},
+  shiftRoster,
+  timePolicy,
+  onRangeChange,
   isEditable = true
 }) => {
   const [sortField, setSortField] = useState('slNo');
   const [sortOrder, setSortOrder] = useState('asc');
   const [filterText, setFilterText] = useState('');
+  const [selection, setSelection] = useState(null);
+  const [fillTarget, setFillTarget] = useState(null);
   const tableRef = useRef(null);
+  const dragRef = useRef(null);
   
   const daysInMonth = getDaysInMonth(currentMonth, currentYear);
-  const sundays = getSundaysInMonth(currentMonth, currentYear);
-  const holidays = getHolidaysInMonth(currentMonth, currentYear);
+  
+  // Organisation weekly offs; employees with their own policy differ per row
+  const weeklyOffs = React.useMemo(
+    () => getWeeklyOffsForMonth(workWeekPolicy, currentMonth, currentYear),
+    [workWeekPolicy, currentMonth, currentYear]
+  );
+  
+  // Every holiday in the month, whichever location it belongs to
+  const monthHolidays = React.useMemo(
+    () => getHolidaysForMonth(holidayCalendar, currentMonth, currentYear, null),
+    [holidayCalendar, currentMonth, currentYear]
+  );
+  const holidays = monthHolidays.filter(h => !h.location).map(h => h.day);
+  const workingDays = daysInMonth - new Set([...weeklyOffs, ...holidays]).size;
   
   // Filter and sort employees
   const processedEmployees = React.useMemo(() => {
@@ -80,6 +124,185 @@ const AttendanceTable = ({
     return sorted;
   }, [employees, filterText, sortField, sortOrder]);
   
+  // Selected block of cells; the focus corner is the grid cursor
+  const cursor = selection?.focus || null;
+  const range = React.useMemo(() => {
+    if (!selection) return null;
+    const anchorRow = processedEmployees.findIndex(emp => emp.empId === selection.anchor.empId);
+    const focusRow = processedEmployees.findIndex(emp => emp.empId === selection.focus.empId);
+    if (anchorRow < 0 || focusRow < 0) return null;
+    return getRangeBounds(
+      { row: anchorRow, day: selection.anchor.day },
+      { row: focusRow, day: selection.focus.day }
+    );
+  }, [selection, processedEmployees]);
+  const rangeCells = range ? getRangeSize(range) : 0;
+  
+  // Latest rows, month length and selection, so the grid callbacks can stay stable
+  const gridRef = useRef(null);
+  gridRef.current = { rows: processedEmployees, daysInMonth, range };
+  
+  // Select a single cell, or stretch the selection to it
+  const selectCell = useCallback((cell, extend) => {
+    setSelection(prev => {
+      if (extend && prev) return { ...prev, focus: cell };
+      if (!extend && prev?.anchor.empId === cell.empId && prev?.anchor.day === cell.day &&
+        prev?.focus.empId === cell.empId && prev?.focus.day === cell.day) {
+        return prev;
+      }
+      return { anchor: cell, focus: cell };
+    });
+  }, []);
+  
+  // Keep the grid cursor on the cell that has focus
+  const handleCellFocus = useCallback((empId, day) => {
+    setSelection(prev => (prev?.focus.empId === empId && prev?.focus.day === day
+      ? prev
+      : { anchor: { empId, day }, focus: { empId, day } }));
+  }, []);
+  
+  // Move the grid cursor, stopping at the edges; Shift stretches the selection
+  const handleNavigate = useCallback((empId, day, direction, extend = false) => {
+    const { rows, daysInMonth: lastDay } = gridRef.current;
+    let row = rows.findIndex(emp => emp.empId === empId);
+    let nextDay = day;
+    if (row < 0) return;
+    
+    switch (direction) {
+      case 'up':
+        row -= 1;
+        break;
+      case 'down':
+        row += 1;
+        break;
+      case 'left':
+        nextDay -= 1;
+        break;
+      case 'right':
+        nextDay += 1;
+        break;
+      case 'rowStart':
+        nextDay = 1;
+        break;
+      case 'rowEnd':
+        nextDay = lastDay;
+        break;
+      case 'pageUp':
+        row -= PAGE_ROWS;
+        break;
+      case 'pageDown':
+        row += PAGE_ROWS;
+        break;
+      case 'gridStart':
+        row = 0;
+        nextDay = 1;
+        break;
+      case 'gridEnd':
+        row = rows.length - 1;
+        nextDay = lastDay;
+        break;
+      default:
+        return;
+    }
+    
+    row = Math.min(Math.max(row, 0), rows.length - 1);
+    nextDay = Math.min(Math.max(nextDay, 1), lastDay);
+    selectCell({ empId: rows[row].empId, day: nextDay }, extend);
+  }, [selectCell]);
+  
+  // Mouse selection: press to start, drag or Shift+click to stretch
+  const handleSelectStart = useCallback((empId, day, extend) => {
+    dragRef.current = 'select';
+    selectCell({ empId, day }, extend);
+  }, [selectCell]);
+  
+  const handleSelectMove = useCallback((empId, day) => {
+    if (dragRef.current === 'select') {
+      selectCell({ empId, day }, true);
+    } else if (dragRef.current === 'fill') {
+      const row = gridRef.current.rows.findIndex(emp => emp.empId === empId);
+      setFillTarget(getFillTarget(gridRef.current.range, { row, day }));
+    }
+  }, [selectCell]);
+  
+  const handleFillStart = useCallback(() => {
+    dragRef.current = 'fill';
+  }, []);
+  
+  // Finish a drag; a fill handle drag repeats the selection's pattern
+  useEffect(() => {
+    const handleMouseUp = () => {
+      if (dragRef.current === 'fill' && fillTarget && range) {
+        onRangeChange?.(buildFillUpdates(processedEmployees, range, fillTarget), 'Fill pattern');
+        setSelection({
+          anchor: { empId: processedEmployees[fillTarget.top].empId, day: fillTarget.left },
+          focus: { empId: processedEmployees[fillTarget.bottom].empId, day: fillTarget.right }
+        });
+      }
+      dragRef.current = null;
+      setFillTarget(null);
+    };
+    
+    document.addEventListener('mouseup', handleMouseUp);
+    return () => document.removeEventListener('mouseup', handleMouseUp);
+  }, [fillTarget, range, processedEmployees, onRangeChange]);
+  
+  // Keys that act on the whole selection: a code fills it, Delete clears it
+  const handleGridKeyDown = (e) => {
+    if (!range || rangeCells < 2 || !e.target.classList?.contains('day-cell')) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    
+    if (e.key === 'Escape') {
+      setSelection(prev => ({ anchor: prev.focus, focus: prev.focus }));
+      return;
+    }
+    if (!isEditable) return;
+    
+    const code = e.key === 'Delete' || e.key === 'Backspace'
+      ? ''
+      : findCodeByShortcut(attendanceCodes, e.key);
+    if (code === null || code === undefined) return;
+    
+    e.preventDefault();
+    e.stopPropagation();
+    onRangeChange?.(buildRangeUpdates(processedEmployees, range, code), code ? `Fill ${code}` : 'Clear cells');
+  };
+  
+  // Clipboard, as tab-separated text so blocks move to and from spreadsheets
+  const isTextField = (target) => !!target.closest?.('input, textarea, select');
+  
+  const handleCopy = (e) => {
+    if (!range || isTextField(e.target)) return;
+    e.clipboardData.setData('text/plain', toTSV(readRange(processedEmployees, range)));
+    e.preventDefault();
+  };
+  
+  const handleCut = (e) => {
+    if (!range || isTextField(e.target) || !isEditable) return;
+    handleCopy(e);
+    onRangeChange?.(buildRangeUpdates(processedEmployees, range, ''), 'Cut cells');
+  };
+  
+  const handlePaste = (e) => {
+    if (!range || isTextField(e.target) || !isEditable) return;
+    const block = parseTSV(e.clipboardData.getData('text/plain'));
+    if (block.length === 0) return;
+    e.preventDefault();
+    
+    const result = buildPasteUpdates(
+      processedEmployees,
+      block,
+      range,
+      daysInMonth,
+      (text) => normalizeAttendanceCode(text, attendanceCodes)
+    );
+    onRangeChange?.(result.updates, 'Paste', result.unknown);
+    setSelection({
+      anchor: { empId: processedEmployees[result.range.top].empId, day: result.range.left },
+      focus: { empId: processedEmployees[result.range.bottom].empId, day: result.range.right }
+    });
+  };
+  
   // Handle sort
   const handleSort = (field) => {
     if (sortField === field) {
@@ -123,20 +346,26 @@ const AttendanceTable = ({
   const renderDayHeaders = () => {
     const headers = [];
     for (let day = 1; day <= 31; day++) {
-      const isWeekend = sundays.includes(day);
-      const isHoliday = holidays.includes(day);
+      const isWeekend = weeklyOffs.includes(day);
+      const dayHolidays = monthHolidays.filter(h => h.day === day);
+      const isHoliday = dayHolidays.length > 0;
+      const isCompanyHoliday = holidays.includes(day);
       const isToday = isCurrentMonth && day === today;
       const isValidDay = day <= daysInMonth;
+      const holidayTitle = dayHolidays
+        .map(h => (h.location ? `${h.name} (${h.location})` : h.name))
+        .join(', ');
       
       headers.push(
         <th 
           key={`day-${day}`} 
           className={`header-day ${isWeekend ? 'is-weekend' : ''} ${isHoliday ? 'is-holiday' : ''} ${isToday ? 'is-today' : ''} ${!isValidDay ? 'is-invalid' : ''}`}
+          title={holidayTitle || undefined}
         >
           <div className="day-header">
             <span className="day-number">{day}</span>
             {isWeekend && <span className="day-indicator">S</span>}
-            {isHoliday && <span className="day-indicator">H</span>}
+            {isHoliday && <span className="day-indicator">{isCompanyHoliday ? 'H' : 'h'}</span>}
           </div>
         </th>
       );
@@ -156,6 +385,28 @@ const AttendanceTable = ({
           onChange={(e) => setFilterText(e.target.value)}
         />
         <div className="table-info">
+          {rangeCells > 1 && (
+            <span className="range-info">
+              {rangeCells} cells selected
+              {isEditable && (
+                <select
+                  className="range-fill-select"
+                  value=""
+                  onChange={(e) => onRangeChange?.(
+                    buildRangeUpdates(processedEmployees, range, e.target.value),
+                    e.target.value ? `Fill ${e.target.value}` : 'Clear cells'
+                  )}
+                  title="Set every selected cell to one code"
+                >
+                  <option value="" disabled>Fill with…</option>
+                  {Object.entries(attendanceCodes || {}).map(([code, info]) => (
+                    <option key={code} value={code}>{code} - {info.label}</option>
+                  ))}
+                </select>
+              )}
+              <span className="range-hint">Type a code to fill, Delete to clear, Ctrl+C / Ctrl+V to copy and paste</span>
+            </span>
+          )}
           {filterText && (
             <span className="filter-results">
               Found {processedEmployees.length} of {employees.length} employees
@@ -165,7 +416,14 @@ const AttendanceTable = ({
       </div>
       
       {/* Table */}
-      <div className="table-wrapper" ref={tableRef}>
+      <div
+        className="table-wrapper"
+        ref={tableRef}
+        onKeyDownCapture={handleGridKeyDown}
+        onCopy={handleCopy}
+        onCut={handleCut}
+        onPaste={handlePaste}
+      >
         <table className="attendance-table">
           <thead>
             <tr className="header-row">
@@ -252,7 +510,27 @@ const AttendanceTable = ({
                   onEmployeeSelect={onEmployeeSelect}
                   onEmployeeEdit={onEmployeeEdit}
                   onEmployeeDelete={onEmployeeDelete}
+                  onEmployeeLeave={onEmployeeLeave}
                   isSelected={selectedEmployees.includes(employee.empId)}
+                  holidayCalendar={holidayCalendar}
+                  workWeekPolicy={workWeekPolicy}
+                  attendanceCodes={attendanceCodes}
+                  leavePolicy={leavePolicy}
+                  leaveRequests={leaveRequests}
+                  cellChanges={cellChanges[employee.empId]}
+                  shiftRoster={shiftRoster}
+                  timePolicy={timePolicy}
+                  activeDay={cursor?.empId === employee.empId ? cursor.day : null}
+                  selectedFrom={rangeCells > 1 && index >= range.top && index <= range.bottom ? range.left : null}
+                  selectedTo={rangeCells > 1 && index >= range.top && index <= range.bottom ? range.right : null}
+                  fillFrom={fillTarget && index >= fillTarget.top && index <= fillTarget.bottom ? fillTarget.left : null}
+                  fillTo={fillTarget && index >= fillTarget.top && index <= fillTarget.bottom ? fillTarget.right : null}
+                  fillHandleDay={isEditable && range && index === range.bottom ? range.right : null}
+                  onSelectStart={handleSelectStart}
+                  onSelectMove={handleSelectMove}
+                  onFillStart={handleFillStart}
+                  onCellFocus={handleCellFocus}
+                  onNavigate={handleNavigate}
                   isEditable={isEditable}
                   showActions={true}
                 />
@@ -290,7 +568,7 @@ const AttendanceTable = ({
               Month: <strong>{currentMonth} {currentYear}</strong>
             </span>
             <span className="stat-item">
-              Working Days: <strong>{daysInMonth - sundays.length - holidays.length}</strong>
+              Working Days: <strong>{workingDays}</strong>
             </span>
           </div>
         </div>
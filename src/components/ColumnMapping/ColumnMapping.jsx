@@ -0,0 +1,350 @@
+import React, { useState, useEffect } from 'react';
+import { STANDARD_COLUMN_MAPPING } from '../../utils/constants';
+import {
+  suggestColumnMapping,
+  getSheetLayout,
+  resolveSheetLayout,
+  validateColumnMapping
+} from '../../services/columnMappingService';
+import './ColumnMapping.css';
+
+const FIELDS = [
+  { name: 'empId', label: 'Emp ID', empty: 'Choose a column' },
+  { name: 'employeeName', label: 'Employee Name', empty: 'Not in file' },
+  { name: 'month', label: 'Month', empty: 'From sheet name' }
+];
+
+const DAYS = Array.from({ length: 31 }, (_, i) => i + 1);
+
+// Rows shown under the mapping as a check
+const PREVIEW_ROWS = 3;
+
+const cellText = (value) => (value ?? '').toString().trim();
+
+/**
+ * ColumnMapping Component - Map the columns of a sheet in another layout
+ * to Emp ID, Name, Month and days by header text, and keep the mapping as a
+ * named template for the next file from the same source
+ */
+const ColumnMapping = ({
+  isOpen,
+  onClose,
+  fileName = '',
+  sheets = [],
+  mappings = [],
+  onSaveMapping,
+  onDeleteMapping,
+  onApply
+}) => {
+  const [sheetIndex, setSheetIndex] = useState(0);
+  const [headerRow, setHeaderRow] = useState(0);
+  const [templateId, setTemplateId] = useState('');
+  const [draft, setDraft] = useState({ name: '', columns: { days: 'auto' } });
+  const [errors, setErrors] = useState([]);
+  
+  const sheet = sheets[sheetIndex] || { name: '', rows: [], headerRow: 0 };
+  
+  // Start from a suggestion built from the first sheet's headers
+  useEffect(() => {
+    if (isOpen && sheets.length > 0) {
+      const first = sheets[0];
+      const row = Math.max(first.headerRow, 0);
+      setSheetIndex(0);
+      setHeaderRow(row);
+      setTemplateId('');
+      setDraft({ name: '', ...suggestColumnMapping(first.rows[row]) });
+      setErrors([]);
+    }
+  }, [isOpen, sheets]);
+  
+  if (!isOpen) return null;
+  
+  const isStandard = templateId === STANDARD_COLUMN_MAPPING.id;
+  const headerCells = Array.from(sheet.rows[headerRow] || []);
+  const headerOptions = [...new Set(headerCells.map(cellText).filter(Boolean))];
+  const layout = isStandard ? null : getSheetLayout(sheet.rows, headerRow, draft);
+  const previewRows = layout
+    ? sheet.rows.slice(layout.dataStartRow).filter(row => cellText(row?.[layout.empId])).slice(0, PREVIEW_ROWS)
+    : [];
+  const previewDays = layout ? Object.keys(layout.days).map(Number).sort((a, b) => a - b) : [];
+  
+  const updateColumns = (changes) => {
+    setDraft(prev => ({ ...prev, columns: { ...prev.columns, ...changes } }));
+    setErrors([]);
+  };
+  
+  const handleSheetChange = (index) => {
+    setSheetIndex(index);
+    setHeaderRow(Math.max(sheets[index].headerRow, 0));
+  };
+  
+  // Load a saved mapping, or the standard layout, into the form
+  const handleTemplateChange = (id) => {
+    setTemplateId(id);
+    setErrors([]);
+    const saved = mappings.find(mapping => mapping.id === id);
+    if (saved) {
+      setDraft({ ...saved, columns: { ...saved.columns } });
+      const found = resolveSheetLayout(sheet.rows, saved);
+      if (found) setHeaderRow(found.headerRow);
+    } else if (!id) {
+      setDraft({ name: '', ...suggestColumnMapping(sheet.rows[headerRow]) });
+    }
+  };
+  
+  // Switch days between detection from headers and one column per day
+  const handleDayModeChange = (mode) => {
+    if (mode === 'auto') {
+      updateColumns({ days: 'auto' });
+      return;
+    }
+    const days = {};
+    Object.entries(layout?.days || {}).forEach(([day, column]) => {
+      days[day] = cellText(headerCells[column]);
+    });
+    updateColumns({ days });
+  };
+  
+  const handleSave = () => {
+    try {
+      const saved = onSaveMapping(draft);
+      setDraft({ ...saved, columns: { ...saved.columns } });
+      setTemplateId(saved.id);
+    } catch (err) {
+      setErrors([err.message]);
+    }
+  };
+  
+  const handleDelete = () => {
+    onDeleteMapping(templateId);
+    handleTemplateChange('');
+  };
+  
+  const handleApply = () => {
+    if (isStandard) {
+      onApply(STANDARD_COLUMN_MAPPING);
+      return;
+    }
+    
+    const validation = validateColumnMapping(draft);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+    if (!layout) {
+      setErrors([`The headers on row ${headerRow + 1} don't match this mapping`]);
+      return;
+    }
+    onApply({ ...draft, name: (draft.name || '').trim() });
+  };
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content column-mapping-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Map Columns — {fileName}</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div className="column-mapping-body">
+          <p className="column-mapping-intro">
+            {sheets.length === 1 ? 'This sheet isn\'t' : `${sheets.length} sheets aren't`} laid
+            out like this app's export. Match its columns by header; the mapping is used for
+            every such sheet in the file.
+          </p>
+          
+          <div className="column-mapping-toolbar">
+            <label className="column-mapping-field">
+              Mapping
+              <select
+                value={templateId}
+                onChange={(e) => handleTemplateChange(e.target.value)}
+                className="form-input"
+              >
+                <option value="">New mapping</option>
+                {mappings.map(mapping => (
+                  <option key={mapping.id} value={mapping.id}>{mapping.name}</option>
+                ))}
+                <option value={STANDARD_COLUMN_MAPPING.id}>
+                  {STANDARD_COLUMN_MAPPING.name} (fixed columns)
+                </option>
+              </select>
+            </label>
+            {sheets.length > 1 && (
+              <label className="column-mapping-field">
+                Sheet
+                <select
+                  value={sheetIndex}
+                  onChange={(e) => handleSheetChange(Number(e.target.value))}
+                  className="form-input"
+                >
+                  {sheets.map((s, index) => (
+                    <option key={s.name} value={index}>{s.name}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {!isStandard && (
+              <label className="column-mapping-field">
+                Header row
+                <input
+                  type="number"
+                  min="1"
+                  max={sheet.rows.length}
+                  value={headerRow + 1}
+                  onChange={(e) => setHeaderRow(Math.max(0, (parseInt(e.target.value, 10) || 1) - 1))}
+                  className="form-input"
+                />
+              </label>
+            )}
+          </div>
+          
+          {!isStandard && (
+            <>
+              <div className="column-mapping-fields">
+                {FIELDS.map(field => (
+                  <label key={field.name} className="column-mapping-field">
+                    {field.label}
+                    <select
+                      value={draft.columns[field.name] || ''}
+                      onChange={(e) => updateColumns({ [field.name]: e.target.value })}
+                      className="form-input"
+                      aria-label={`${field.label} column`}
+                    >
+                      <option value="">{field.empty}</option>
+                      {draft.columns[field.name] && !headerOptions.includes(draft.columns[field.name]) && (
+                        <option value={draft.columns[field.name]}>{draft.columns[field.name]} (not on this row)</option>
+                      )}
+                      {headerOptions.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+                <label className="column-mapping-field">
+                  Days
+                  <select
+                    value={draft.columns.days === 'auto' ? 'auto' : 'manual'}
+                    onChange={(e) => handleDayModeChange(e.target.value)}
+                    className="form-input"
+                  >
+                    <option value="auto">Detect from headers</option>
+                    <option value="manual">Choose per day</option>
+                  </select>
+                </label>
+              </div>
+              
+              {draft.columns.days !== 'auto' && (
+                <div className="column-mapping-days">
+                  {DAYS.map(day => (
+                    <label key={day} className="column-mapping-day">
+                      {day}
+                      <select
+                        value={draft.columns.days[day] || ''}
+                        onChange={(e) => updateColumns({ days: { ...draft.columns.days, [day]: e.target.value } })}
+                        className="form-input"
+                        aria-label={`Day ${day} column`}
+                      >
+                        <option value="">—</option>
+                        {headerOptions.map(header => (
+                          <option key={header} value={header}>{header}</option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+              )}
+              
+              {/* How the first rows read with this mapping */}
+              <div className="column-mapping-preview">
+                {layout ? (
+                  <>
+                    <span className="form-help">
+                      {previewDays.length} day column(s) found · data from row {layout.dataStartRow + 1}
+                    </span>
+                    <table className="column-mapping-table">
+                      <thead>
+                        <tr>
+                          <th>Emp ID</th>
+                          <th>Name</th>
+                          <th>Month</th>
+                          {previewDays.map(day => <th key={day}>{day}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {previewRows.map((row, index) => (
+                          <tr key={index}>
+                            <td>{cellText(row[layout.empId])}</td>
+                            <td>{layout.employeeName === null ? '' : cellText(row[layout.employeeName])}</td>
+                            <td>{layout.month === null ? sheet.name : cellText(row[layout.month])}</td>
+                            {previewDays.map(day => <td key={day}>{cellText(row[layout.days[day]])}</td>)}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </>
+                ) : (
+                  <span className="form-help">
+                    Choose the Emp ID column and at least one day column on row {headerRow + 1}
+                  </span>
+                )}
+              </div>
+              
+              <div className="column-mapping-save">
+                <input
+                  type="text"
+                  value={draft.name || ''}
+                  onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="Name, e.g. the system the file comes from"
+                  className="form-input"
+                  aria-label="Mapping name"
+                />
+                <button type="button" className="btn btn-secondary btn-sm" onClick={handleSave}>
+                  {draft.id ? 'Update Mapping' : 'Save Mapping'}
+                </button>
+                {draft.id && (
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={handleDelete}>
+                    Delete
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+          
+          {errors.length > 0 && (
+            <ul className="column-mapping-errors">
+              {errors.map(message => (
+                <li key={message} className="form-error">{message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+        
+        <div className="modal-footer">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={handleApply}
+          >
+            Continue
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMapping;
@@ -0,0 +1 @@
+export { default } from './ColumnMapping'; 
\ No newline at end of file
@@ -1,7 +1,25 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { ATTENDANCE_CODES } from '../../utils/constants';
+import {
+  findCodeByShortcut,
+  splitDayValue,
+  joinDayValue
+} from '../../services/attendanceCodeService';
+import { formatDuration } from '../../services/timeService';
 import './DayCell.css';
 
+// Keys that move the cursor around the grid, and where to
+const NAVIGATION_KEYS = {
+  ArrowUp: 'up',
+  ArrowDown: 'down',
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  Home: 'rowStart',
+  End: 'rowEnd',
+  PageUp: 'pageUp',
+  PageDown: 'pageDown'
+};
+
 /**
  * DayCell Component - Individual attendance cell with dropdown
  */
@@ -12,23 +30,50 @@ const DayCell = ({
   disabled = false,
   isWeekend = false,
   isHoliday = false,
+  holidayName = '',
   isToday = false,
   employeeId,
-  employeeName
+  employeeName,
+  attendanceCodes = ATTENDANCE_CODES,
+  pendingLeave = null,
+  changes = [],             // audit trail for the cell, newest first
+  plannedShift = null,      // shift on the roster for this day
+  rosterMismatch = '',      // how the attendance differs from the roster
+  timeEntry = null,         // clock times { in, out }
+  timeEvaluation = null,    // what the clock times add up to
+  isActive = false,         // grid cursor is on this cell
+  onFocusCell,              // (day) when the cell takes focus
+  onNavigate,               // (day, direction, extend) to move the grid cursor
+  isInRange = false,        // part of a selected block
+  isFillTarget = false,     // covered by the fill handle being dragged
+  hasFillHandle = false,    // bottom-right corner of the selection
+  onSelectStart,            // (day, extend) on mouse down
+  onSelectMove,             // (day) when the pointer enters while dragging
+  onFillStart               // fill handle grabbed
 }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [tempValue, setTempValue] = useState(value || '');
   const [showDropdown, setShowDropdown] = useState(false);
+  const [splitHalves, setSplitHalves] = useState(['', '']);
+  const [reason, setReason] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
   const cellRef = useRef(null);
   const dropdownRef = useRef(null);
   
   // Get attendance code info
   const getCodeInfo = (code) => {
     if (!code) return null;
-    return ATTENDANCE_CODES[code.toUpperCase()] || null;
+    return attendanceCodes[code.toUpperCase()] || null;
   };
   
-  const codeInfo = getCodeInfo(value);
+  const [firstHalf, secondHalf] = splitDayValue(value);
+  const isSplit = !!value && firstHalf !== secondHalf;
+  const codeInfo = isSplit ? null : getCodeInfo(value);
+  const halfInfos = isSplit ? [getCodeInfo(firstHalf), getCodeInfo(secondHalf)] : [];
+  const shortcutHint = Object.values(attendanceCodes)
+    .map(info => info.shortcut)
+    .filter(Boolean)
+    .join(', ');
   
   // Handle click outside to close dropdown
   useEffect(() => {
@@ -45,49 +90,103 @@ const DayCell = ({
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, [showDropdown]);
   
-  // Handle cell click
-  const handleCellClick = () => {
-    if (disabled) return;
+  // Take focus when the grid cursor lands here, unless the user is busy
+  // somewhere outside the grid
+  useEffect(() => {
+    if (!isActive || !cellRef.current) return;
+    
+    const focused = document.activeElement;
+    const focusIsFree = !focused || focused === document.body ||
+      !!focused.closest?.('.attendance-table');
+    if (focusIsFree && !cellRef.current.contains(focused)) {
+      cellRef.current.focus();
+    }
+  }, [isActive]);
+  
+  // Handle cell click; Shift+click only stretches the selection
+  const handleCellClick = (e) => {
+    if (disabled || e?.shiftKey) return;
     setIsEditing(true);
     setShowDropdown(true);
     setTempValue(value || '');
+    setSplitHalves(isSplit ? [firstHalf, secondHalf] : ['', '']);
+    setReason('');
+    setShowHistory(false);
   };
   
   // Handle keyboard input
   const handleKeyPress = (e) => {
-    if (disabled) return;
+    // Arrow keys, Home/End and PageUp/PageDown move around the grid, and
+    // stretch the selection with Shift; with Ctrl, Home and End jump to the
+    // first and last cell
+    if (!showDropdown && NAVIGATION_KEYS[e.key] && !e.altKey) {
+      e.preventDefault();
+      const direction = NAVIGATION_KEYS[e.key];
+      if (e.ctrlKey || e.metaKey) {
+        if (direction === 'rowStart') onNavigate?.(day, 'gridStart', e.shiftKey);
+        if (direction === 'rowEnd') onNavigate?.(day, 'gridEnd', e.shiftKey);
+      } else {
+        onNavigate?.(day, direction, e.shiftKey);
+      }
+      return;
+    }
     
-    const key = e.key.toUpperCase();
+    // Enter moves down (Shift+Enter up) once the dropdown is closed
+    if (e.key === 'Enter' && !showDropdown) {
+      e.preventDefault();
+      onNavigate?.(day, e.shiftKey ? 'up' : 'down');
+      return;
+    }
     
-    // Check if it's a valid attendance code
-    if (ATTENDANCE_CODES[key]) {
+    if (disabled || e.ctrlKey || e.metaKey || e.altKey) return;
+    
+    // Check if it's a code's keyboard shortcut; the cursor then moves right
+    const shortcutCode = findCodeByShortcut(attendanceCodes, e.key);
+    if (shortcutCode) {
       e.preventDefault();
-      onChange(day, key);
+      onChange(day, shortcutCode, reason);
       setShowDropdown(false);
       setIsEditing(false);
+      onNavigate?.(day, 'right');
+    } else if (e.key === 'F2' || (e.key === ' ' && !showDropdown)) {
+      e.preventDefault();
+      handleCellClick();
     } else if (e.key === 'Delete' || e.key === 'Backspace') {
       e.preventDefault();
-      onChange(day, '');
+      onChange(day, '', reason);
       setShowDropdown(false);
       setIsEditing(false);
     } else if (e.key === 'Escape') {
       setShowDropdown(false);
       setIsEditing(false);
-    } else if (e.key === 'Enter' && isEditing) {
-      setShowDropdown(!showDropdown);
+    } else if (e.key === 'Enter') {
+      setShowDropdown(false);
+      setIsEditing(false);
     }
   };
   
   // Handle dropdown selection
   const handleDropdownSelect = (code) => {
-    onChange(day, code);
+    onChange(day, code, reason);
     setShowDropdown(false);
     setIsEditing(false);
   };
   
+  // Apply a split day, e.g. P for the first half and L for the second
+  const handleSplitApply = () => {
+    onChange(day, joinDayValue(splitHalves[0], splitHalves[1]), reason);
+    setShowDropdown(false);
+    setIsEditing(false);
+  };
+  
+  // Change one half in the split editor
+  const handleSplitHalfChange = (index, code) => {
+    setSplitHalves(prev => prev.map((half, i) => (i === index ? code : half)));
+  };
+  
   // Handle clear
   const handleClear = () => {
-    onChange(day, '');
+    onChange(day, '', reason);
     setShowDropdown(false);
     setIsEditing(false);
   };
@@ -99,12 +198,18 @@ const DayCell = ({
     if (codeInfo) {
       classes.push(`status-${value.toLowerCase()}`);
     }
+    if (isSplit) classes.push('is-split');
+    if (pendingLeave) classes.push('has-pending-leave');
+    if (rosterMismatch) classes.push('has-roster-mismatch');
     
     if (isWeekend) classes.push('is-weekend');
     if (isHoliday) classes.push('is-holiday');
     if (isToday) classes.push('is-today');
     if (disabled) classes.push('is-disabled');
     if (isEditing) classes.push('is-editing');
+    if (isActive) classes.push('is-active');
+    if (isInRange) classes.push('is-in-range');
+    if (isFillTarget) classes.push('is-fill-target');
     
     return classes.join(' ');
   };
@@ -121,6 +226,43 @@ const DayCell = ({
     return {};
   };
   
+  const lastChange = changes[0];
+  const lastChangeLabel = lastChange
+    ? `Last changed by ${lastChange.editor || 'unknown'} on ${new Date(lastChange.timestamp).toLocaleString()}`
+    : '';
+  
+  const pendingLeaveLabel = pendingLeave
+    ? `Pending ${pendingLeave.leaveTypeName} request from ${pendingLeave.requestedBy}`
+    : '';
+  
+  const plannedShiftLabel = plannedShift
+    ? `Planned: ${plannedShift.start ? `${plannedShift.name} shift ${plannedShift.start}-${plannedShift.end}` : 'Day off'}${rosterMismatch ? ` (${rosterMismatch})` : ''}`
+    : '';
+  
+  const timeFlagged = !!timeEvaluation && (
+    !!timeEvaluation.missingPunch || timeEvaluation.lateMinutes > 0 || timeEvaluation.earlyMinutes > 0
+  );
+  const timeLabel = timeEntry
+    ? [
+      `In ${timeEntry.in || '—'}, out ${timeEntry.out || '—'}`,
+      timeEvaluation?.workedMinutes ? `${formatDuration(timeEvaluation.workedMinutes)} h` : '',
+      timeEvaluation?.lateMinutes ? `late ${timeEvaluation.lateMinutes} min` : '',
+      timeEvaluation?.earlyMinutes ? `left ${timeEvaluation.earlyMinutes} min early` : '',
+      timeEvaluation?.overtimeMinutes ? `overtime ${formatDuration(timeEvaluation.overtimeMinutes)} h` : '',
+      timeEvaluation?.missingPunch ? `no clock-${timeEvaluation.missingPunch}` : ''
+    ].filter(Boolean).join(', ')
+    : '';
+  
+  // Describe the cell for its tooltip
+  const getCellLabel = () => {
+    if (isSplit) {
+      return halfInfos
+        .map((info, index) => `${index === 0 ? 'First' : 'Second'} half: ${info ? info.label : [firstHalf, secondHalf][index]}`)
+        .join(', ');
+    }
+    return codeInfo ? codeInfo.label : 'Click to set attendance';
+  };
+  
   return (
     <div 
       ref={cellRef}
@@ -128,24 +270,87 @@ const DayCell = ({
       style={getCellStyle()}
       onClick={handleCellClick}
       onKeyDown={handleKeyPress}
+      onFocus={() => onFocusCell?.(day)}
+      onMouseDown={(e) => {
+        if (e.button === 0 && !showDropdown) onSelectStart?.(day, e.shiftKey);
+      }}
+      onMouseEnter={() => onSelectMove?.(day)}
       tabIndex={disabled ? -1 : 0}
       role="gridcell"
       aria-label={`Day ${day} attendance for ${employeeName}`}
-      title={codeInfo ? codeInfo.label : 'Click to set attendance'}
+      title={[holidayName, getCellLabel(), timeLabel, plannedShiftLabel, pendingLeaveLabel, lastChangeLabel].filter(Boolean).join(' · ')}
     >
       {/* Cell Value */}
-      <div className="cell-value">
-        {value ? value.toUpperCase() : ''}
-      </div>
+      {isSplit ? (
+        <div className="cell-value cell-split">
+          {[firstHalf, secondHalf].map((half, index) => (
+            <span
+              key={index}
+              className="cell-half"
+              style={halfInfos[index] ? {
+                backgroundColor: halfInfos[index].bgColor,
+                color: halfInfos[index].color
+              } : {}}
+            >
+              {half}
+            </span>
+          ))}
+        </div>
+      ) : (
+        <div className="cell-value">
+          {value ? value.toUpperCase() : ''}
+        </div>
+      )}
+      
+      {/* Planned Shift */}
+      {plannedShift && (
+        <div className="planned-shift">{plannedShift.code}</div>
+      )}
+      
+      {/* Clock Times */}
+      {timeEntry && (
+        <div className={`time-indicator${timeFlagged ? ' is-flagged' : ''}`} />
+      )}
+      
+      {/* Pending Leave Request */}
+      {pendingLeave && (
+        <div className="pending-leave-indicator">{pendingLeave.code}</div>
+      )}
       
       {/* Today Indicator */}
       {isToday && <div className="today-indicator" />}
       
+      {/* Fill Handle - drag to repeat the selection */}
+      {hasFillHandle && !disabled && (
+        <div
+          className="fill-handle"
+          onMouseDown={(e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            onFillStart?.();
+          }}
+          onClick={(e) => e.stopPropagation()}
+          title="Drag to repeat the selection"
+        />
+      )}
+      
       {/* Dropdown Menu */}
       {showDropdown && !disabled && (
         <div ref={dropdownRef} className="attendance-dropdown">
           <div className="dropdown-header">
             Select Attendance
+            {changes.length > 0 && (
+              <button
+                className={`dropdown-history-toggle ${showHistory ? 'active' : ''}`}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setShowHistory(!showHistory);
+                }}
+                title="Who changed this cell and when"
+              >
+                History ({changes.length})
+              </button>
+            )}
             <button 
               className="dropdown-close"
               onClick={(e) => {
@@ -159,8 +364,30 @@ const DayCell = ({
             </button>
           </div>
           
+          {/* Cell History */}
+          {showHistory && (
+            <div className="dropdown-history" onClick={(e) => e.stopPropagation()}>
+              {changes.map((change, index) => (
+                <div key={index} className="history-entry">
+                  <div className="history-values">
+                    <span className="history-old">{change.oldValue || '—'}</span>
+                    {' → '}
+                    <span className="history-new">{change.newValue || '—'}</span>
+                    <span className="history-source">{change.source}</span>
+                  </div>
+                  <div className="history-meta">
+                    {change.editor || 'Unknown'} · {new Date(change.timestamp).toLocaleString()}
+                  </div>
+                  {change.reason && (
+                    <div className="history-reason">{change.reason}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+          
           <div className="dropdown-options">
-            {Object.entries(ATTENDANCE_CODES).map(([code, info]) => (
+            {Object.entries(attendanceCodes).map(([code, info]) => (
               <div
                 key={code}
                 className={`dropdown-option ${value === code ? 'selected' : ''}`}
@@ -175,6 +402,9 @@ const DayCell = ({
               >
                 <span className="option-code">{code}</span>
                 <span className="option-label">{info.label}</span>
+                {info.shortcut && info.shortcut !== code && (
+                  <span className="option-shortcut">{info.shortcut}</span>
+                )}
               </div>
             ))}
             
@@ -192,9 +422,58 @@ const DayCell = ({
             )}
           </div>
           
+          {/* Reason for the audit trail */}
+          <div
+            className="dropdown-reason"
+            onClick={(e) => e.stopPropagation()}
+            onKeyDown={(e) => e.stopPropagation()}
+          >
+            <input
+              type="text"
+              className="reason-input"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Reason for change (optional)"
+              aria-label="Reason for change"
+            />
+          </div>
+          
+          {/* Split Day Editor */}
+          <div
+            className="dropdown-split"
+            onClick={(e) => e.stopPropagation()}
+            onKeyDown={(e) => e.stopPropagation()}
+          >
+            <div className="split-title">Split day</div>
+            <div className="split-fields">
+              {['First half', 'Second half'].map((label, index) => (
+                <select
+                  key={label}
+                  className="split-select"
+                  value={splitHalves[index]}
+                  onChange={(e) => handleSplitHalfChange(index, e.target.value)}
+                  aria-label={label}
+                  title={label}
+                >
+                  <option value="">{index === 0 ? '1st' : '2nd'}</option>
+                  {Object.entries(attendanceCodes).map(([code, info]) => (
+                    <option key={code} value={code}>{code} - {info.label}</option>
+                  ))}
+                </select>
+              ))}
+              <button
+                className="split-apply"
+                onClick={handleSplitApply}
+                disabled={!splitHalves[0] || !splitHalves[1]}
+              >
+                Set
+              </button>
+            </div>
+          </div>
+          
           <div className="dropdown-footer">
             <div className="dropdown-hint">
-              Press key for quick entry: P, A, L, O, S, H, N
+              Press key for quick entry: {shortcutHint}. Arrows move, Enter goes down.
             </div>
           </div>
         </div>
@@ -1,7 +1,9 @@
  
 import React, { useState, useEffect } from 'react';
 import { validateEmployee } from '../../services/attendanceService';
-import { VALIDATION } from '../../utils/constants';
+import { validateWorkWeekPolicy, describeWorkWeekPolicy } from '../../services/workWeekService';
+import { VALIDATION, DEFAULT_WORK_WEEK_POLICY } from '../../utils/constants';
+import WorkWeekPolicyFields from '../WorkWeekPolicyFields';
 import './EmployeeModal.css';
 
 /**
@@ -12,7 +14,9 @@ const EmployeeModal = ({
   onClose, 
   onSave, 
   employee = null,
-  existingEmployeeIds = []
+  existingEmployeeIds = [],
+  orgWorkWeekPolicy = null,
+  leaveTypes = []
 }) => {
   const [formData, setFormData] = useState({
     empId: '',
@@ -21,7 +25,10 @@ const EmployeeModal = ({
     designation: '',
     joiningDate: '',
     email: '',
-    phone: ''
+    phone: '',
+    location: '',
+    workWeekPolicy: null,
+    leaveEntitlements: {}
   });
   
   const [errors, setErrors] = useState({});
@@ -39,7 +46,10 @@ const EmployeeModal = ({
         designation: employee.designation || '',
         joiningDate: employee.joiningDate || '',
         email: employee.email || '',
-        phone: employee.phone || ''
+        phone: employee.phone || '',
+        location: employee.location || '',
+        workWeekPolicy: employee.workWeekPolicy || null,
+        leaveEntitlements: employee.leaveEntitlements || {}
       });
     } else {
       // Reset form for new employee
@@ -50,7 +60,10 @@ const EmployeeModal = ({
         designation: '',
         joiningDate: '',
         email: '',
-        phone: ''
+        phone: '',
+        location: '',
+        workWeekPolicy: null,
+        leaveEntitlements: {}
       });
     }
     setErrors({});
@@ -74,6 +87,39 @@ const EmployeeModal = ({
     }
   };
   
+  // Switch between the organisation policy and an own weekly off
+  const handleWorkWeekModeChange = (e) => {
+    const workWeekPolicy = e.target.value === 'custom'
+      ? (orgWorkWeekPolicy || DEFAULT_WORK_WEEK_POLICY)
+      : null;
+    handleWorkWeekPolicyChange(workWeekPolicy);
+  };
+  
+  const handleWorkWeekPolicyChange = (workWeekPolicy) => {
+    setFormData(prev => ({
+      ...prev,
+      workWeekPolicy
+    }));
+    
+    if (errors.workWeekPolicy) {
+      setErrors(prev => ({
+        ...prev,
+        workWeekPolicy: ''
+      }));
+    }
+  };
+  
+  // Own yearly entitlement for a leave type; blank follows the policy
+  const handleEntitlementChange = (typeId, value) => {
+    setFormData(prev => {
+      const { [typeId]: previous, ...others } = prev.leaveEntitlements;
+      return {
+        ...prev,
+        leaveEntitlements: value === '' ? others : { ...others, [typeId]: Number(value) }
+      };
+    });
+  };
+  
   // Handle blur to mark field as touched
   const handleBlur = (e) => {
     const { name } = e.target;
@@ -169,6 +215,14 @@ const EmployeeModal = ({
       isValid = false;
     }
     
+    if (formData.workWeekPolicy) {
+      const validation = validateWorkWeekPolicy(formData.workWeekPolicy);
+      if (!validation.isValid) {
+        newErrors.workWeekPolicy = validation.errors.join(', ');
+        isValid = false;
+      }
+    }
+    
     setErrors(newErrors);
     return isValid;
   };
@@ -192,7 +246,10 @@ const EmployeeModal = ({
       designation: '',
       joiningDate: '',
       email: '',
-      phone: ''
+      phone: '',
+      location: '',
+      workWeekPolicy: null,
+      leaveEntitlements: {}
     });
     setErrors({});
     setTouched({});
@@ -341,7 +398,23 @@ const EmployeeModal = ({
           </div>
           
           <div className="form-row">
-            <div className="form-group form-group-full">
+            <div className="form-group">
+              <label htmlFor="location" className="form-label">
+                Location
+              </label>
+              <input
+                type="text"
+                id="location"
+                name="location"
+                value={formData.location}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="e.g., Hyderabad"
+              />
+              <span className="form-help">Location-specific holidays apply to this site</span>
+            </div>
+            
+            <div className="form-group">
               <label htmlFor="email" className="form-label">
                 Email Address
               </label>
@@ -361,6 +434,58 @@ const EmployeeModal = ({
             </div>
           </div>
           
+          <div className="form-row">
+            <div className="form-group form-group-full">
+              <label htmlFor="workWeekMode" className="form-label">
+                Weekly Off
+              </label>
+              <select
+                id="workWeekMode"
+                value={formData.workWeekPolicy ? 'custom' : 'organisation'}
+                onChange={handleWorkWeekModeChange}
+                className="form-input"
+              >
+                <option value="organisation">
+                  Organisation policy{orgWorkWeekPolicy ? ` (${describeWorkWeekPolicy(orgWorkWeekPolicy)})` : ''}
+                </option>
+                <option value="custom">Own weekly off</option>
+              </select>
+              {formData.workWeekPolicy && (
+                <WorkWeekPolicyFields
+                  policy={formData.workWeekPolicy}
+                  onChange={handleWorkWeekPolicyChange}
+                  idPrefix="employee-work-week"
+                />
+              )}
+              {errors.workWeekPolicy && (
+                <span className="form-error">{errors.workWeekPolicy}</span>
+              )}
+            </div>
+          </div>
+          
+          {leaveTypes.some(type => type.hasBalance) && (
+            <div className="form-group form-group-full">
+              <span className="form-label">Leave Entitlements (days / year)</span>
+              <div className="leave-entitlements">
+                {leaveTypes.filter(type => type.hasBalance).map(type => (
+                  <label key={type.id} className="leave-entitlement">
+                    <span>{type.name}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={formData.leaveEntitlements[type.id] ?? ''}
+                      onChange={(e) => handleEntitlementChange(type.id, e.target.value)}
+                      className="form-input"
+                      placeholder={String(type.entitlement)}
+                    />
+                  </label>
+                ))}
+              </div>
+              <span className="form-help">Leave blank to use the leave policy</span>
+            </div>
+          )}
+          
           <div className="modal-footer">
             <button 
               type="button" 
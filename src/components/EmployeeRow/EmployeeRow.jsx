@@ -2,7 +2,12 @@ import React, { useState, memo, useMemo, useEffect } from 'react';
 import DayCell from '../DayCell';
 import SummaryCell from '../SummaryCell';
 import { getDaysInMonth, SUMMARY_COLUMNS } from '../../utils/constants';
-import { getHolidaysInMonth } from '../../services/attendanceService';
+import { getHolidaysForMonth } from '../../services/holidayService';
+import { resolveWorkWeekPolicy, getWeeklyOffsForMonth } from '../../services/workWeekService';
+import { getNegativeLeaveBalances } from '../../services/leaveService';
+import { getPendingLeaveDays } from '../../services/leaveRequestService';
+import { getPlannedShifts, getEmployeeRosterMismatches } from '../../services/shiftService';
+import { getMonthTimes, summarizeMonthTimes } from '../../services/timeService';
 import './EmployeeRow.css';
 
 const MONTHS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
@@ -20,7 +25,27 @@ const EmployeeRow = memo(({
   onEmployeeSelect,
   onEmployeeEdit,
   onEmployeeDelete,
+  onEmployeeLeave,
   isSelected = false,
+  holidayCalendar = [],     // from the holiday calendar, filtered by employee.location
+  workWeekPolicy,           // organisation policy, unless the employee has their own
+  attendanceCodes,          // code registry for the cell dropdowns
+  leavePolicy,              // leave types for the overdrawn-balance warning
+  leaveRequests = [],       // pending ones are overlaid on their days
+  cellChanges = {},         // audit trail for this month, by day
+  shiftRoster = null,       // planned shifts, shown alongside the attendance
+  timePolicy = null,        // how clock times are judged, for the cell tooltips
+  activeDay = null,         // day the grid cursor is on, if it is in this row
+  onCellFocus,              // (empId, day) when a cell takes focus
+  onNavigate,               // (empId, day, direction, extend) to move the grid cursor
+  selectedFrom = null,      // days of the selected block in this row
+  selectedTo = null,
+  fillFrom = null,          // days a fill handle drag will cover in this row
+  fillTo = null,
+  fillHandleDay = null,     // day showing the fill handle
+  onSelectStart,            // (empId, day, extend) on mouse down
+  onSelectMove,             // (empId, day) while dragging
+  onFillStart,              // fill handle grabbed
   isEditable = true,
   showActions = true
 }) => {
@@ -29,17 +54,46 @@ const EmployeeRow = memo(({
 
   const monthIndex = MONTHS.indexOf(month);
   const daysInMonth = getDaysInMonth(month, year);
-  const holidays = getHolidaysInMonth(month, year);
+  const holidays = useMemo(
+    () => getHolidaysForMonth(holidayCalendar, month, year, employee.location || ''),
+    [holidayCalendar, month, year, employee.location]
+  );
+  const holidayDays = useMemo(() => holidays.map(h => h.day), [holidays]);
 
-  // Compute weekend days (Sat & Sun)
+  // Weekly-off days under the employee's work-week policy
   const weekendDays = useMemo(() => {
-    const s = new Set();
-    for (let d = 1; d <= daysInMonth; d++) {
-      const dow = new Date(year, monthIndex, d).getDay(); // Sun=0 ... Sat=6
-      if (dow === 0 || dow === 6) s.add(d);
-    }
-    return s;
-  }, [year, monthIndex, daysInMonth]);
+    const policy = resolveWorkWeekPolicy(workWeekPolicy, employee);
+    return new Set(getWeeklyOffsForMonth(policy, month, year));
+  }, [workWeekPolicy, employee, month, year]);
+
+  // Leave types the employee has overdrawn by the end of this month
+  const overdrawnLeave = useMemo(
+    () => (leavePolicy ? getNegativeLeaveBalances(employee, leavePolicy, year, monthIndex) : []),
+    [employee, leavePolicy, year, monthIndex]
+  );
+
+  // Days covered by pending leave requests
+  const pendingLeaveByDay = useMemo(
+    () => getPendingLeaveDays(leaveRequests, employee, month, year),
+    [leaveRequests, employee, month, year]
+  );
+
+  // Planned shifts, and the days where attendance doesn't match them
+  const plannedShifts = useMemo(
+    () => (shiftRoster ? getPlannedShifts(shiftRoster, employee.empId, month, year) : {}),
+    [shiftRoster, employee.empId, month, year]
+  );
+  const rosterMismatches = useMemo(
+    () => (shiftRoster ? getEmployeeRosterMismatches(employee, shiftRoster, month, year, attendanceCodes) : {}),
+    [shiftRoster, employee, month, year, attendanceCodes]
+  );
+
+  // Clock times recorded this month, with what they add up to
+  const monthTimes = useMemo(() => getMonthTimes(employee, month, year), [employee, month, year]);
+  const timeEvaluations = useMemo(
+    () => (timePolicy ? summarizeMonthTimes(employee, month, year, timePolicy, shiftRoster).days : {}),
+    [employee, month, year, timePolicy, shiftRoster]
+  );
 
   // Current day highlighting
   const today = new Date().getDate();
@@ -98,6 +152,12 @@ const EmployeeRow = memo(({
     setShowContextMenu(false);
   };
 
+  const handleLeaveClick = (e) => {
+    e.stopPropagation();
+    onEmployeeLeave?.(employee);
+    setShowContextMenu(false);
+  };
+
   const handleCheckboxChange = (e) => {
     e.stopPropagation();
     onEmployeeSelect?.(employee.empId);
@@ -113,8 +173,24 @@ const EmployeeRow = memo(({
   }, [showContextMenu]);
 
   // Delegate to parent without mutating employee
-  const handleAttendanceChange = (day, value) => {
-    onAttendanceChange?.(employee.empId, day, value);
+  const handleAttendanceChange = (day, value, reason) => {
+    onAttendanceChange?.(employee.empId, day, value, reason);
+  };
+
+  const handleCellFocus = (day) => {
+    onCellFocus?.(employee.empId, day);
+  };
+
+  const handleNavigate = (day, direction, extend) => {
+    onNavigate?.(employee.empId, day, direction, extend);
+  };
+
+  const handleSelectStart = (day, extend) => {
+    onSelectStart?.(employee.empId, day, extend);
+  };
+
+  const handleSelectMove = (day) => {
+    onSelectMove?.(employee.empId, day);
   };
 
   return (
@@ -151,6 +227,14 @@ const EmployeeRow = memo(({
       <td className="row-cell row-cell-empname">
         <div className="employee-name-cell">
           <span className="cell-content emp-name">{employee.employeeName}</span>
+          {overdrawnLeave.length > 0 && (
+            <span
+              className="leave-warning"
+              title={`Over leave balance: ${overdrawnLeave.map(item => `${item.type.name} ${item.balance}`).join(', ')}`}
+            >
+              ⚠️
+            </span>
+          )}
           {isHovered && showActions && (
             <div className="row-actions">
               <button 
@@ -161,6 +245,16 @@ const EmployeeRow = memo(({
               >
                 ✏️
               </button>
+              {onEmployeeLeave && (
+                <button
+                  className="action-btn action-leave"
+                  onClick={handleLeaveClick}
+                  title="Leave Balance"
+                  aria-label="Leave balance"
+                >
+                  🌴
+                </button>
+              )}
               <button 
                 className="action-btn action-delete"
                 onClick={handleDeleteClick}
@@ -183,7 +277,8 @@ const EmployeeRow = memo(({
       {Array.from({ length: 31 }, (_, i) => i + 1).map(day => {
         const isInvalid = day > daysInMonth;
         const isWeekend = weekendDays.has(day);
-        const isHoliday = holidays.includes(day);
+        const isHoliday = holidayDays.includes(day);
+        const holidayName = isHoliday ? holidays.find(h => h.day === day).name : '';
         const isToday = isCurrentMonth && day === today;
         const value = normalizedByDay[day] || '';
 
@@ -197,9 +292,26 @@ const EmployeeRow = memo(({
                 disabled={!isEditable}
                 isWeekend={isWeekend}
                 isHoliday={isHoliday}
+                holidayName={holidayName}
                 isToday={isToday}
                 employeeId={employee.empId}
                 employeeName={employee.employeeName}
+                attendanceCodes={attendanceCodes}
+                pendingLeave={pendingLeaveByDay[day] || null}
+                changes={cellChanges[day]}
+                plannedShift={plannedShifts[day] || null}
+                rosterMismatch={rosterMismatches[day] || ''}
+                timeEntry={monthTimes[day] || null}
+                timeEvaluation={timeEvaluations[day] || null}
+                isActive={activeDay === day}
+                onFocusCell={handleCellFocus}
+                onNavigate={handleNavigate}
+                isInRange={selectedFrom !== null && day >= selectedFrom && day <= selectedTo}
+                isFillTarget={fillFrom !== null && day >= fillFrom && day <= fillTo}
+                hasFillHandle={fillHandleDay === day}
+                onSelectStart={handleSelectStart}
+                onSelectMove={handleSelectMove}
+                onFillStart={onFillStart}
               />
             ) : (
               <div className="day-cell-disabled" />
@@ -229,6 +341,12 @@ const EmployeeRow = memo(({
             <span className="menu-icon">✏️</span>
             Edit Employee
           </button>
+          {onEmployeeLeave && (
+            <button onClick={handleLeaveClick} className="context-menu-item">
+              <span className="menu-icon">🌴</span>
+              Leave Balance
+            </button>
+          )}
           <button onClick={handleDeleteClick} className="context-menu-item context-menu-danger">
             <span className="menu-icon">🗑️</span>
             Delete Employee
@@ -0,0 +1,302 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { MONTHS } from '../../utils/constants';
+import './HolidayCalendar.css';
+
+const EMPTY_FORM = { date: '', name: '', location: '' };
+
+/**
+ * HolidayCalendar Component - Manage named holidays per year and location
+ */
+const HolidayCalendar = ({
+  isOpen,
+  onClose,
+  holidays,
+  locations = [],
+  currentYear,
+  onAdd,
+  onUpdate,
+  onDelete,
+  onImport
+}) => {
+  const [year, setYear] = useState(currentYear);
+  const [locationFilter, setLocationFilter] = useState('all');
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [importLocation, setImportLocation] = useState('');
+  const [formError, setFormError] = useState('');
+  const [importMessage, setImportMessage] = useState(null);
+  const fileInputRef = useRef(null);
+  
+  // Holidays for the selected year and location
+  const visibleHolidays = useMemo(() => {
+    return holidays
+      .filter(holiday => holiday.date.startsWith(`${year}-`))
+      .filter(holiday => {
+        if (locationFilter === 'all') return true;
+        if (locationFilter === '') return !holiday.location;
+        return holiday.location === locationFilter;
+      });
+  }, [holidays, year, locationFilter]);
+  
+  const years = Array.from({ length: 7 }, (_, i) => currentYear - 3 + i);
+  
+  // Format a date as "Mon 26 Jan"
+  const formatDate = (iso) => {
+    const [y, m, d] = iso.split('-').map(Number);
+    const date = new Date(y, m - 1, d);
+    const weekday = date.toLocaleDateString(undefined, { weekday: 'short' });
+    return `${weekday} ${d} ${MONTHS[m - 1].value}`;
+  };
+  
+  // Handle input change
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setFormError('');
+  };
+  
+  // Handle add/update submission
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    
+    try {
+      if (editingId) {
+        onUpdate(editingId, formData);
+      } else {
+        onAdd(formData);
+      }
+      setFormData(EMPTY_FORM);
+      setEditingId(null);
+      setFormError('');
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+  
+  // Start editing a holiday
+  const handleEdit = (holiday) => {
+    setEditingId(holiday.id);
+    setFormData({ date: holiday.date, name: holiday.name, location: holiday.location });
+    setFormError('');
+  };
+  
+  // Cancel editing
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setFormData(EMPTY_FORM);
+    setFormError('');
+  };
+  
+  // Delete a holiday
+  const handleDelete = (holiday) => {
+    if (window.confirm(`Delete holiday "${holiday.name}" on ${holiday.date}?`)) {
+      onDelete(holiday.id);
+      if (editingId === holiday.id) handleCancelEdit();
+    }
+  };
+  
+  // Handle import file
+  const handleFileUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Reset input
+    if (!file) return;
+    
+    try {
+      const result = await onImport(file, importLocation.trim());
+      setImportMessage({
+        type: 'success',
+        text: `Imported ${result.added} holiday(s)` +
+          (result.duplicates > 0 ? `, ${result.duplicates} already in the calendar` : '')
+      });
+    } catch (err) {
+      setImportMessage({ type: 'error', text: err.message });
+    }
+  };
+  
+  if (!isOpen) return null;
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content holiday-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Holiday Calendar</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div className="holiday-body">
+          {/* Filters */}
+          <div className="holiday-filters">
+            <select
+              className="form-input holiday-select"
+              value={year}
+              onChange={(e) => setYear(parseInt(e.target.value))}
+              aria-label="Year"
+            >
+              {years.map(y => (
+                <option key={y} value={y}>{y}</option>
+              ))}
+            </select>
+            
+            <select
+              className="form-input holiday-select"
+              value={locationFilter}
+              onChange={(e) => setLocationFilter(e.target.value)}
+              aria-label="Location"
+            >
+              <option value="all">All locations</option>
+              <option value="">Company-wide only</option>
+              {locations.map(location => (
+                <option key={location} value={location}>{location}</option>
+              ))}
+            </select>
+          </div>
+          
+          {/* Holiday List */}
+          <div className="holiday-list">
+            {visibleHolidays.length > 0 ? (
+              <table className="holiday-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Holiday</th>
+                    <th>Location</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleHolidays.map(holiday => (
+                    <tr
+                      key={holiday.id}
+                      className={editingId === holiday.id ? 'is-editing' : ''}
+                    >
+                      <td className="holiday-date">{formatDate(holiday.date)}</td>
+                      <td>{holiday.name}</td>
+                      <td className="holiday-location">{holiday.location || 'All'}</td>
+                      <td className="holiday-actions">
+                        <button
+                          className="action-btn"
+                          onClick={() => handleEdit(holiday)}
+                          title="Edit holiday"
+                          aria-label="Edit"
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          className="action-btn"
+                          onClick={() => handleDelete(holiday)}
+                          title="Delete holiday"
+                          aria-label="Delete"
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <div className="holiday-empty">No holidays for {year}</div>
+            )}
+          </div>
+          
+          {/* Add / Edit Form */}
+          <form onSubmit={handleSubmit} className="holiday-form">
+            <div className="holiday-form-title">
+              {editingId ? 'Edit Holiday' : 'Add Holiday'}
+            </div>
+            <div className="holiday-form-row">
+              <input
+                type="date"
+                name="date"
+                value={formData.date}
+                onChange={handleChange}
+                className="form-input"
+                aria-label="Date"
+              />
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="e.g., Diwali"
+                aria-label="Holiday name"
+              />
+              <input
+                type="text"
+                name="location"
+                value={formData.location}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="Location (blank = all)"
+                list="holiday-locations"
+                aria-label="Location"
+              />
+              <button type="submit" className="btn btn-primary">
+                {editingId ? 'Update' : 'Add'}
+              </button>
+              {editingId && (
+                <button type="button" className="btn btn-secondary" onClick={handleCancelEdit}>
+                  Cancel
+                </button>
+              )}
+            </div>
+            {formError && <span className="form-error">{formError}</span>}
+          </form>
+          
+          {/* Import */}
+          <div className="holiday-import">
+            <div className="holiday-form-title">Import from iCalendar (.ics) or CSV</div>
+            <div className="holiday-form-row">
+              <input
+                type="text"
+                value={importLocation}
+                onChange={(e) => setImportLocation(e.target.value)}
+                className="form-input"
+                placeholder="Location (blank = all)"
+                list="holiday-locations"
+                aria-label="Import location"
+              />
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".ics,.csv"
+                onChange={handleFileUpload}
+                style={{ display: 'none' }}
+              />
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => fileInputRef.current?.click()}
+              >
+                📁 Choose File
+              </button>
+            </div>
+            <span className="form-help">
+              CSV columns: Date (YYYY-MM-DD or DD/MM/YYYY), Name, Location (optional)
+            </span>
+            {importMessage && (
+              <div className={`holiday-import-message is-${importMessage.type}`}>
+                {importMessage.text}
+              </div>
+            )}
+          </div>
+          
+          <datalist id="holiday-locations">
+            {locations.map(location => (
+              <option key={location} value={location} />
+            ))}
+          </datalist>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HolidayCalendar;
@@ -0,0 +1 @@
+export { default } from './HolidayCalendar'; 
\ No newline at end of file
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { IMPORT_ISSUE_SEVERITIES, IMPORT_ISSUE_TYPES } from '../../utils/constants';
+import { countIssues } from '../../services/importReportService';
+import './ImportIssues.css';
+
+const FILTERS = [
+  { value: 'all', label: 'All problems' },
+  { value: IMPORT_ISSUE_SEVERITIES.ERROR, label: 'Errors' },
+  { value: IMPORT_ISSUE_SEVERITIES.WARNING, label: 'Warnings' },
+  { value: 'open', label: 'Not fixed' }
+];
+
+/**
+ * ImportIssues Component - Validation report for an import: every problem
+ * with its sheet, cell and severity, fixable inline where the fix is clear
+ */
+const ImportIssues = ({
+  issues = [],
+  attendanceCodes = {},
+  onFix,
+  onExport
+}) => {
+  const [filter, setFilter] = useState('all');
+  const [idDrafts, setIdDrafts] = useState({});
+  const [error, setError] = useState('');
+  
+  const counts = countIssues(issues);
+  const shown = issues.filter(issue => {
+    if (filter === 'all') return true;
+    if (filter === 'open') return issue.fixedValue === undefined;
+    return issue.severity === filter;
+  });
+  
+  const fix = (issue, value) => {
+    try {
+      onFix(issue.id, value);
+      setError('');
+    } catch (err) {
+      setError(`${issue.sheet}!${issue.cell}: ${err.message}`);
+    }
+  };
+  
+  const renderFix = (issue) => {
+    switch (issue.type) {
+      case IMPORT_ISSUE_TYPES.UNKNOWN_CODE:
+        return (
+          <select
+            value={issue.fixedValue || ''}
+            onChange={(e) => e.target.value && fix(issue, e.target.value)}
+            className="form-input"
+            aria-label={`Code for ${issue.sheet}!${issue.cell}`}
+          >
+            <option value="">Choose a code</option>
+            {Object.values(attendanceCodes).map(info => (
+              <option key={info.value} value={info.value}>{info.value}</option>
+            ))}
+          </select>
+        );
+      case IMPORT_ISSUE_TYPES.NAME_CONFLICT:
+        return (
+          <select
+            value={issue.fixedValue || issue.options[0]}
+            onChange={(e) => fix(issue, e.target.value)}
+            className="form-input"
+            aria-label={`Name for ${issue.empId}`}
+          >
+            {issue.options.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        );
+      case IMPORT_ISSUE_TYPES.INVALID_EMP_ID:
+        return (
+          <span className="import-issues-id">
+            <input
+              type="text"
+              value={idDrafts[issue.id] ?? issue.fixedValue ?? issue.value}
+              onChange={(e) => setIdDrafts(prev => ({ ...prev, [issue.id]: e.target.value }))}
+              className="form-input"
+              aria-label={`New Emp ID for ${issue.value}`}
+            />
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              onClick={() => fix(issue, idDrafts[issue.id] ?? issue.value)}
+            >
+              Apply
+            </button>
+          </span>
+        );
+      default:
+        return null;
+    }
+  };
+  
+  return (
+    <section className="import-issues">
+      <div className="import-issues-header">
+        <h3>Problems Found</h3>
+        <span className="import-issues-counts">
+          {counts.errors} error(s) · {counts.warnings} warning(s) · {counts.fixed} fixed
+        </span>
+        <select
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          className="form-input import-issues-filter"
+          aria-label="Show problems"
+        >
+          {FILTERS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={onExport}
+          title="The file with a comment on each problem cell, plus a list of them all"
+        >
+          Export Annotated Workbook
+        </button>
+      </div>
+      
+      <div className="import-issues-list">
+        <table className="import-issues-table">
+          <thead>
+            <tr>
+              <th>Severity</th>
+              <th>Cell</th>
+              <th>Emp ID</th>
+              <th>Problem</th>
+              <th>Value</th>
+              <th>Fix</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(issue => (
+              <tr key={issue.id} className={issue.fixedValue !== undefined ? 'is-fixed' : ''}>
+                <td>
+                  <span className={`import-issues-severity is-${issue.severity}`}>{issue.severity}</span>
+                </td>
+                <td title={`Row ${issue.row}, column ${issue.column}`}>{issue.sheet}!{issue.cell}</td>
+                <td>{issue.empId}</td>
+                <td>{issue.message}</td>
+                <td>{issue.value}</td>
+                <td>{renderFix(issue)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      
+      {error && <span className="form-error">{error}</span>}
+    </section>
+  );
+};
+
+export default ImportIssues;
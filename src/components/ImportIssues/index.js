@@ -0,0 +1 @@
+export { default } from './ImportIssues'; 
\ No newline at end of file
@@ -0,0 +1,388 @@
+import React, { useState, useEffect } from 'react';
+import { IMPORT_ACTIONS, SUMMARY_SOURCES } from '../../utils/constants';
+import { formatMonthKey } from '../../services/monthLockService';
+import { takesIncomingCell } from '../../services/importMergeService';
+import ImportIssues from '../ImportIssues';
+import './ImportWizard.css';
+
+const CHANGED_OPTIONS = [
+  { value: IMPORT_ACTIONS.MERGE, label: 'Merge (fill blank days)' },
+  { value: IMPORT_ACTIONS.OVERWRITE, label: 'Overwrite with file' },
+  { value: IMPORT_ACTIONS.SKIP, label: 'Skip (keep mine)' }
+];
+
+const ADDED_OPTIONS = [
+  { value: IMPORT_ACTIONS.MERGE, label: 'Add' },
+  { value: IMPORT_ACTIONS.SKIP, label: 'Skip' }
+];
+
+const MISSING_OPTIONS = [
+  { value: IMPORT_ACTIONS.MERGE, label: 'Keep' },
+  { value: IMPORT_ACTIONS.OVERWRITE, label: 'Remove' }
+];
+
+const SUMMARY_OPTIONS = [
+  { value: SUMMARY_SOURCES.CODES, label: 'Use day codes' },
+  { value: SUMMARY_SOURCES.SHEET, label: 'Keep sheet totals' }
+];
+
+const KIND_LABELS = {
+  added: 'New in file',
+  changed: 'Different',
+  removed: 'Blank in file'
+};
+
+/**
+ * ImportWizard Component - Show what an imported file would change and let
+ * the user merge, overwrite or skip each difference before it is applied
+ */
+const ImportWizard = ({
+  isOpen,
+  onClose,
+  preview,
+  attendanceCodes = {},
+  onFixIssue,
+  getSummaryMismatches,
+  onExportReport,
+  onApply
+}) => {
+  const [actions, setActions] = useState({});
+  const [cellChoices, setCellChoices] = useState({});
+  const [summaryChoices, setSummaryChoices] = useState({});
+  const [expanded, setExpanded] = useState(null);
+  const [error, setError] = useState('');
+  
+  // Start every file from the defaults
+  useEffect(() => {
+    if (isOpen) {
+      setActions({});
+      setCellChoices({});
+      setSummaryChoices({});
+      setExpanded(null);
+      setError('');
+    }
+  }, [isOpen, preview]);
+  
+  if (!isOpen || !preview) return null;
+  
+  const { diff } = preview;
+  const getAction = (empId) => actions[empId] || IMPORT_ACTIONS.MERGE;
+  const takesCell = (empId, cell) => cellChoices[empId]?.[cell.key] ?? takesIncomingCell(cell, getAction(empId));
+  
+  const setAction = (empId, action) => {
+    setActions(prev => ({ ...prev, [empId]: action }));
+    setCellChoices(prev => ({ ...prev, [empId]: undefined }));
+  };
+  
+  // Set the same action on every employee whose days differ
+  const setAllChanged = (action) => {
+    setActions(prev => {
+      const next = { ...prev };
+      diff.changed.forEach(entry => { next[entry.empId] = action; });
+      return next;
+    });
+    setCellChoices({});
+  };
+  
+  // Sheet totals are checked against the days this import would leave
+  const summaryMismatches = getSummaryMismatches({ actions, cells: cellChoices });
+  const getSummaryChoice = (empId) => summaryChoices[empId] || SUMMARY_SOURCES.CODES;
+  
+  const setAllSummaries = (source) => {
+    setSummaryChoices(Object.fromEntries(summaryMismatches.map(entry => [entry.empId, source])));
+  };
+  
+  const toggleCell = (empId, cell) => {
+    setCellChoices(prev => ({
+      ...prev,
+      [empId]: { ...(prev[empId] || {}), [cell.key]: !takesCell(empId, cell) }
+    }));
+  };
+  
+  const takenCells = diff.changed.reduce((sum, entry) => (
+    sum + entry.cells.filter(cell => takesCell(entry.empId, cell)).length
+  ), 0);
+  const addedCount = diff.added.filter(emp => getAction(emp.empId) !== IMPORT_ACTIONS.SKIP).length;
+  const removedCount = diff.missing.filter(emp => getAction(emp.empId) === IMPORT_ACTIONS.OVERWRITE).length;
+  const renamedCount = diff.changed.filter(entry => (
+    entry.incomingName && getAction(entry.empId) === IMPORT_ACTIONS.OVERWRITE
+  )).length;
+  const hasChanges = takenCells + addedCount + removedCount + renamedCount + summaryMismatches.length > 0;
+  
+  const handleApply = () => {
+    try {
+      onApply({ actions, cells: cellChoices, summaries: summaryChoices });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content import-wizard-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Import {preview.fileName}</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div className="import-wizard-body">
+          <div className="import-wizard-summary">
+            <span>{diff.added.length} new</span>
+            <span>{diff.missing.length} not in file</span>
+            <span>{diff.changed.length} with differences</span>
+            <span>{diff.unchangedCount} unchanged</span>
+            {preview.mapping?.name && <span>Columns mapped with {preview.mapping.name}</span>}
+          </div>
+          
+          {/* Warnings from reading the file */}
+          {(preview.skippedSheets.length > 0 || diff.lockedMonths.length > 0) && (
+            <ul className="import-wizard-warnings">
+              {preview.skippedSheets.map(sheet => (
+                <li key={sheet.name}>Skipped sheet {sheet.name}: {sheet.reason}</li>
+              ))}
+              {diff.lockedMonths.length > 0 && (
+                <li>Locked months are left unchanged: {diff.lockedMonths.map(formatMonthKey).join(', ')}</li>
+              )}
+            </ul>
+          )}
+          
+          {/* Validation report */}
+          {preview.issues.length > 0 && (
+            <ImportIssues
+              issues={preview.issues}
+              attendanceCodes={attendanceCodes}
+              onFix={onFixIssue}
+              onExport={onExportReport}
+            />
+          )}
+          
+          {/* Employees whose days differ */}
+          {diff.changed.length > 0 && (
+            <section className="import-wizard-section">
+              <div className="import-wizard-section-header">
+                <h3>Differences</h3>
+                <div className="import-wizard-all">
+                  Set all:
+                  {CHANGED_OPTIONS.map(option => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => setAllChanged(option.value)}
+                    >
+                      {option.label.split(' (')[0]}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              
+              {diff.changed.map(entry => {
+                const isExpanded = expanded === entry.empId;
+                const taken = entry.cells.filter(cell => takesCell(entry.empId, cell)).length;
+                
+                return (
+                  <div key={entry.empId} className="import-wizard-employee">
+                    <div className="import-wizard-row">
+                      <span className="import-wizard-name">
+                        {entry.empId} - {entry.employeeName}
+                        {entry.incomingName && (
+                          <span className="import-wizard-sub">File name: {entry.incomingName}</span>
+                        )}
+                      </span>
+                      <span className="import-wizard-sub">
+                        {taken} of {entry.cells.length} day(s) from file
+                      </span>
+                      <select
+                        value={getAction(entry.empId)}
+                        onChange={(e) => setAction(entry.empId, e.target.value)}
+                        className="form-input import-wizard-action"
+                        aria-label={`${entry.empId} action`}
+                      >
+                        {CHANGED_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      {entry.cells.length > 0 && (
+                        <button
+                          type="button"
+                          className="btn btn-secondary btn-sm"
+                          onClick={() => setExpanded(isExpanded ? null : entry.empId)}
+                        >
+                          {isExpanded ? 'Hide Days' : 'Review Days'}
+                        </button>
+                      )}
+                    </div>
+                    
+                    {isExpanded && (
+                      <table className="import-wizard-table">
+                        <thead>
+                          <tr>
+                            <th>Month</th>
+                            <th>Day</th>
+                            <th>Current</th>
+                            <th>File</th>
+                            <th>Difference</th>
+                            <th>Use file</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {entry.cells.map(cell => (
+                            <tr key={cell.key} className={takesCell(entry.empId, cell) ? 'is-taken' : ''}>
+                              <td>{formatMonthKey(cell.monthKey)}</td>
+                              <td>{cell.day}</td>
+                              <td>{cell.current || '—'}</td>
+                              <td>{cell.incoming || '—'}</td>
+                              <td>{KIND_LABELS[cell.kind]}</td>
+                              <td>
+                                <input
+                                  type="checkbox"
+                                  checked={takesCell(entry.empId, cell)}
+                                  onChange={() => toggleCell(entry.empId, cell)}
+                                  aria-label={`Use file for ${entry.empId} ${cell.key}`}
+                                />
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                );
+              })}
+            </section>
+          )}
+          
+          {/* Employees whose sheet totals disagree with their day codes */}
+          {summaryMismatches.length > 0 && (
+            <section className="import-wizard-section">
+              <div className="import-wizard-section-header">
+                <h3>Sheet Totals</h3>
+                <div className="import-wizard-all">
+                  Set all:
+                  {SUMMARY_OPTIONS.map(option => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => setAllSummaries(option.value)}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <p className="import-wizard-note">
+                These totals in the file don't match what the day codes add up to.
+              </p>
+              
+              {summaryMismatches.map(entry => (
+                <div key={entry.empId} className="import-wizard-row">
+                  <span className="import-wizard-name">
+                    {entry.empId} - {entry.employeeName}
+                    {entry.months.map(({ monthKey, fields }) => (
+                      <span key={monthKey} className="import-wizard-sub">
+                        {formatMonthKey(monthKey)}: {fields.map(field => (
+                          `${field.label} ${field.sheet} in sheet, ${field.codes} from codes`
+                        )).join('; ')}
+                      </span>
+                    ))}
+                  </span>
+                  <select
+                    value={getSummaryChoice(entry.empId)}
+                    onChange={(e) => setSummaryChoices(prev => ({ ...prev, [entry.empId]: e.target.value }))}
+                    className="form-input import-wizard-action"
+                    aria-label={`${entry.empId} totals`}
+                  >
+                    {SUMMARY_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </section>
+          )}
+          
+          {/* Employees only in the file */}
+          {diff.added.length > 0 && (
+            <section className="import-wizard-section">
+              <h3>New Employees</h3>
+              {diff.added.map(emp => (
+                <div key={emp.empId} className="import-wizard-row">
+                  <span className="import-wizard-name">{emp.empId} - {emp.employeeName}</span>
+                  <span className="import-wizard-sub">{emp.months.map(formatMonthKey).join(', ')}</span>
+                  <select
+                    value={getAction(emp.empId)}
+                    onChange={(e) => setAction(emp.empId, e.target.value)}
+                    className="form-input import-wizard-action"
+                    aria-label={`${emp.empId} action`}
+                  >
+                    {ADDED_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </section>
+          )}
+          
+          {/* Employees only on screen */}
+          {diff.missing.length > 0 && (
+            <section className="import-wizard-section">
+              <h3>Not in File</h3>
+              {diff.missing.map(emp => (
+                <div key={emp.empId} className="import-wizard-row">
+                  <span className="import-wizard-name">{emp.empId} - {emp.employeeName}</span>
+                  <select
+                    value={getAction(emp.empId)}
+                    onChange={(e) => setAction(emp.empId, e.target.value)}
+                    className="form-input import-wizard-action"
+                    aria-label={`${emp.empId} action`}
+                  >
+                    {MISSING_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </section>
+          )}
+          
+          {!hasChanges && (
+            <p className="import-wizard-empty">Nothing would change with the current choices</p>
+          )}
+          {error && <span className="form-error">{error}</span>}
+        </div>
+        
+        <div className="modal-footer">
+          <span className="import-wizard-totals">
+            {takenCells} day(s) · {addedCount} added · {removedCount} removed
+            {summaryMismatches.length > 0 && ` · ${summaryMismatches.length} total(s) reconciled`}
+          </span>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={handleApply}
+            disabled={!hasChanges}
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
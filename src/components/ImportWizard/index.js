@@ -0,0 +1 @@
+export { default } from './ImportWizard'; 
\ No newline at end of file
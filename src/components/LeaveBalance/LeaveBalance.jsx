@@ -0,0 +1,111 @@
+import React, { useMemo } from 'react';
+import { MONTHS } from '../../utils/constants';
+import { getLeaveBalances } from '../../services/leaveService';
+import './LeaveBalance.css';
+
+/**
+ * LeaveBalance Component - An employee's leave balances for the year
+ */
+const LeaveBalance = ({
+  isOpen,
+  onClose,
+  employee,
+  policy,
+  currentMonth,
+  currentYear
+}) => {
+  const monthIndex = MONTHS.findIndex(m => m.value === currentMonth);
+  
+  const balances = useMemo(() => {
+    if (!employee) return [];
+    return getLeaveBalances(employee, policy, currentYear, monthIndex);
+  }, [employee, policy, currentYear, monthIndex]);
+  
+  if (!isOpen || !employee) return null;
+  
+  const overdrawn = balances.filter(item => item.type.hasBalance && item.balance < 0);
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content leave-balance-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            Leave Balance · {employee.employeeName}
+          </h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div className="leave-balance-body">
+          <p className="leave-balance-period">
+            {currentYear}, as of the end of {MONTHS[monthIndex]?.label}
+          </p>
+          
+          {overdrawn.length > 0 && (
+            <div className="leave-balance-warning">
+              ⚠️ Over the balance for {overdrawn.map(item => item.type.name).join(', ')}
+            </div>
+          )}
+          
+          <table className="leave-balance-table">
+            <thead>
+              <tr>
+                <th>Leave type</th>
+                <th>Days / year</th>
+                <th>Carried forward</th>
+                <th>Accrued</th>
+                <th>Taken</th>
+                <th>Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {balances.map(item => (
+                <tr
+                  key={item.type.id}
+                  className={item.type.hasBalance && item.balance < 0 ? 'is-negative' : ''}
+                >
+                  <td>
+                    {item.type.name}
+                    <span className="leave-balance-code">{item.type.code}</span>
+                  </td>
+                  {item.type.hasBalance ? (
+                    <>
+                      <td>{item.entitlement}</td>
+                      <td>{item.carriedForward}</td>
+                      <td>{item.accrued}</td>
+                      <td>{item.taken}</td>
+                      <td className="leave-balance-value">{item.balance}</td>
+                    </>
+                  ) : (
+                    <>
+                      <td colSpan={3} className="leave-balance-unlimited">Not limited</td>
+                      <td>{item.taken}</td>
+                      <td className="leave-balance-value">—</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        
+        <div className="modal-footer">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LeaveBalance;
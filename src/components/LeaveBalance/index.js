@@ -0,0 +1 @@
+export { default } from './LeaveBalance'; 
\ No newline at end of file
@@ -0,0 +1,320 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { LEAVE_REQUEST_STATUSES } from '../../utils/constants';
+import './LeaveRequests.css';
+
+const STATUS_FILTERS = [
+  { value: LEAVE_REQUEST_STATUSES.PENDING, label: 'Pending' },
+  { value: LEAVE_REQUEST_STATUSES.APPROVED, label: 'Approved' },
+  { value: LEAVE_REQUEST_STATUSES.REJECTED, label: 'Rejected' },
+  { value: LEAVE_REQUEST_STATUSES.CANCELLED, label: 'Cancelled' },
+  { value: 'all', label: 'All' }
+];
+
+const EMPTY_FORM = {
+  empId: '',
+  leaveTypeId: '',
+  startDate: '',
+  endDate: '',
+  reason: '',
+  requestedBy: ''
+};
+
+/**
+ * LeaveRequests Component - File leave requests and approve or reject them
+ */
+const LeaveRequests = ({
+  isOpen,
+  onClose,
+  requests = [],
+  employees = [],
+  leaveTypes = [],
+  onFile,
+  onDecide,
+  onCancel,
+  onExport
+}) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [statusFilter, setStatusFilter] = useState(LEAVE_REQUEST_STATUSES.PENDING);
+  const [decidedBy, setDecidedBy] = useState('');
+  const [notes, setNotes] = useState({});
+  const [listError, setListError] = useState('');
+  
+  // Start with a clean form each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setFormData(EMPTY_FORM);
+      setFormError('');
+      setListError('');
+    }
+  }, [isOpen]);
+  
+  const visibleRequests = useMemo(() => (
+    statusFilter === 'all'
+      ? requests
+      : requests.filter(request => request.status === statusFilter)
+  ), [requests, statusFilter]);
+  
+  const pendingCount = requests.filter(r => r.status === LEAVE_REQUEST_STATUSES.PENDING).length;
+  
+  // Handle input change
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      // A one-day request is the common case
+      ...(name === 'startDate' && (!prev.endDate || prev.endDate < value) ? { endDate: value } : {})
+    }));
+    setFormError('');
+  };
+  
+  // Handle form submission
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    
+    try {
+      onFile(formData);
+      setFormData(prev => ({ ...EMPTY_FORM, requestedBy: prev.requestedBy }));
+      setStatusFilter(LEAVE_REQUEST_STATUSES.PENDING);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+  
+  // Approve, reject or cancel a pending request
+  const handleDecision = (request, status) => {
+    try {
+      if (status === LEAVE_REQUEST_STATUSES.CANCELLED) {
+        onCancel(request.id, decidedBy);
+      } else {
+        onDecide(request.id, status, decidedBy, notes[request.id]);
+      }
+      setListError('');
+    } catch (err) {
+      setListError(err.message);
+    }
+  };
+  
+  if (!isOpen) return null;
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content leave-requests-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Leave Requests</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div className="leave-requests-body">
+          {/* New Request */}
+          <form onSubmit={handleSubmit} className="leave-request-form">
+            <h3 className="leave-requests-heading">New Request</h3>
+            <div className="leave-request-fields">
+              <select
+                name="empId"
+                value={formData.empId}
+                onChange={handleChange}
+                className="form-input"
+                aria-label="Employee"
+              >
+                <option value="">Employee…</option>
+                {employees.map(emp => (
+                  <option key={emp.empId} value={emp.empId}>
+                    {emp.empId} - {emp.employeeName}
+                  </option>
+                ))}
+              </select>
+              <select
+                name="leaveTypeId"
+                value={formData.leaveTypeId}
+                onChange={handleChange}
+                className="form-input"
+                aria-label="Leave type"
+              >
+                <option value="">Leave type…</option>
+                {leaveTypes.map(type => (
+                  <option key={type.id} value={type.id}>{type.name}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                name="startDate"
+                value={formData.startDate}
+                onChange={handleChange}
+                className="form-input"
+                aria-label="From"
+                title="From"
+              />
+              <input
+                type="date"
+                name="endDate"
+                value={formData.endDate}
+                min={formData.startDate}
+                onChange={handleChange}
+                className="form-input"
+                aria-label="To"
+                title="To"
+              />
+              <input
+                type="text"
+                name="reason"
+                value={formData.reason}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="Reason"
+              />
+              <input
+                type="text"
+                name="requestedBy"
+                value={formData.requestedBy}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="Requested by"
+              />
+              <button type="submit" className="btn btn-primary">
+                File Request
+              </button>
+            </div>
+            {formError && <span className="form-error">{formError}</span>}
+          </form>
+          
+          {/* Request List */}
+          <div className="leave-requests-toolbar">
+            <div className="leave-requests-filters">
+              {STATUS_FILTERS.map(filter => (
+                <button
+                  key={filter.value}
+                  type="button"
+                  className={`leave-filter ${statusFilter === filter.value ? 'active' : ''}`}
+                  onClick={() => setStatusFilter(filter.value)}
+                >
+                  {filter.label}
+                  {filter.value === LEAVE_REQUEST_STATUSES.PENDING && pendingCount > 0 && ` (${pendingCount})`}
+                </button>
+              ))}
+            </div>
+            <input
+              type="text"
+              value={decidedBy}
+              onChange={(e) => setDecidedBy(e.target.value)}
+              className="form-input leave-decided-by"
+              placeholder="Deciding as (your name)"
+            />
+          </div>
+          {listError && <span className="form-error">{listError}</span>}
+          
+          <div className="leave-requests-list">
+            <table className="leave-requests-table">
+              <thead>
+                <tr>
+                  <th>Employee</th>
+                  <th>Type</th>
+                  <th>Dates</th>
+                  <th>Days</th>
+                  <th>Requested by</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRequests.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="leave-requests-empty">No requests</td>
+                  </tr>
+                ) : visibleRequests.map(request => (
+                  <tr key={request.id}>
+                    <td>
+                      {request.employeeName}
+                      <span className="leave-request-sub">{request.empId}</span>
+                    </td>
+                    <td>{request.leaveTypeName}</td>
+                    <td>
+                      {request.startDate === request.endDate
+                        ? request.startDate
+                        : `${request.startDate} → ${request.endDate}`}
+                      {request.reason && <span className="leave-request-sub">{request.reason}</span>}
+                    </td>
+                    <td>{request.days}</td>
+                    <td>{request.requestedBy}</td>
+                    <td>
+                      <span className={`leave-status leave-status-${request.status}`}>
+                        {request.status}
+                      </span>
+                      {request.decidedBy && (
+                        <span className="leave-request-sub">
+                          by {request.decidedBy}{request.decisionNote ? `: ${request.decisionNote}` : ''}
+                        </span>
+                      )}
+                    </td>
+                    <td className="leave-request-actions">
+                      {request.status === LEAVE_REQUEST_STATUSES.PENDING && (
+                        <>
+                          <input
+                            type="text"
+                            value={notes[request.id] || ''}
+                            onChange={(e) => setNotes(prev => ({ ...prev, [request.id]: e.target.value }))}
+                            className="form-input leave-note"
+                            placeholder="Note"
+                          />
+                          <button
+                            type="button"
+                            className="btn btn-primary btn-sm"
+                            onClick={() => handleDecision(request, LEAVE_REQUEST_STATUSES.APPROVED)}
+                          >
+                            Approve
+                          </button>
+                          <button
+                            type="button"
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => handleDecision(request, LEAVE_REQUEST_STATUSES.REJECTED)}
+                          >
+                            Reject
+                          </button>
+                          <button
+                            type="button"
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => handleDecision(request, LEAVE_REQUEST_STATUSES.CANCELLED)}
+                            title="Withdraw the request"
+                          >
+                            Cancel
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+        
+        <div className="modal-footer">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onExport}
+            disabled={requests.length === 0}
+          >
+            Export to Excel
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LeaveRequests;
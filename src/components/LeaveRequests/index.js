@@ -0,0 +1 @@
+export { default } from './LeaveRequests'; 
\ No newline at end of file
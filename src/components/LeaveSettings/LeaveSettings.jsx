@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import { LEAVE_ACCRUAL_TYPES, LEAVE_ACCRUAL_OPTIONS } from '../../utils/constants';
+import { validateLeavePolicy } from '../../services/leaveService';
+import './LeaveSettings.css';
+
+const EMPTY_LEAVE_TYPE = {
+  name: '',
+  code: '',
+  entitlement: 0,
+  accrual: LEAVE_ACCRUAL_TYPES.ANNUAL,
+  carryForward: 0,
+  hasBalance: true
+};
+
+/**
+ * LeaveSettings Component - Edit leave types, entitlements and carry-forward
+ */
+const LeaveSettings = ({
+  isOpen,
+  onClose,
+  policy,
+  onSave,
+  attendanceCodes = {}
+}) => {
+  const [draft, setDraft] = useState(policy);
+  const [errors, setErrors] = useState([]);
+  
+  // Start from the saved policy each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(policy);
+      setErrors([]);
+    }
+  }, [isOpen, policy]);
+  
+  const updateType = (index, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      leaveTypes: prev.leaveTypes.map((type, i) => (i === index ? { ...type, [field]: value } : type))
+    }));
+    setErrors([]);
+  };
+  
+  const addType = () => {
+    setDraft(prev => ({
+      ...prev,
+      leaveTypes: [...prev.leaveTypes, { ...EMPTY_LEAVE_TYPE, id: `leave-${Date.now().toString(36)}` }]
+    }));
+  };
+  
+  const removeType = (index) => {
+    setDraft(prev => ({
+      ...prev,
+      leaveTypes: prev.leaveTypes.filter((_, i) => i !== index)
+    }));
+    setErrors([]);
+  };
+  
+  // Handle form submission
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    
+    const validation = validateLeavePolicy(draft, attendanceCodes);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+    
+    try {
+      onSave(draft);
+      onClose();
+    } catch (err) {
+      setErrors([err.message]);
+    }
+  };
+  
+  if (!isOpen) return null;
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content leave-settings-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Leave Policy</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        
+        <form onSubmit={handleSubmit} className="modal-form">
+          <div className="leave-types-list">
+            <table className="leave-types-table">
+              <thead>
+                <tr>
+                  <th>Leave type</th>
+                  <th>Code</th>
+                  <th>Days / year</th>
+                  <th>Accrual</th>
+                  <th>Carry forward</th>
+                  <th>Balance</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {draft.leaveTypes.map((type, index) => (
+                  <tr key={type.id}>
+                    <td>
+                      <input
+                        type="text"
+                        className="form-input"
+                        value={type.name}
+                        onChange={(e) => updateType(index, 'name', e.target.value)}
+                        placeholder="e.g., Casual Leave"
+                        aria-label="Leave type name"
+                      />
+                    </td>
+                    <td>
+                      <select
+                        className="form-input"
+                        value={type.code}
+                        onChange={(e) => updateType(index, 'code', e.target.value)}
+                        aria-label="Attendance code"
+                      >
+                        <option value="">—</option>
+                        {type.code && !attendanceCodes[type.code] && (
+                          <option value={type.code}>{type.code} (missing)</option>
+                        )}
+                        {Object.values(attendanceCodes)
+                          .filter(info => info.value !== 'L')
+                          .map(info => (
+                            <option key={info.value} value={info.value}>{info.value}</option>
+                          ))}
+                      </select>
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        className="form-input leave-number"
+                        value={type.entitlement}
+                        onChange={(e) => updateType(index, 'entitlement', e.target.value)}
+                        disabled={!type.hasBalance}
+                        aria-label="Days per year"
+                      />
+                    </td>
+                    <td>
+                      <select
+                        className="form-input"
+                        value={type.accrual}
+                        onChange={(e) => updateType(index, 'accrual', e.target.value)}
+                        disabled={!type.hasBalance}
+                        aria-label="Accrual"
+                      >
+                        {LEAVE_ACCRUAL_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        className="form-input leave-number"
+                        value={type.carryForward}
+                        onChange={(e) => updateType(index, 'carryForward', e.target.value)}
+                        disabled={!type.hasBalance}
+                        aria-label="Most days carried forward"
+                      />
+                    </td>
+                    <td>
+                      <label className="leave-checkbox">
+                        <input
+                          type="checkbox"
+                          checked={type.hasBalance}
+                          onChange={(e) => updateType(index, 'hasBalance', e.target.checked)}
+                        />
+                        Limited
+                      </label>
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="action-btn"
+                        onClick={() => removeType(index)}
+                        title="Remove leave type"
+                        aria-label="Remove"
+                      >
+                        🗑️
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          
+          <button
+            type="button"
+            className="btn btn-secondary leave-add"
+            onClick={addType}
+          >
+            + Add Leave Type
+          </button>
+          
+          <div className="form-group">
+            <label htmlFor="leave-generic-type" className="form-label">
+              Plain L draws from
+            </label>
+            <select
+              id="leave-generic-type"
+              className="form-input"
+              value={draft.genericType}
+              onChange={(e) => setDraft(prev => ({ ...prev, genericType: e.target.value }))}
+            >
+              {draft.leaveTypes.map(type => (
+                <option key={type.id} value={type.id}>{type.name || type.code || 'Unnamed'}</option>
+              ))}
+            </select>
+            <span className="form-help">
+              Employees can have their own entitlements; set them when editing the employee
+            </span>
+          </div>
+          
+          {errors.length > 0 && (
+            <ul className="leave-errors">
+              {errors.map(message => (
+                <li key={message} className="form-error">{message}</li>
+              ))}
+            </ul>
+          )}
+          
+          <div className="modal-footer">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={onClose}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+            >
+              Save Policy
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LeaveSettings;
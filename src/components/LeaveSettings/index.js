@@ -0,0 +1 @@
+export { default } from './LeaveSettings'; 
\ No newline at end of file
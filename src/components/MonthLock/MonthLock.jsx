@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { getMonthKey } from '../../utils/constants';
+import './MonthLock.css';
+
+/**
+ * MonthLock Component - Lock a month after payroll, or reopen it with a
+ * recorded reason
+ */
+const MonthLock = ({
+  isOpen,
+  onClose,
+  currentMonth,
+  currentYear,
+  monthLocks,
+  editorName = '',
+  onLock,
+  onUnlock
+}) => {
+  const [by, setBy] = useState(editorName);
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState('');
+  
+  // Start fresh each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setBy(editorName);
+      setReason('');
+      setError('');
+    }
+  }, [isOpen, editorName]);
+  
+  if (!isOpen) return null;
+  
+  const monthKey = getMonthKey(currentMonth, currentYear);
+  const lock = monthLocks.locks[monthKey];
+  const monthLog = monthLocks.log.filter(entry => entry.monthKey === monthKey).reverse();
+  
+  // Handle form submission
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    
+    try {
+      if (lock) {
+        onUnlock(by, reason);
+      } else {
+        onLock(by, reason);
+      }
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content month-lock-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">
+            {lock ? '🔒' : '🔓'} {currentMonth} {currentYear}
+          </h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        
+        <form onSubmit={handleSubmit} className="modal-form">
+          <div className={`month-lock-status ${lock ? 'is-locked' : ''}`}>
+            {lock
+              ? `Locked by ${lock.lockedBy} on ${new Date(lock.lockedAt).toLocaleString()}. Attendance for this month can't be changed.`
+              : 'Open for edits. Lock it once payroll for the month is processed.'}
+          </div>
+          
+          <div className="form-group">
+            <label htmlFor="month-lock-by" className="form-label required">
+              Your name
+            </label>
+            <input
+              id="month-lock-by"
+              type="text"
+              className="form-input"
+              value={by}
+              onChange={(e) => setBy(e.target.value)}
+            />
+          </div>
+          
+          <div className="form-group">
+            <label htmlFor="month-lock-reason" className={`form-label ${lock ? 'required' : ''}`}>
+              {lock ? 'Reason for reopening' : 'Note'}
+            </label>
+            <input
+              id="month-lock-reason"
+              type="text"
+              className="form-input"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder={lock ? 'e.g. Correction approved by finance' : 'e.g. Payroll run 2025-03'}
+            />
+            {error && <span className="form-error">{error}</span>}
+          </div>
+          
+          {monthLog.length > 0 && (
+            <ul className="month-lock-log">
+              {monthLog.map((entry, index) => (
+                <li key={index}>
+                  <strong>{entry.action === 'lock' ? 'Locked' : 'Unlocked'}</strong>
+                  {' by '}{entry.by} · {new Date(entry.at).toLocaleString()}
+                  {entry.reason && <span className="month-lock-reason">{entry.reason}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+          
+          <div className="modal-footer">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={onClose}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className={`btn ${lock ? 'btn-danger' : 'btn-primary'}`}
+            >
+              {lock ? 'Unlock Month' : 'Lock Month'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default MonthLock;
@@ -0,0 +1 @@
+export { default } from './MonthLock'; 
\ No newline at end of file
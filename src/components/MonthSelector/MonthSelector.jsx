@@ -10,7 +10,9 @@ const MonthSelector = ({
   currentYear, 
   onMonthYearChange,
   minYear = 2020,
-  maxYear = 2030
+  maxYear = 2030,
+  isLocked = false,
+  onLockClick
 }) => {
   const [showDropdown, setShowDropdown] = useState(false);
   const [selectedMonth, setSelectedMonth] = useState(currentMonth);
@@ -150,6 +152,18 @@ const MonthSelector = ({
             Today
           </button>
         )}
+        
+        {/* Payroll Lock */}
+        {onLockClick && (
+          <button
+            className={`lock-btn ${isLocked ? 'is-locked' : ''}`}
+            onClick={onLockClick}
+            title={isLocked ? 'Month is locked for payroll - click to review or unlock' : 'Lock this month once payroll is processed'}
+            aria-label={isLocked ? 'Unlock month' : 'Lock month'}
+          >
+            {isLocked ? '🔒' : '🔓'}
+          </button>
+        )}
       </div>
       
       {/* Dropdown */}
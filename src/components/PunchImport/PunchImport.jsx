@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { MONTHS } from '../../utils/constants';
+import { formatDuration } from '../../services/timeService';
+import { buildPunchProposal, getProposalEntries } from '../../services/punchLogService';
+import './PunchImport.css';
+
+/**
+ * Pick the month most of the punches fall in
+ */
+const getBusiestMonth = (punches) => {
+  const counts = {};
+  punches.forEach(punch => {
+    const key = `${punch.at.getFullYear()}-${punch.at.getMonth()}`;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  const [busiest] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (!busiest) return null;
+  
+  const [year, monthIndex] = busiest[0].split('-').map(Number);
+  return { month: MONTHS[monthIndex].value, year };
+};
+
+/**
+ * PunchImport Component - Load a biometric punch log, preview the sessions
+ * and proposed day codes per employee, and accept them into the sheet
+ */
+const PunchImport = ({
+  isOpen,
+  onClose,
+  employees = [],
+  currentMonth,
+  currentYear,
+  policy,
+  roster = null,
+  attendanceCodes = {},
+  onReadFile,
+  onAccept
+}) => {
+  const [log, setLog] = useState(null);
+  const [month, setMonth] = useState(currentMonth);
+  const [year, setYear] = useState(currentYear);
+  const [overrides, setOverrides] = useState({});
+  const [excluded, setExcluded] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+  
+  useEffect(() => {
+    if (isOpen) {
+      setLog(null);
+      setMonth(currentMonth);
+      setYear(currentYear);
+      setOverrides({});
+      setExcluded([]);
+      setExpanded(null);
+      setError('');
+    }
+  }, [isOpen, currentMonth, currentYear]);
+  
+  const proposal = useMemo(
+    () => (log ? buildPunchProposal(log.punches, employees, month, year, policy, roster) : null),
+    [log, employees, month, year, policy, roster]
+  );
+  
+  // Apply the clerk's code changes on top of the proposal
+  const reviewed = useMemo(() => (
+    proposal ? proposal.employees.map(emp => ({
+      ...emp,
+      days: emp.days.map(day => ({
+        ...day,
+        proposedCode: overrides[emp.empId]?.[day.day] ?? day.proposedCode
+      }))
+    })) : []
+  ), [proposal, overrides]);
+  
+  const accepted = reviewed.filter(emp => !excluded.includes(emp.empId));
+  const acceptedDays = accepted.reduce((sum, emp) => sum + getProposalEntries(emp, month, year).length, 0);
+  
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+      const result = await onReadFile(file);
+      const busiest = getBusiestMonth(result.punches);
+      setLog({ ...result, fileName: file.name });
+      if (busiest) {
+        setMonth(busiest.month);
+        setYear(busiest.year);
+      }
+      setOverrides({});
+      setExcluded([]);
+      setExpanded(null);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  const updateCode = (empId, day, code) => {
+    setOverrides(prev => ({ ...prev, [empId]: { ...(prev[empId] || {}), [day]: code } }));
+  };
+  
+  const toggleEmployee = (empId) => {
+    setExcluded(prev => (
+      prev.includes(empId) ? prev.filter(id => id !== empId) : [...prev, empId]
+    ));
+  };
+  
+  // Merge the accepted employees' times and codes into the sheet
+  const handleAccept = () => {
+    const entriesByEmployee = {};
+    accepted.forEach(emp => {
+      const entries = getProposalEntries(emp, month, year);
+      if (entries.length > 0) entriesByEmployee[emp.empId] = entries;
+    });
+    
+    try {
+      onAccept(entriesByEmployee, log.fileName);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  if (!isOpen) return null;
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content punch-import-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Import Punch Log</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div className="punch-import-body">
+          <div className="punch-import-toolbar">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv"
+              onChange={handleFile}
+              style={{ display: 'none' }}
+            />
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              onClick={() => fileInputRef.current?.click()}
+              title="CSV with columns Emp ID, Timestamp, Device"
+            >
+              {log ? 'Choose Another File' : 'Choose Punch Log'}
+            </button>
+            {log && <span className="punch-import-file">{log.fileName}</span>}
+            <select
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              className="form-input punch-import-period"
+              aria-label="Month"
+            >
+              {MONTHS.map(m => (
+                <option key={m.value} value={m.value}>{m.label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              value={year}
+              onChange={(e) => setYear(parseInt(e.target.value, 10) || currentYear)}
+              className="form-input punch-import-period"
+              aria-label="Year"
+            />
+          </div>
+          
+          {!log && (
+            <p className="punch-import-empty">
+              Choose a punch log exported from the biometric or access-control system.
+              Punches are paired into sessions around each day's planned shift, a shift
+              running past midnight stays with the day it started, punches that can't be
+              paired are flagged, and each day gets a proposed code you can change before
+              accepting.
+            </p>
+          )}
+          
+          {proposal && (
+            <div className="punch-import-notes">
+              {log.punches.length} punch(es) read
+              {log.skipped > 0 && `, ${log.skipped} unreadable row(s) skipped`}
+              {proposal.outsideMonth > 0 && `, ${proposal.outsideMonth} session(s) outside ${month} ${year}`}
+              {proposal.unknownIds.length > 0 && `; not on the sheet: ${proposal.unknownIds.join(', ')}`}
+            </div>
+          )}
+          
+          {proposal && (
+            <div className="punch-import-list">
+              {reviewed.length === 0 && (
+                <p className="punch-import-empty">No employees on the sheet have punches in {month} {year}</p>
+              )}
+              {reviewed.map(emp => {
+                const changes = getProposalEntries(emp, month, year).length;
+                const isExpanded = expanded === emp.empId;
+                
+                return (
+                  <div key={emp.empId} className="punch-import-employee">
+                    <div className="punch-import-employee-header">
+                      <label className="punch-import-check">
+                        <input
+                          type="checkbox"
+                          checked={!excluded.includes(emp.empId)}
+                          onChange={() => toggleEmployee(emp.empId)}
+                        />
+                        {emp.empId} - {emp.employeeName}
+                      </label>
+                      <span className="punch-import-count">
+                        {changes} day(s) · {emp.days.filter(day => day.note).length} flagged
+                      </span>
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => setExpanded(isExpanded ? null : emp.empId)}
+                      >
+                        {isExpanded ? 'Hide Days' : 'Review Days'}
+                      </button>
+                    </div>
+                    
+                    {isExpanded && (
+                      <table className="punch-import-table">
+                        <thead>
+                          <tr>
+                            <th>Day</th>
+                            <th>In</th>
+                            <th>Out</th>
+                            <th>Sessions</th>
+                            <th>Hours</th>
+                            <th>Marked</th>
+                            <th>Proposed</th>
+                            <th>Note</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {emp.days.map(day => (
+                            <tr
+                              key={day.day}
+                              className={day.proposedCode !== day.currentCode ? 'is-changed' : ''}
+                            >
+                              <td>{day.day}</td>
+                              <td>{day.in}</td>
+                              <td>{day.out}</td>
+                              <td title={day.devices.join(', ')}>{day.sessions || ''}</td>
+                              <td>{day.workedMinutes ? formatDuration(day.workedMinutes) : ''}</td>
+                              <td>{day.currentCode}</td>
+                              <td>
+                                <select
+                                  value={day.proposedCode}
+                                  onChange={(e) => updateCode(emp.empId, day.day, e.target.value)}
+                                  className="form-input"
+                                  aria-label={`${emp.empId} day ${day.day} code`}
+                                >
+                                  <option value="">—</option>
+                                  {day.proposedCode && !attendanceCodes[day.proposedCode] && (
+                                    <option value={day.proposedCode}>{day.proposedCode}</option>
+                                  )}
+                                  {Object.values(attendanceCodes).map(info => (
+                                    <option key={info.value} value={info.value}>{info.value}</option>
+                                  ))}
+                                </select>
+                              </td>
+                              <td className={day.note ? 'punch-import-flag' : ''}>{day.note}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+          
+          {error && <span className="form-error">{error}</span>}
+        </div>
+        
+        <div className="modal-footer">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={handleAccept}
+            disabled={acceptedDays === 0}
+          >
+            Accept {acceptedDays > 0 ? `${acceptedDays} Day(s)` : 'Proposal'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PunchImport;
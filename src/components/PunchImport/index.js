@@ -0,0 +1 @@
+export { default } from './PunchImport'; 
\ No newline at end of file
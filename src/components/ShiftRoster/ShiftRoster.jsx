@@ -0,0 +1,495 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { MONTHS, getMonthKey } from '../../utils/constants';
+import {
+  validateShifts,
+  parseRosterPattern,
+  formatRosterPattern,
+  compareRosterToAttendance
+} from '../../services/shiftService';
+import './ShiftRoster.css';
+
+const EMPTY_SHIFT = {
+  name: '',
+  code: '',
+  start: '09:00',
+  end: '18:00',
+  attendanceCode: 'P'
+};
+
+const EMPTY_TEMPLATE = { id: '', name: '', patternText: '' };
+
+/**
+ * First and last date of a month as 'YYYY-MM-DD'
+ */
+const getMonthRange = (month, year) => {
+  const monthKey = getMonthKey(month, year);
+  const days = new Date(year, MONTHS.findIndex(m => m.value === month) + 1, 0).getDate();
+  return { startDate: `${monthKey}-01`, endDate: `${monthKey}-${String(days).padStart(2, '0')}` };
+};
+
+/**
+ * ShiftRoster Component - Define shifts, build rotating roster templates,
+ * plan them for employees and compare the plan with recorded attendance
+ */
+const ShiftRoster = ({
+  isOpen,
+  onClose,
+  roster,
+  employees = [],
+  selectedEmployees = [],
+  currentMonth,
+  currentYear,
+  attendanceCodes = {},
+  onSaveShifts,
+  onSaveTemplate,
+  onDeleteTemplate,
+  onApply,
+  onClear,
+  onExport
+}) => {
+  const [shifts, setShifts] = useState(roster.shifts);
+  const [shiftErrors, setShiftErrors] = useState([]);
+  const [template, setTemplate] = useState(EMPTY_TEMPLATE);
+  const [templateError, setTemplateError] = useState('');
+  const [planChanges, setPlanChanges] = useState({});
+  const [planError, setPlanError] = useState('');
+  
+  // Start from the saved shifts each time the modal opens or they are saved
+  useEffect(() => {
+    if (isOpen) {
+      setShifts(roster.shifts);
+      setShiftErrors([]);
+    }
+  }, [isOpen, roster.shifts]);
+  
+  // Clear the template and plan forms each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setTemplate(EMPTY_TEMPLATE);
+      setTemplateError('');
+      setPlanChanges({});
+      setPlanError('');
+    }
+  }, [isOpen]);
+  
+  // The plan form defaults to the month on screen; planChanges holds what
+  // the user changed
+  const plan = {
+    templateId: roster.templates[0]?.id || '',
+    onlySelected: selectedEmployees.length > 0,
+    stagger: 0,
+    ...getMonthRange(currentMonth, currentYear),
+    ...planChanges
+  };
+  
+  const mismatches = useMemo(
+    () => (isOpen ? compareRosterToAttendance(employees, roster, currentMonth, currentYear, attendanceCodes) : []),
+    [isOpen, employees, roster, currentMonth, currentYear, attendanceCodes]
+  );
+  
+  const updateShift = (index, field, value) => {
+    setShifts(prev => prev.map((shift, i) => (i === index ? { ...shift, [field]: value } : shift)));
+    setShiftErrors([]);
+  };
+  
+  const addShift = () => {
+    setShifts(prev => [...prev, { ...EMPTY_SHIFT, id: `shift-${Date.now().toString(36)}` }]);
+  };
+  
+  const removeShift = (index) => {
+    setShifts(prev => prev.filter((_, i) => i !== index));
+    setShiftErrors([]);
+  };
+  
+  // Save the shift list
+  const handleSaveShifts = () => {
+    const validation = validateShifts(shifts, attendanceCodes);
+    if (!validation.isValid) {
+      setShiftErrors(validation.errors);
+      return;
+    }
+    
+    try {
+      onSaveShifts(shifts);
+    } catch (err) {
+      setShiftErrors([err.message]);
+    }
+  };
+  
+  // Add a template, or save changes to the one being edited
+  const handleSaveTemplate = (e) => {
+    e.preventDefault();
+    
+    try {
+      onSaveTemplate({
+        id: template.id,
+        name: template.name,
+        pattern: parseRosterPattern(template.patternText, roster.shifts)
+      });
+      setTemplate(EMPTY_TEMPLATE);
+    } catch (err) {
+      setTemplateError(err.message);
+    }
+  };
+  
+  const handlePlanChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setPlanChanges(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+      ...(name === 'startDate' && plan.endDate < value ? { endDate: value } : {})
+    }));
+    setPlanError('');
+  };
+  
+  const planEmpIds = plan.onlySelected ? selectedEmployees : employees.map(emp => emp.empId);
+  
+  // Apply the chosen template, or clear the range
+  const handlePlan = (clear) => {
+    try {
+      if (clear) {
+        onClear(planEmpIds, plan.startDate, plan.endDate);
+      } else {
+        onApply(plan.templateId, planEmpIds, plan.startDate, plan.endDate, Number(plan.stagger) || 0);
+      }
+      setPlanError('');
+    } catch (err) {
+      setPlanError(err.message);
+    }
+  };
+  
+  if (!isOpen) return null;
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content shift-roster-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Shift Roster</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div className="shift-roster-body">
+          {/* Shifts */}
+          <section className="shift-roster-section">
+            <h3 className="shift-roster-heading">Shifts</h3>
+            <table className="shift-roster-table">
+              <thead>
+                <tr>
+                  <th>Shift</th>
+                  <th>Code</th>
+                  <th>Start</th>
+                  <th>End</th>
+                  <th>Marked as</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {shifts.map((shift, index) => (
+                  <tr key={shift.id}>
+                    <td>
+                      <input
+                        type="text"
+                        className="form-input"
+                        value={shift.name}
+                        onChange={(e) => updateShift(index, 'name', e.target.value)}
+                        placeholder="e.g., Morning"
+                        aria-label="Shift name"
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        className="form-input shift-code-input"
+                        value={shift.code}
+                        onChange={(e) => updateShift(index, 'code', e.target.value.toUpperCase())}
+                        maxLength={3}
+                        aria-label="Shift code"
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="time"
+                        className="form-input"
+                        value={shift.start}
+                        onChange={(e) => updateShift(index, 'start', e.target.value)}
+                        aria-label="Start time"
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="time"
+                        className="form-input"
+                        value={shift.end}
+                        onChange={(e) => updateShift(index, 'end', e.target.value)}
+                        aria-label="End time"
+                      />
+                    </td>
+                    <td>
+                      <select
+                        className="form-input"
+                        value={shift.attendanceCode}
+                        onChange={(e) => updateShift(index, 'attendanceCode', e.target.value)}
+                        title="Code a worked day on this shift should carry"
+                        aria-label="Attendance code"
+                      >
+                        {shift.attendanceCode && !attendanceCodes[shift.attendanceCode] && (
+                          <option value={shift.attendanceCode}>{shift.attendanceCode} (missing)</option>
+                        )}
+                        {Object.values(attendanceCodes).map(info => (
+                          <option key={info.value} value={info.value}>{info.value}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="action-btn"
+                        onClick={() => removeShift(index)}
+                        title="Remove shift"
+                        aria-label="Remove"
+                      >
+                        🗑️
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {shiftErrors.length > 0 && (
+              <ul className="shift-roster-errors">
+                {shiftErrors.map(message => (
+                  <li key={message} className="form-error">{message}</li>
+                ))}
+              </ul>
+            )}
+            <div className="shift-roster-actions">
+              <button type="button" className="btn btn-secondary" onClick={addShift}>
+                + Add Shift
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleSaveShifts}>
+                Save Shifts
+              </button>
+            </div>
+          </section>
+          
+          {/* Templates */}
+          <section className="shift-roster-section">
+            <h3 className="shift-roster-heading">Rotating Templates</h3>
+            <ul className="roster-template-list">
+              {roster.templates.map(item => (
+                <li key={item.id} className="roster-template-item">
+                  <span className="roster-template-name">{item.name}</span>
+                  <span className="roster-template-pattern">
+                    {formatRosterPattern(item.pattern, roster.shifts)}
+                    <span className="shift-roster-sub">{item.pattern.length}-day cycle</span>
+                  </span>
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => {
+                      setTemplate({
+                        id: item.id,
+                        name: item.name,
+                        patternText: formatRosterPattern(item.pattern, roster.shifts)
+                      });
+                      setTemplateError('');
+                    }}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => onDeleteTemplate(item.id)}
+                  >
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <form onSubmit={handleSaveTemplate} className="roster-template-form">
+              <input
+                type="text"
+                value={template.name}
+                onChange={(e) => {
+                  setTemplate(prev => ({ ...prev, name: e.target.value }));
+                  setTemplateError('');
+                }}
+                className="form-input"
+                placeholder="Template name"
+                aria-label="Template name"
+              />
+              <input
+                type="text"
+                value={template.patternText}
+                onChange={(e) => {
+                  setTemplate(prev => ({ ...prev, patternText: e.target.value }));
+                  setTemplateError('');
+                }}
+                className="form-input roster-pattern-input"
+                placeholder={`Pattern, e.g. ${roster.shifts.slice(0, 2).map(s => `${s.code}, ${s.code}`).join(', ')}, O, O`}
+                aria-label="Pattern"
+              />
+              <button type="submit" className="btn btn-primary">
+                {template.id ? 'Save Template' : 'Add Template'}
+              </button>
+              {template.id && (
+                <button type="button" className="btn btn-secondary" onClick={() => setTemplate(EMPTY_TEMPLATE)}>
+                  Cancel
+                </button>
+              )}
+            </form>
+            <span className="form-help">
+              One shift code per day, O for a day off; the cycle repeats over the dates it is applied to
+            </span>
+            {templateError && <span className="form-error">{templateError}</span>}
+          </section>
+          
+          {/* Apply */}
+          <section className="shift-roster-section">
+            <h3 className="shift-roster-heading">Plan Shifts</h3>
+            <div className="roster-plan-fields">
+              <select
+                name="templateId"
+                value={plan.templateId}
+                onChange={handlePlanChange}
+                className="form-input"
+                aria-label="Template"
+              >
+                <option value="">Template…</option>
+                {roster.templates.map(item => (
+                  <option key={item.id} value={item.id}>{item.name}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                name="startDate"
+                value={plan.startDate}
+                onChange={handlePlanChange}
+                className="form-input"
+                aria-label="From"
+                title="From"
+              />
+              <input
+                type="date"
+                name="endDate"
+                value={plan.endDate}
+                min={plan.startDate}
+                onChange={handlePlanChange}
+                className="form-input"
+                aria-label="To"
+                title="To"
+              />
+              <label className="roster-plan-label" title="Each following employee starts this many days further into the cycle">
+                Stagger
+                <input
+                  type="number"
+                  name="stagger"
+                  min="0"
+                  value={plan.stagger}
+                  onChange={handlePlanChange}
+                  className="form-input roster-stagger-input"
+                />
+              </label>
+              <label className="roster-plan-label">
+                <input
+                  type="checkbox"
+                  name="onlySelected"
+                  checked={!!plan.onlySelected}
+                  onChange={handlePlanChange}
+                  disabled={selectedEmployees.length === 0}
+                />
+                Selected employees only ({selectedEmployees.length})
+              </label>
+            </div>
+            {planError && <span className="form-error">{planError}</span>}
+            <div className="shift-roster-actions">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => handlePlan(true)}
+                disabled={planEmpIds.length === 0}
+              >
+                Clear Plan
+              </button>
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={() => handlePlan(false)}
+                disabled={planEmpIds.length === 0}
+              >
+                Apply to {planEmpIds.length} Employee(s)
+              </button>
+            </div>
+          </section>
+          
+          {/* Planned vs Actual */}
+          <section className="shift-roster-section">
+            <h3 className="shift-roster-heading">
+              Planned vs Actual — {currentMonth} {currentYear}
+            </h3>
+            <div className="roster-compare-list">
+              <table className="shift-roster-table">
+                <thead>
+                  <tr>
+                    <th>Employee</th>
+                    <th>Day</th>
+                    <th>Planned</th>
+                    <th>Actual</th>
+                    <th>Issue</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {mismatches.length === 0 ? (
+                    <tr>
+                      <td colSpan={5} className="shift-roster-empty">
+                        Attendance matches the roster
+                      </td>
+                    </tr>
+                  ) : mismatches.map(row => (
+                    <tr key={`${row.empId}-${row.day}`}>
+                      <td>
+                        {row.employeeName}
+                        <span className="shift-roster-sub">{row.empId}</span>
+                      </td>
+                      <td>{row.day}</td>
+                      <td>{row.planned}</td>
+                      <td>{row.actual || '—'}</td>
+                      <td className="roster-issue">{row.issue}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        </div>
+        
+        <div className="modal-footer">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => onExport(mismatches)}
+            disabled={mismatches.length === 0}
+          >
+            Export Planned vs Actual
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShiftRoster;
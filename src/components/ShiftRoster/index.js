@@ -0,0 +1 @@
+export { default } from './ShiftRoster'; 
\ No newline at end of file
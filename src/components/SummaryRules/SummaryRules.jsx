@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { SUMMARY_COLUMNS } from '../../utils/constants';
+import {
+  SUMMARY_COUNTERS,
+  validateSummaryRuleSet
+} from '../../services/summaryRulesService';
+import './SummaryRules.css';
+
+/**
+ * SummaryRules Component - Choose and edit the rules behind the summary columns
+ */
+const SummaryRules = ({
+  isOpen,
+  onClose,
+  ruleSets,
+  activeRuleSetId,
+  onActivate,
+  onSave,
+  onDelete,
+  attendanceCodes
+}) => {
+  const [selectedId, setSelectedId] = useState(activeRuleSetId);
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState('');
+  
+  // Start from the active rule set each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setSelectedId(activeRuleSetId);
+      setDraft(null);
+      setError('');
+    }
+  }, [isOpen, activeRuleSetId]);
+  
+  const selected = draft || ruleSets.find(set => set.id === selectedId) || ruleSets[0];
+  const isEditable = !selected.builtIn;
+  const validation = useMemo(
+    () => validateSummaryRuleSet(selected, attendanceCodes),
+    [selected, attendanceCodes]
+  );
+  
+  // Edit a field of the selected custom rule set
+  const updateDraft = (changes) => {
+    setDraft(prev => ({ ...(prev || selected), ...changes }));
+    setError('');
+  };
+  
+  const handleRuleChange = (key, value) => {
+    updateDraft({ rules: { ...selected.rules, [key]: value } });
+  };
+  
+  // Switch rule set, dropping unsaved edits
+  const handleSelect = (id) => {
+    if (draft && !window.confirm('Discard unsaved changes to this rule set?')) return;
+    setDraft(null);
+    setSelectedId(id);
+    setError('');
+  };
+  
+  // Start a new custom rule set from the selected one
+  const handleDuplicate = () => {
+    setDraft({
+      name: `Copy of ${selected.name}`,
+      description: selected.description || '',
+      rules: { ...selected.rules }
+    });
+    setError('');
+  };
+  
+  // Save the draft, returning the saved rule set
+  const saveDraft = () => {
+    const saved = onSave(draft);
+    setDraft(null);
+    setSelectedId(saved.id);
+    return saved;
+  };
+  
+  const handleSave = () => {
+    try {
+      saveDraft();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  const handleDelete = () => {
+    if (!window.confirm(`Delete rule set "${selected.name}"?`)) return;
+    onDelete(selected.id);
+    setSelectedId(ruleSets[0].id);
+  };
+  
+  // Calculate summaries with the selected rule set
+  const handleActivate = () => {
+    try {
+      const ruleSet = draft ? saveDraft() : selected;
+      onActivate(ruleSet.id);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  if (!isOpen) return null;
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content summary-rules-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Summary Rules</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div className="summary-rules-body">
+          {/* Rule Set Picker */}
+          <div className="summary-rules-picker">
+            <select
+              className="form-input"
+              value={draft && !draft.id ? '' : selected.id}
+              onChange={(e) => handleSelect(e.target.value)}
+              aria-label="Rule set"
+            >
+              {draft && !draft.id && <option value="">{draft.name} (unsaved)</option>}
+              {ruleSets.map(set => (
+                <option key={set.id} value={set.id}>
+                  {set.name}{set.id === activeRuleSetId ? ' (in use)' : ''}
+                </option>
+              ))}
+            </select>
+            <button type="button" className="btn btn-secondary" onClick={handleDuplicate}>
+              Duplicate
+            </button>
+            {isEditable && selected.id && (
+              <button type="button" className="btn btn-secondary" onClick={handleDelete}>
+                Delete
+              </button>
+            )}
+          </div>
+          
+          {isEditable ? (
+            <div className="summary-rules-details">
+              <input
+                type="text"
+                className="form-input"
+                value={selected.name}
+                onChange={(e) => updateDraft({ name: e.target.value })}
+                placeholder="Rule set name"
+                aria-label="Rule set name"
+              />
+              <input
+                type="text"
+                className="form-input"
+                value={selected.description || ''}
+                onChange={(e) => updateDraft({ description: e.target.value })}
+                placeholder="Description (e.g., client contract)"
+                aria-label="Description"
+              />
+            </div>
+          ) : (
+            <div className="summary-rules-description">
+              {selected.description} — built in, duplicate it to make changes
+            </div>
+          )}
+          
+          {/* Rules */}
+          <table className="summary-rules-table">
+            <tbody>
+              {SUMMARY_COLUMNS.map(col => (
+                <tr key={col.key}>
+                  <th>
+                    {col.label}
+                    <span className="summary-rules-key">{col.key}</span>
+                  </th>
+                  <td>
+                    <input
+                      type="text"
+                      className={`form-input summary-rules-expression ${validation.ruleErrors[col.key] ? 'error' : ''}`}
+                      value={selected.rules[col.key] || ''}
+                      onChange={(e) => handleRuleChange(col.key, e.target.value)}
+                      readOnly={!isEditable}
+                      spellCheck={false}
+                      aria-label={`${col.label} rule`}
+                    />
+                    {validation.ruleErrors[col.key] && (
+                      <span className="form-error">{validation.ruleErrors[col.key]}</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          
+          {/* Reference */}
+          <div className="summary-rules-help">
+            <div>
+              <strong>Code counts:</strong> {Object.keys(attendanceCodes).join(', ')}
+            </div>
+            <div>
+              <strong>Counters:</strong>{' '}
+              {SUMMARY_COUNTERS.map((counter, i) => (
+                <span key={counter.name} title={counter.description}>
+                  {i > 0 && ', '}
+                  <code>{counter.name}</code>
+                </span>
+              ))}
+            </div>
+            <div>
+              <strong>Functions:</strong> floor, ceil, round, min, max, abs.
+              A rule can also use the columns above it by key.
+            </div>
+          </div>
+          
+          {error && <span className="form-error">{error}</span>}
+        </div>
+        
+        <div className="modal-footer">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          {draft && (
+            <button type="button" className="btn btn-secondary" onClick={handleSave}>
+              Save
+            </button>
+          )}
+          <button type="button" className="btn btn-primary" onClick={handleActivate}>
+            Use for Summaries
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SummaryRules;
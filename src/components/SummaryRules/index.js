@@ -0,0 +1 @@
+export { default } from './SummaryRules'; 
\ No newline at end of file
@@ -0,0 +1,394 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { MONTHS, getDaysInMonth } from '../../utils/constants';
+import {
+  getMonthTimes,
+  evaluateTimeEntry,
+  formatDuration,
+  validateTimePolicy
+} from '../../services/timeService';
+import { getPlannedShifts } from '../../services/shiftService';
+import './TimeSheet.css';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const POLICY_FIELDS = [
+  { name: 'dayStart', label: 'Standard start', type: 'time' },
+  { name: 'dayEnd', label: 'Standard end', type: 'time' },
+  { name: 'fullDayHours', label: 'Full day from (hours)', type: 'number', step: '0.25' },
+  { name: 'halfDayHours', label: 'Half day from (hours)', type: 'number', step: '0.25' },
+  { name: 'graceMinutes', label: 'Grace (minutes)', type: 'number', step: '1' },
+  { name: 'minOvertimeMinutes', label: 'Minimum overtime (minutes)', type: 'number', step: '5' }
+];
+
+const POLICY_CODES = [
+  { name: 'presentCode', label: 'Full-day code' },
+  { name: 'halfDayCode', label: 'Half-day code' },
+  { name: 'absentCode', label: 'Short-day code' }
+];
+
+/**
+ * Describe what stands out about a day's clock times
+ */
+const getFlags = (evaluation) => {
+  if (!evaluation) return [];
+  if (evaluation.missingPunch) return [`No clock-${evaluation.missingPunch}`];
+  
+  return [
+    evaluation.lateMinutes && `Late ${formatDuration(evaluation.lateMinutes)}`,
+    evaluation.earlyMinutes && `Left ${formatDuration(evaluation.earlyMinutes)} early`,
+    evaluation.overtimeMinutes && `OT ${formatDuration(evaluation.overtimeMinutes)}`
+  ].filter(Boolean);
+};
+
+/**
+ * TimeSheet Component - Enter or import clock-in/clock-out times for a
+ * month and turn the hours into attendance codes
+ */
+const TimeSheet = ({
+  isOpen,
+  onClose,
+  employees = [],
+  currentMonth,
+  currentYear,
+  policy,
+  roster = null,
+  attendanceCodes = {},
+  isEditable = true,
+  onSave,
+  onImport,
+  onSavePolicy
+}) => {
+  const [empId, setEmpId] = useState('');
+  const [draft, setDraft] = useState({});
+  const [setCodes, setSetCodes] = useState(true);
+  const [error, setError] = useState('');
+  const [importMessage, setImportMessage] = useState(null);
+  const [showPolicy, setShowPolicy] = useState(false);
+  const [policyDraft, setPolicyDraft] = useState(policy);
+  const [policyErrors, setPolicyErrors] = useState([]);
+  const fileInputRef = useRef(null);
+  
+  const employee = employees.find(emp => emp.empId === empId) || employees[0] || null;
+  const savedTimes = useMemo(
+    () => (employee ? getMonthTimes(employee, currentMonth, currentYear) : {}),
+    [employee, currentMonth, currentYear]
+  );
+  
+  // Start from the recorded times whenever the employee or month changes
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(savedTimes);
+      setError('');
+    }
+  }, [isOpen, savedTimes]);
+  
+  useEffect(() => {
+    if (isOpen) {
+      setPolicyDraft(policy);
+      setPolicyErrors([]);
+      setImportMessage(null);
+    }
+  }, [isOpen, policy]);
+  
+  const planned = useMemo(
+    () => (employee && roster ? getPlannedShifts(roster, employee.empId, currentMonth, currentYear) : {}),
+    [employee, roster, currentMonth, currentYear]
+  );
+  
+  const monthIndex = MONTHS.findIndex(m => m.value === currentMonth);
+  const days = Array.from({ length: getDaysInMonth(currentMonth, currentYear) }, (_, i) => i + 1);
+  
+  const evaluations = {};
+  days.forEach(day => {
+    evaluations[day] = evaluateTimeEntry(draft[day], policy, planned[day]);
+  });
+  const totals = Object.values(evaluations).filter(Boolean).reduce((sum, evaluation) => ({
+    worked: sum.worked + evaluation.workedMinutes,
+    overtime: sum.overtime + evaluation.overtimeMinutes,
+    late: sum.late + (evaluation.lateMinutes ? 1 : 0),
+    early: sum.early + (evaluation.earlyMinutes ? 1 : 0)
+  }), { worked: 0, overtime: 0, late: 0, early: 0 });
+  
+  const changedDays = days.filter(day => (
+    (draft[day]?.in || '') !== (savedTimes[day]?.in || '') ||
+    (draft[day]?.out || '') !== (savedTimes[day]?.out || '')
+  ));
+  
+  const updateTime = (day, field, value) => {
+    setDraft(prev => ({ ...prev, [day]: { ...(prev[day] || {}), [field]: value } }));
+    setError('');
+  };
+  
+  // Save the changed days
+  const handleSave = () => {
+    try {
+      onSave(employee, changedDays.map(day => ({
+        month: currentMonth,
+        year: currentYear,
+        day,
+        in: draft[day]?.in || '',
+        out: draft[day]?.out || ''
+      })), setCodes);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  // Import a timesheet CSV for every employee in it
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+      const result = await onImport(file, setCodes);
+      setImportMessage({
+        type: 'success',
+        text: `Imported ${result.entries} time(s) for ${result.employees} employee(s)` +
+          (result.skipped ? `, skipped ${result.skipped} unreadable row(s)` : '') +
+          (result.unknownIds.length ? `; not on the sheet: ${result.unknownIds.join(', ')}` : '')
+      });
+    } catch (err) {
+      setImportMessage({ type: 'error', text: err.message });
+    }
+  };
+  
+  // Save the time rules
+  const handleSavePolicy = () => {
+    const validation = validateTimePolicy(policyDraft, attendanceCodes);
+    if (!validation.isValid) {
+      setPolicyErrors(validation.errors);
+      return;
+    }
+    
+    try {
+      onSavePolicy(policyDraft);
+      setShowPolicy(false);
+    } catch (err) {
+      setPolicyErrors([err.message]);
+    }
+  };
+  
+  if (!isOpen) return null;
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content time-sheet-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Clock Times — {currentMonth} {currentYear}</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div className="time-sheet-body">
+          <div className="time-sheet-toolbar">
+            <select
+              value={employee?.empId || ''}
+              onChange={(e) => setEmpId(e.target.value)}
+              className="form-input time-sheet-employee"
+              aria-label="Employee"
+            >
+              {employees.length === 0 && <option value="">No employees</option>}
+              {employees.map(emp => (
+                <option key={emp.empId} value={emp.empId}>
+                  {emp.empId} - {emp.employeeName}
+                </option>
+              ))}
+            </select>
+            <label className="time-sheet-check">
+              <input
+                type="checkbox"
+                checked={setCodes}
+                onChange={(e) => setSetCodes(e.target.checked)}
+              />
+              Set day codes from hours
+            </label>
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              onClick={() => setShowPolicy(prev => !prev)}
+            >
+              {showPolicy ? 'Hide Rules' : 'Rules'}
+            </button>
+          </div>
+          
+          {/* Time Rules */}
+          {showPolicy && (
+            <div className="time-policy">
+              <div className="time-policy-fields">
+                {POLICY_FIELDS.map(field => (
+                  <label key={field.name} className="time-policy-field">
+                    {field.label}
+                    <input
+                      type={field.type}
+                      min={field.type === 'number' ? '0' : undefined}
+                      step={field.step}
+                      value={policyDraft[field.name]}
+                      onChange={(e) => {
+                        setPolicyDraft(prev => ({ ...prev, [field.name]: e.target.value }));
+                        setPolicyErrors([]);
+                      }}
+                      className="form-input"
+                    />
+                  </label>
+                ))}
+                {POLICY_CODES.map(field => (
+                  <label key={field.name} className="time-policy-field">
+                    {field.label}
+                    <select
+                      value={policyDraft[field.name]}
+                      onChange={(e) => {
+                        setPolicyDraft(prev => ({ ...prev, [field.name]: e.target.value }));
+                        setPolicyErrors([]);
+                      }}
+                      className="form-input"
+                    >
+                      {policyDraft[field.name] && !attendanceCodes[policyDraft[field.name]] && (
+                        <option value={policyDraft[field.name]}>{policyDraft[field.name]} (missing)</option>
+                      )}
+                      {Object.values(attendanceCodes).map(info => (
+                        <option key={info.value} value={info.value}>{info.value}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              <span className="form-help">
+                A rostered shift's hours replace the standard day, and a full day on it gets the shift's code
+              </span>
+              {policyErrors.length > 0 && (
+                <ul className="time-sheet-errors">
+                  {policyErrors.map(message => (
+                    <li key={message} className="form-error">{message}</li>
+                  ))}
+                </ul>
+              )}
+              <div className="time-sheet-actions">
+                <button type="button" className="btn btn-primary btn-sm" onClick={handleSavePolicy}>
+                  Save Rules
+                </button>
+              </div>
+            </div>
+          )}
+          
+          <div className="time-sheet-totals">
+            Worked {formatDuration(totals.worked)} h · Overtime {formatDuration(totals.overtime)} h ·
+            Late {totals.late} · Left early {totals.early}
+          </div>
+          
+          <div className="time-sheet-list">
+            <table className="time-sheet-table">
+              <thead>
+                <tr>
+                  <th>Day</th>
+                  <th>Shift</th>
+                  <th>In</th>
+                  <th>Out</th>
+                  <th>Hours</th>
+                  <th>Code</th>
+                  <th>Marked</th>
+                  <th>Flags</th>
+                </tr>
+              </thead>
+              <tbody>
+                {days.map(day => {
+                  const evaluation = evaluations[day];
+                  const shift = planned[day];
+                  const flags = getFlags(evaluation);
+                  
+                  return (
+                    <tr key={day} className={changedDays.includes(day) ? 'is-changed' : ''}>
+                      <td>
+                        {day}
+                        <span className="time-sheet-sub">
+                          {WEEKDAYS[new Date(currentYear, monthIndex, day).getDay()]}
+                        </span>
+                      </td>
+                      <td title={shift?.start ? `${shift.start}-${shift.end}` : ''}>
+                        {shift ? shift.code : '—'}
+                      </td>
+                      <td>
+                        <input
+                          type="time"
+                          value={draft[day]?.in || ''}
+                          onChange={(e) => updateTime(day, 'in', e.target.value)}
+                          className="form-input"
+                          disabled={!isEditable || !employee}
+                          aria-label={`Day ${day} clock-in`}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="time"
+                          value={draft[day]?.out || ''}
+                          onChange={(e) => updateTime(day, 'out', e.target.value)}
+                          className="form-input"
+                          disabled={!isEditable || !employee}
+                          aria-label={`Day ${day} clock-out`}
+                        />
+                      </td>
+                      <td>{evaluation && !evaluation.missingPunch ? formatDuration(evaluation.workedMinutes) : ''}</td>
+                      <td>{evaluation?.code || ''}</td>
+                      <td>{employee?.attendance?.[day] || ''}</td>
+                      <td className={flags.length > 0 ? 'time-sheet-flags' : ''}>
+                        {flags.join(', ')}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          
+          {error && <span className="form-error">{error}</span>}
+          {importMessage && (
+            <div className={`time-import-message is-${importMessage.type}`}>
+              {importMessage.text}
+            </div>
+          )}
+        </div>
+        
+        <div className="modal-footer">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv"
+            onChange={handleImport}
+            style={{ display: 'none' }}
+          />
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={!isEditable}
+            title="CSV with columns Emp ID, Date, In, Out"
+          >
+            Import CSV
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onClose}
+          >
+            Close
+          </button>
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={handleSave}
+            disabled={!isEditable || changedDays.length === 0}
+          >
+            Save {changedDays.length > 0 ? `${changedDays.length} Day(s)` : 'Times'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TimeSheet;
@@ -0,0 +1 @@
+export { default } from './TimeSheet'; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 import React, { useRef, useState } from 'react';
 import MonthSelector from '../MonthSelector';
 import { calculateMonthlyStatistics } from '../../utils/calculations';
+import { FILE_TYPES, EXPORT_FORMATS } from '../../utils/constants';
 import './Toolbar.css';
 
 /**
@@ -16,17 +17,40 @@ const Toolbar = ({
   onMonthYearChange,
   onLoadFile,
   onSaveFile,
+  onSaveYear,
   onAddEmployee,
   onDeleteSelected,
   onSelectAll,
   onDeselectAll,
   onMarkWeekends,
   onMarkHolidays,
+  onOpenHolidays,
+  onOpenWorkWeek,
+  onOpenSummaryRules,
+  onOpenAttendanceCodes,
+  onOpenLeavePolicy,
+  onOpenLeaveRequests,
+  pendingLeaveRequests = 0,
+  onOpenShiftRoster,
+  onOpenTimeSheet,
+  onOpenPunchImport,
   onExportReport,
-  onRefresh
+  onRefresh,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  undoLabel = '',
+  redoLabel = '',
+  onExportChangeLog,
+  isMonthLocked = false,
+  onOpenMonthLock,
+  editorName = '',
+  onEditorNameChange
 }) => {
   const fileInputRef = useRef(null);
   const [showStats, setShowStats] = useState(false);
+  const [saveFormat, setSaveFormat] = useState(EXPORT_FORMATS[0].value);
   
   // Calculate statistics
   const stats = calculateMonthlyStatistics(employees);
@@ -72,6 +96,8 @@ const Toolbar = ({
             currentMonth={currentMonth}
             currentYear={currentYear}
             onMonthYearChange={onMonthYearChange}
+            isLocked={isMonthLocked}
+            onLockClick={onOpenMonthLock}
           />
         </div>
         
@@ -81,7 +107,7 @@ const Toolbar = ({
             <input
               ref={fileInputRef}
               type="file"
-              accept=".xlsx,.xls"
+              accept={Object.values(FILE_TYPES).join(',')}
               onChange={handleFileUpload}
               style={{ display: 'none' }}
               id="file-upload"
@@ -89,7 +115,7 @@ const Toolbar = ({
             <button
               className="toolbar-btn btn-outline"
               onClick={() => fileInputRef.current?.click()}
-              title="Load Excel file"
+              title="Load an Excel, OpenDocument, CSV or TSV file"
             >
               <span className="btn-icon">📁</span>
               <span className="btn-text">Load</span>
@@ -97,13 +123,32 @@ const Toolbar = ({
             
             <button
               className="toolbar-btn btn-primary"
-              onClick={onSaveFile}
-              title="Save to Excel"
+              onClick={() => onSaveFile(saveFormat)}
+              title={`Save as ${EXPORT_FORMATS.find(format => format.value === saveFormat).label}`}
             >
               <span className="btn-icon">💾</span>
               <span className="btn-text">Save</span>
               {hasUnsavedChanges && <span className="unsaved-indicator">●</span>}
             </button>
+            <select
+              value={saveFormat}
+              onChange={(e) => setSaveFormat(e.target.value)}
+              className="toolbar-format-select"
+              aria-label="Save format"
+            >
+              {EXPORT_FORMATS.map(format => (
+                <option key={format.value} value={format.value}>{format.label}</option>
+              ))}
+            </select>
+            
+            <button
+              className="toolbar-btn btn-outline"
+              onClick={onSaveYear}
+              title={`Export full year ${currentYear} (one sheet per month)`}
+            >
+              <span className="btn-icon">📚</span>
+              <span className="btn-text">Export Year</span>
+            </button>
           </div>
           
           {/* Employee Operations */}
@@ -131,6 +176,24 @@ const Toolbar = ({
           
           {/* Quick Actions */}
           <div className="action-group">
+            <button
+              className="toolbar-btn btn-outline"
+              onClick={onUndo}
+              disabled={!canUndo}
+              title={canUndo ? `Undo: ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+            >
+              <span className="btn-icon">↶</span>
+            </button>
+            
+            <button
+              className="toolbar-btn btn-outline"
+              onClick={onRedo}
+              disabled={!canRedo}
+              title={canRedo ? `Redo: ${redoLabel} (Ctrl+Y)` : 'Nothing to redo'}
+            >
+              <span className="btn-icon">↷</span>
+            </button>
+            
             <button
               className="toolbar-btn btn-outline"
               onClick={onRefresh}
@@ -181,7 +244,7 @@ const Toolbar = ({
             <button
               className="toolbar-btn-sm"
               onClick={onMarkWeekends}
-              title="Mark all weekends as Sunday"
+              title="Mark weekly offs (S) per the work-week policy"
             >
               Mark Weekends
             </button>
@@ -192,6 +255,69 @@ const Toolbar = ({
             >
               Mark Holidays
             </button>
+            <button
+              className="toolbar-btn-sm"
+              onClick={onOpenHolidays}
+              title="Manage the holiday calendar"
+            >
+              Holidays
+            </button>
+            <button
+              className="toolbar-btn-sm"
+              onClick={onOpenWorkWeek}
+              title="Set the weekly-off policy"
+            >
+              Work Week
+            </button>
+            <button
+              className="toolbar-btn-sm"
+              onClick={onOpenSummaryRules}
+              title="Choose how the summary columns are calculated"
+            >
+              Summary Rules
+            </button>
+            <button
+              className="toolbar-btn-sm"
+              onClick={onOpenAttendanceCodes}
+              title="Define attendance codes"
+            >
+              Codes
+            </button>
+            <button
+              className="toolbar-btn-sm"
+              onClick={onOpenLeavePolicy}
+              title="Leave types, entitlements and carry-forward"
+            >
+              Leave
+            </button>
+            <button
+              className="toolbar-btn-sm"
+              onClick={onOpenLeaveRequests}
+              title="File, approve and export leave requests"
+            >
+              Requests{pendingLeaveRequests > 0 ? ` (${pendingLeaveRequests})` : ''}
+            </button>
+            <button
+              className="toolbar-btn-sm"
+              onClick={onOpenShiftRoster}
+              title="Shifts, rotating rosters and planned vs. actual"
+            >
+              Roster
+            </button>
+            <button
+              className="toolbar-btn-sm"
+              onClick={onOpenTimeSheet}
+              title="Clock-in/clock-out times, hours and overtime"
+            >
+              Times
+            </button>
+            <button
+              className="toolbar-btn-sm"
+              onClick={onOpenPunchImport}
+              title="Import a biometric punch log and review the proposed codes"
+            >
+              Punches
+            </button>
             <button
               className="toolbar-btn-sm"
               onClick={onExportReport}
@@ -199,10 +325,27 @@ const Toolbar = ({
             >
               Export Report
             </button>
+            <button
+              className="toolbar-btn-sm"
+              onClick={onExportChangeLog}
+              title="Export who changed which cells this month"
+            >
+              Change Log
+            </button>
           </div>
         </div>
         
         <div className="toolbar-section">
+          {/* Name recorded against changes */}
+          <input
+            type="text"
+            className="editor-name-input"
+            value={editorName}
+            onChange={(e) => onEditorNameChange?.(e.target.value)}
+            placeholder="Editing as (your name)"
+            title="Your name is recorded against every attendance change"
+          />
+          
           {/* Save Status */}
           <div className="save-status">
             {hasUnsavedChanges ? (
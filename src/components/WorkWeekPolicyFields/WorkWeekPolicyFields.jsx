@@ -0,0 +1,120 @@
+import React from 'react';
+import {
+  WEEKDAYS,
+  WORK_WEEK_TYPES,
+  WORK_WEEK_TYPE_OPTIONS
+} from '../../utils/constants';
+import { normalizeWorkWeekPolicy } from '../../services/workWeekService';
+import './WorkWeekPolicyFields.css';
+
+const SATURDAY_ORDINALS = ['1st', '2nd', '3rd', '4th', '5th'];
+
+/**
+ * WorkWeekPolicyFields Component - Inputs for editing a work-week policy
+ */
+const WorkWeekPolicyFields = ({
+  policy,
+  onChange,
+  idPrefix = 'work-week'
+}) => {
+  const current = normalizeWorkWeekPolicy(policy);
+  
+  const update = (changes) => {
+    onChange({ ...current, ...changes });
+  };
+  
+  // Toggle one Saturday of the month
+  const toggleSaturday = (n) => {
+    const offSaturdays = current.offSaturdays.includes(n)
+      ? current.offSaturdays.filter(s => s !== n)
+      : [...current.offSaturdays, n];
+    update({ offSaturdays });
+  };
+  
+  // Change the weekday off in one week of the rotation
+  const setRotationDay = (index, weekday) => {
+    update({ rotation: current.rotation.map((d, i) => (i === index ? weekday : d)) });
+  };
+  
+  return (
+    <div className="work-week-fields">
+      <select
+        id={`${idPrefix}-type`}
+        className="form-input"
+        value={current.type}
+        onChange={(e) => update({ type: e.target.value })}
+      >
+        {WORK_WEEK_TYPE_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      
+      {current.type === WORK_WEEK_TYPES.ALTERNATE_SATURDAYS && (
+        <div className="work-week-saturdays" role="group" aria-label="Saturdays off">
+          {SATURDAY_ORDINALS.map((label, i) => (
+            <label key={label} className="work-week-check">
+              <input
+                type="checkbox"
+                checked={current.offSaturdays.includes(i + 1)}
+                onChange={() => toggleSaturday(i + 1)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      )}
+      
+      {current.type === WORK_WEEK_TYPES.ROTATING && (
+        <div className="work-week-rotation">
+          <label htmlFor={`${idPrefix}-start`} className="form-label">
+            Rotation starts
+          </label>
+          <input
+            type="date"
+            id={`${idPrefix}-start`}
+            className="form-input"
+            value={current.rotationStart}
+            onChange={(e) => update({ rotationStart: e.target.value })}
+          />
+          
+          {current.rotation.map((weekday, index) => (
+            <div key={index} className="work-week-rotation-row">
+              <span className="work-week-week">Week {index + 1}</span>
+              <select
+                className="form-input"
+                value={weekday}
+                onChange={(e) => setRotationDay(index, parseInt(e.target.value))}
+                aria-label={`Week ${index + 1} day off`}
+              >
+                {WEEKDAYS.map(d => (
+                  <option key={d.value} value={d.value}>{d.label}</option>
+                ))}
+              </select>
+              {current.rotation.length > 1 && (
+                <button
+                  type="button"
+                  className="action-btn"
+                  onClick={() => update({ rotation: current.rotation.filter((_, i) => i !== index) })}
+                  title="Remove week"
+                  aria-label="Remove week"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+          
+          <button
+            type="button"
+            className="work-week-add"
+            onClick={() => update({ rotation: [...current.rotation, (current.rotation[current.rotation.length - 1] + 1) % 7] })}
+          >
+            + Add week
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkWeekPolicyFields;
@@ -0,0 +1 @@
+export { default } from './WorkWeekPolicyFields'; 
\ No newline at end of file
@@ -0,0 +1,112 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import WorkWeekPolicyFields from '../WorkWeekPolicyFields';
+import {
+  getWeeklyOffsForMonth,
+  validateWorkWeekPolicy
+} from '../../services/workWeekService';
+import './WorkWeekSettings.css';
+
+/**
+ * WorkWeekSettings Component - Edit the organisation's weekly-off policy
+ */
+const WorkWeekSettings = ({
+  isOpen,
+  onClose,
+  policy,
+  onSave,
+  currentMonth,
+  currentYear
+}) => {
+  const [draft, setDraft] = useState(policy);
+  const [error, setError] = useState('');
+  
+  // Start from the saved policy each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(policy);
+      setError('');
+    }
+  }, [isOpen, policy]);
+  
+  // Weekly offs of the visible month under the draft policy
+  const preview = useMemo(() => {
+    if (!validateWorkWeekPolicy(draft).isValid) return [];
+    return getWeeklyOffsForMonth(draft, currentMonth, currentYear);
+  }, [draft, currentMonth, currentYear]);
+  
+  const handleChange = (updated) => {
+    setDraft(updated);
+    setError('');
+  };
+  
+  // Handle form submission
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    
+    try {
+      onSave(draft);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  if (!isOpen) return null;
+  
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content work-week-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Work Week</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        
+        <form onSubmit={handleSubmit} className="modal-form">
+          <div className="form-group">
+            <label htmlFor="org-work-week-type" className="form-label">
+              Organisation weekly off
+            </label>
+            <WorkWeekPolicyFields
+              policy={draft}
+              onChange={handleChange}
+              idPrefix="org-work-week"
+            />
+            <span className="form-help">
+              Employees without their own weekly off follow this policy
+            </span>
+            {error && <span className="form-error">{error}</span>}
+          </div>
+          
+          <div className="work-week-preview">
+            Weekly offs in {currentMonth} {currentYear}:{' '}
+            <strong>{preview.length > 0 ? preview.join(', ') : '—'}</strong>
+          </div>
+          
+          <div className="modal-footer">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={onClose}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+            >
+              Save Policy
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default WorkWeekSettings;
@@ -0,0 +1 @@
+export { default } from './WorkWeekSettings'; 
\ No newline at end of file
@@ -0,0 +1,64 @@
+import { useState, useCallback } from 'react';
+import {
+  getAttendanceCodes,
+  saveAttendanceCodes,
+  addAttendanceCode,
+  updateAttendanceCode,
+  deleteAttendanceCode,
+  restoreMissingCodes
+} from '../services/attendanceCodeService';
+
+/**
+ * Custom hook for managing the attendance code registry
+ */
+export const useAttendanceCodes = () => {
+  const [attendanceCodes, setAttendanceCodes] = useState(() => getAttendanceCodes());
+  
+  /**
+   * Persist a new version of the registry. Changes build on the service's
+   * copy so several edits in one handler keep each other.
+   */
+  const commit = useCallback((updated) => {
+    saveAttendanceCodes(updated);
+    setAttendanceCodes(getAttendanceCodes());
+  }, []);
+  
+  /**
+   * Add a code
+   */
+  const createCode = useCallback((definition) => {
+    commit(addAttendanceCode(getAttendanceCodes(), definition));
+  }, [commit]);
+  
+  /**
+   * Edit a code
+   */
+  const editCode = useCallback((code, definition) => {
+    commit(updateAttendanceCode(getAttendanceCodes(), code, definition));
+  }, [commit]);
+  
+  /**
+   * Delete a code
+   */
+  const removeCode = useCallback((code) => {
+    commit(deleteAttendanceCode(getAttendanceCodes(), code));
+  }, [commit]);
+  
+  /**
+   * Bring back codes a restored backup uses that have since been deleted
+   * @param {Object} backupCodes - Registry saved with the backup
+   */
+  const restoreCodes = useCallback((backupCodes) => {
+    const codes = getAttendanceCodes();
+    const restored = restoreMissingCodes(codes, backupCodes);
+    if (restored !== codes) commit(restored);
+  }, [commit]);
+  
+  return {
+    attendanceCodes,
+    restoreCodes,
+    createCode,
+    editCode,
+    removeCode
+  };
+};
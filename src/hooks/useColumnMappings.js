@@ -0,0 +1,45 @@
+import { useState, useCallback } from 'react';
+import {
+  getColumnMappings,
+  saveColumnMappings,
+  saveColumnMapping,
+  deleteColumnMapping
+} from '../services/columnMappingService';
+
+/**
+ * Custom hook for managing saved column mappings for imports
+ */
+export const useColumnMappings = () => {
+  const [columnMappings, setColumnMappings] = useState(() => getColumnMappings());
+  
+  /**
+   * Persist a new version of the mappings
+   */
+  const commit = useCallback((updated) => {
+    saveColumnMappings(updated);
+    setColumnMappings(getColumnMappings());
+  }, []);
+  
+  /**
+   * Add or update a named mapping
+   * @returns {Object} The saved mapping
+   */
+  const saveMapping = useCallback((mapping) => {
+    const updated = saveColumnMapping(getColumnMappings(), mapping);
+    commit(updated);
+    return updated.find(m => m.name.toLowerCase() === mapping.name.trim().toLowerCase());
+  }, [commit]);
+  
+  /**
+   * Remove a saved mapping
+   */
+  const removeMapping = useCallback((id) => {
+    commit(deleteColumnMapping(getColumnMappings(), id));
+  }, [commit]);
+  
+  return {
+    columnMappings,
+    saveMapping,
+    removeMapping
+  };
+};
@@ -1,18 +1,50 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { 
-  readExcelFile, 
+  readExcelWorkbook, 
   exportToExcel, 
+  exportYearToExcel,
   autoSaveToLocal, 
   loadFromLocal,
-  validateExcelFile 
+  migrateLegacyBackup,
+  validateExcelFile,
+  parseWorkbook
 } from '../services/excelService';
 import {
   updateEmployeeAttendance,
   calculateSummaries,
   createEmployee,
-  validateEmployee
+  validateEmployee,
+  getMonthData,
+  applyMonthAttendance,
+  applyAttendanceDays,
+  recalculateEmployeeSummaries
 } from '../services/attendanceService';
-import { STORAGE_KEYS } from '../utils/constants';
+import {
+  loadHistory,
+  saveHistory,
+  pushHistory,
+  undoHistory,
+  redoHistory
+} from '../services/historyService';
+import {
+  getAuditLog,
+  appendAuditEntries,
+  diffAttendance,
+  getEditorName,
+  saveEditorName
+} from '../services/auditService';
+import {
+  assertMonthsUnlocked,
+  assertEmployeesRemovable,
+  getLockedMonthKeys,
+  preserveLockedMonths
+} from '../services/monthLockService';
+import { applyTimeEntries } from '../services/timeService';
+import { buildImportDiff, applyImportDecisions } from '../services/importMergeService';
+import { getColumnMappings, findColumnMapping } from '../services/columnMappingService';
+import { applyIssueFix } from '../services/importReportService';
+import { findSummaryMismatches, applySummaryChoices } from '../services/summaryReconciliationService';
+import { STORAGE_KEYS, FILE_TYPES, getMonthKey } from '../utils/constants';
 
 /**
  * Custom hook for managing Excel data and attendance operations
@@ -27,35 +59,112 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
   const [lastSaved, setLastSaved] = useState(null);
   const [selectedEmployees, setSelectedEmployees] = useState([]);
+  const [history, setHistory] = useState(() => loadHistory());
+  const [historyNotice, setHistoryNotice] = useState(null);
+  const [auditNotice, setAuditNotice] = useState(null);
+  const [auditLog, setAuditLog] = useState(() => getAuditLog());
+  const [editorName, setEditorNameState] = useState(() => getEditorName());
   
   // Refs for auto-save
   const autoSaveTimerRef = useRef(null);
   const previousDataRef = useRef(null);
   
+  // Latest employees, for snapshots taken before a change
+  const employeesRef = useRef(employees);
+  useEffect(() => {
+    employeesRef.current = employees;
+  }, [employees]);
+  
+  // Keep undo/redo steps across reloads of this tab; steps that don't fit
+  // are dropped here too, and the user is told
+  useEffect(() => {
+    const { history: kept, dropped } = saveHistory(history);
+    if (dropped > 0) {
+      setHistory(kept);
+      setHistoryNotice({ dropped });
+    }
+  }, [history]);
+  
+  /**
+   * Remember the employees as they are before a change, as one undo step
+   * @param {String} label - What the change does
+   */
+  const recordStep = useCallback((label) => {
+    setHistory(prev => pushHistory(prev, label, employeesRef.current));
+  }, []);
+  
+  // Source and reason of the change in progress, for the audit trail
+  const auditMetaRef = useRef(null);
+  const auditedEmployeesRef = useRef(employees);
+  
+  /**
+   * Describe the next change for the audit trail
+   * @param {String} source - Where it came from, e.g. 'Cell edit'
+   * @param {String} reason - Optional reason given by the editor
+   */
+  const describeChange = useCallback((source, reason = '') => {
+    auditMetaRef.current = { source, reason };
+  }, []);
+  
+  // Log every cell a described change touched
+  useEffect(() => {
+    const before = auditedEmployeesRef.current;
+    const meta = auditMetaRef.current;
+    auditedEmployeesRef.current = employees;
+    auditMetaRef.current = null;
+    if (!meta) return;
+    
+    const entries = diffAttendance(before, employees, { ...meta, editor: getEditorName() });
+    if (entries.length > 0) {
+      const { log, complete } = appendAuditEntries(entries);
+      setAuditLog(log);
+      // Storage ran out, so the saved log lost its oldest changes
+      if (!complete) setAuditNotice({ entries: log.length });
+    }
+  }, [employees]);
+  
   /**
-   * Load Excel file
+   * Set the name changes are recorded under
+   * @param {String} name - Editor's name
    */
-  const loadExcelFile = useCallback(async (file) => {
+  const setEditorName = useCallback((name) => {
+    saveEditorName(name);
+    setEditorNameState(name);
+  }, []);
+  
+  /**
+   * Read an Excel file and compare it with the data on screen, without
+   * changing anything. Sheets in another layout are read with the given
+   * column mapping, or a saved one that fits; if none does, the result asks
+   * for a mapping instead.
+   * @param {File} file - Excel file
+   * @param {Object} mapping - Column mapping (optional)
+   * @returns {Promise<Object>} Workbook result plus { fileName, mapping, diff },
+   *   or with needsMapping set and no diff
+   */
+  const previewExcelFile = useCallback(async (file, mapping = null) => {
     setLoading(true);
     setError(null);
     
     try {
-      // Validate file first
-      await validateExcelFile(file);
-      
-      // Read and parse file
-      const data = await readExcelFile(file);
-      
-      // Update state
-      setEmployees(data);
-      previousDataRef.current = JSON.stringify(data);
-      setHasUnsavedChanges(false);
-      setError(null);
+      validateExcelFile(file);
+      let result = await readExcelWorkbook(file, currentYear, mapping);
+      let usedMapping = mapping;
       
-      // Save to local storage
-      autoSaveToLocal(data, STORAGE_KEYS.ATTENDANCE_DATA);
+      if (result.unmappedSheets.length > 0) {
+        usedMapping = findColumnMapping(getColumnMappings(), result.unmappedSheets);
+        if (!usedMapping) {
+          return { ...result, fileName: file.name, needsMapping: true };
+        }
+        result = parseWorkbook(result.workbook, currentYear, usedMapping);
+      }
       
-      return data;
+      return {
+        ...result,
+        fileName: file.name,
+        mapping: usedMapping,
+        diff: buildImportDiff(employeesRef.current, result.employees, getLockedMonthKeys())
+      };
     } catch (err) {
       setError(err.message);
       console.error('Error loading Excel file:', err);
@@ -63,18 +172,97 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
     } finally {
       setLoading(false);
     }
+  }, [currentYear]);
+  
+  /**
+   * Fix a problem in a previewed file and compare it with the data on
+   * screen again
+   * @param {Object} preview - Result of previewExcelFile
+   * @param {String} issueId - Issue to fix
+   * @param {String} value - Code, Emp ID or name to use
+   * @returns {Object} Updated preview
+   */
+  const fixImportIssue = useCallback((preview, issueId, value) => {
+    const { employees: fixed, issues } = applyIssueFix(preview, issueId, value);
+    
+    return {
+      ...preview,
+      employees: fixed,
+      issues,
+      diff: buildImportDiff(employeesRef.current, fixed, getLockedMonthKeys())
+    };
   }, []);
   
   /**
-   * Save data to Excel file
+   * Find the sheet totals that disagree with the day codes a previewed file
+   * would leave, given the choices made so far in the import wizard
+   * @param {Object} preview - Result of previewExcelFile
+   * @param {Object} decisions - { actions, cells } chosen in the import wizard
+   * @returns {Array} Result of findSummaryMismatches
    */
-  const saveToExcel = useCallback(async (filename) => {
+  const previewSummaryMismatches = useCallback((preview, decisions) => {
+    const imported = applyImportDecisions(
+      employeesRef.current,
+      preview.employees,
+      preview.diff,
+      decisions,
+      currentMonth,
+      currentYear
+    );
+    
+    return findSummaryMismatches(imported, preview.employees, decisions.actions, getLockedMonthKeys());
+  }, [currentMonth, currentYear]);
+  
+  /**
+   * Merge a previewed file into the data on screen as one undo step
+   * @param {Object} preview - Result of previewExcelFile
+   * @param {Object} decisions - { actions, cells, summaries } chosen in the
+   *   import wizard
+   * @returns {Object} { employees, lockedMonths }
+   */
+  const applyImport = useCallback((preview, decisions) => {
+    const imported = applyImportDecisions(
+      employeesRef.current,
+      preview.employees,
+      preview.diff,
+      decisions,
+      currentMonth,
+      currentYear
+    );
+    const merged = applySummaryChoices(
+      imported,
+      preview.employees,
+      decisions,
+      currentMonth,
+      currentYear,
+      getEditorName()
+    );
+    
+    // New employees don't bring data into locked months
+    const { employees: data, skippedMonths } = preserveLockedMonths(employeesRef.current, merged);
+    
+    recordStep(`Import ${preview.fileName}`);
+    describeChange(`Import ${preview.fileName}`);
+    setEmployees(data);
+    setHasUnsavedChanges(true);
+    
+    return { employees: data, lockedMonths: skippedMonths };
+  }, [currentMonth, currentYear, recordStep, describeChange]);
+  
+  /**
+   * Save data to Excel file, or as OpenDocument, CSV or TSV
+   * @param {String} filename - Output filename (optional)
+   * @param {String} extension - FILE_TYPES value for the default filename
+   * @param {Object} options - { formulas } to write the summary columns as
+   *   live formulas
+   */
+  const saveToExcel = useCallback(async (filename, extension = FILE_TYPES.EXCEL, options = {}) => {
     setLoading(true);
     setError(null);
     
     try {
-      const defaultFilename = filename || `attendance_${currentMonth}_${currentYear}.xlsx`;
-      await exportToExcel(employees, defaultFilename, currentMonth, currentYear);
+      const defaultFilename = filename || `attendance_${currentMonth}_${currentYear}${extension}`;
+      await exportToExcel(employees, defaultFilename, currentMonth, currentYear, options);
       
       setHasUnsavedChanges(false);
       setLastSaved(new Date());
@@ -95,9 +283,42 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
   }, [employees, currentMonth, currentYear]);
   
   /**
-   * Update attendance for a specific employee and day
+   * Save every month of the current year to one workbook
+   */
+  const saveYearToExcel = useCallback(async (filename) => {
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const defaultFilename = filename || `attendance_${currentYear}.xlsx`;
+      const exportedMonths = exportYearToExcel(employees, defaultFilename, currentYear);
+      
+      setHasUnsavedChanges(false);
+      setLastSaved(new Date());
+      previousDataRef.current = JSON.stringify(employees);
+      
+      // Update local storage
+      autoSaveToLocal(employees, STORAGE_KEYS.ATTENDANCE_DATA);
+      localStorage.setItem(STORAGE_KEYS.LAST_SAVED, new Date().toISOString());
+      
+      return exportedMonths;
+    } catch (err) {
+      setError(err.message);
+      console.error('Error saving year to Excel:', err);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [employees, currentYear]);
+  
+  /**
+   * Update attendance for a specific employee and day. The optional reason
+   * is kept in the audit trail.
    */
-  const updateAttendance = useCallback((employeeId, day, code) => {
+  const updateAttendance = useCallback((employeeId, day, code, reason = '') => {
+    assertMonthsUnlocked([getMonthKey(currentMonth, currentYear)]);
+    recordStep(code ? `Set day ${day} to ${code}` : `Clear day ${day}`);
+    describeChange('Cell edit', reason);
     setEmployees(prevEmployees => {
       const updatedEmployees = prevEmployees.map(emp => {
         if (emp.empId === employeeId) {
@@ -109,27 +330,8 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
             delete updatedAttendance[day];
           }
           
-          // Update monthly data if it exists
-          const updatedEmp = {
-            ...emp,
-            attendance: updatedAttendance,
-            summaries: calculateSummaries(updatedAttendance, currentMonth, currentYear)
-          };
-          
-          // Store in monthly data
-          if (!updatedEmp.monthlyData) {
-            updatedEmp.monthlyData = {};
-          }
-          if (!updatedEmp.monthlyData[currentMonth]) {
-            updatedEmp.monthlyData[currentMonth] = {
-              attendance: {},
-              summaries: {}
-            };
-          }
-          updatedEmp.monthlyData[currentMonth].attendance = updatedAttendance;
-          updatedEmp.monthlyData[currentMonth].summaries = updatedEmp.summaries;
-          
-          return updatedEmp;
+          // Store under the year-month key as well as the visible attendance
+          return applyMonthAttendance(emp, updatedAttendance, currentMonth, currentYear);
         }
         return emp;
       });
@@ -137,21 +339,27 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
       setHasUnsavedChanges(true);
       return updatedEmployees;
     });
-  }, [currentMonth, currentYear]);
+  }, [currentMonth, currentYear, recordStep, describeChange]);
   
   /**
-   * Bulk update attendance for multiple employees
+   * Bulk update attendance for multiple employees, as one undo step
+   * @param {Object} updates - Day-code mappings by employee ID
+   * @param {String} label - What the update does, for undo
    */
-  const bulkUpdateAttendance = useCallback((updates) => {
+  const bulkUpdateAttendance = useCallback((updates, label = 'Bulk update') => {
+    assertMonthsUnlocked([getMonthKey(currentMonth, currentYear)]);
+    recordStep(label);
+    describeChange(label);
     setEmployees(prevEmployees => {
       const updatedEmployees = prevEmployees.map(emp => {
         if (updates[emp.empId]) {
           const updatedAttendance = { ...emp.attendance, ...updates[emp.empId] };
-          return {
-            ...emp,
-            attendance: updatedAttendance,
-            summaries: calculateSummaries(updatedAttendance, currentMonth, currentYear)
-          };
+          
+          // An empty value clears the day
+          Object.keys(updatedAttendance).forEach(day => {
+            if (!updatedAttendance[day]) delete updatedAttendance[day];
+          });
+          return applyMonthAttendance(emp, updatedAttendance, currentMonth, currentYear);
         }
         return emp;
       });
@@ -159,7 +367,46 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
       setHasUnsavedChanges(true);
       return updatedEmployees;
     });
-  }, [currentMonth, currentYear]);
+  }, [currentMonth, currentYear, recordStep, describeChange]);
+  
+  /**
+   * Set codes on days in any month of one employee's history, e.g. the
+   * days of an approved leave request
+   * @param {String} employeeId - Employee ID
+   * @param {Array} entries - [{ month, year, day, code }]
+   * @param {String} label - What the change does, for undo
+   */
+  const setAttendanceDays = useCallback((employeeId, entries, label = 'Set days') => {
+    assertMonthsUnlocked(entries.map(entry => getMonthKey(entry.month, entry.year)));
+    recordStep(label);
+    describeChange(label);
+    setEmployees(prevEmployees => prevEmployees.map(emp =>
+      emp.empId === employeeId
+        ? applyAttendanceDays(emp, entries, currentMonth, currentYear)
+        : emp
+    ));
+    setHasUnsavedChanges(true);
+  }, [currentMonth, currentYear, recordStep, describeChange]);
+  
+  /**
+   * Record clock times for several employees, as one undo step. Entries
+   * that carry a code set the day's attendance too.
+   * @param {Object} entriesByEmployee - [{ month, year, day, in, out, code? }]
+   *   by employee ID
+   * @param {String} label - What the change does, for undo
+   */
+  const setTimeEntries = useCallback((entriesByEmployee, label = 'Clock times') => {
+    const entries = Object.values(entriesByEmployee).flat();
+    assertMonthsUnlocked(entries.map(entry => getMonthKey(entry.month, entry.year)));
+    recordStep(label);
+    describeChange(label);
+    setEmployees(prevEmployees => prevEmployees.map(emp =>
+      entriesByEmployee[emp.empId]
+        ? applyTimeEntries(emp, entriesByEmployee[emp.empId], currentMonth, currentYear)
+        : emp
+    ));
+    setHasUnsavedChanges(true);
+  }, [currentMonth, currentYear, recordStep, describeChange]);
   
   /**
    * Add new employee
@@ -170,12 +417,14 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
       throw new Error(validation.errors.join(', '));
     }
     
+    recordStep(`Add ${employeeData.employeeName}`);
     setEmployees(prevEmployees => {
       const newEmployee = createEmployee({
         ...employeeData,
         slNo: prevEmployees.length + 1,
         month: currentMonth,
         attendance: {},
+        monthlyData: {},
         summaries: {
           totalPresent: 0,
           totalOff: 0,
@@ -198,12 +447,17 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
       
       return updatedEmployees;
     });
-  }, [currentMonth]);
+  }, [currentMonth, recordStep]);
   
   /**
    * Update employee details
    */
   const updateEmployee = useCallback((employeeId, updates) => {
+    if (updates.attendance) {
+      assertMonthsUnlocked([getMonthKey(currentMonth, currentYear)]);
+    }
+    recordStep(`Edit ${employeeId}`);
+    describeChange('Employee edit');
     setEmployees(prevEmployees => {
       const updatedEmployees = prevEmployees.map(emp => {
         if (emp.empId === employeeId) {
@@ -219,13 +473,24 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
           
           // Recalculate summaries if attendance changed
           if (updates.attendance) {
-            updatedEmployee.summaries = calculateSummaries(
+            return applyMonthAttendance(
+              updatedEmployee,
               updatedEmployee.attendance,
               currentMonth,
               currentYear
             );
           }
           
+          // A new location can bring different holidays, and a new weekly
+          // off moves holy-day working
+          const locationChanged = updates.location !== undefined &&
+            updates.location !== emp.location;
+          const workWeekChanged = updates.workWeekPolicy !== undefined &&
+            JSON.stringify(updates.workWeekPolicy) !== JSON.stringify(emp.workWeekPolicy || null);
+          if (locationChanged || workWeekChanged) {
+            return recalculateEmployeeSummaries(updatedEmployee, currentMonth, currentYear, getLockedMonthKeys());
+          }
+          
           return updatedEmployee;
         }
         return emp;
@@ -234,12 +499,15 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
       setHasUnsavedChanges(true);
       return updatedEmployees;
     });
-  }, [currentMonth, currentYear]);
+  }, [currentMonth, currentYear, recordStep, describeChange]);
   
   /**
-   * Delete employee
+   * Delete employee. Employees with attendance in a locked month are kept.
    */
   const deleteEmployee = useCallback((employeeId) => {
+    assertEmployeesRemovable(employeesRef.current.filter(emp => emp.empId === employeeId));
+    recordStep(`Delete ${employeeId}`);
+    describeChange(`Delete ${employeeId}`);
     setEmployees(prevEmployees => {
       const updatedEmployees = prevEmployees
         .filter(emp => emp.empId !== employeeId)
@@ -248,12 +516,16 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
       setHasUnsavedChanges(true);
       return updatedEmployees;
     });
-  }, []);
+  }, [recordStep, describeChange]);
   
   /**
-   * Delete multiple employees
+   * Delete multiple employees. Nothing is deleted if any of them has
+   * attendance in a locked month.
    */
   const deleteMultipleEmployees = useCallback((employeeIds) => {
+    assertEmployeesRemovable(employeesRef.current.filter(emp => employeeIds.includes(emp.empId)));
+    recordStep(`Delete ${employeeIds.length} employees`);
+    describeChange(`Delete ${employeeIds.length} employees`);
     setEmployees(prevEmployees => {
       const updatedEmployees = prevEmployees
         .filter(emp => !employeeIds.includes(emp.empId))
@@ -263,7 +535,7 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
       setSelectedEmployees([]);
       return updatedEmployees;
     });
-  }, []);
+  }, [recordStep, describeChange]);
   
   /**
    * Change month/year and load appropriate data
@@ -275,13 +547,14 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
     // Update employees with data for the selected month
     setEmployees(prevEmployees => {
       const updatedEmployees = prevEmployees.map(emp => {
-        // Check if employee has data for this month
-        if (emp.monthlyData && emp.monthlyData[month]) {
+        // Check if employee has data for this month of this year
+        const monthData = getMonthData(emp, month, year);
+        if (monthData) {
           return {
             ...emp,
             month: month,
-            attendance: emp.monthlyData[month].attendance || {},
-            summaries: emp.monthlyData[month].summaries || calculateSummaries(emp.monthlyData[month].attendance || {}, month, year)
+            attendance: monthData.attendance || {},
+            summaries: monthData.summaries || calculateSummaries(monthData.attendance || {}, month, year, emp)
           };
         } else {
           // No data for this month, return empty attendance
@@ -289,7 +562,7 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
             ...emp,
             month: month,
             attendance: {},
-            summaries: calculateSummaries({}, month, year)
+            summaries: calculateSummaries({}, month, year, emp)
           };
         }
       });
@@ -303,6 +576,61 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
     localStorage.setItem(STORAGE_KEYS.CURRENT_YEAR, year.toString());
   }, []);
   
+  /**
+   * Recalculate summaries for every month on record, e.g. after the
+   * holiday calendar or attendance codes change
+   */
+  const recalculateSummaries = useCallback(() => {
+    setEmployees(prevEmployees => prevEmployees.map(emp =>
+      recalculateEmployeeSummaries(emp, currentMonth, currentYear, getLockedMonthKeys())
+    ));
+    setHasUnsavedChanges(true);
+  }, [currentMonth, currentYear]);
+  
+  /**
+   * Put back a snapshot from the history, showing the current month
+   * @param {Array} snapshot - Employees as they were
+   */
+  const restoreEmployees = useCallback((snapshot) => {
+    setEmployees(snapshot.map(emp => recalculateEmployeeSummaries({
+      ...emp,
+      month: currentMonth,
+      attendance: getMonthData(emp, currentMonth, currentYear)?.attendance || {}
+    }, currentMonth, currentYear, getLockedMonthKeys())));
+    setSelectedEmployees(prev => prev.filter(id => snapshot.some(emp => emp.empId === id)));
+    setHasUnsavedChanges(true);
+  }, [currentMonth, currentYear]);
+  
+  /**
+   * Undo the last change. Throws if it would change a locked month.
+   * @returns {String|null} Label of the change undone, or null if none
+   */
+  const undo = useCallback(() => {
+    const result = undoHistory(history, employeesRef.current);
+    if (!result) return null;
+    assertMonthsUnlocked(diffAttendance(employeesRef.current, result.step.employees, {}).map(entry => entry.monthKey));
+    
+    setHistory(result.history);
+    describeChange(`Undo: ${result.step.label}`);
+    restoreEmployees(result.step.employees);
+    return result.step.label;
+  }, [history, restoreEmployees, describeChange]);
+  
+  /**
+   * Redo the last undone change. Throws if it would change a locked month.
+   * @returns {String|null} Label of the change redone, or null if none
+   */
+  const redo = useCallback(() => {
+    const result = redoHistory(history, employeesRef.current);
+    if (!result) return null;
+    assertMonthsUnlocked(diffAttendance(employeesRef.current, result.step.employees, {}).map(entry => entry.monthKey));
+    
+    setHistory(result.history);
+    describeChange(`Redo: ${result.step.label}`);
+    restoreEmployees(result.step.employees);
+    return result.step.label;
+  }, [history, restoreEmployees, describeChange]);
+  
   /**
    * Auto-save functionality
    */
@@ -315,31 +643,46 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
   
   /**
    * Load from local storage
+   * @returns {Object|null} The backup loaded, or null if there is none
    */
   const loadFromLocalStorage = useCallback(() => {
-    const saved = loadFromLocal(STORAGE_KEYS.ATTENDANCE_DATA);
+    const stored = loadFromLocal(STORAGE_KEYS.ATTENDANCE_DATA);
+    
+    // One-time upgrade of year-less backups; the old month names are
+    // assumed to belong to the year that was selected when they were saved
+    const savedYear = parseInt(localStorage.getItem(STORAGE_KEYS.CURRENT_YEAR));
+    const fallbackYear = savedYear || 
+      (stored?.timestamp ? new Date(stored.timestamp).getFullYear() : currentYear);
+    const { data: saved, migrated } = migrateLegacyBackup(stored, fallbackYear);
+    if (migrated) {
+      autoSaveToLocal(saved.employees, STORAGE_KEYS.ATTENDANCE_DATA);
+      console.log(`Migrated local backup to year-month keys (assumed year ${fallbackYear})`);
+    }
+    
     if (saved && saved.employees) {
       setEmployees(saved.employees);
       previousDataRef.current = JSON.stringify(saved.employees);
       setLastSaved(new Date(saved.timestamp));
       setHasUnsavedChanges(false);
-      return true;
+      return saved;
     }
-    return false;
-  }, []);
+    return null;
+  }, [currentYear]);
   
   /**
    * Clear all data
    */
   const clearAllData = useCallback(() => {
-    if (window.confirm('Are you sure you want to clear all data? This cannot be undone.')) {
+    if (window.confirm('Are you sure you want to clear all data? You can still undo this with Ctrl+Z until the tab is closed.')) {
+      recordStep('Clear all data');
+      describeChange('Clear all data');
       setEmployees([]);
       setHasUnsavedChanges(false);
       setSelectedEmployees([]);
       localStorage.removeItem(STORAGE_KEYS.ATTENDANCE_DATA);
       localStorage.removeItem(STORAGE_KEYS.LAST_SAVED);
     }
-  }, []);
+  }, [recordStep, describeChange]);
   
   /**
    * Select/deselect employees for bulk operations
@@ -435,8 +778,12 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
     lastSaved,
     
     // File operations
-    loadExcelFile,
+    previewExcelFile,
+    fixImportIssue,
+    previewSummaryMismatches,
+    applyImport,
     saveToExcel,
+    saveYearToExcel,
     loadFromLocalStorage,
     clearAllData,
     
@@ -450,6 +797,24 @@ export const useExcelData = (initialMonth = 'Jan', initialYear = 2024) => {
     // Attendance operations
     updateAttendance,
     bulkUpdateAttendance,
+    setAttendanceDays,
+    setTimeEntries,
+    recalculateSummaries,
+    
+    // History operations
+    undo,
+    redo,
+    historyNotice,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    undoLabel: history.past[history.past.length - 1]?.label || '',
+    redoLabel: history.future[0]?.label || '',
+    
+    // Audit trail
+    auditLog,
+    auditNotice,
+    editorName,
+    setEditorName,
     
     // Selection operations
     toggleEmployeeSelection,
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  getHolidayCalendar,
+  seedHolidayYears,
+  saveHolidayCalendar,
+  addHoliday,
+  updateHoliday,
+  deleteHoliday,
+  mergeHolidays,
+  readHolidayFile,
+  getHolidayLocations
+} from '../services/holidayService';
+
+/**
+ * Custom hook for managing the holiday calendar
+ * @param {Number} year - Year on screen, whose fixed-date holidays are added
+ *   the first time it is shown
+ */
+export const useHolidayCalendar = (year) => {
+  const [holidays, setHolidays] = useState(() => seedHolidayYears([year]));
+  
+  useEffect(() => {
+    setHolidays(seedHolidayYears([year]));
+  }, [year]);
+  
+  /**
+   * Add the fixed-date holidays of years about to be used, before their
+   * summaries are worked out
+   * @param {Array} years - Years, e.g. those an import brings in
+   */
+  const seedYears = useCallback((years) => {
+    setHolidays(seedHolidayYears(years));
+  }, []);
+  
+  /**
+   * Persist a new version of the calendar. Changes build on the service's
+   * copy, which may have gained a year's holidays since the last render.
+   */
+  const commit = useCallback((updated) => {
+    saveHolidayCalendar(updated);
+    setHolidays(getHolidayCalendar());
+  }, []);
+  
+  /**
+   * Add a holiday
+   */
+  const createHoliday = useCallback((holiday) => {
+    commit(addHoliday(getHolidayCalendar(), holiday));
+  }, [commit]);
+  
+  /**
+   * Edit a holiday
+   */
+  const editHoliday = useCallback((id, updates) => {
+    commit(updateHoliday(getHolidayCalendar(), id, updates));
+  }, [commit]);
+  
+  /**
+   * Delete a holiday
+   */
+  const removeHoliday = useCallback((id) => {
+    commit(deleteHoliday(getHolidayCalendar(), id));
+  }, [commit]);
+  
+  /**
+   * Import holidays from an .ics or .csv file
+   */
+  const importHolidays = useCallback(async (file, location = '') => {
+    const imported = await readHolidayFile(file, location);
+    const result = mergeHolidays(getHolidayCalendar(), imported);
+    commit(result.holidays);
+    return result;
+  }, [commit]);
+  
+  const locations = useMemo(() => getHolidayLocations(holidays), [holidays]);
+  
+  return {
+    holidays,
+    locations,
+    seedYears,
+    createHoliday,
+    editHoliday,
+    removeHoliday,
+    importHolidays
+  };
+};
@@ -0,0 +1,25 @@
+import { useState, useCallback } from 'react';
+import {
+  getLeavePolicy,
+  saveLeavePolicy
+} from '../services/leaveService';
+
+/**
+ * Custom hook for managing the leave policy
+ */
+export const useLeavePolicy = () => {
+  const [leavePolicy, setLeavePolicy] = useState(() => getLeavePolicy());
+  
+  /**
+   * Save a new leave policy
+   */
+  const updateLeavePolicy = useCallback((policy) => {
+    saveLeavePolicy(policy);
+    setLeavePolicy(getLeavePolicy());
+  }, []);
+  
+  return {
+    leavePolicy,
+    updateLeavePolicy
+  };
+};
@@ -0,0 +1,65 @@
+import { useState, useCallback } from 'react';
+import { LEAVE_REQUEST_STATUSES } from '../utils/constants';
+import {
+  getLeaveRequests,
+  saveLeaveRequests,
+  createLeaveRequest,
+  decideLeaveRequest
+} from '../services/leaveRequestService';
+
+/**
+ * Custom hook for managing leave requests
+ */
+export const useLeaveRequests = () => {
+  const [leaveRequests, setLeaveRequests] = useState(() => getLeaveRequests());
+  
+  /**
+   * Persist a new version of the request list. Changes build on the
+   * service's copy so several updates in one handler keep each other.
+   */
+  const commit = useCallback((updated) => {
+    saveLeaveRequests(updated);
+    setLeaveRequests(getLeaveRequests());
+  }, []);
+  
+  /**
+   * File a request
+   * @returns {Object} The new request
+   */
+  const fileRequest = useCallback((data, policy, employee) => {
+    const result = createLeaveRequest(getLeaveRequests(), data, policy, employee);
+    commit(result.requests);
+    return result.request;
+  }, [commit]);
+  
+  /**
+   * Approve or reject a pending request
+   * @returns {Object} The decided request
+   */
+  const decideRequest = useCallback((id, status, decidedBy, note) => {
+    const result = decideLeaveRequest(getLeaveRequests(), id, status, decidedBy, note);
+    commit(result.requests);
+    return result.request;
+  }, [commit]);
+  
+  /**
+   * Withdraw a pending request
+   */
+  const cancelRequest = useCallback((id, cancelledBy) => {
+    const result = decideLeaveRequest(
+      getLeaveRequests(),
+      id,
+      LEAVE_REQUEST_STATUSES.CANCELLED,
+      cancelledBy
+    );
+    commit(result.requests);
+    return result.request;
+  }, [commit]);
+  
+  return {
+    leaveRequests,
+    fileRequest,
+    decideRequest,
+    cancelRequest
+  };
+};
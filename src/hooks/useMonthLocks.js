@@ -0,0 +1,36 @@
+import { useState, useCallback } from 'react';
+import {
+  getMonthLocks,
+  saveMonthLocks,
+  lockMonth,
+  unlockMonth
+} from '../services/monthLockService';
+
+/**
+ * Custom hook for locking months once payroll is processed
+ */
+export const useMonthLocks = () => {
+  const [monthLocks, setMonthLocks] = useState(() => getMonthLocks());
+  
+  /**
+   * Lock a month
+   */
+  const lock = useCallback((month, year, by, reason) => {
+    saveMonthLocks(lockMonth(getMonthLocks(), month, year, by, reason));
+    setMonthLocks(getMonthLocks());
+  }, []);
+  
+  /**
+   * Unlock a month, recording who overrode the lock and why
+   */
+  const unlock = useCallback((month, year, by, reason) => {
+    saveMonthLocks(unlockMonth(getMonthLocks(), month, year, by, reason));
+    setMonthLocks(getMonthLocks());
+  }, []);
+  
+  return {
+    monthLocks,
+    lockMonth: lock,
+    unlockMonth: unlock
+  };
+};
@@ -0,0 +1,70 @@
+import { useState, useCallback } from 'react';
+import {
+  getShiftRoster,
+  saveShiftRoster,
+  updateShifts,
+  saveRosterTemplate,
+  deleteRosterTemplate,
+  applyRosterTemplate,
+  clearRoster
+} from '../services/shiftService';
+
+/**
+ * Custom hook for managing shifts and the planned roster
+ */
+export const useShiftRoster = () => {
+  const [shiftRoster, setShiftRoster] = useState(() => getShiftRoster());
+  
+  /**
+   * Persist a new version of the roster. Changes build on the service's
+   * copy so several updates in one handler keep each other.
+   */
+  const commit = useCallback((updated) => {
+    saveShiftRoster(updated);
+    setShiftRoster(getShiftRoster());
+  }, []);
+  
+  /**
+   * Replace the shift list
+   */
+  const saveShifts = useCallback((shifts, codes) => {
+    commit(updateShifts(getShiftRoster(), shifts, codes));
+  }, [commit]);
+  
+  /**
+   * Add or update a roster template
+   */
+  const saveTemplate = useCallback((template) => {
+    commit(saveRosterTemplate(getShiftRoster(), template));
+  }, [commit]);
+  
+  /**
+   * Remove a roster template
+   */
+  const removeTemplate = useCallback((id) => {
+    commit(deleteRosterTemplate(getShiftRoster(), id));
+  }, [commit]);
+  
+  /**
+   * Plan shifts for employees over a date range from a template
+   */
+  const applyTemplate = useCallback((templateId, empIds, startDate, endDate, stagger) => {
+    commit(applyRosterTemplate(getShiftRoster(), templateId, empIds, startDate, endDate, stagger));
+  }, [commit]);
+  
+  /**
+   * Remove planned shifts over a date range
+   */
+  const clearPlan = useCallback((empIds, startDate, endDate) => {
+    commit(clearRoster(getShiftRoster(), empIds, startDate, endDate));
+  }, [commit]);
+  
+  return {
+    shiftRoster,
+    saveShifts,
+    saveTemplate,
+    removeTemplate,
+    applyTemplate,
+    clearPlan
+  };
+};
@@ -0,0 +1,58 @@
+import { useState, useCallback, useMemo } from 'react';
+import {
+  getSummaryRuleSettings,
+  saveSummaryRuleSettings,
+  getSummaryRuleSets,
+  saveCustomRuleSet,
+  deleteCustomRuleSet
+} from '../services/summaryRulesService';
+
+/**
+ * Custom hook for managing summary rule sets
+ */
+export const useSummaryRules = () => {
+  const [settings, setSettings] = useState(() => getSummaryRuleSettings());
+  
+  /**
+   * Persist a new version of the settings. Changes build on the service's
+   * copy so a save followed by an activate in one handler keeps both.
+   */
+  const commit = useCallback((updated) => {
+    saveSummaryRuleSettings(updated);
+    setSettings(getSummaryRuleSettings());
+  }, []);
+  
+  /**
+   * Make a rule set the one summaries are calculated with
+   */
+  const activateRuleSet = useCallback((id) => {
+    commit({ ...getSummaryRuleSettings(), activeId: id });
+  }, [commit]);
+  
+  /**
+   * Add or update a custom rule set
+   * @returns {Object} The saved rule set
+   */
+  const saveRuleSet = useCallback((ruleSet) => {
+    const result = saveCustomRuleSet(getSummaryRuleSettings(), ruleSet);
+    commit(result.settings);
+    return result.ruleSet;
+  }, [commit]);
+  
+  /**
+   * Delete a custom rule set
+   */
+  const removeRuleSet = useCallback((id) => {
+    commit(deleteCustomRuleSet(getSummaryRuleSettings(), id));
+  }, [commit]);
+  
+  const ruleSets = useMemo(() => getSummaryRuleSets(settings), [settings]);
+  
+  return {
+    ruleSets,
+    activeRuleSetId: settings.activeId,
+    activateRuleSet,
+    saveRuleSet,
+    removeRuleSet
+  };
+};
@@ -0,0 +1,25 @@
+import { useState, useCallback } from 'react';
+import {
+  getTimePolicy,
+  saveTimePolicy
+} from '../services/timeService';
+
+/**
+ * Custom hook for managing how clock times become attendance
+ */
+export const useTimePolicy = () => {
+  const [timePolicy, setTimePolicy] = useState(() => getTimePolicy());
+  
+  /**
+   * Save a new time policy
+   */
+  const updateTimePolicy = useCallback((policy, codes) => {
+    saveTimePolicy(policy, codes);
+    setTimePolicy(getTimePolicy());
+  }, []);
+  
+  return {
+    timePolicy,
+    updateTimePolicy
+  };
+};
@@ -0,0 +1,25 @@
+import { useState, useCallback } from 'react';
+import {
+  getWorkWeekPolicy,
+  saveWorkWeekPolicy
+} from '../services/workWeekService';
+
+/**
+ * Custom hook for managing the organisation work-week policy
+ */
+export const useWorkWeekPolicy = () => {
+  const [workWeekPolicy, setWorkWeekPolicy] = useState(() => getWorkWeekPolicy());
+  
+  /**
+   * Save a new organisation policy
+   */
+  const updateWorkWeekPolicy = useCallback((policy) => {
+    saveWorkWeekPolicy(policy);
+    setWorkWeekPolicy(getWorkWeekPolicy());
+  }, []);
+  
+  return {
+    workWeekPolicy,
+    updateWorkWeekPolicy
+  };
+};
@@ -0,0 +1,276 @@
+import {
+  ATTENDANCE_CODES,
+  SUMMARY_BUCKETS,
+  STORAGE_KEYS,
+  VALIDATION,
+  SPLIT_DAY_SEPARATOR
+} from '../utils/constants';
+
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+// In-memory copy of the code registry
+let codesCache = null;
+
+/**
+ * Get the attendance code registry. The built-in codes are used until it
+ * has been edited.
+ * @returns {Object} Codes keyed by code: { label, color, bgColor, value,
+ *   shortcut, buckets }
+ */
+export const getAttendanceCodes = () => {
+  if (codesCache) return codesCache;
+  
+  try {
+    const dataStr = localStorage.getItem(STORAGE_KEYS.ATTENDANCE_CODES);
+    if (dataStr) {
+      codesCache = JSON.parse(dataStr).codes;
+      return codesCache;
+    }
+  } catch (error) {
+    console.error('Load attendance codes failed:', error);
+  }
+  
+  codesCache = ATTENDANCE_CODES;
+  return codesCache;
+};
+
+/**
+ * Persist the code registry
+ * @param {Object} codes - Codes keyed by code
+ * @returns {Boolean} True if saved
+ */
+export const saveAttendanceCodes = (codes) => {
+  codesCache = codes;
+  
+  try {
+    localStorage.setItem(STORAGE_KEYS.ATTENDANCE_CODES, JSON.stringify({
+      codes,
+      timestamp: new Date().toISOString()
+    }));
+    return true;
+  } catch (error) {
+    console.error('Save attendance codes failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Bring back codes a restored backup uses that the registry no longer has.
+ * Codes the registry still has keep their current definition.
+ * @param {Object} codes - Current registry
+ * @param {Object} backupCodes - Registry saved with the backup
+ * @returns {Object} Updated registry (the same object if nothing was missing)
+ */
+export const restoreMissingCodes = (codes, backupCodes = {}) => {
+  const missing = Object.keys(backupCodes).filter(code => !codes[code]);
+  if (missing.length === 0) return codes;
+  
+  return {
+    ...codes,
+    ...Object.fromEntries(missing.map(code => [code, backupCodes[code]]))
+  };
+};
+
+/**
+ * Validate a code definition against the registry
+ * @param {Object} definition - { value, label, color, bgColor, shortcut, buckets }
+ * @param {Object} codes - Current registry
+ * @param {String} originalCode - Code being edited (omit when adding)
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateAttendanceCode = (definition, codes, originalCode = null) => {
+  const errors = [];
+  const code = (definition.value || '').trim().toUpperCase();
+  const shortcut = (definition.shortcut || '').trim().toUpperCase();
+  
+  if (!code) {
+    errors.push('Code is required');
+  } else if (!VALIDATION.ATTENDANCE_CODE_PATTERN.test(code)) {
+    errors.push('Code must be 1-4 letters or digits, starting with a letter');
+  } else if (code !== originalCode && codes[code]) {
+    errors.push(`Code ${code} already exists`);
+  }
+  
+  if (!definition.label || !definition.label.trim()) {
+    errors.push('Label is required');
+  }
+  
+  if (!COLOR_PATTERN.test(definition.color || '') || !COLOR_PATTERN.test(definition.bgColor || '')) {
+    errors.push('Colours must be hex values like #4CAF50');
+  }
+  
+  if (shortcut) {
+    const taken = Object.values(codes).find(other =>
+      other.value !== originalCode && (other.shortcut || '').toUpperCase() === shortcut
+    );
+    if (!/^[A-Z0-9]$/.test(shortcut)) {
+      errors.push('Shortcut must be a single letter or digit');
+    } else if (taken) {
+      errors.push(`Shortcut ${shortcut} is already used by ${taken.value}`);
+    }
+  }
+  
+  Object.entries(definition.buckets || {}).forEach(([bucket, weight]) => {
+    if (!SUMMARY_BUCKETS.some(b => b.key === bucket)) {
+      errors.push(`Unknown summary bucket "${bucket}"`);
+    } else if (!(Number(weight) > 0)) {
+      errors.push('Bucket weights must be greater than 0');
+    }
+  });
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Tidy a code definition for storage
+ * @param {Object} definition - Code definition from a form
+ * @returns {Object} Stored definition
+ */
+const toStoredCode = (definition) => {
+  const buckets = {};
+  Object.entries(definition.buckets || {}).forEach(([bucket, weight]) => {
+    buckets[bucket] = Number(weight);
+  });
+  
+  return {
+    label: definition.label.trim(),
+    color: definition.color,
+    bgColor: definition.bgColor,
+    value: definition.value.trim().toUpperCase(),
+    shortcut: (definition.shortcut || '').trim().toUpperCase(),
+    buckets
+  };
+};
+
+/**
+ * Add a code to the registry
+ * @param {Object} codes - Current registry
+ * @param {Object} definition - New code definition
+ * @returns {Object} Updated registry
+ */
+export const addAttendanceCode = (codes, definition) => {
+  const validation = validateAttendanceCode(definition, codes);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '));
+  }
+  
+  const stored = toStoredCode(definition);
+  return { ...codes, [stored.value]: stored };
+};
+
+/**
+ * Update a code in the registry. The code itself can't be renamed because
+ * recorded attendance refers to it.
+ * @param {Object} codes - Current registry
+ * @param {String} code - Code to update
+ * @param {Object} definition - New definition
+ * @returns {Object} Updated registry
+ */
+export const updateAttendanceCode = (codes, code, definition) => {
+  const updated = { ...definition, value: code };
+  const validation = validateAttendanceCode(updated, codes, code);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '));
+  }
+  
+  return { ...codes, [code]: toStoredCode(updated) };
+};
+
+/**
+ * Remove a code from the registry. Days already marked with it keep the
+ * code but no longer count toward any bucket.
+ * @param {Object} codes - Current registry
+ * @param {String} code - Code to remove
+ * @returns {Object} Updated registry
+ */
+export const deleteAttendanceCode = (codes, code) => {
+  const { [code]: removed, ...rest } = codes;
+  if (Object.keys(rest).length === 0) {
+    throw new Error('At least one attendance code is required');
+  }
+  return rest;
+};
+
+/**
+ * Find the code typed with a keyboard shortcut
+ * @param {Object} codes - Registry
+ * @param {String} key - Key pressed
+ * @returns {String|null} Code or null
+ */
+export const findCodeByShortcut = (codes, key) => {
+  const upperKey = (key || '').toUpperCase();
+  if (upperKey.length !== 1) return null;
+  
+  const match = Object.values(codes).find(info => (info.shortcut || '').toUpperCase() === upperKey);
+  return match ? match.value : null;
+};
+
+/**
+ * Split a day value into its halves. "P/L" is P in the first half and L in
+ * the second; a single code covers the whole day.
+ * @param {String} value - Day value
+ * @returns {Array} [firstHalf, secondHalf]
+ */
+export const splitDayValue = (value) => {
+  const text = (value || '').toString().trim().toUpperCase();
+  const halves = text.split(SPLIT_DAY_SEPARATOR).map(half => half.trim());
+  return halves.length === 2 ? halves : [text, text];
+};
+
+/**
+ * Build a day value from its halves. Matching halves collapse to a single
+ * code, and a lone half is taken as the whole day.
+ * @param {String} firstHalf - First-half code
+ * @param {String} secondHalf - Second-half code
+ * @returns {String} Day value
+ */
+export const joinDayValue = (firstHalf, secondHalf) => {
+  if (!firstHalf || !secondHalf || firstHalf === secondHalf) {
+    return firstHalf || secondHalf || '';
+  }
+  return `${firstHalf}${SPLIT_DAY_SEPARATOR}${secondHalf}`;
+};
+
+/**
+ * Check whether a day value is split into two halves
+ * @param {String} value - Day value
+ * @returns {Boolean} True for values like "P/L"
+ */
+export const isSplitDay = (value) => {
+  const [firstHalf, secondHalf] = splitDayValue(value);
+  return firstHalf !== secondHalf;
+};
+
+/**
+ * Break a day value into the codes it records and the share of the day each
+ * one covers
+ * @param {String} value - Day value
+ * @returns {Array} [{ code, fraction }]
+ */
+export const getDayParts = (value) => {
+  if (!value) return [];
+  
+  const [firstHalf, secondHalf] = splitDayValue(value);
+  if (firstHalf === secondHalf) return [{ code: firstHalf, fraction: 1 }];
+  return [
+    { code: firstHalf, fraction: 0.5 },
+    { code: secondHalf, fraction: 0.5 }
+  ];
+};
+
+/**
+ * Normalise a day value read from a file: upper-case it and keep it only if
+ * the registry knows every code in it. Split days use "P/L" notation.
+ * @param {*} code - Cell value
+ * @param {Object} codes - Registry (defaults to the current one)
+ * @returns {String} Day value or '' when unknown
+ */
+export const normalizeAttendanceCode = (code, codes = getAttendanceCodes()) => {
+  if (!code) return '';
+  const [firstHalf, secondHalf] = splitDayValue(code);
+  if (!codes[firstHalf] || !codes[secondHalf]) return '';
+  return joinDayValue(firstHalf, secondHalf);
+};
@@ -1,161 +1,132 @@
 import { 
   getDaysInMonth,
+  SUMMARY_BUCKETS,
+  SUMMARY_SOURCES,
+  getMonthKey,
+  parseMonthKey,
   DEFAULT_EMPLOYEE,
   VALIDATION 
 } from '../utils/constants';
+import { getHolidayCalendar, getHolidaysForMonth } from './holidayService';
+import { getActiveSummaryRuleSet, evaluateSummaryRules } from './summaryRulesService';
+import { getAttendanceCodes, getDayParts } from './attendanceCodeService';
+import {
+  getWorkWeekPolicy,
+  resolveWorkWeekPolicy,
+  getWeeklyOffsForMonth
+} from './workWeekService';
 
 /**
- * Calculate all summary totals for an employee
+ * Calculate all summary totals for an employee using the active summary
+ * rule set
  * @param {Object} attendance - Attendance object with day-code mapping
  * @param {String} month - Current month
  * @param {Number} year - Current year
+ * @param {Object} employee - Employee the attendance belongs to (optional,
+ *   used for location-specific holidays and their work-week policy)
  * @returns {Object} Summary totals
  */
-export const calculateSummaries = (attendance, month, year) => {
-  const summaries = {
-    totalPresent: 0,
-    totalOff: 0,
-    totalSundays: 0,
-    totalHolidays: 0,
-    totalNightShift: 0,
-    totalHolyDayWorking: 0,
-    totalOffDayWorking: 0,
-    totalAbsent: 0,
-    totalOnLeave: 0,
-    totalWorkingDays: 0
+export const calculateSummaries = (attendance, month, year, employee = null) => {
+  return evaluateSummaryRules(
+    getActiveSummaryRuleSet(),
+    countAttendance(attendance, month, year, employee)
+  );
+};
+
+/**
+ * Count the codes and derived counters the summary rules work from
+ * @param {Object} attendance - Attendance object with day-code mapping
+ * @param {String} month - Current month
+ * @param {Number} year - Current year
+ * @param {Object} employee - Employee the attendance belongs to (optional)
+ * @returns {Object} Day count per code, bucket totals and the other
+ *   SUMMARY_COUNTERS
+ */
+export const countAttendance = (attendance, month, year, employee = null) => {
+  const codes = getAttendanceCodes();
+  const daysInMonth = getDaysInMonth(month, year);
+  const weeklyOffs = getWeeklyOffsInMonth(month, year, employee);
+  const holidays = getHolidaysInMonth(month, year, employee?.location);
+  const counters = {
+    holyDayWorking: 0,
+    offDayWorking: 0,
+    weeklyOffs: weeklyOffs.length,
+    holidays: holidays.length,
+    workingDaysInMonth: daysInMonth - new Set([...weeklyOffs, ...holidays]).size,
+    daysInMonth,
+    unmarked: 0
   };
+  SUMMARY_BUCKETS.forEach(bucket => {
+    counters[bucket.key] = 0;
+  });
   
-  const daysInMonth = getDaysInMonth(month, year);
-  const sundays = getSundaysInMonth(month, year);
-  const holidays = getHolidaysInMonth(month, year);
+  const bucketsOf = (code) => codes[code]?.buckets || {};
   
-  // First pass: Count basic attendance codes
   for (let day = 1; day <= daysInMonth; day++) {
-    const code = attendance[day];
-    if (!code) continue;
-    
-    const upperCode = code.toUpperCase();
-    
-    switch (upperCode) {
-      case 'P':
-        summaries.totalPresent++;
-        break;
-      case 'A':
-        summaries.totalAbsent++;
-        break;
-      case 'O':
-        summaries.totalOff++;
-        break;
-      case 'S':
-        summaries.totalSundays++;
-        break;
-      case 'H':
-        summaries.totalHolidays++;
-        break;
-      case 'N':
-        summaries.totalNightShift++;
-        break;
-      case 'L':
-        summaries.totalOnLeave++;
-        break;
-      case 'WFH':
-        summaries.totalPresent++;
-        break;
-      case 'HD':
-        summaries.totalPresent += 0.5;
-        break;
-      default:
-        // Unknown code - ignore
-        break;
+    const parts = getDayParts(attendance[day]);
+    if (parts.length === 0) {
+      counters.unmarked++;
+      continue;
     }
-  }
-  
-  // Second pass: Calculate Holy Day Working and Off Day Working
-  for (let day = 1; day <= daysInMonth; day++) {
-    const code = attendance[day];
-    if (!code) continue;
     
-    const upperCode = code.toUpperCase();
+    // Each half of a split day counts for half a day
+    let workedFraction = 0;
+    parts.forEach(({ code, fraction }) => {
+      counters[code] = (counters[code] || 0) + fraction;
+      
+      const buckets = bucketsOf(code);
+      Object.entries(buckets).forEach(([bucket, weight]) => {
+        counters[bucket] += weight * fraction;
+      });
+      if (buckets.workedDays) workedFraction += fraction;
+    });
+    
+    if (workedFraction === 0) continue;
     
-    // Holy Day Working: Working on Sundays or Holidays
-    if ((sundays.includes(day) || holidays.includes(day)) && 
-        (upperCode === 'P' || upperCode === 'N' || upperCode === 'WFH')) {
-      summaries.totalHolyDayWorking++;
+    // Holy Day Working: Working on weekly offs or Holidays
+    if (weeklyOffs.includes(day) || holidays.includes(day)) {
+      counters.holyDayWorking += workedFraction;
     }
     
-    // Off Day Working: Check if previous day was Off and current day is working
-    if (day > 1) {
-      const prevDayCode = attendance[day - 1]?.toUpperCase();
-      if (prevDayCode === 'O' && (upperCode === 'P' || upperCode === 'N' || upperCode === 'WFH')) {
-        summaries.totalOffDayWorking++;
-      }
+    // Off Day Working: Check if the previous day ended Off and this day is working
+    const previousParts = day > 1 ? getDayParts(attendance[day - 1]) : [];
+    const previousEnd = previousParts[previousParts.length - 1];
+    if (previousEnd && bucketsOf(previousEnd.code).offDays) {
+      counters.offDayWorking += workedFraction;
     }
   }
   
-  // Calculate Total Working Days using Excel formula:
-  // =Total Present + Total Off + Total Sundays + Total Holidays + Total Night Shift + (Total Holy Day Working * 2) + (Total Off Day Working * 0.5)
-  summaries.totalWorkingDays = Math.floor(
-    summaries.totalPresent + 
-    summaries.totalOff + 
-    summaries.totalSundays + 
-    summaries.totalHolidays + 
-    summaries.totalNightShift + 
-    (summaries.totalHolyDayWorking * 2) + 
-    (summaries.totalOffDayWorking * 0.5)
-  );
-  
-  // Round Present for display
-  summaries.totalPresent = Math.floor(summaries.totalPresent);
-  
-  return summaries;
+  return counters;
 };
 
 /**
- * Get all Sundays in a month
+ * Get the weekly-off days in a month under the work-week policy
  * @param {String} month - Month name
  * @param {Number} year - Year
- * @returns {Array} Array of day numbers that are Sundays
+ * @param {Object} employee - Employee whose override applies (omit for the
+ *   organisation policy)
+ * @returns {Array} Array of day numbers that are weekly offs
  */
-export const getSundaysInMonth = (month, year) => {
-  const sundays = [];
-  const monthIndex = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
-                     'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'].indexOf(month);
-  const daysInMonth = getDaysInMonth(month, year);
-  
-  for (let day = 1; day <= daysInMonth; day++) {
-    const date = new Date(year, monthIndex, day);
-    if (date.getDay() === 0) { // 0 = Sunday
-      sundays.push(day);
-    }
-  }
-  
-  return sundays;
+export const getWeeklyOffsInMonth = (month, year, employee = null) => {
+  return getWeeklyOffsForMonth(
+    resolveWorkWeekPolicy(getWorkWeekPolicy(), employee),
+    month,
+    year
+  );
 };
 
 /**
- * Get holidays in a month (customize based on your organization)
+ * Get holidays in a month from the holiday calendar
  * @param {String} month - Month name
  * @param {Number} year - Year
+ * @param {String} location - Employee location (omit for company-wide holidays only)
  * @returns {Array} Array of day numbers that are holidays
  */
-export const getHolidaysInMonth = (month, year) => {
-  // Define your organization's holidays here
-  const holidays = {
-    'Jan': [1, 26], // New Year, Republic Day
-    'Feb': [],
-    'Mar': [21], // Holi
-    'Apr': [14], // Ambedkar Jayanti
-    'May': [1], // May Day
-    'Jun': [],
-    'Jul': [],
-    'Aug': [15], // Independence Day
-    'Sep': [],
-    'Oct': [2, 24], // Gandhi Jayanti, Dussehra
-    'Nov': [12], // Diwali
-    'Dec': [25] // Christmas
-  };
+export const getHolidaysInMonth = (month, year, location = '') => {
+  const days = getHolidaysForMonth(getHolidayCalendar(), month, year, location || '')
+    .map(holiday => holiday.day);
   
-  return holidays[month] || [];
+  return [...new Set(days)];
 };
 
 /**
@@ -204,7 +175,11 @@ export const createEmployee = (data = {}) => {
     joiningDate: data.joiningDate || '',
     email: data.email || '',
     phone: data.phone || '',
+    location: data.location || '',
+    workWeekPolicy: data.workWeekPolicy || null,
+    leaveEntitlements: data.leaveEntitlements || {},
     attendance: data.attendance || {},
+    monthlyData: data.monthlyData || {},
     summaries: data.summaries || {
       totalPresent: 0,
       totalOff: 0,
@@ -245,7 +220,8 @@ export const updateEmployeeAttendance = (employee, day, code, month, year) => {
   updatedEmployee.summaries = calculateSummaries(
     updatedEmployee.attendance, 
     month, 
-    year
+    year,
+    updatedEmployee
   );
   
   return updatedEmployee;
@@ -275,25 +251,146 @@ export const bulkUpdateAttendance = (employee, updates, month, year) => {
   updatedEmployee.summaries = calculateSummaries(
     updatedEmployee.attendance, 
     month, 
-    year
+    year,
+    updatedEmployee
   );
   
   return updatedEmployee;
 };
 
 /**
- * Mark weekends automatically
+ * Get the stored data for one month of an employee's history
+ * @param {Object} employee - Employee object
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @returns {Object|null} { attendance, summaries } or null if nothing is stored
+ */
+export const getMonthData = (employee, month, year) => {
+  return employee.monthlyData?.[getMonthKey(month, year)] || null;
+};
+
+/**
+ * Set an employee's attendance for a month, keeping monthlyData in step
+ * @param {Object} employee - Employee object
+ * @param {Object} attendance - Attendance object with day-code mapping
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @returns {Object} Updated employee object
+ */
+export const applyMonthAttendance = (employee, attendance, month, year) => {
+  const summaries = calculateSummaries(attendance, month, year, employee);
+  
+  return {
+    ...employee,
+    month,
+    attendance,
+    summaries,
+    monthlyData: {
+      ...(employee.monthlyData || {}),
+      [getMonthKey(month, year)]: { ...getMonthData(employee, month, year), attendance, summaries }
+    }
+  };
+};
+
+/**
+ * Set codes on days in any months of an employee's history, keeping the
+ * visible month in step
+ * @param {Object} employee - Employee object
+ * @param {Array} entries - [{ month, year, day, code }] ('' clears the day)
+ * @param {String} month - Visible month
+ * @param {Number} year - Visible year
+ * @returns {Object} Updated employee object
+ */
+export const applyAttendanceDays = (employee, entries, month, year) => {
+  const visibleKey = getMonthKey(month, year);
+  const entriesByMonth = new Map();
+  entries.forEach(entry => {
+    const key = getMonthKey(entry.month, entry.year);
+    entriesByMonth.set(key, [...(entriesByMonth.get(key) || []), entry]);
+  });
+  
+  let updatedEmployee = employee;
+  entriesByMonth.forEach((monthEntries, key) => {
+    const { month: entryMonth, year: entryYear } = monthEntries[0];
+    const attendance = key === visibleKey
+      ? { ...updatedEmployee.attendance }
+      : { ...(getMonthData(updatedEmployee, entryMonth, entryYear)?.attendance || {}) };
+    
+    monthEntries.forEach(({ day, code }) => {
+      if (code) {
+        attendance[day] = code;
+      } else {
+        delete attendance[day];
+      }
+    });
+    
+    if (key === visibleKey) {
+      updatedEmployee = applyMonthAttendance(updatedEmployee, attendance, month, year);
+    } else {
+      updatedEmployee = {
+        ...updatedEmployee,
+        monthlyData: {
+          ...(updatedEmployee.monthlyData || {}),
+          [key]: {
+            ...getMonthData(updatedEmployee, entryMonth, entryYear),
+            attendance,
+            summaries: calculateSummaries(attendance, entryMonth, entryYear, updatedEmployee)
+          }
+        }
+      };
+    }
+  });
+  
+  return updatedEmployee;
+};
+
+/**
+ * Recalculate summaries for every month on record for an employee, plus
+ * the visible month. Locked months keep the summaries payroll was run on,
+ * and imported months keep the sheet totals chosen over their day codes.
+ * @param {Object} employee - Employee object
+ * @param {String} month - Visible month
+ * @param {Number} year - Visible year
+ * @param {Array} lockedMonthKeys - Year-month keys to leave alone
+ * @returns {Object} Updated employee object
+ */
+export const recalculateEmployeeSummaries = (employee, month, year, lockedMonthKeys = []) => {
+  const monthlyData = {};
+  const isFrozen = (key, monthData) => (
+    lockedMonthKeys.includes(key) || monthData?.summaryCheck?.kept === SUMMARY_SOURCES.SHEET
+  );
+  
+  Object.entries(employee.monthlyData || {}).forEach(([key, monthData]) => {
+    const period = parseMonthKey(key);
+    monthlyData[key] = period && !isFrozen(key, monthData) ? {
+      ...monthData,
+      summaries: calculateSummaries(monthData.attendance || {}, period.month, period.year, employee)
+    } : monthData;
+  });
+  
+  const visibleKey = getMonthKey(month, year);
+  const frozenSummaries = isFrozen(visibleKey, monthlyData[visibleKey]) && monthlyData[visibleKey]?.summaries;
+  
+  return {
+    ...employee,
+    monthlyData,
+    summaries: frozenSummaries || calculateSummaries(employee.attendance || {}, month, year, employee)
+  };
+};
+
+/**
+ * Mark weekly offs automatically, following the employee's work-week policy
  * @param {Object} employee - Employee object
  * @param {String} month - Current month
  * @param {Number} year - Current year
- * @param {String} code - Code to mark (default 'S' for Sunday)
+ * @param {String} code - Code to mark (default 'S' for Sunday / weekly off)
  * @returns {Object} Updated employee object
  */
 export const markWeekends = (employee, month, year, code = 'S') => {
-  const updatedEmployee = { ...employee };
-  const sundays = getSundaysInMonth(month, year);
+  const updatedEmployee = { ...employee, attendance: { ...employee.attendance } };
+  const weeklyOffs = getWeeklyOffsInMonth(month, year, employee);
   
-  sundays.forEach(day => {
+  weeklyOffs.forEach(day => {
     if (!updatedEmployee.attendance[day]) {
       updatedEmployee.attendance[day] = code;
     }
@@ -303,7 +400,8 @@ export const markWeekends = (employee, month, year, code = 'S') => {
   updatedEmployee.summaries = calculateSummaries(
     updatedEmployee.attendance, 
     month, 
-    year
+    year,
+    updatedEmployee
   );
   
   return updatedEmployee;
@@ -318,8 +416,8 @@ export const markWeekends = (employee, month, year, code = 'S') => {
  * @returns {Object} Updated employee object
  */
 export const markHolidays = (employee, month, year, code = 'H') => {
-  const updatedEmployee = { ...employee };
-  const holidays = getHolidaysInMonth(month, year);
+  const updatedEmployee = { ...employee, attendance: { ...employee.attendance } };
+  const holidays = getHolidaysInMonth(month, year, employee.location);
   
   holidays.forEach(day => {
     if (!updatedEmployee.attendance[day]) {
@@ -331,7 +429,8 @@ export const markHolidays = (employee, month, year, code = 'H') => {
   updatedEmployee.summaries = calculateSummaries(
     updatedEmployee.attendance, 
     month, 
-    year
+    year,
+    updatedEmployee
   );
   
   return updatedEmployee;
@@ -0,0 +1,177 @@
+import { STORAGE_KEYS, getMonthKey } from '../utils/constants';
+
+// In-memory copies of the stored log and editor name
+let auditCache = null;
+let editorNameCache = null;
+
+/**
+ * Get the attendance change log, loading it from local storage the first time
+ * @returns {Array} Changes, oldest first
+ */
+export const getAuditLog = () => {
+  if (auditCache) return auditCache;
+  
+  try {
+    const dataStr = localStorage.getItem(STORAGE_KEYS.AUDIT_LOG);
+    if (dataStr) {
+      auditCache = JSON.parse(dataStr).entries || [];
+      return auditCache;
+    }
+  } catch (error) {
+    console.error('Load audit log failed:', error);
+  }
+  
+  auditCache = [];
+  return auditCache;
+};
+
+/**
+ * Persist the change log. If local storage is full the oldest changes are
+ * dropped from the stored copy until it fits; export the log regularly to
+ * keep a full record.
+ * @param {Array} entries - Changes, oldest first
+ * @returns {Boolean} True if every change was saved
+ */
+export const saveAuditLog = (entries) => {
+  auditCache = entries;
+  let stored = entries;
+  
+  while (true) {
+    try {
+      localStorage.setItem(STORAGE_KEYS.AUDIT_LOG, JSON.stringify({
+        entries: stored,
+        timestamp: new Date().toISOString()
+      }));
+      return stored.length === entries.length;
+    } catch (error) {
+      if (stored.length === 0) {
+        console.error('Save audit log failed:', error);
+        return false;
+      }
+      stored = stored.slice(Math.ceil(stored.length / 10));
+    }
+  }
+};
+
+/**
+ * Add changes to the end of the log
+ * @param {Array} entries - New changes
+ * @returns {Object} { log, complete } - the updated log, and false if the
+ *   oldest changes had to be left out of the stored copy
+ */
+export const appendAuditEntries = (entries) => {
+  const log = [...getAuditLog(), ...entries];
+  return { log, complete: saveAuditLog(log) };
+};
+
+/**
+ * Get the name changes are recorded under
+ * @returns {String} Editor's name, or '' if not set
+ */
+export const getEditorName = () => {
+  if (editorNameCache === null) {
+    editorNameCache = localStorage.getItem(STORAGE_KEYS.EDITOR_NAME) || '';
+  }
+  return editorNameCache;
+};
+
+/**
+ * Set the name changes are recorded under
+ * @param {String} name - Editor's name
+ */
+export const saveEditorName = (name) => {
+  editorNameCache = name;
+  localStorage.setItem(STORAGE_KEYS.EDITOR_NAME, name);
+};
+
+/**
+ * Compare employees before and after a change, cell by cell across every
+ * month on record. Employees who were removed are reported with every day
+ * they had cleared.
+ * @param {Array} before - Employees before the change
+ * @param {Array} after - Employees after the change
+ * @param {Object} meta - { source, reason, editor }
+ * @returns {Array} [{ empId, employeeName, monthKey, day, oldValue, newValue, editor, reason, source, timestamp }]
+ */
+export const diffAttendance = (before, after, meta) => {
+  const beforeById = new Map(before.map(emp => [emp.empId, emp]));
+  const afterIds = new Set(after.map(emp => emp.empId));
+  const removed = before
+    .filter(emp => !afterIds.has(emp.empId))
+    .map(emp => ({ ...emp, monthlyData: {} }));
+  const timestamp = new Date().toISOString();
+  const entries = [];
+  
+  [...after, ...removed].forEach(emp => {
+    const previous = beforeById.get(emp.empId);
+    if (previous === emp) return;
+    
+    const oldMonths = previous?.monthlyData || {};
+    const newMonths = emp.monthlyData || {};
+    new Set([...Object.keys(oldMonths), ...Object.keys(newMonths)]).forEach(monthKey => {
+      const oldAttendance = oldMonths[monthKey]?.attendance || {};
+      const newAttendance = newMonths[monthKey]?.attendance || {};
+      if (oldAttendance === newAttendance) return;
+      
+      new Set([...Object.keys(oldAttendance), ...Object.keys(newAttendance)]).forEach(day => {
+        const oldValue = oldAttendance[day] || '';
+        const newValue = newAttendance[day] || '';
+        if (oldValue === newValue) return;
+        
+        entries.push({
+          empId: emp.empId,
+          employeeName: emp.employeeName,
+          monthKey,
+          day: Number(day),
+          oldValue,
+          newValue,
+          editor: meta.editor || '',
+          reason: meta.reason || '',
+          source: meta.source || '',
+          timestamp
+        });
+      });
+    });
+  });
+  
+  return entries;
+};
+
+/**
+ * Get the changes made to a month
+ * @param {Array} log - Change log
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @returns {Array} Changes, oldest first
+ */
+export const getMonthChanges = (log, month, year) => {
+  const monthKey = getMonthKey(month, year);
+  return log.filter(entry => entry.monthKey === monthKey);
+};
+
+/**
+ * Group a month's changes by employee and day, for the cell history
+ * @param {Array} log - Change log
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @returns {Object} { [empId]: { [day]: changes, newest first } }
+ */
+export const getCellChangesByEmployee = (log, month, year) => {
+  const byEmployee = {};
+  
+  getMonthChanges(log, month, year).forEach(entry => {
+    const byDay = byEmployee[entry.empId] || (byEmployee[entry.empId] = {});
+    (byDay[entry.day] || (byDay[entry.day] = [])).unshift(entry);
+  });
+  
+  return byEmployee;
+};
+
+/**
+ * Get the date a change applies to
+ * @param {Object} entry - Change
+ * @returns {String} Date as 'YYYY-MM-DD'
+ */
+export const getChangeDate = (entry) => {
+  return `${entry.monthKey}-${String(entry.day).padStart(2, '0')}`;
+};
@@ -0,0 +1,282 @@
+import { STORAGE_KEYS } from '../utils/constants';
+import { parseDateText } from '../utils/csv';
+
+// Header texts that usually name each field
+const FIELD_ALIASES = {
+  empId: [
+    'emp id', 'employee id', 'emp no', 'employee no', 'emp code', 'employee code',
+    'staff id', 'staff no', 'id', 'code'
+  ],
+  employeeName: ['employee name', 'emp name', 'staff name', 'full name', 'name'],
+  month: ['month', 'period', 'month/year']
+};
+
+// Rows searched for the header row
+const HEADER_SCAN_ROWS = 10;
+
+// Day headers such as "1", "01", "Day 1", "1st", "1-Jan" or "Mon 1"
+const DAY_HEADER_PATTERNS = [
+  /^(?:day\s*)?(\d{1,2})(?:st|nd|rd|th)?(?:$|[\s\-/.]+[a-z])/i,
+  /^[a-z]{3,9}\.?\s+(\d{1,2})$/i
+];
+
+// In-memory copy of the saved mappings
+let mappingsCache = null;
+
+/**
+ * Get the saved column mappings, loading them from local storage the first time
+ * @returns {Array} [{ id, name, columns: { empId, employeeName, month, days } }]
+ */
+export const getColumnMappings = () => {
+  if (mappingsCache) return mappingsCache;
+  
+  try {
+    const dataStr = localStorage.getItem(STORAGE_KEYS.COLUMN_MAPPINGS);
+    if (dataStr) {
+      mappingsCache = JSON.parse(dataStr).mappings || [];
+      return mappingsCache;
+    }
+  } catch (error) {
+    console.error('Load column mappings failed:', error);
+  }
+  
+  mappingsCache = [];
+  return mappingsCache;
+};
+
+/**
+ * Persist the column mappings
+ * @param {Array} mappings - Column mappings
+ * @returns {Boolean} True if saved
+ */
+export const saveColumnMappings = (mappings) => {
+  mappingsCache = mappings;
+  
+  try {
+    localStorage.setItem(STORAGE_KEYS.COLUMN_MAPPINGS, JSON.stringify({
+      mappings,
+      timestamp: new Date().toISOString()
+    }));
+    return true;
+  } catch (error) {
+    console.error('Save column mappings failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Header text as it is compared: trimmed, lower-case, single-spaced
+ * @param {*} value - Header cell
+ * @returns {String} Normalized text
+ */
+export const normalizeHeader = (value) => (value ?? '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Read the day of the month a day-column header stands for
+ * @param {*} value - Header cell: a day number, an Excel date or day text
+ * @returns {Number|null} Day 1-31, or null if the header isn't a day
+ */
+export const getDayFromHeader = (value) => {
+  if (typeof value === 'number') {
+    if (Number.isInteger(value) && value >= 1 && value <= 31) return value;
+    // Excel date serial
+    if (value > 31) return new Date(Date.UTC(1899, 11, 30) + Math.floor(value) * 86400000).getUTCDate();
+    return null;
+  }
+  
+  const text = (value ?? '').toString().trim();
+  const date = parseDateText(text);
+  if (date) return Number(date.slice(8));
+  
+  for (const pattern of DAY_HEADER_PATTERNS) {
+    const match = pattern.exec(text);
+    const day = match ? Number(match[1]) : 0;
+    if (day >= 1 && day <= 31) return day;
+  }
+  return null;
+};
+
+/**
+ * Find the column a field's header text sits in
+ * @param {Array} headers - Normalized header row
+ * @param {String} header - Header text from the mapping
+ * @returns {Number|null} Column index, or null if not mapped or not found
+ */
+const findColumn = (headers, header) => {
+  if (!header) return null;
+  const index = headers.indexOf(normalizeHeader(header));
+  return index === -1 ? null : index;
+};
+
+/**
+ * Where each field sits in a sheet, given its header row and a mapping
+ * @param {Array} rows - Sheet rows
+ * @param {Number} headerRow - Index of the header row
+ * @param {Object} mapping - Column mapping
+ * @returns {Object|null} { headerRow, dataStartRow, empId, employeeName,
+ *   month, days: { day: column } }, or null if the headers don't fit
+ */
+export const getSheetLayout = (rows, headerRow, mapping) => {
+  const headerCells = rows[headerRow] || [];
+  const headers = Array.from(headerCells, normalizeHeader);
+  const { columns } = mapping;
+  const layout = {
+    headerRow,
+    dataStartRow: headerRow + 1,
+    empId: findColumn(headers, columns.empId),
+    employeeName: findColumn(headers, columns.employeeName),
+    month: findColumn(headers, columns.month),
+    days: {}
+  };
+  
+  if (layout.empId === null) return null;
+  if (columns.employeeName && layout.employeeName === null) return null;
+  if (columns.month && layout.month === null) return null;
+  
+  if (columns.days === 'auto') {
+    Array.from(headerCells).forEach((cell, index) => {
+      const day = getDayFromHeader(cell);
+      if (day && layout.days[day] === undefined && ![layout.empId, layout.employeeName, layout.month].includes(index)) {
+        layout.days[day] = index;
+      }
+    });
+  } else {
+    Object.entries(columns.days || {}).forEach(([day, header]) => {
+      const index = findColumn(headers, header);
+      if (index !== null) layout.days[day] = index;
+    });
+  }
+  
+  return Object.keys(layout.days).length > 0 ? layout : null;
+};
+
+/**
+ * Find the header row a mapping fits within the top of a sheet
+ * @param {Array} rows - Sheet rows
+ * @param {Object} mapping - Column mapping
+ * @returns {Object|null} Layout from getSheetLayout, or null if no row fits
+ */
+export const resolveSheetLayout = (rows, mapping) => {
+  for (let i = 0; i < Math.min(rows.length, HEADER_SCAN_ROWS); i++) {
+    const layout = getSheetLayout(rows, i, mapping);
+    if (layout) return layout;
+  }
+  return null;
+};
+
+/**
+ * Guess a mapping from a header row by the usual header texts, with day
+ * columns detected from their headers
+ * @param {Array} headerCells - Header row
+ * @returns {Object} { columns: { empId, employeeName, month, days: 'auto' } }
+ */
+export const suggestColumnMapping = (headerCells = []) => {
+  const headers = Array.from(headerCells, normalizeHeader);
+  const columns = { days: 'auto' };
+  
+  Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+    const alias = aliases.find(text => headers.includes(text));
+    columns[field] = alias ? (headerCells[headers.indexOf(alias)] ?? '').toString().trim() : '';
+  });
+  
+  return { columns };
+};
+
+/**
+ * Pick the row most likely to hold the column headers: the one whose cells
+ * name the most fields and days
+ * @param {Array} rows - Sheet rows
+ * @returns {Number} Row index, or -1 if nothing looks like a header
+ */
+export const detectHeaderRow = (rows) => {
+  let best = { index: -1, score: 0 };
+  
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((row, index) => {
+    const headers = Array.from(row || [], normalizeHeader);
+    const fields = Object.values(FIELD_ALIASES).filter(aliases => aliases.some(alias => headers.includes(alias))).length;
+    const days = Array.from(row || []).filter(cell => getDayFromHeader(cell)).length;
+    const score = fields > 0 && days > 0 ? fields * 10 + days : 0;
+    if (score > best.score) best = { index, score };
+  });
+  
+  return best.index;
+};
+
+/**
+ * Find a saved mapping that fits every one of the given sheets
+ * @param {Array} mappings - Saved column mappings
+ * @param {Array} sheets - [{ rows }] for the sheets to read
+ * @returns {Object|null} Matching mapping
+ */
+export const findColumnMapping = (mappings, sheets) => (
+  mappings.find(mapping => sheets.every(sheet => resolveSheetLayout(sheet.rows, mapping))) || null
+);
+
+/**
+ * Check a column mapping can read a sheet
+ * @param {Object} mapping - Column mapping
+ * @returns {Object} { isValid, errors }
+ */
+export const validateColumnMapping = (mapping) => {
+  const errors = [];
+  const { columns = {} } = mapping;
+  
+  if (!columns.empId) {
+    errors.push('Choose the Emp ID column');
+  }
+  if (columns.days !== 'auto' && Object.values(columns.days || {}).filter(Boolean).length === 0) {
+    errors.push('Map at least one day column');
+  }
+  
+  const used = [columns.empId, columns.employeeName, columns.month].filter(Boolean).map(normalizeHeader);
+  if (new Set(used).size !== used.length) {
+    errors.push('Emp ID, Name and Month need different columns');
+  }
+  
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Add or update a named mapping
+ * @param {Array} mappings - Saved mappings
+ * @param {Object} mapping - { id?, name, columns }
+ * @returns {Array} Updated mappings
+ */
+export const saveColumnMapping = (mappings, mapping) => {
+  const name = (mapping.name || '').trim();
+  if (!name) {
+    throw new Error('Mapping name is required');
+  }
+  if (mappings.some(m => m.id !== mapping.id && m.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`A mapping named ${name} already exists`);
+  }
+  
+  const validation = validateColumnMapping(mapping);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '));
+  }
+  
+  const saved = {
+    id: mapping.id || `mapping-${Date.now().toString(36)}`,
+    name,
+    columns: {
+      empId: mapping.columns.empId,
+      employeeName: mapping.columns.employeeName || '',
+      month: mapping.columns.month || '',
+      days: mapping.columns.days === 'auto' ? 'auto' : { ...mapping.columns.days }
+    }
+  };
+  const exists = mappings.some(m => m.id === saved.id);
+  
+  return exists
+    ? mappings.map(m => (m.id === saved.id ? saved : m))
+    : [...mappings, saved];
+};
+
+/**
+ * Remove a saved mapping
+ * @param {Array} mappings - Saved mappings
+ * @param {String} id - Mapping id
+ * @returns {Array} Updated mappings
+ */
+export const deleteColumnMapping = (mappings, id) => mappings.filter(mapping => mapping.id !== id);
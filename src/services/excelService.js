@@ -1,40 +1,135 @@
-import * as XLSX from 'xlsx';
+import * as XLSX from 'xlsx-js-style';
 import { saveAs } from 'file-saver';
 import { 
   EXCEL_COLUMNS, 
-  normalizeAttendanceCode,
+  MONTHS,
+  BACKUP_VERSION,
   getDaysInMonth,
-  SUMMARY_COLUMNS 
+  getMonthKey,
+  parseMonthKey,
+  SUMMARY_COLUMNS,
+  STANDARD_COLUMN_MAPPING,
+  FILE_TYPES,
+  VALIDATION,
+  IMPORT_ISSUE_SEVERITIES,
+  IMPORT_ISSUE_TYPES,
+  SUMMARY_SOURCES
 } from '../utils/constants';
+import { parseCSV, detectDelimiter, decodeText } from '../utils/csv';
+import {
+  calculateSummaries,
+  getMonthData,
+  getWeeklyOffsInMonth,
+  getHolidaysInMonth
+} from './attendanceService';
+import {
+  getAttendanceCodes,
+  normalizeAttendanceCode,
+  splitDayValue
+} from './attendanceCodeService';
+import { getChangeDate } from './auditService';
+import { getActiveSummaryRuleSet, getSummaryFormulas } from './summaryRulesService';
+import { parsePunchLogCSV } from './punchLogService';
+import {
+  normalizeHeader,
+  detectHeaderRow,
+  suggestColumnMapping,
+  getSheetLayout,
+  resolveSheetLayout
+} from './columnMappingService';
+
+// Where the columns sit in sheets laid out like this app's export: headers
+// on row 1, a blank row, then employees from row 3 with Emp ID in column B,
+// Month in D, days 1-31 from E and the summaries from column AJ
+const STANDARD_LAYOUT = {
+  dataStartRow: 2,
+  empId: 1,
+  employeeName: 2,
+  month: 3,
+  days: Object.fromEntries(Array.from({ length: 31 }, (_, i) => [i + 1, i + 4])),
+  summaryStart: 35
+};
+
+// Fills for the header row and for weekly off and holiday day columns
+const HEADER_FILL = 'CCFFFF';
+const WEEKLY_OFF_FILL = 'E0E0E0';
+const HOLIDAY_FILL = 'FFE0B2';
+
+const THIN_BORDER = {
+  top: { style: 'thin', color: { rgb: '000000' } },
+  bottom: { style: 'thin', color: { rgb: '000000' } },
+  left: { style: 'thin', color: { rgb: '000000' } },
+  right: { style: 'thin', color: { rgb: '000000' } }
+};
+
+// Sheets the exports add next to the attendance; reading the file back
+// passes over them
+const LEGEND_SHEET = 'Legend';
+const IMPORT_REPORT_SHEET = 'Import Report';
+const getYearSummarySheetName = (year) => `Summary ${year}`;
+const isExportExtraSheet = (sheetName) => (
+  sheetName === LEGEND_SHEET ||
+  /^Summary \d{4}$/.test(sheetName) ||
+  /^Import Report( \(\d+\))?$/.test(sheetName)
+);
+
+// Rows of an unmapped sheet kept for the mapping step
+const MAPPING_SAMPLE_ROWS = 20;
+
+// Files that can be loaded; delimited text is read into a one-sheet workbook
+const SPREADSHEET_TYPES = [FILE_TYPES.EXCEL, FILE_TYPES.EXCEL_LEGACY, FILE_TYPES.ODS];
+const TEXT_TYPES = [FILE_TYPES.CSV, FILE_TYPES.TSV];
 
 /**
- * Read Excel file and convert to JSON format
- * @param {File} file - Excel file to read
- * @returns {Promise<Array>} Array of employee attendance data
+ * Lower-case extension of a file name, with its dot
+ * @param {String} filename - File name
+ * @returns {String} Extension such as '.csv', or '' if there is none
  */
-export const readExcelFile = (file) => {
+const getFileExtension = (filename) => {
+  const match = /\.[^.]+$/.exec(filename || '');
+  return match ? match[0].toLowerCase() : '';
+};
+
+/**
+ * Turn a CSV or TSV file into a one-sheet workbook named after the file,
+ * so it goes through the same parsing as a spreadsheet
+ * @param {ArrayBuffer} buffer - Raw file bytes
+ * @param {String} filename - File name; it can supply the month
+ * @returns {Object} Workbook
+ */
+const readDelimitedWorkbook = (buffer, filename) => {
+  const text = decodeText(buffer);
+  const rows = parseCSV(text, detectDelimiter(text));
+  const sheetName = filename.replace(/\.[^.]+$/, '').slice(0, 31) || 'Sheet1';
+  
+  return {
+    SheetNames: [sheetName],
+    Sheets: { [sheetName]: XLSX.utils.aoa_to_sheet(rows) }
+  };
+};
+
+/**
+ * Read every sheet of an Excel workbook and merge them into one set of
+ * employees, each carrying the months found across all sheets. OpenDocument
+ * files read the same way, and a CSV or TSV file reads as a single sheet.
+ * @param {File} file - Spreadsheet or delimited text file to read
+ * @param {Number} defaultYear - Year for sheets/rows that don't name one
+ * @param {Object} mapping - Column mapping for sheets not in the standard
+ *   layout (optional; without one such sheets come back in unmappedSheets)
+ * @returns {Promise<Object>} { employees, importedSheets, skippedSheets,
+ *   unknownCodes, unmappedSheets }
+ */
+export const readExcelWorkbook = (file, defaultYear = new Date().getFullYear(), mapping = null) => {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     
     reader.onload = (e) => {
       try {
-        const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-        
-        // Get first sheet
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
+        const workbook = TEXT_TYPES.includes(getFileExtension(file.name))
+          ? readDelimitedWorkbook(e.target.result, file.name)
+          : XLSX.read(new Uint8Array(e.target.result), { type: 'array' });
         
-        // Convert to JSON
-        const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
-          header: 1,
-          defval: null,
-          blankrows: false 
-        });
-        
-        // Parse the data
-        const employees = parseExcelData(jsonData);
-        resolve(employees);
+        resolve(parseWorkbook(workbook, defaultYear, mapping));
       } catch (error) {
         reject(new Error('Failed to read Excel file: ' + error.message));
       }
@@ -49,24 +144,250 @@ export const readExcelFile = (file) => {
 };
 
 /**
- * Parse Excel data into structured format
- * @param {Array} data - Raw Excel data
- * @returns {Array} Structured employee data
+ * Read a biometric punch log exported as CSV (Emp ID, Timestamp, Device)
+ * @param {File} file - CSV file to read
+ * @returns {Promise<Object>} { punches, skipped }
+ */
+export const readPunchLogFile = (file) => {
+  return new Promise((resolve, reject) => {
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+      reject(new Error('Please upload the punch log as a CSV (.csv) file'));
+      return;
+    }
+    
+    const reader = new FileReader();
+    
+    reader.onload = (e) => {
+      const result = parsePunchLogCSV(e.target.result);
+      
+      if (result.punches.length === 0) {
+        reject(new Error('No punches found in ' + file.name));
+        return;
+      }
+      resolve(result);
+    };
+    
+    reader.onerror = (error) => {
+      reject(new Error('File reading failed: ' + error.message));
+    };
+    
+    reader.readAsText(file);
+  });
+};
+
+/**
+ * Whether a sheet has this app's own header row
+ * @param {Array} rows - Sheet rows
+ * @returns {Boolean} True for the standard layout
  */
-const parseExcelData = (data) => {
-  if (!data || data.length < 3) {
-    return [];
+const isStandardLayout = (rows) => (
+  normalizeHeader(rows[0]?.[STANDARD_LAYOUT.empId]) === normalizeHeader(EXCEL_COLUMNS.EMP_ID) &&
+  Number(rows[0]?.[STANDARD_LAYOUT.days[1]]) === 1
+);
+
+/**
+ * Choose how to read a sheet. Sheets in the standard layout always read as
+ * such; others follow the mapping. Without a mapping, a sheet whose headers
+ * name an Emp ID and day columns needs one, and anything else is read at
+ * the standard positions as before.
+ * @param {Array} rows - Sheet rows
+ * @param {Object|null} mapping - Column mapping
+ * @returns {Object} { layout } or { needsMapping: true, headerRow }
+ */
+const getLayoutForSheet = (rows, mapping) => {
+  if (isStandardLayout(rows) || mapping?.id === STANDARD_COLUMN_MAPPING.id) {
+    return { layout: STANDARD_LAYOUT };
+  }
+  if (mapping) {
+    return { layout: resolveSheetLayout(rows, mapping) };
   }
   
+  const headerRow = detectHeaderRow(rows);
+  if (headerRow !== -1 && getSheetLayout(rows, headerRow, suggestColumnMapping(rows[headerRow]))) {
+    return { needsMapping: true, headerRow };
+  }
+  return { layout: STANDARD_LAYOUT };
+};
+
+/**
+ * Parse all sheets of a workbook, e.g. again with a column mapping once
+ * readExcelWorkbook has found sheets that need one
+ * @param {Object} workbook - Workbook from XLSX.read
+ * @param {Number} defaultYear - Year for sheets/rows that don't name one
+ * @param {Object|null} mapping - Column mapping for non-standard sheets
+ * @returns {Object} { employees, importedSheets, skippedSheets,
+ *   unknownCodes, unmappedSheets, issues, workbook }
+ */
+export const parseWorkbook = (workbook, defaultYear, mapping = null) => {
   const employeeMap = new Map();
+  const importedSheets = [];
+  const skippedSheets = [];
+  const unmappedSheets = [];
+  const unknownCodes = new Map();
+  const issues = [];
+  
+  workbook.SheetNames.filter(sheetName => !isExportExtraSheet(sheetName)).forEach(sheetName => {
+    const ws = workbook.Sheets[sheetName];
+    
+    // Convert to JSON, keeping blank rows so indexes match sheet rows
+    const jsonData = XLSX.utils.sheet_to_json(ws, { 
+      header: 1,
+      defval: null,
+      blankrows: true 
+    });
+    
+    const { layout, needsMapping, headerRow } = getLayoutForSheet(jsonData, mapping);
+    if (needsMapping) {
+      unmappedSheets.push({ name: sheetName, headerRow, rows: jsonData.slice(0, MAPPING_SAMPLE_ROWS) });
+      return;
+    }
+    if (!layout) {
+      skippedSheets.push({ name: sheetName, reason: `Headers don't match the ${mapping.name || 'column'} mapping` });
+      return;
+    }
+    if (jsonData.length <= layout.dataStartRow) {
+      skippedSheets.push({ name: sheetName, reason: 'Sheet has no employee rows' });
+      return;
+    }
+    
+    // The sheet name supplies the month for rows whose Month cell is blank
+    const sheetPeriod = resolveMonthCell(sheetName, defaultYear);
+    const report = {
+      sheetName,
+      origin: ws['!ref'] ? XLSX.utils.decode_range(ws['!ref']).s : { r: 0, c: 0 },
+      issues: []
+    };
+    const result = parseExcelData(jsonData, employeeMap, sheetPeriod, defaultYear, unknownCodes, layout, report);
+    
+    if (result.rowCount === 0 && result.unresolvedRows > 0) {
+      skippedSheets.push({
+        name: sheetName,
+        reason: 'Could not tell the month from the sheet name or its Month column'
+      });
+    } else if (result.rowCount === 0) {
+      skippedSheets.push({ name: sheetName, reason: 'Sheet has no employee rows' });
+    } else {
+      importedSheets.push({
+        name: sheetName,
+        rows: result.rowCount,
+        months: [...result.monthKeys],
+        unresolvedRows: result.unresolvedRows
+      });
+      // A skipped sheet is explained by its reason rather than row by row
+      issues.push(...report.issues);
+    }
+  });
+  
+  const employees = buildEmployees(employeeMap);
+  console.log(`Parsed ${employees.length} unique employees from ${importedSheets.length} sheet(s)`);
+  
+  return {
+    employees,
+    importedSheets,
+    skippedSheets,
+    unknownCodes: [...unknownCodes].map(([code, count]) => ({ code, count })),
+    unmappedSheets,
+    issues,
+    workbook
+  };
+};
+
+// Month names as they appear in sheet names and Month cells
+const MONTH_NAME_PATTERN = /(?:^|[^a-z])(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)(?![a-z])[\s\-_/',.]*(\d{2}(?!\d))?/i;
+
+/**
+ * Work out which month and year a Month cell or sheet name refers to.
+ * Accepts 'Jan', 'January', 'Jan-2026', 'Jan 26', '2026-01', 'Attendance Jan 2026'
+ * or an Excel date serial.
+ * @param {*} value - Raw Month cell value or sheet name
+ * @param {Number} defaultYear - Year to use when the value doesn't carry one
+ * @returns {Object|null} { month, year }, or null if no month can be found
+ */
+const resolveMonthCell = (value, defaultYear) => {
+  // Excel date serial (month cells formatted as dates)
+  if (typeof value === 'number') {
+    if (value <= 31) return null;
+    const date = XLSX.SSF.parse_date_code(value);
+    return date ? { month: MONTHS[date.m - 1].value, year: date.y } : null;
+  }
+  
+  const text = (value ?? '').toString().trim();
+  
+  const fromKey = parseMonthKey(text);
+  if (fromKey) return fromKey;
+  
+  const match = MONTH_NAME_PATTERN.exec(text);
+  if (!match) return null;
+  
+  const monthObj = MONTHS.find(m => m.value.toLowerCase() === match[1].slice(0, 3).toLowerCase());
+  const fullYear = /(?:^|\D)((?:19|20)\d{2})(?!\d)/.exec(text);
+  
+  let year = defaultYear;
+  if (fullYear) {
+    year = parseInt(fullYear[1], 10);
+  } else if (match[2]) {
+    year = 2000 + parseInt(match[2], 10);
+  }
+  
+  return { month: monthObj.value, year };
+};
+
+/**
+ * Record a problem found in a cell while reading a sheet
+ * @param {Object} report - { sheetName, origin, issues } for the sheet
+ * @param {Number} rowIndex - Index of the row in the sheet's rows
+ * @param {Number} column - Index of the column in the row
+ * @param {Object} issue - { severity, type, message, value, empId, ... }
+ */
+const addIssue = (report, rowIndex, column, issue) => {
+  if (!report) return;
+  
+  const address = { r: report.origin.r + rowIndex, c: report.origin.c + (column ?? 0) };
+  const cell = XLSX.utils.encode_cell(address);
+  report.issues.push({
+    id: `${report.sheetName}!${cell}:${issue.type}`,
+    sheet: report.sheetName,
+    cell,
+    row: address.r + 1,
+    column: XLSX.utils.encode_col(address.c),
+    value: '',
+    ...issue
+  });
+};
+
+/**
+ * Parse one sheet's rows into the shared employee map
+ * @param {Array} data - Raw sheet rows
+ * @param {Map} employeeMap - Employees collected so far, keyed by Emp ID
+ * @param {Object|null} sheetPeriod - { month, year } from the sheet name
+ * @param {Number} defaultYear - Year for Month cells that don't carry one
+ * @param {Map} unknownCodes - Counts of codes missing from the registry,
+ *   added to as cells are read
+ * @param {Object} layout - Where the columns sit (the standard layout, or
+ *   one resolved from a column mapping)
+ * @param {Object} report - { sheetName, origin, issues } to record problems
+ *   in, with origin the sheet's top-left cell (optional)
+ * @returns {Object} { rowCount, unresolvedRows, monthKeys }
+ */
+const parseExcelData = (data, employeeMap, sheetPeriod, defaultYear, unknownCodes = new Map(), layout = STANDARD_LAYOUT, report = null) => {
+  const codes = getAttendanceCodes();
+  const result = { rowCount: 0, unresolvedRows: 0, monthKeys: new Set() };
+  
+  if (!data || data.length <= layout.dataStartRow) {
+    return result;
+  }
+  
+  const cellAt = (row, column) => (column === null ? null : row[column]);
+  const idHeader = layout.headerRow === undefined ? null : normalizeHeader(data[layout.headerRow][layout.empId]);
   let consecutiveEmptyRows = 0;
   
-  // Start from row 3 (index 2)
-  for (let i = 2; i < data.length; i++) {
+  for (let i = layout.dataStartRow; i < data.length; i++) {
     const row = data[i];
+    const idCell = row && cellAt(row, layout.empId);
+    const nameCell = row && cellAt(row, layout.employeeName);
     
     // Check if row is empty
-    if (!row || (!row[1] && !row[2]) || (row[1] === '' && row[2] === '')) {
+    if (!row || (!idCell && !nameCell) || (idCell === '' && nameCell === '')) {
       consecutiveEmptyRows++;
       if (consecutiveEmptyRows >= 5) {
         break;
@@ -76,29 +397,85 @@ const parseExcelData = (data) => {
     
     consecutiveEmptyRows = 0;
     
-    // Skip if no valid employee ID
-    if (!row[1] || row[1].toString().trim() === '') {
+    // Skip if no valid employee ID, or the header repeated further down
+    if (!idCell || idCell.toString().trim() === '' || normalizeHeader(idCell) === idHeader) {
+      continue;
+    }
+    
+    // A Month cell wins over the sheet name; a year-less one takes the sheet's year
+    const period = resolveMonthCell(cellAt(row, layout.month), sheetPeriod?.year ?? defaultYear) || sheetPeriod;
+    const empId = idCell.toString().trim();
+    if (!period) {
+      result.unresolvedRows++;
+      addIssue(report, i, layout.month ?? layout.empId, {
+        severity: IMPORT_ISSUE_SEVERITIES.ERROR,
+        type: IMPORT_ISSUE_TYPES.UNRESOLVED_MONTH,
+        empId,
+        value: (cellAt(row, layout.month) ?? '').toString(),
+        message: 'Could not tell the month; row not imported'
+      });
       continue;
     }
     
-    const empId = row[1].toString().trim();
-    const employeeName = row[2] || '';
-    const month = row[3] || 'Jan';
+    const employeeName = (nameCell ?? '').toString().trim();
+    const { month, year } = period;
+    const monthKey = getMonthKey(month, year);
+    
+    result.rowCount++;
+    result.monthKeys.add(monthKey);
     
     // Create or get employee
     if (!employeeMap.has(empId)) {
       employeeMap.set(empId, {
         empId: empId,
         employeeName: employeeName,
-        monthlyData: {}
+        monthlyData: {},
+        reportedNames: new Set([employeeName])
       });
+      
+      if (!VALIDATION.EMP_ID_PATTERN.test(empId)) {
+        addIssue(report, i, layout.empId, {
+          severity: IMPORT_ISSUE_SEVERITIES.WARNING,
+          type: IMPORT_ISSUE_TYPES.INVALID_EMP_ID,
+          empId,
+          value: empId,
+          message: `Emp ID doesn't match the format ${VALIDATION.EMP_ID_EXAMPLE}`
+        });
+      }
     }
     
     const employee = employeeMap.get(empId);
     
+    // The first name seen for an Emp ID is kept
+    if (employeeName && !employee.employeeName) {
+      employee.employeeName = employeeName;
+      employee.reportedNames.add(employeeName);
+    } else if (employeeName && !employee.reportedNames.has(employeeName)) {
+      employee.reportedNames.add(employeeName);
+      addIssue(report, i, layout.employeeName, {
+        severity: IMPORT_ISSUE_SEVERITIES.WARNING,
+        type: IMPORT_ISSUE_TYPES.NAME_CONFLICT,
+        empId,
+        value: employeeName,
+        options: [employee.employeeName, employeeName],
+        message: `${empId} is also named "${employee.employeeName}", which was kept`
+      });
+    }
+    
+    if (employee.monthlyData[monthKey]) {
+      addIssue(report, i, layout.empId, {
+        severity: IMPORT_ISSUE_SEVERITIES.WARNING,
+        type: IMPORT_ISSUE_TYPES.DUPLICATE_ROW,
+        empId,
+        monthKey,
+        value: empId,
+        message: `Another row has ${empId} for ${month} ${year}; this row's days are laid over it`
+      });
+    }
+    
     // Initialize month data
-    if (!employee.monthlyData[month]) {
-      employee.monthlyData[month] = {
+    if (!employee.monthlyData[monthKey]) {
+      employee.monthlyData[monthKey] = {
         attendance: {},
         summaries: {
           totalPresent: 0,
@@ -115,36 +492,76 @@ const parseExcelData = (data) => {
       };
     }
     
-    // Parse attendance for days 1-31
-    for (let day = 1; day <= 31; day++) {
-      const dayValue = row[day + 3];
-      if (dayValue !== null && dayValue !== undefined && dayValue !== '') {
-        employee.monthlyData[month].attendance[day] = normalizeAttendanceCode(dayValue);
+    // Parse attendance for the mapped days
+    for (const [day, column] of Object.entries(layout.days)) {
+      const dayValue = row[column];
+      if (dayValue === null || dayValue === undefined || dayValue.toString().trim() === '') {
+        continue;
+      }
+      
+      if (day > getDaysInMonth(month, year)) {
+        addIssue(report, i, column, {
+          severity: IMPORT_ISSUE_SEVERITIES.ERROR,
+          type: IMPORT_ISSUE_TYPES.DAY_OUTSIDE_MONTH,
+          empId,
+          monthKey,
+          day: Number(day),
+          value: dayValue.toString(),
+          message: `${month} ${year} has no day ${day}; value not imported`
+        });
+        continue;
+      }
+      
+      const code = normalizeAttendanceCode(dayValue, codes);
+      if (code) {
+        employee.monthlyData[monthKey].attendance[day] = code;
+      } else {
+        addIssue(report, i, column, {
+          severity: IMPORT_ISSUE_SEVERITIES.ERROR,
+          type: IMPORT_ISSUE_TYPES.UNKNOWN_CODE,
+          empId,
+          monthKey,
+          day: Number(day),
+          value: dayValue.toString(),
+          message: `Unknown code "${dayValue.toString().trim()}" on ${month} ${day}; left blank`
+        });
+        
+        // Report the half the registry doesn't know, e.g. X in "P/X"
+        const unknownHalves = new Set(splitDayValue(dayValue).filter(half => half && !codes[half]));
+        if (unknownHalves.size === 0) unknownHalves.add(dayValue.toString().trim().toUpperCase());
+        unknownHalves.forEach(unknown => {
+          unknownCodes.set(unknown, (unknownCodes.get(unknown) || 0) + 1);
+        });
       }
     }
     
-    // Parse summary columns
-    if (row[35] !== undefined) {
-      employee.monthlyData[month].summaries = {
-        totalPresent: parseInt(row[35]) || 0,
-        totalOff: parseInt(row[36]) || 0,
-        totalSundays: parseInt(row[37]) || 0,
-        totalHolidays: parseInt(row[38]) || 0,
-        totalNightShift: parseInt(row[39]) || 0,
-        totalHolyDayWorking: parseInt(row[40]) || 0,
-        totalOffDayWorking: parseInt(row[41]) || 0,
-        totalAbsent: parseInt(row[42]) || 0,
-        totalOnLeave: parseInt(row[43]) || 0,
-        totalWorkingDays: parseInt(row[44]) || 0
-      };
+    // Parse summary columns, keeping the sheet's totals to reconcile with
+    // the day codes
+    const summaryStart = layout.summaryStart;
+    const totals = summaryStart ? SUMMARY_COLUMNS.map((col, index) => row[summaryStart + index]) : [];
+    if (totals.some(value => value !== null && value !== undefined && value.toString().trim() !== '')) {
+      const summaries = {};
+      SUMMARY_COLUMNS.forEach((col, index) => {
+        summaries[col.key] = parseFloat(totals[index]) || 0;
+      });
+      employee.monthlyData[monthKey].summaries = summaries;
+      employee.monthlyData[monthKey].sheetSummaries = summaries;
     }
   }
   
-  // Convert Map to array
+  return result;
+};
+
+/**
+ * Turn the collected employee map into employee objects
+ * @param {Map} employeeMap - Employees keyed by Emp ID
+ * @returns {Array} Structured employee data
+ */
+const buildEmployees = (employeeMap) => {
   const employees = [];
   let slNo = 1;
   
-  for (const [empId, empData] of employeeMap) {
+  for (const empData of employeeMap.values()) {
     employees.push({
       slNo: slNo++,
       empId: empData.empId,
@@ -167,66 +584,439 @@ const parseExcelData = (data) => {
     });
   }
   
-  console.log(`Parsed ${employees.length} unique employees from Excel`);
   return employees;
 };
 
 /**
  * Convert employee data to Excel format and save
  * @param {Array} employees - Employee data to export
- * @param {String} filename - Output filename
+ * @param {String} filename - Output filename; a .ods, .csv or .tsv name saves in that format
  * @param {String} month - Current month
  * @param {Number} year - Current year
+ * @param {Object} options - { formulas } to write the summary columns as
+ *   live formulas
  */
-export const exportToExcel = (employees, filename = 'attendance.xlsx', month = 'Jan', year = 2024) => {
+export const exportToExcel = (employees, filename = 'attendance.xlsx', month = 'Jan', year = 2024, options = {}) => {
   try {
     // Create workbook
     const wb = XLSX.utils.book_new();
     
-    // Prepare data for Excel
-    const excelData = prepareExcelData(employees, month, year);
-    
-    // Create worksheet
-    const ws = XLSX.utils.aoa_to_sheet(excelData);
-    
-    // Set column widths
-    const colWidths = [
-      { wch: 5 },   // Sl#
-      { wch: 10 },  // Emp ID
-      { wch: 25 },  // Employee Name
-      { wch: 8 },   // Month
-      ...Array(31).fill({ wch: 4 }), // Days 1-31
-      { wch: 12 },  // Total Present
-      { wch: 10 },  // Total Off
-      { wch: 14 },  // Total Sunday's
-      { wch: 14 },  // Total Holidays
-      { wch: 15 },  // Total Night Shift
-      { wch: 20 },  // Total Holy Day Working
-      { wch: 20 },  // Total Off Day Working
-      { wch: 12 },  // Total Absent
-      { wch: 14 },  // Total On Leave
-      { wch: 25 }   // Total Working Days
+    // Add worksheet to workbook
+    XLSX.utils.book_append_sheet(wb, buildAttendanceSheet(employees, month, year, options), 'Sheet1');
+    XLSX.utils.book_append_sheet(wb, buildLegendSheet(), LEGEND_SHEET);
+    
+    saveWorkbook(wb, filename);
+    
+    return true;
+  } catch (error) {
+    console.error('Export to Excel failed:', error);
+    throw new Error('Failed to export to Excel: ' + error.message);
+  }
+};
+
+/**
+ * Export every month on record for a year, one worksheet per month,
+ * followed by a yearly roll-up sheet
+ * @param {Array} employees - Employee data (with monthlyData) to export
+ * @param {String} filename - Output filename
+ * @param {Number} year - Year to export
+ * @returns {Array} Month names that were written
+ */
+export const exportYearToExcel = (employees, filename = 'attendance.xlsx', year = 2024) => {
+  try {
+    const wb = XLSX.utils.book_new();
+    const exportedMonths = [];
+    
+    MONTHS.forEach(({ value: month }) => {
+      const monthEmployees = getEmployeesForMonth(employees, month, year);
+      if (monthEmployees.length === 0) return;
+      
+      XLSX.utils.book_append_sheet(
+        wb,
+        buildAttendanceSheet(monthEmployees, month, year),
+        `${month} ${year}`
+      );
+      exportedMonths.push(month);
+    });
+    
+    if (exportedMonths.length === 0) {
+      throw new Error(`No attendance on record for ${year}`);
+    }
+    
+    XLSX.utils.book_append_sheet(wb, buildYearSummarySheet(employees, year), getYearSummarySheetName(year));
+    XLSX.utils.book_append_sheet(wb, buildLegendSheet(), LEGEND_SHEET);
+    
+    saveWorkbook(wb, filename);
+    
+    return exportedMonths;
+  } catch (error) {
+    console.error('Export of full year failed:', error);
+    throw new Error('Failed to export year to Excel: ' + error.message);
+  }
+};
+
+/**
+ * Export leave requests with who filed and decided each one, as an audit
+ * trail for HR
+ * @param {Array} requests - Leave requests
+ * @param {String} filename - Output filename
+ */
+export const exportLeaveRequestsToExcel = (requests, filename = 'leave_requests.xlsx') => {
+  try {
+    const rows = [
+      [
+        'Request ID', 'Emp ID', 'Employee Name', 'Leave Type', 'Code', 'From', 'To',
+        'Days', 'Reason', 'Requested By', 'Requested At', 'Status', 'Decided By',
+        'Decided At', 'Decision Note'
+      ],
+      ...requests.map(request => [
+        request.id,
+        request.empId,
+        request.employeeName,
+        request.leaveTypeName,
+        request.code,
+        request.startDate,
+        request.endDate,
+        request.days,
+        request.reason,
+        request.requestedBy,
+        request.requestedAt,
+        request.status,
+        request.decidedBy,
+        request.decidedAt,
+        request.decisionNote
+      ])
     ];
-    ws['!cols'] = colWidths;
     
-    // Apply styles to header row
-    applyExcelStyles(ws, employees.length + 2);
+    const ws = XLSX.utils.aoa_to_sheet(rows);
+    ws['!cols'] = rows[0].map(header => ({ wch: Math.max(12, header.length + 2) }));
     
-    // Add worksheet to workbook
-    XLSX.utils.book_append_sheet(wb, ws, 'Sheet1');
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Leave Requests');
+    saveWorkbook(wb, filename);
+    
+    return true;
+  } catch (error) {
+    console.error('Export of leave requests failed:', error);
+    throw new Error('Failed to export leave requests: ' + error.message);
+  }
+};
+
+/**
+ * Export the file an import was read from with every problem found noted
+ * as a comment on its cell, followed by a sheet listing them all
+ * @param {Object} workbook - Workbook the import read
+ * @param {Array} issues - Issues from the import
+ * @param {String} filename - Output filename
+ */
+export const exportImportReport = (workbook, issues, filename = 'import_report.xlsx') => {
+  try {
+    const wb = XLSX.utils.book_new();
+    
+    workbook.SheetNames.forEach(sheetName => {
+      const ws = { ...workbook.Sheets[sheetName] };
+      
+      issues.filter(issue => issue.sheet === sheetName).forEach(issue => {
+        const note = `${issue.severity === IMPORT_ISSUE_SEVERITIES.ERROR ? 'Error' : 'Warning'}: ${issue.message}` +
+          (issue.fixedValue !== undefined ? ` (fixed to ${issue.fixedValue})` : '');
+        const cell = { ...(ws[issue.cell] || { t: 's', v: '' }) };
+        cell.c = [...(cell.c || []), { a: 'Import check', t: note }];
+        ws[issue.cell] = cell;
+      });
+      
+      XLSX.utils.book_append_sheet(wb, ws, sheetName);
+    });
+    
+    const rows = [
+      ['Severity', 'Sheet', 'Cell', 'Row', 'Column', 'Emp ID', 'Problem', 'Value', 'Fixed To'],
+      ...issues.map(issue => [
+        issue.severity,
+        issue.sheet,
+        issue.cell,
+        issue.row,
+        issue.column,
+        issue.empId,
+        issue.message,
+        issue.value,
+        issue.fixedValue ?? ''
+      ])
+    ];
+    const reportSheet = XLSX.utils.aoa_to_sheet(rows);
+    reportSheet['!cols'] = [10, 18, 8, 6, 8, 12, 60, 14, 14].map(wch => ({ wch }));
     
-    // Generate Excel file
-    const excelBuffer = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+    let reportName = IMPORT_REPORT_SHEET;
+    for (let n = 2; wb.SheetNames.includes(reportName); n++) {
+      reportName = `${IMPORT_REPORT_SHEET} (${n})`;
+    }
+    XLSX.utils.book_append_sheet(wb, reportSheet, reportName);
     
-    // Save file
-    const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-    saveAs(blob, filename);
+    saveWorkbook(wb, filename);
     
     return true;
   } catch (error) {
-    console.error('Export to Excel failed:', error);
-    throw new Error('Failed to export to Excel: ' + error.message);
+    console.error('Export of import report failed:', error);
+    throw new Error('Failed to export import report: ' + error.message);
+  }
+};
+
+/**
+ * Export a month's attendance changes: who changed which cell, when and why
+ * @param {Array} entries - Changes from the audit log
+ * @param {String} filename - Output filename
+ */
+export const exportAuditLogToExcel = (entries, filename = 'change_log.xlsx') => {
+  try {
+    const rows = [
+      ['Changed At', 'Emp ID', 'Employee Name', 'Date', 'Old Value', 'New Value', 'Changed By', 'Reason', 'Source'],
+      ...entries.map(entry => [
+        entry.timestamp,
+        entry.empId,
+        entry.employeeName,
+        getChangeDate(entry),
+        entry.oldValue,
+        entry.newValue,
+        entry.editor,
+        entry.reason,
+        entry.source
+      ])
+    ];
+    
+    const ws = XLSX.utils.aoa_to_sheet(rows);
+    ws['!cols'] = rows[0].map(header => ({ wch: Math.max(12, header.length + 2) }));
+    
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Change Log');
+    saveWorkbook(wb, filename);
+    
+    return true;
+  } catch (error) {
+    console.error('Export of change log failed:', error);
+    throw new Error('Failed to export change log: ' + error.message);
+  }
+};
+
+/**
+ * Export the planned vs. actual report: days where recorded attendance
+ * doesn't match the roster
+ * @param {Array} rows - Rows from compareRosterToAttendance
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @param {String} filename - Output filename
+ */
+export const exportRosterComparisonToExcel = (rows, month, year, filename = 'roster_vs_actual.xlsx') => {
+  try {
+    const data = [
+      ['Emp ID', 'Employee Name', 'Date', 'Planned Shift', 'Actual', 'Issue'],
+      ...rows.map(row => [
+        row.empId,
+        row.employeeName,
+        `${row.day} ${month} ${year}`,
+        row.planned,
+        row.actual,
+        row.issue
+      ])
+    ];
+    
+    const ws = XLSX.utils.aoa_to_sheet(data);
+    ws['!cols'] = [{ wch: 10 }, { wch: 24 }, { wch: 14 }, { wch: 24 }, { wch: 8 }, { wch: 48 }];
+    
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Planned vs Actual');
+    saveWorkbook(wb, filename);
+    
+    return true;
+  } catch (error) {
+    console.error('Export of roster comparison failed:', error);
+    throw new Error('Failed to export roster comparison: ' + error.message);
+  }
+};
+
+/**
+ * Project employees onto one month of their history, dropping anyone
+ * with nothing recorded for that month
+ * @param {Array} employees - Employee data
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @returns {Array} Employees with attendance/summaries for that month
+ */
+const getEmployeesForMonth = (employees, month, year) => {
+  return employees
+    .map(emp => ({ emp, monthData: getMonthData(emp, month, year) }))
+    .filter(({ monthData }) => monthData && Object.keys(monthData.attendance || {}).length > 0)
+    .map(({ emp, monthData }, index) => ({
+      ...emp,
+      slNo: index + 1,
+      month,
+      attendance: monthData.attendance,
+      summaries: monthData.summaries || calculateSummaries(monthData.attendance, month, year, emp)
+    }));
+};
+
+/**
+ * Replace each row's summary numbers with formulas over its day cells, so
+ * the totals follow codes corrected in Excel. The cells keep the current
+ * totals as their value, which is what a re-import reads. Months whose
+ * imported sheet totals were kept over the day codes stay as numbers.
+ * @param {Object} ws - Worksheet in the attendance sheet layout
+ * @param {Array} employees - Employees projected onto the month
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ */
+const writeSummaryFormulas = (ws, employees, month, year) => {
+  const ruleSet = getActiveSummaryRuleSet();
+  const daysInMonth = getDaysInMonth(month, year);
+  
+  employees.forEach((employee, index) => {
+    if (getMonthData(employee, month, year)?.summaryCheck?.kept === SUMMARY_SOURCES.SHEET) return;
+    
+    const r = STANDARD_LAYOUT.dataStartRow + index;
+    const summaryCells = Object.fromEntries(SUMMARY_COLUMNS.map((col, offset) => [
+      col.key,
+      XLSX.utils.encode_cell({ r, c: STANDARD_LAYOUT.summaryStart + offset })
+    ]));
+    const formulas = getSummaryFormulas(ruleSet, {
+      dayCells: Array.from({ length: daysInMonth }, (_, i) => (
+        XLSX.utils.encode_cell({ r, c: STANDARD_LAYOUT.days[i + 1] })
+      )),
+      summaryCells,
+      weeklyOffs: getWeeklyOffsInMonth(month, year, employee),
+      holidays: getHolidaysInMonth(month, year, employee.location)
+    });
+    const values = calculateSummaries(employee.attendance, month, year, employee);
+    
+    Object.entries(formulas).forEach(([key, formula]) => {
+      ws[summaryCells[key]] = { t: 'n', v: values[key], f: formula };
+    });
+  });
+};
+
+/**
+ * Build a worksheet for one month in the attendance sheet layout
+ * @param {Array} employees - Employees projected onto the month
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @param {Object} options - { formulas } to write the summary columns as
+ *   live formulas
+ * @returns {Object} Worksheet
+ */
+const buildAttendanceSheet = (employees, month, year, options = {}) => {
+  // Prepare data for Excel
+  const excelData = prepareExcelData(employees, month, year);
+  
+  // Create worksheet
+  const ws = XLSX.utils.aoa_to_sheet(excelData);
+  if (options.formulas) {
+    writeSummaryFormulas(ws, employees, month, year);
   }
+  
+  // Set column widths
+  const colWidths = [
+    { wch: 5 },   // Sl#
+    { wch: 10 },  // Emp ID
+    { wch: 25 },  // Employee Name
+    { wch: 8 },   // Month
+    ...Array(31).fill({ wch: 4 }), // Days 1-31
+    { wch: 12 },  // Total Present
+    { wch: 10 },  // Total Off
+    { wch: 14 },  // Total Sunday's
+    { wch: 14 },  // Total Holidays
+    { wch: 15 },  // Total Night Shift
+    { wch: 20 },  // Total Holy Day Working
+    { wch: 20 },  // Total Off Day Working
+    { wch: 12 },  // Total Absent
+    { wch: 14 },  // Total On Leave
+    { wch: 25 }   // Total Working Days
+  ];
+  ws['!cols'] = colWidths;
+  
+  // Apply styles to header row and day cells
+  applyExcelStyles(ws, employees.length + 2, month, year);
+  
+  return ws;
+};
+
+/**
+ * Build the yearly roll-up sheet: one row per employee with each summary
+ * column added up across the months on record
+ * @param {Array} employees - Employee data (with monthlyData)
+ * @param {Number} year - Year
+ * @returns {Object} Worksheet
+ */
+const buildYearSummarySheet = (employees, year) => {
+  const headers = [
+    EXCEL_COLUMNS.SL_NO,
+    EXCEL_COLUMNS.EMP_ID,
+    EXCEL_COLUMNS.EMP_NAME,
+    'Months on Record',
+    ...SUMMARY_COLUMNS.map(col => col.label)
+  ];
+  
+  const rows = employees.map((employee, index) => {
+    const totals = {};
+    let monthsOnRecord = 0;
+    
+    MONTHS.forEach(({ value: month }) => {
+      const [monthEmployee] = getEmployeesForMonth([employee], month, year);
+      if (!monthEmployee) return;
+      
+      monthsOnRecord++;
+      SUMMARY_COLUMNS.forEach(col => {
+        totals[col.key] = (totals[col.key] || 0) + (monthEmployee.summaries[col.key] || 0);
+      });
+    });
+    
+    return [
+      employee.slNo || index + 1,
+      employee.empId,
+      employee.employeeName,
+      monthsOnRecord,
+      ...SUMMARY_COLUMNS.map(col => totals[col.key] || 0)
+    ];
+  });
+  
+  const ws = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+  ws['!cols'] = [
+    { wch: 5 },
+    { wch: 10 },
+    { wch: 25 },
+    { wch: 16 },
+    ...SUMMARY_COLUMNS.map(() => ({ wch: 16 }))
+  ];
+  
+  return ws;
+};
+
+/**
+ * Write a workbook out as a download in the format the filename's extension
+ * names: .ods, .csv or .tsv (first sheet only), otherwise .xlsx
+ * @param {Object} wb - Workbook
+ * @param {String} filename - Output filename
+ */
+const saveWorkbook = (wb, filename) => {
+  const extension = getFileExtension(filename);
+  
+  // Delimited text holds a single sheet; the byte order mark tells Excel it is UTF-8
+  if (TEXT_TYPES.includes(extension)) {
+    const text = XLSX.utils.sheet_to_csv(wb.Sheets[wb.SheetNames[0]], {
+      FS: extension === FILE_TYPES.TSV ? '\t' : ','
+    });
+    const type = extension === FILE_TYPES.TSV ? 'text/tab-separated-values' : 'text/csv';
+    saveAs(new Blob(['\uFEFF' + text], { type: `${type};charset=utf-8` }), filename);
+    return;
+  }
+  
+  if (extension === FILE_TYPES.ODS) {
+    const odsBuffer = XLSX.write(wb, { bookType: 'ods', type: 'array' });
+    saveAs(new Blob([odsBuffer], { type: 'application/vnd.oasis.opendocument.spreadsheet' }), filename);
+    return;
+  }
+  
+  // Generate Excel file
+  const excelBuffer = writeFrozenPanes(XLSX.write(wb, { bookType: 'xlsx', type: 'array' }), wb);
+  
+  // Save file
+  const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  saveAs(blob, filename);
 };
 
 /**
@@ -245,7 +1035,8 @@ const prepareExcelData = (employees, month, year) => {
     EXCEL_COLUMNS.EMP_ID,
     EXCEL_COLUMNS.EMP_NAME,
     EXCEL_COLUMNS.MONTH,
-    ...Array.from({ length: 31 }, (_, i) => i + 1),
+    // Days past the end of the month keep their column but get no number
+    ...Array.from({ length: 31 }, (_, i) => (i < daysInMonth ? i + 1 : '')),
     EXCEL_COLUMNS.TOTAL_PRESENT,
     EXCEL_COLUMNS.TOTAL_OFF,
     EXCEL_COLUMNS.TOTAL_SUNDAYS,
@@ -267,7 +1058,7 @@ const prepareExcelData = (employees, month, year) => {
       employee.slNo || index + 1,
       employee.empId,
       employee.employeeName,
-      employee.month || month
+      `${month}-${year}`
     ];
     
     // Add attendance for each day
@@ -300,13 +1091,38 @@ const prepareExcelData = (employees, month, year) => {
 };
 
 /**
- * Apply Excel-like styles to worksheet
+ * Style for a day cell holding a code, in the code's colours
+ * @param {Object} info - Code from the registry
+ * @returns {Object} Cell style
+ */
+const getCodeStyle = (info) => ({
+  fill: { fgColor: { rgb: info.bgColor.replace('#', '').toUpperCase() } },
+  font: { bold: true, color: { rgb: info.color.replace('#', '').toUpperCase() } },
+  alignment: { horizontal: 'center', vertical: 'center' },
+  border: THIN_BORDER
+});
+
+/**
+ * Apply Excel-like styles to worksheet: a shaded header row, day cells in
+ * their code's colours and weekly off and holiday columns shaded
  * @param {Object} ws - Worksheet object
  * @param {Number} rowCount - Total number of rows
+ * @param {String} month - Month the sheet holds
+ * @param {Number} year - Year the sheet holds
  */
-const applyExcelStyles = (ws, rowCount) => {
+const applyExcelStyles = (ws, rowCount, month, year) => {
   // Get the range of the worksheet
   const range = XLSX.utils.decode_range(ws['!ref']);
+  const codes = getAttendanceCodes();
+  const weeklyOffs = getWeeklyOffsInMonth(month, year);
+  const holidays = getHolidaysInMonth(month, year);
+  
+  // Holidays are shaded over weekly offs; other columns keep no fill
+  const getColumnFill = (day) => {
+    if (holidays.includes(day)) return HOLIDAY_FILL;
+    if (weeklyOffs.includes(day)) return WEEKLY_OFF_FILL;
+    return null;
+  };
   
   // Style header row
   for (let col = range.s.c; col <= range.e.c; col++) {
@@ -314,25 +1130,103 @@ const applyExcelStyles = (ws, rowCount) => {
     if (!ws[cellAddress]) continue;
     
     ws[cellAddress].s = {
-      fill: { fgColor: { rgb: 'CCFFFF' } },
+      fill: { fgColor: { rgb: HEADER_FILL } },
       font: { bold: true },
       alignment: { horizontal: 'center', vertical: 'center' },
-      border: {
-        top: { style: 'thin', color: { rgb: '000000' } },
-        bottom: { style: 'thin', color: { rgb: '000000' } },
-        left: { style: 'thin', color: { rgb: '000000' } },
-        right: { style: 'thin', color: { rgb: '000000' } }
-      }
+      border: THIN_BORDER
     };
   }
   
+  // Colour day cells by code, shading the columns of days off
+  for (let day = 1; day <= getDaysInMonth(month, year); day++) {
+    const col = STANDARD_LAYOUT.days[day];
+    const columnFill = getColumnFill(day);
+    if (columnFill) {
+      ws[XLSX.utils.encode_cell({ r: 0, c: col })].s.fill = { fgColor: { rgb: columnFill } };
+    }
+    
+    for (let row = 1; row < rowCount; row++) {
+      const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
+      const value = ws[cellAddress]?.v;
+      const info = value && (codes[value] || codes[splitDayValue(value)[0]]);
+      
+      if (info) {
+        ws[cellAddress].s = getCodeStyle(info);
+      } else if (columnFill) {
+        // Blank cells are filled in so the whole column reads as a day off
+        ws[cellAddress] = { t: 's', v: '', ...ws[cellAddress] };
+        ws[cellAddress].s = { fill: { fgColor: { rgb: columnFill } }, border: THIN_BORDER };
+      }
+    }
+  }
+  
   // Add autofilter
   ws['!autofilter'] = { ref: `A1:AS${rowCount}` };
   
-  // Freeze panes
+  // Freeze panes on the header row and the identity columns
   ws['!freeze'] = { xSplit: 4, ySplit: 1 };
 };
 
+/**
+ * Write the panes set with '!freeze' into a saved .xlsx file. The writer
+ * leaves them out, so each frozen sheet's view is patched in the file.
+ * @param {Array} buffer - Saved .xlsx file
+ * @param {Object} wb - Workbook it was saved from
+ * @returns {Array} File with the panes frozen
+ */
+const writeFrozenPanes = (buffer, wb) => {
+  const frozen = wb.SheetNames.map(name => wb.Sheets[name]['!freeze']);
+  if (!frozen.some(Boolean)) return buffer;
+  
+  const zip = XLSX.CFB.read(new Uint8Array(buffer), { type: 'array' });
+  frozen.forEach((freeze, index) => {
+    const entry = freeze && XLSX.CFB.find(zip, `/xl/worksheets/sheet${index + 1}.xml`);
+    if (!entry) return;
+    
+    const topLeftCell = XLSX.utils.encode_cell({ r: freeze.ySplit, c: freeze.xSplit });
+    const pane = `<pane xSplit="${freeze.xSplit}" ySplit="${freeze.ySplit}" topLeftCell="${topLeftCell}" activePane="bottomRight" state="frozen"/>`;
+    const xml = new TextDecoder().decode(entry.content);
+    entry.content = new TextEncoder().encode(
+      xml.replace(/<sheetView([^>]*?)\/>/, `<sheetView$1>${pane}</sheetView>`)
+    );
+  });
+  
+  return XLSX.CFB.write(zip, { fileType: 'zip', type: 'array' });
+};
+
+/**
+ * Build the legend sheet: each attendance code in its colours with what it
+ * means, and the shading used for days off
+ * @param {Object} codes - Attendance code registry (defaults to the stored one)
+ * @returns {Object} Worksheet
+ */
+const buildLegendSheet = (codes = getAttendanceCodes()) => {
+  const entries = Object.values(codes);
+  const ws = XLSX.utils.aoa_to_sheet([
+    ['Code', 'Meaning'],
+    ...entries.map(info => [info.value, info.label]),
+    [],
+    ['', 'Weekly off column'],
+    ['', 'Holiday column']
+  ]);
+  
+  ['A1', 'B1'].forEach(cellAddress => {
+    ws[cellAddress].s = { fill: { fgColor: { rgb: HEADER_FILL } }, font: { bold: true }, border: THIN_BORDER };
+  });
+  entries.forEach((info, index) => {
+    ws[XLSX.utils.encode_cell({ r: index + 1, c: 0 })].s = getCodeStyle(info);
+  });
+  [WEEKLY_OFF_FILL, HOLIDAY_FILL].forEach((fill, index) => {
+    ws[XLSX.utils.encode_cell({ r: entries.length + 2 + index, c: 0 })].s = {
+      fill: { fgColor: { rgb: fill } },
+      border: THIN_BORDER
+    };
+  });
+  
+  ws['!cols'] = [{ wch: 8 }, { wch: 30 }];
+  return ws;
+};
+
 /**
  * Create a new Excel file with template structure
  * @param {String} month - Month for the template
@@ -366,32 +1260,23 @@ export const createExcelTemplate = (month = 'Jan', year = 2024) => {
 };
 
 /**
- * Validate Excel file structure
+ * Check that a file is a type that can be loaded. Its contents are checked
+ * when it is read.
  * @param {File} file - File to validate
- * @returns {Promise<Boolean>} True if valid
+ * @returns {Boolean} True if valid
  */
-export const validateExcelFile = async (file) => {
-  try {
-    if (!file.name.endsWith('.xlsx') && !file.name.endsWith('.xls')) {
-      throw new Error('Please upload an Excel file (.xlsx or .xls)');
-    }
-    
-    const employees = await readExcelFile(file);
-    
-    // Empty file is okay
-    if (!employees || employees.length === 0) {
-      console.log('Excel file is empty or contains no valid employee data');
-      return true;
-    }
-    
-    return true;
-  } catch (error) {
-    throw error;
+export const validateExcelFile = (file) => {
+  const extension = getFileExtension(file.name);
+  if (!SPREADSHEET_TYPES.includes(extension) && !TEXT_TYPES.includes(extension)) {
+    throw new Error('Please upload a spreadsheet (.xlsx, .xls, .ods) or a delimited text file (.csv, .tsv)');
   }
+  
+  return true;
 };
 
 /**
- * Auto-save data to local storage
+ * Auto-save data to local storage, with a copy of the code registry so a
+ * restore can bring back the codes its days use
  * @param {Array} employees - Employee data to save
  * @param {String} key - Storage key
  */
@@ -399,8 +1284,9 @@ export const autoSaveToLocal = (employees, key = 'attendance_backup') => {
   try {
     const dataStr = JSON.stringify({
       employees,
+      attendanceCodes: getAttendanceCodes(),
       timestamp: new Date().toISOString(),
-      version: '1.0'
+      version: BACKUP_VERSION
     });
     localStorage.setItem(key, dataStr);
     return true;
@@ -426,4 +1312,51 @@ export const loadFromLocal = (key = 'attendance_backup') => {
     console.error('Load from local storage failed:', error);
     return null;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Bring a year-less (1.0) backup up to the year-month keyed format.
+ * Month-name keys ('Jan') become '2026-01' style keys using fallbackYear.
+ * @param {Object} data - Backup as returned by loadFromLocal
+ * @param {Number} fallbackYear - Year the old month-name keys belonged to
+ * @returns {Object} { data, migrated } with the upgraded backup
+ */
+export const migrateLegacyBackup = (data, fallbackYear) => {
+  if (!data || !Array.isArray(data.employees) || data.version === BACKUP_VERSION) {
+    return { data, migrated: false };
+  }
+  
+  const employees = data.employees.map(emp => {
+    const monthlyData = {};
+    
+    Object.entries(emp.monthlyData || {}).forEach(([key, monthData]) => {
+      if (parseMonthKey(key)) {
+        monthlyData[key] = monthData;
+      } else if (MONTHS.some(m => m.value === key)) {
+        const newKey = getMonthKey(key, fallbackYear);
+        if (!monthlyData[newKey]) {
+          monthlyData[newKey] = monthData;
+        }
+      }
+    });
+    
+    // Older builds didn't always copy the visible month into monthlyData
+    const visibleMonth = MONTHS.some(m => m.value === emp.month) ? emp.month : null;
+    if (visibleMonth && emp.attendance && Object.keys(emp.attendance).length > 0) {
+      const visibleKey = getMonthKey(visibleMonth, fallbackYear);
+      if (!monthlyData[visibleKey]) {
+        monthlyData[visibleKey] = {
+          attendance: emp.attendance,
+          summaries: emp.summaries
+        };
+      }
+    }
+    
+    return { ...emp, monthlyData };
+  });
+  
+  return {
+    data: { ...data, employees, version: BACKUP_VERSION },
+    migrated: true
+  };
+};
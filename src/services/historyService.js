@@ -0,0 +1,146 @@
+import { SESSION_KEYS, EDIT_HISTORY_LIMIT, EDIT_HISTORY_MAX_CHARS } from '../utils/constants';
+
+const EMPTY_HISTORY = { past: [], future: [] };
+
+/**
+ * Load the undo/redo history kept for this browser session
+ * @returns {Object} { past, future } - steps as { label, employees, timestamp }
+ */
+export const loadHistory = () => {
+  try {
+    const dataStr = sessionStorage.getItem(SESSION_KEYS.EDIT_HISTORY);
+    if (dataStr) {
+      const { past, future } = JSON.parse(dataStr);
+      return { past: past || [], future: future || [] };
+    }
+  } catch (error) {
+    console.error('Load edit history failed:', error);
+  }
+  
+  return EMPTY_HISTORY;
+};
+
+// Each step is serialized once; steps are never changed after they are made
+const serializedSteps = new WeakMap();
+
+/**
+ * Serialized form of a step
+ * @param {Object} step - { label, employees, timestamp }
+ * @returns {String} JSON
+ */
+const serializeStep = (step) => {
+  if (!serializedSteps.has(step)) {
+    serializedSteps.set(step, JSON.stringify(step));
+  }
+  return serializedSteps.get(step);
+};
+
+/**
+ * Keep the newest undo steps, then the nearest redo steps, that fit in a
+ * number of characters
+ * @param {Object} history - { past, future }
+ * @param {Number} maxChars - Characters available
+ * @returns {Object} { past, future } - the steps kept
+ */
+const fitHistory = (history, maxChars) => {
+  let used = 0;
+  const fits = (step) => {
+    const size = serializeStep(step).length + 1;
+    if (used + size > maxChars) return false;
+    used += size;
+    return true;
+  };
+  
+  const past = [];
+  for (let i = history.past.length - 1; i >= 0 && fits(history.past[i]); i--) {
+    past.unshift(history.past[i]);
+  }
+  const future = [];
+  for (let i = 0; i < history.future.length && fits(history.future[i]); i++) {
+    future.push(history.future[i]);
+  }
+  
+  return { past, future };
+};
+
+/**
+ * Keep the history for the session. Snapshots can be large, so it is capped
+ * at EDIT_HISTORY_MAX_CHARS, and further if storage is fuller than that
+ * allows; the oldest undo steps go first, then the furthest redo steps.
+ * @param {Object} history - { past, future }
+ * @returns {Object} { history, dropped } - the steps kept and how many were left out
+ */
+export const saveHistory = (history) => {
+  const total = history.past.length + history.future.length;
+  let maxChars = EDIT_HISTORY_MAX_CHARS;
+  
+  while (true) {
+    const kept = fitHistory(history, maxChars);
+    const dropped = total - kept.past.length - kept.future.length;
+    const data = `{"past":[${kept.past.map(serializeStep).join(',')}],"future":[${kept.future.map(serializeStep).join(',')}]}`;
+    
+    try {
+      sessionStorage.setItem(SESSION_KEYS.EDIT_HISTORY, data);
+      return { history: dropped > 0 ? kept : history, dropped };
+    } catch (error) {
+      if (kept.past.length === 0 && kept.future.length === 0) {
+        console.error('Save edit history failed:', error);
+        return { history: kept, dropped };
+      }
+      maxChars = Math.floor(Math.min(maxChars, data.length) / 2);
+    }
+  }
+};
+
+/**
+ * Record the state before a change. A new change clears the redo steps.
+ * @param {Object} history - { past, future }
+ * @param {String} label - What the change does, e.g. 'Mark weekly offs'
+ * @param {Array} employees - Employees before the change
+ * @returns {Object} Updated history
+ */
+export const pushHistory = (history, label, employees) => {
+  return {
+    past: [...history.past, { label, employees, timestamp: new Date().toISOString() }]
+      .slice(-EDIT_HISTORY_LIMIT),
+    future: []
+  };
+};
+
+/**
+ * Step back one change
+ * @param {Object} history - { past, future }
+ * @param {Array} employees - Employees now, kept for redo
+ * @returns {Object|null} { history, step } or null if there is nothing to undo
+ */
+export const undoHistory = (history, employees) => {
+  const step = history.past[history.past.length - 1];
+  if (!step) return null;
+  
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [{ ...step, employees }, ...history.future]
+    },
+    step
+  };
+};
+
+/**
+ * Step forward one undone change
+ * @param {Object} history - { past, future }
+ * @param {Array} employees - Employees now, kept for undo
+ * @returns {Object|null} { history, step } or null if there is nothing to redo
+ */
+export const redoHistory = (history, employees) => {
+  const step = history.future[0];
+  if (!step) return null;
+  
+  return {
+    history: {
+      past: [...history.past, { ...step, employees }],
+      future: history.future.slice(1)
+    },
+    step
+  };
+};
@@ -0,0 +1,425 @@
+import { MONTHS, STORAGE_KEYS } from '../utils/constants';
+import { parseCSV, parseDateText } from '../utils/csv';
+
+// Fixed-date holidays added to each year of the calendar the first time
+// that year is used. Moving festivals (Holi, Diwali, Dussehra...) change
+// every year and have to be added or imported for each year.
+const FIXED_DATE_HOLIDAYS = [
+  { monthDay: '01-01', name: 'New Year' },
+  { monthDay: '01-26', name: 'Republic Day' },
+  { monthDay: '04-14', name: 'Ambedkar Jayanti' },
+  { monthDay: '05-01', name: 'May Day' },
+  { monthDay: '08-15', name: 'Independence Day' },
+  { monthDay: '10-02', name: 'Gandhi Jayanti' },
+  { monthDay: '12-25', name: 'Christmas' }
+];
+
+// In-memory copy of the stored calendar, and the years the fixed-date
+// holidays have been added to
+let calendarCache = null;
+let seededYearsCache = [];
+
+/**
+ * Generate an id for a new holiday
+ * @returns {String} Unique id
+ */
+const createHolidayId = () => {
+  return `hol-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * Build the seed calendar for a year
+ * @param {Number} year - Year
+ * @returns {Array} Holidays
+ */
+export const getDefaultHolidays = (year) => {
+  return FIXED_DATE_HOLIDAYS.map(({ monthDay, name }) => ({
+    id: createHolidayId(),
+    date: `${year}-${monthDay}`,
+    name,
+    location: ''
+  }));
+};
+
+/**
+ * Get the holiday calendar, loading it from local storage the first time
+ * @returns {Array} Holidays: { id, date: 'YYYY-MM-DD', name, location }
+ */
+export const getHolidayCalendar = () => {
+  if (calendarCache) return calendarCache;
+  
+  try {
+    const dataStr = localStorage.getItem(STORAGE_KEYS.HOLIDAY_CALENDAR);
+    if (dataStr) {
+      const { holidays, seededYears } = JSON.parse(dataStr);
+      calendarCache = holidays || [];
+      // Calendars saved before years were tracked were seeded for the years they hold
+      seededYearsCache = seededYears ||
+        [...new Set(calendarCache.map(holiday => parseInt(holiday.date.slice(0, 4), 10)))];
+      return calendarCache;
+    }
+  } catch (error) {
+    console.error('Load holiday calendar failed:', error);
+  }
+  
+  calendarCache = [];
+  seededYearsCache = [];
+  return calendarCache;
+};
+
+/**
+ * Add the fixed-date holidays for years the calendar hasn't been seeded for
+ * yet, and save it. A fixed-date holiday deleted from a year afterwards
+ * stays deleted. Reading the calendar never seeds it; call this when a year
+ * comes into use, e.g. when it is shown or imported.
+ * @param {Array} years - Years about to be used
+ * @returns {Array} Holidays: { id, date: 'YYYY-MM-DD', name, location }
+ */
+export const seedHolidayYears = (years) => {
+  const holidays = getHolidayCalendar();
+  const newYears = [...new Set(years.map(Number))]
+    .filter(year => year && !seededYearsCache.includes(year));
+  if (newYears.length === 0) return holidays;
+  
+  seededYearsCache = [...seededYearsCache, ...newYears];
+  saveHolidayCalendar([...holidays, ...newYears.flatMap(year => getDefaultHolidays(year))]);
+  return calendarCache;
+};
+
+/**
+ * Persist the holiday calendar
+ * @param {Array} holidays - Holidays to save
+ * @returns {Boolean} True if saved
+ */
+export const saveHolidayCalendar = (holidays) => {
+  calendarCache = sortHolidays(holidays);
+  
+  try {
+    localStorage.setItem(STORAGE_KEYS.HOLIDAY_CALENDAR, JSON.stringify({
+      holidays: calendarCache,
+      seededYears: seededYearsCache,
+      timestamp: new Date().toISOString()
+    }));
+    return true;
+  } catch (error) {
+    console.error('Save holiday calendar failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Sort holidays by date, then name
+ * @param {Array} holidays - Holidays
+ * @returns {Array} Sorted copy
+ */
+const sortHolidays = (holidays) => {
+  return [...holidays].sort((a, b) =>
+    a.date.localeCompare(b.date) || a.name.localeCompare(b.name)
+  );
+};
+
+/**
+ * Validate a holiday
+ * @param {Object} holiday - Holiday to validate
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateHoliday = (holiday) => {
+  const errors = [];
+  
+  if (!holiday.date) {
+    errors.push('Date is required');
+  } else if (!parseDateText(holiday.date)) {
+    errors.push('Date must be a valid date (YYYY-MM-DD)');
+  }
+  
+  if (!holiday.name || !holiday.name.trim()) {
+    errors.push('Holiday name is required');
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Add a holiday to a calendar
+ * @param {Array} holidays - Current calendar
+ * @param {Object} holiday - { date, name, location }
+ * @returns {Array} Updated calendar
+ */
+export const addHoliday = (holidays, holiday) => {
+  const validation = validateHoliday(holiday);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '));
+  }
+  
+  return sortHolidays([
+    ...holidays,
+    {
+      id: createHolidayId(),
+      date: parseDateText(holiday.date),
+      name: holiday.name.trim(),
+      location: (holiday.location || '').trim()
+    }
+  ]);
+};
+
+/**
+ * Update a holiday in a calendar
+ * @param {Array} holidays - Current calendar
+ * @param {String} id - Holiday id
+ * @param {Object} updates - Fields to change
+ * @returns {Array} Updated calendar
+ */
+export const updateHoliday = (holidays, id, updates) => {
+  return sortHolidays(holidays.map(holiday => {
+    if (holiday.id !== id) return holiday;
+    
+    const updated = { ...holiday, ...updates };
+    const validation = validateHoliday(updated);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join(', '));
+    }
+    
+    return {
+      ...updated,
+      date: parseDateText(updated.date),
+      name: updated.name.trim(),
+      location: (updated.location || '').trim()
+    };
+  }));
+};
+
+/**
+ * Remove a holiday from a calendar
+ * @param {Array} holidays - Current calendar
+ * @param {String} id - Holiday id
+ * @returns {Array} Updated calendar
+ */
+export const deleteHoliday = (holidays, id) => {
+  return holidays.filter(holiday => holiday.id !== id);
+};
+
+/**
+ * Merge imported holidays into a calendar, skipping ones already present
+ * @param {Array} holidays - Current calendar
+ * @param {Array} imported - Holidays from a file
+ * @returns {Object} { holidays, added, duplicates }
+ */
+export const mergeHolidays = (holidays, imported) => {
+  const existing = new Set(
+    holidays.map(h => `${h.date}|${h.location}|${h.name.toLowerCase()}`)
+  );
+  const merged = [...holidays];
+  let added = 0;
+  
+  imported.forEach(holiday => {
+    const key = `${holiday.date}|${holiday.location}|${holiday.name.toLowerCase()}`;
+    if (existing.has(key)) return;
+    
+    existing.add(key);
+    merged.push({ ...holiday, id: createHolidayId() });
+    added++;
+  });
+  
+  return {
+    holidays: sortHolidays(merged),
+    added,
+    duplicates: imported.length - added
+  };
+};
+
+/**
+ * Check whether a holiday applies to a location. Holidays without a
+ * location are company-wide.
+ * @param {Object} holiday - Holiday
+ * @param {String} location - Employee location ('' for company-wide only)
+ * @returns {Boolean} True if it applies
+ */
+export const holidayAppliesTo = (holiday, location) => {
+  if (!holiday.location) return true;
+  return !!location && holiday.location.toLowerCase() === location.toLowerCase();
+};
+
+/**
+ * Get the holidays that fall in a month
+ * @param {Array} holidays - Calendar
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @param {String} location - Location to filter for ('' for company-wide only,
+ *   null for every location)
+ * @returns {Array} [{ day, name, location }] sorted by day
+ */
+export const getHolidaysForMonth = (holidays, month, year, location = '') => {
+  const monthIndex = MONTHS.findIndex(m => m.value === month);
+  const prefix = `${year}-${String(monthIndex + 1).padStart(2, '0')}-`;
+  
+  return holidays
+    .filter(holiday => holiday.date.startsWith(prefix))
+    .filter(holiday => location === null || holidayAppliesTo(holiday, location))
+    .map(holiday => ({
+      day: parseInt(holiday.date.slice(8), 10),
+      name: holiday.name,
+      location: holiday.location
+    }))
+    .sort((a, b) => a.day - b.day);
+};
+
+/**
+ * Get the distinct locations named in a calendar
+ * @param {Array} holidays - Calendar
+ * @returns {Array} Location names
+ */
+export const getHolidayLocations = (holidays) => {
+  return [...new Set(holidays.map(h => h.location).filter(Boolean))].sort();
+};
+
+/**
+ * Parse an iCalendar (.ics) file into holidays. All-day events spanning
+ * several days become one holiday per day.
+ * @param {String} text - File text
+ * @param {String} location - Location to assign ('' for company-wide)
+ * @returns {Array} Holidays without ids
+ */
+export const parseICS = (text, location = '') => {
+  // Unfold continuation lines (RFC 5545 3.1)
+  const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+  const holidays = [];
+  let event = null;
+  
+  const unescape = (value) => value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+  
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+    
+    if (line === 'END:VEVENT') {
+      if (event && event.start && event.summary) {
+        const dates = expandDateRange(event.start, event.end);
+        dates.forEach(date => {
+          holidays.push({ date, name: event.summary, location });
+        });
+      }
+      event = null;
+      return;
+    }
+    
+    if (!event) return;
+    
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+    
+    switch (name) {
+      case 'DTSTART':
+        event.start = parseDateText(value.slice(0, 8));
+        break;
+      case 'DTEND':
+        event.end = parseDateText(value.slice(0, 8));
+        break;
+      case 'SUMMARY':
+        event.summary = unescape(value);
+        break;
+      default:
+        break;
+    }
+  });
+  
+  return holidays;
+};
+
+/**
+ * List the dates of an all-day event. iCalendar end dates are exclusive.
+ * @param {String} start - ISO start date
+ * @param {String} end - ISO end date (exclusive) or undefined
+ * @returns {Array} ISO dates
+ */
+const expandDateRange = (start, end) => {
+  const dates = [start];
+  if (!end || end <= start) return dates;
+  
+  const [year, month, day] = start.split('-').map(Number);
+  
+  // Guard against open-ended or multi-month events
+  for (let offset = 1; offset < 31; offset++) {
+    const date = new Date(year, month - 1, day + offset);
+    const iso = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    if (iso >= end) break;
+    dates.push(iso);
+  }
+  
+  return dates;
+};
+
+/**
+ * Parse a CSV of holidays with columns Date, Name and optionally Location.
+ * A header row is detected and skipped.
+ * @param {String} text - File text
+ * @param {String} location - Location for rows without one ('' for company-wide)
+ * @returns {Array} Holidays without ids
+ */
+export const parseHolidayCSV = (text, location = '') => {
+  const rows = parseCSV(text).filter(row => row.some(cell => cell.trim() !== ''));
+  const holidays = [];
+  
+  rows.forEach(row => {
+    const date = parseDateText(row[0]);
+    const name = (row[1] || '').trim();
+    
+    // Header and malformed rows have no parseable date
+    if (!date || !name) return;
+    
+    holidays.push({
+      date,
+      name,
+      location: (row[2] || '').trim() || location
+    });
+  });
+  
+  return holidays;
+};
+
+/**
+ * Read a holiday file (.ics or .csv)
+ * @param {File} file - File to read
+ * @param {String} location - Location to assign ('' for company-wide)
+ * @returns {Promise<Array>} Holidays without ids
+ */
+export const readHolidayFile = (file, location = '') => {
+  return new Promise((resolve, reject) => {
+    const name = file.name.toLowerCase();
+    if (!name.endsWith('.ics') && !name.endsWith('.csv')) {
+      reject(new Error('Please upload an iCalendar (.ics) or CSV (.csv) file'));
+      return;
+    }
+    
+    const reader = new FileReader();
+    
+    reader.onload = (e) => {
+      const text = e.target.result;
+      const holidays = name.endsWith('.ics')
+        ? parseICS(text, location)
+        : parseHolidayCSV(text, location);
+      
+      if (holidays.length === 0) {
+        reject(new Error('No holidays found in ' + file.name));
+        return;
+      }
+      resolve(holidays);
+    };
+    
+    reader.onerror = (error) => {
+      reject(new Error('File reading failed: ' + error.message));
+    };
+    
+    reader.readAsText(file);
+  });
+};
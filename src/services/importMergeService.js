@@ -0,0 +1,186 @@
+import { IMPORT_ACTIONS, getDaysInMonth, parseMonthKey } from '../utils/constants';
+import {
+  createEmployee,
+  getMonthData,
+  applyAttendanceDays,
+  recalculateEmployeeSummaries
+} from './attendanceService';
+
+/**
+ * Key of one day's cell in a diff
+ * @param {String} monthKey - Year-month key
+ * @param {Number} day - Day of month
+ * @returns {String} Cell key
+ */
+export const getCellKey = (monthKey, day) => `${monthKey}:${day}`;
+
+/**
+ * Compare the months an imported employee carries with the same months on
+ * screen. Months the file doesn't have are not compared.
+ * @param {Object} current - Employee on screen
+ * @param {Object} incoming - Employee from the file
+ * @param {Array} lockedKeys - Year-month keys to leave out
+ * @returns {Object} { cells, lockedMonths } where cells are [{ key, monthKey,
+ *   day, current, incoming, kind }] and kind is 'added', 'changed' or 'removed'
+ */
+const diffEmployeeCells = (current, incoming, lockedKeys) => {
+  const cells = [];
+  const lockedMonths = [];
+  
+  Object.keys(incoming.monthlyData || {}).sort().forEach(monthKey => {
+    const period = parseMonthKey(monthKey);
+    if (!period) return;
+    
+    const fromFile = incoming.monthlyData[monthKey]?.attendance || {};
+    const onScreen = current.monthlyData?.[monthKey]?.attendance || {};
+    const monthCells = [];
+    
+    for (let day = 1; day <= getDaysInMonth(period.month, period.year); day++) {
+      const currentCode = onScreen[day] || '';
+      const incomingCode = fromFile[day] || '';
+      if (currentCode === incomingCode) continue;
+      
+      monthCells.push({
+        key: getCellKey(monthKey, day),
+        monthKey,
+        day,
+        current: currentCode,
+        incoming: incomingCode,
+        kind: !currentCode ? 'added' : !incomingCode ? 'removed' : 'changed'
+      });
+    }
+    
+    if (monthCells.length === 0) return;
+    if (lockedKeys.includes(monthKey)) {
+      lockedMonths.push(monthKey);
+    } else {
+      cells.push(...monthCells);
+    }
+  });
+  
+  return { cells, lockedMonths };
+};
+
+/**
+ * Work out what importing a file would change: employees it adds, employees
+ * on screen it leaves out, and per employee the days whose codes differ
+ * @param {Array} existing - Employees on screen
+ * @param {Array} incoming - Employees read from the file
+ * @param {Array} lockedKeys - Locked year-month keys, which the import never changes
+ * @returns {Object} { added, missing, changed, unchangedCount, lockedMonths }
+ */
+export const buildImportDiff = (existing, incoming, lockedKeys = []) => {
+  const existingById = new Map(existing.map(emp => [emp.empId, emp]));
+  const incomingIds = new Set(incoming.map(emp => emp.empId));
+  const lockedMonths = new Set();
+  const added = [];
+  const changed = [];
+  let unchangedCount = 0;
+  
+  incoming.forEach(emp => {
+    const current = existingById.get(emp.empId);
+    if (!current) {
+      added.push({
+        empId: emp.empId,
+        employeeName: emp.employeeName,
+        months: Object.keys(emp.monthlyData || {}).sort()
+      });
+      return;
+    }
+    
+    const { cells, lockedMonths: employeeLocked } = diffEmployeeCells(current, emp, lockedKeys);
+    employeeLocked.forEach(key => lockedMonths.add(key));
+    const incomingName = (emp.employeeName || '').toString().trim();
+    const renamed = incomingName !== '' && incomingName !== current.employeeName;
+    
+    if (cells.length === 0 && !renamed) {
+      unchangedCount++;
+      return;
+    }
+    
+    changed.push({
+      empId: emp.empId,
+      employeeName: current.employeeName,
+      incomingName: renamed ? incomingName : null,
+      cells
+    });
+  });
+  
+  const missing = existing
+    .filter(emp => !incomingIds.has(emp.empId))
+    .map(emp => ({ empId: emp.empId, employeeName: emp.employeeName }));
+  
+  return { added, missing, changed, unchangedCount, lockedMonths: [...lockedMonths].sort() };
+};
+
+/**
+ * Whether a differing day takes the file's code under an employee's action
+ * @param {Object} cell - Cell from buildImportDiff
+ * @param {String} action - IMPORT_ACTIONS value
+ * @returns {Boolean} True to take the file's code
+ */
+export const takesIncomingCell = (cell, action) => {
+  switch (action) {
+    case IMPORT_ACTIONS.OVERWRITE:
+      return true;
+    case IMPORT_ACTIONS.MERGE:
+      return cell.kind === 'added';
+    default:
+      return false;
+  }
+};
+
+/**
+ * Build the employee list an import produces from the choices made on its
+ * diff. Employees default to merge; per-day choices win over the action.
+ * @param {Array} existing - Employees on screen
+ * @param {Array} incoming - Employees read from the file
+ * @param {Object} diff - Result of buildImportDiff
+ * @param {Object} decisions - { actions: { empId: action }, cells: { empId: { cellKey: Boolean } } }
+ * @param {String} month - Visible month
+ * @param {Number} year - Visible year
+ * @returns {Array} Updated employees
+ */
+export const applyImportDecisions = (existing, incoming, diff, decisions, month, year) => {
+  const { actions = {}, cells: cellChoices = {} } = decisions;
+  const getAction = (empId) => actions[empId] || IMPORT_ACTIONS.MERGE;
+  const changedById = new Map(diff.changed.map(entry => [entry.empId, entry]));
+  const removedIds = new Set(
+    diff.missing
+      .filter(emp => getAction(emp.empId) === IMPORT_ACTIONS.OVERWRITE)
+      .map(emp => emp.empId)
+  );
+  
+  const updated = existing
+    .filter(emp => !removedIds.has(emp.empId))
+    .map(emp => {
+      const entry = changedById.get(emp.empId);
+      const action = getAction(emp.empId);
+      if (!entry) return emp;
+      
+      const taken = entry.cells.filter(cell => (
+        cellChoices[emp.empId]?.[cell.key] ?? takesIncomingCell(cell, action)
+      ));
+      const renamed = entry.incomingName && action === IMPORT_ACTIONS.OVERWRITE
+        ? { ...emp, employeeName: entry.incomingName }
+        : emp;
+      
+      return applyAttendanceDays(renamed, taken.map(cell => ({
+        ...parseMonthKey(cell.monthKey),
+        day: cell.day,
+        code: cell.incoming
+      })), month, year);
+    });
+  
+  const incomingById = new Map(incoming.map(emp => [emp.empId, emp]));
+  const added = diff.added
+    .filter(emp => getAction(emp.empId) !== IMPORT_ACTIONS.SKIP)
+    .map(emp => {
+      const employee = createEmployee(incomingById.get(emp.empId));
+      const attendance = getMonthData(employee, month, year)?.attendance || {};
+      
+      return recalculateEmployeeSummaries({ ...employee, month, attendance }, month, year);
+    });
+  
+  return [...updated, ...added].map((emp, index) => ({ ...emp, slNo: index + 1 }));
+};
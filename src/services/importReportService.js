@@ -0,0 +1,108 @@
+import {
+  VALIDATION,
+  IMPORT_ISSUE_SEVERITIES,
+  IMPORT_ISSUE_TYPES
+} from '../utils/constants';
+import { getAttendanceCodes, normalizeAttendanceCode } from './attendanceCodeService';
+
+// Issue types that can be fixed in the report before importing
+export const FIXABLE_ISSUE_TYPES = [
+  IMPORT_ISSUE_TYPES.UNKNOWN_CODE,
+  IMPORT_ISSUE_TYPES.INVALID_EMP_ID,
+  IMPORT_ISSUE_TYPES.NAME_CONFLICT
+];
+
+/**
+ * Count an import's issues by severity
+ * @param {Array} issues - Issues from the import
+ * @returns {Object} { errors, warnings, fixed }
+ */
+export const countIssues = (issues) => ({
+  errors: issues.filter(issue => issue.severity === IMPORT_ISSUE_SEVERITIES.ERROR).length,
+  warnings: issues.filter(issue => issue.severity === IMPORT_ISSUE_SEVERITIES.WARNING).length,
+  fixed: issues.filter(issue => issue.fixedValue !== undefined).length
+});
+
+/**
+ * Set one day of an imported employee
+ * @param {Object} employee - Employee read from the file
+ * @param {String} monthKey - Year-month key
+ * @param {Number} day - Day of month
+ * @param {String} code - Code to set
+ * @returns {Object} Updated employee
+ */
+const setImportedDay = (employee, monthKey, day, code) => {
+  const monthData = employee.monthlyData[monthKey];
+  return {
+    ...employee,
+    monthlyData: {
+      ...employee.monthlyData,
+      [monthKey]: { ...monthData, attendance: { ...monthData.attendance, [day]: code } }
+    }
+  };
+};
+
+/**
+ * Fix a problem in the imported data before it is merged: give an unknown
+ * code a known one, correct a malformed Emp ID, or pick the name a
+ * duplicated employee should have
+ * @param {Object} imported - { employees, issues } from the import
+ * @param {String} issueId - Issue to fix
+ * @param {String} value - Code, Emp ID or name to use
+ * @param {Object} codes - Attendance code registry (defaults to the stored one)
+ * @returns {Object} { employees, issues } with the fix applied and recorded
+ */
+export const applyIssueFix = ({ employees, issues }, issueId, value, codes = getAttendanceCodes()) => {
+  const issue = issues.find(i => i.id === issueId);
+  if (!issue || !FIXABLE_ISSUE_TYPES.includes(issue.type)) {
+    throw new Error('This problem can\'t be fixed here');
+  }
+  
+  const text = (value || '').toString().trim();
+  const employee = employees.find(emp => emp.empId === issue.empId);
+  if (!employee) {
+    throw new Error(`${issue.empId} is not in the imported data`);
+  }
+  
+  let updated;
+  let fixedValue = text;
+  let renamedId = null;
+  
+  switch (issue.type) {
+    case IMPORT_ISSUE_TYPES.UNKNOWN_CODE:
+      fixedValue = normalizeAttendanceCode(text, codes);
+      if (!fixedValue) {
+        throw new Error(`${text || 'A blank code'} is not a known attendance code`);
+      }
+      updated = setImportedDay(employee, issue.monthKey, issue.day, fixedValue);
+      break;
+    case IMPORT_ISSUE_TYPES.INVALID_EMP_ID:
+      fixedValue = text.toUpperCase();
+      if (!VALIDATION.EMP_ID_PATTERN.test(fixedValue)) {
+        throw new Error(`Emp ID format: ${VALIDATION.EMP_ID_EXAMPLE}`);
+      }
+      if (employees.some(emp => emp !== employee && emp.empId === fixedValue)) {
+        throw new Error(`${fixedValue} is already in the file`);
+      }
+      updated = { ...employee, empId: fixedValue };
+      renamedId = fixedValue;
+      break;
+    case IMPORT_ISSUE_TYPES.NAME_CONFLICT:
+      if (text.length < VALIDATION.MIN_NAME_LENGTH) {
+        throw new Error(`Name needs at least ${VALIDATION.MIN_NAME_LENGTH} characters`);
+      }
+      updated = { ...employee, employeeName: text };
+      break;
+    default:
+      break;
+  }
+  
+  return {
+    employees: employees.map(emp => (emp === employee ? updated : emp)),
+    issues: issues.map(i => {
+      if (i.id === issueId) return { ...i, empId: renamedId || i.empId, fixedValue };
+      // Other problems on a renamed employee follow the new Emp ID
+      return renamedId && i.empId === issue.empId ? { ...i, empId: renamedId } : i;
+    })
+  };
+};
@@ -0,0 +1,232 @@
+import {
+  MONTHS,
+  STORAGE_KEYS,
+  LEAVE_REQUEST_STATUSES,
+  getMonthKey
+} from '../utils/constants';
+import { parseDateText } from '../utils/csv';
+import { getWeeklyOffsInMonth, getHolidaysInMonth } from './attendanceService';
+
+// In-memory copy of the stored requests
+let requestsCache = null;
+
+/**
+ * Get all leave requests, loading them from local storage the first time
+ * @returns {Array} Leave requests, newest first
+ */
+export const getLeaveRequests = () => {
+  if (requestsCache) return requestsCache;
+  
+  try {
+    const dataStr = localStorage.getItem(STORAGE_KEYS.LEAVE_REQUESTS);
+    if (dataStr) {
+      requestsCache = JSON.parse(dataStr).requests || [];
+      return requestsCache;
+    }
+  } catch (error) {
+    console.error('Load leave requests failed:', error);
+  }
+  
+  requestsCache = [];
+  return requestsCache;
+};
+
+/**
+ * Persist the leave requests
+ * @param {Array} requests - Leave requests
+ * @returns {Boolean} True if saved
+ */
+export const saveLeaveRequests = (requests) => {
+  requestsCache = requests;
+  
+  try {
+    localStorage.setItem(STORAGE_KEYS.LEAVE_REQUESTS, JSON.stringify({
+      requests,
+      timestamp: new Date().toISOString()
+    }));
+    return true;
+  } catch (error) {
+    console.error('Save leave requests failed:', error);
+    return false;
+  }
+};
+
+/**
+ * List the working days a request covers for an employee. Weekly offs and
+ * holidays in the range are left alone.
+ * @param {Object} request - { startDate, endDate } as 'YYYY-MM-DD'
+ * @param {Object} employee - Employee the request is for
+ * @returns {Array} [{ month, year, day }]
+ */
+export const getRequestDays = (request, employee) => {
+  const days = [];
+  const [startYear, startMonth, startDay] = request.startDate.split('-').map(Number);
+  const end = new Date(`${request.endDate}T00:00:00`);
+  const offDaysByMonth = new Map();
+  
+  for (
+    let date = new Date(startYear, startMonth - 1, startDay);
+    date <= end;
+    date.setDate(date.getDate() + 1)
+  ) {
+    const month = MONTHS[date.getMonth()].value;
+    const year = date.getFullYear();
+    const key = `${year}-${month}`;
+    
+    if (!offDaysByMonth.has(key)) {
+      offDaysByMonth.set(key, new Set([
+        ...getWeeklyOffsInMonth(month, year, employee),
+        ...getHolidaysInMonth(month, year, employee?.location)
+      ]));
+    }
+    
+    if (!offDaysByMonth.get(key).has(date.getDate())) {
+      days.push({ month, year, day: date.getDate() });
+    }
+  }
+  
+  return days;
+};
+
+/**
+ * Validate a new leave request
+ * @param {Object} data - { empId, leaveTypeId, startDate, endDate, requestedBy }
+ * @param {Object} policy - Leave policy
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateLeaveRequest = (data, policy) => {
+  const errors = [];
+  const startDate = parseDateText(data.startDate);
+  const endDate = parseDateText(data.endDate);
+  
+  if (!data.empId) {
+    errors.push('Employee is required');
+  }
+  
+  if (!policy.leaveTypes.some(type => type.id === data.leaveTypeId)) {
+    errors.push('Leave type is required');
+  }
+  
+  if (!startDate || !endDate) {
+    errors.push('From and to dates are required');
+  } else if (endDate < startDate) {
+    errors.push('The to date must not be before the from date');
+  }
+  
+  if (!data.requestedBy || !data.requestedBy.trim()) {
+    errors.push('Requested by is required');
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * File a new leave request
+ * @param {Array} requests - Current requests
+ * @param {Object} data - { empId, leaveTypeId, startDate, endDate, reason, requestedBy }
+ * @param {Object} policy - Leave policy
+ * @param {Object} employee - Employee the request is for
+ * @returns {Object} { requests, request }
+ */
+export const createLeaveRequest = (requests, data, policy, employee) => {
+  const validation = validateLeaveRequest(data, policy);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '));
+  }
+  
+  const type = policy.leaveTypes.find(t => t.id === data.leaveTypeId);
+  const request = {
+    id: `req-${Date.now().toString(36)}`,
+    empId: employee.empId,
+    employeeName: employee.employeeName,
+    leaveTypeId: type.id,
+    leaveTypeName: type.name,
+    code: type.code,
+    startDate: parseDateText(data.startDate),
+    endDate: parseDateText(data.endDate),
+    reason: (data.reason || '').trim(),
+    requestedBy: data.requestedBy.trim(),
+    requestedAt: new Date().toISOString(),
+    status: LEAVE_REQUEST_STATUSES.PENDING,
+    decidedBy: '',
+    decidedAt: '',
+    decisionNote: ''
+  };
+  request.days = getRequestDays(request, employee).length;
+  
+  if (request.days === 0) {
+    throw new Error('The dates only cover weekly offs and holidays');
+  }
+  
+  return {
+    requests: [request, ...requests],
+    request
+  };
+};
+
+/**
+ * Record an approver's decision on a pending request, or the requester
+ * cancelling it
+ * @param {Array} requests - Current requests
+ * @param {String} id - Request id
+ * @param {String} status - approved, rejected or cancelled
+ * @param {String} decidedBy - Who made the decision
+ * @param {String} note - Optional comment
+ * @returns {Object} { requests, request }
+ */
+export const decideLeaveRequest = (requests, id, status, decidedBy, note = '') => {
+  const existing = requests.find(request => request.id === id);
+  if (!existing) {
+    throw new Error('Leave request not found');
+  }
+  if (existing.status !== LEAVE_REQUEST_STATUSES.PENDING) {
+    throw new Error(`This request is already ${existing.status}`);
+  }
+  if (!decidedBy || !decidedBy.trim()) {
+    throw new Error('Enter your name before deciding on a request');
+  }
+  
+  const request = {
+    ...existing,
+    status,
+    decidedBy: decidedBy.trim(),
+    decidedAt: new Date().toISOString(),
+    decisionNote: (note || '').trim()
+  };
+  
+  return {
+    requests: requests.map(r => (r.id === id ? request : r)),
+    request
+  };
+};
+
+/**
+ * Find an employee's pending requests in a month
+ * @param {Array} requests - Leave requests
+ * @param {Object} employee - Employee
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @returns {Object} Pending request by day of month
+ */
+export const getPendingLeaveDays = (requests, employee, month, year) => {
+  const byDay = {};
+  const monthKey = getMonthKey(month, year);
+  
+  requests
+    .filter(request => request.empId === employee.empId &&
+      request.status === LEAVE_REQUEST_STATUSES.PENDING &&
+      request.startDate.slice(0, 7) <= monthKey &&
+      request.endDate.slice(0, 7) >= monthKey)
+    .forEach(request => {
+      getRequestDays(request, employee)
+        .filter(day => day.month === month && day.year === year)
+        .forEach(({ day }) => {
+          byDay[day] = request;
+        });
+    });
+  
+  return byDay;
+};
@@ -0,0 +1,236 @@
+import {
+  MONTHS,
+  STORAGE_KEYS,
+  LEAVE_ACCRUAL_TYPES,
+  DEFAULT_LEAVE_POLICY,
+  parseMonthKey
+} from '../utils/constants';
+import { getDayParts } from './attendanceCodeService';
+
+// Code that records leave without saying which type
+const GENERIC_LEAVE_CODE = 'L';
+
+// In-memory copy of the stored leave policy
+let policyCache = null;
+
+/**
+ * Get the leave policy, loading it from local storage the first time
+ * @returns {Object} { genericType, leaveTypes }
+ */
+export const getLeavePolicy = () => {
+  if (policyCache) return policyCache;
+  
+  try {
+    const dataStr = localStorage.getItem(STORAGE_KEYS.LEAVE_POLICY);
+    if (dataStr) {
+      policyCache = normalizeLeavePolicy(JSON.parse(dataStr).policy);
+      return policyCache;
+    }
+  } catch (error) {
+    console.error('Load leave policy failed:', error);
+  }
+  
+  policyCache = normalizeLeavePolicy(DEFAULT_LEAVE_POLICY);
+  return policyCache;
+};
+
+/**
+ * Persist the leave policy
+ * @param {Object} policy - Policy to save
+ * @returns {Boolean} True if saved
+ */
+export const saveLeavePolicy = (policy) => {
+  const validation = validateLeavePolicy(policy);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '));
+  }
+  
+  policyCache = normalizeLeavePolicy(policy);
+  
+  try {
+    localStorage.setItem(STORAGE_KEYS.LEAVE_POLICY, JSON.stringify({
+      policy: policyCache,
+      timestamp: new Date().toISOString()
+    }));
+    return true;
+  } catch (error) {
+    console.error('Save leave policy failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Tidy a leave policy: numbers as numbers, codes upper-cased and a generic
+ * type that exists
+ * @param {Object} policy - Policy
+ * @returns {Object} Normalized policy
+ */
+export const normalizeLeavePolicy = (policy) => {
+  const leaveTypes = (policy?.leaveTypes || DEFAULT_LEAVE_POLICY.leaveTypes).map((type, index) => ({
+    id: type.id || `leave-${Date.now().toString(36)}-${index}`,
+    name: (type.name || '').trim(),
+    code: (type.code || '').trim().toUpperCase(),
+    entitlement: Number(type.entitlement) || 0,
+    accrual: type.accrual === LEAVE_ACCRUAL_TYPES.MONTHLY
+      ? LEAVE_ACCRUAL_TYPES.MONTHLY
+      : LEAVE_ACCRUAL_TYPES.ANNUAL,
+    carryForward: Number(type.carryForward) || 0,
+    hasBalance: type.hasBalance !== false
+  }));
+  const genericType = leaveTypes.some(type => type.id === policy?.genericType)
+    ? policy.genericType
+    : (leaveTypes[0]?.id || '');
+  
+  return { genericType, leaveTypes };
+};
+
+/**
+ * Validate a leave policy
+ * @param {Object} policy - Policy to validate
+ * @param {Object} codes - Attendance code registry (omit to skip the code check)
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateLeavePolicy = (policy, codes = null) => {
+  const errors = [];
+  const seenCodes = new Set();
+  
+  (policy.leaveTypes || []).forEach((type, index) => {
+    const name = (type.name || '').trim() || `Leave type ${index + 1}`;
+    const code = (type.code || '').trim().toUpperCase();
+    
+    if (!(type.name || '').trim()) {
+      errors.push(`${name}: name is required`);
+    }
+    if (!code) {
+      errors.push(`${name}: attendance code is required`);
+    } else if (code === GENERIC_LEAVE_CODE) {
+      errors.push(`${name}: ${GENERIC_LEAVE_CODE} is the generic leave code; pick the type it draws from instead`);
+    } else if (seenCodes.has(code)) {
+      errors.push(`${name}: code ${code} is used by another leave type`);
+    } else if (codes && !codes[code]) {
+      errors.push(`${name}: code ${code} is not an attendance code`);
+    }
+    seenCodes.add(code);
+    
+    if (!(Number(type.entitlement) >= 0) || !(Number(type.carryForward) >= 0)) {
+      errors.push(`${name}: entitlement and carry-forward must be 0 or more`);
+    }
+  });
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Find the leave type an attendance code draws from
+ * @param {Object} policy - Leave policy
+ * @param {String} code - Attendance code
+ * @returns {Object|null} Leave type or null if the code isn't leave
+ */
+export const getLeaveTypeForCode = (policy, code) => {
+  if (code === GENERIC_LEAVE_CODE) {
+    return policy.leaveTypes.find(type => type.id === policy.genericType) || null;
+  }
+  return policy.leaveTypes.find(type => type.code === code) || null;
+};
+
+/**
+ * Get an employee's yearly entitlement for a leave type
+ * @param {Object} employee - Employee (leaveEntitlements overrides the policy)
+ * @param {Object} type - Leave type
+ * @returns {Number} Days per year
+ */
+export const getLeaveEntitlement = (employee, type) => {
+  const own = employee?.leaveEntitlements?.[type.id];
+  return own === undefined || own === null || own === '' ? type.entitlement : Number(own);
+};
+
+/**
+ * Count the leave an employee took in a year, by leave type
+ * @param {Object} employee - Employee with monthlyData
+ * @param {Object} policy - Leave policy
+ * @param {Number} year - Year
+ * @param {Number} lastMonthIndex - Count months up to and including this one
+ * @returns {Object} Days taken by leave type id
+ */
+export const countLeaveTaken = (employee, policy, year, lastMonthIndex = 11) => {
+  const taken = {};
+  policy.leaveTypes.forEach(type => {
+    taken[type.id] = 0;
+  });
+  
+  Object.entries(employee.monthlyData || {}).forEach(([key, monthData]) => {
+    const period = parseMonthKey(key);
+    if (!period || period.year !== year) return;
+    if (MONTHS.findIndex(m => m.value === period.month) > lastMonthIndex) return;
+    
+    Object.values(monthData.attendance || {}).forEach(value => {
+      getDayParts(value).forEach(({ code, fraction }) => {
+        const type = getLeaveTypeForCode(policy, code);
+        if (type) taken[type.id] += fraction;
+      });
+    });
+  });
+  
+  return taken;
+};
+
+/**
+ * Check whether an employee has attendance recorded in a year
+ * @param {Object} employee - Employee with monthlyData
+ * @param {Number} year - Year
+ * @returns {Boolean} True if any month of the year is on record
+ */
+const hasYearOnRecord = (employee, year) => {
+  return Object.keys(employee.monthlyData || {}).some(key => parseMonthKey(key)?.year === year);
+};
+
+/**
+ * Work out an employee's leave balances as of a month. Monthly accrual
+ * credits a twelfth of the entitlement for each month up to it; unused
+ * balance from the previous year carries forward up to each type's limit.
+ * @param {Object} employee - Employee with monthlyData
+ * @param {Object} policy - Leave policy
+ * @param {Number} year - Year
+ * @param {Number} monthIndex - Month the balance is taken at (0-11)
+ * @returns {Array} [{ type, entitlement, carriedForward, accrued, taken, balance }]
+ */
+export const getLeaveBalances = (employee, policy, year, monthIndex = 11) => {
+  const taken = countLeaveTaken(employee, policy, year, monthIndex);
+  const previous = hasYearOnRecord(employee, year - 1)
+    ? getLeaveBalances(employee, policy, year - 1, 11)
+    : [];
+  
+  return policy.leaveTypes.map(type => {
+    const entitlement = getLeaveEntitlement(employee, type);
+    const accrued = type.accrual === LEAVE_ACCRUAL_TYPES.MONTHLY
+      ? Math.round(entitlement * (monthIndex + 1) / 12 * 100) / 100
+      : entitlement;
+    const previousBalance = previous.find(item => item.type.id === type.id)?.balance || 0;
+    const carriedForward = Math.min(type.carryForward, Math.max(0, previousBalance));
+    
+    return {
+      type,
+      entitlement,
+      carriedForward,
+      accrued,
+      taken: taken[type.id],
+      balance: Math.round((carriedForward + accrued - taken[type.id]) * 100) / 100
+    };
+  });
+};
+
+/**
+ * List the leave types an employee has overdrawn
+ * @param {Object} employee - Employee with monthlyData
+ * @param {Object} policy - Leave policy
+ * @param {Number} year - Year
+ * @param {Number} monthIndex - Month the balance is taken at (0-11)
+ * @returns {Array} Balances below zero, as from getLeaveBalances
+ */
+export const getNegativeLeaveBalances = (employee, policy, year, monthIndex = 11) => {
+  return getLeaveBalances(employee, policy, year, monthIndex)
+    .filter(item => item.type.hasBalance && item.balance < 0);
+};
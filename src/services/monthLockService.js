@@ -0,0 +1,206 @@
+import { STORAGE_KEYS, getMonthKey, parseMonthKey } from '../utils/constants';
+
+const EMPTY_LOCKS = { locks: {}, log: [] };
+
+// In-memory copy of the stored locks
+let locksCache = null;
+
+/**
+ * Get the month locks, loading them from local storage the first time
+ * @returns {Object} { locks: { [monthKey]: { lockedBy, lockedAt } }, log }
+ */
+export const getMonthLocks = () => {
+  if (locksCache) return locksCache;
+  
+  try {
+    const dataStr = localStorage.getItem(STORAGE_KEYS.MONTH_LOCKS);
+    if (dataStr) {
+      const { locks, log } = JSON.parse(dataStr);
+      locksCache = { locks: locks || {}, log: log || [] };
+      return locksCache;
+    }
+  } catch (error) {
+    console.error('Load month locks failed:', error);
+  }
+  
+  locksCache = EMPTY_LOCKS;
+  return locksCache;
+};
+
+/**
+ * Persist the month locks
+ * @param {Object} monthLocks - { locks, log }
+ * @returns {Boolean} True if saved
+ */
+export const saveMonthLocks = (monthLocks) => {
+  locksCache = monthLocks;
+  
+  try {
+    localStorage.setItem(STORAGE_KEYS.MONTH_LOCKS, JSON.stringify({
+      ...monthLocks,
+      timestamp: new Date().toISOString()
+    }));
+    return true;
+  } catch (error) {
+    console.error('Save month locks failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Check whether a month is locked
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @param {Object} monthLocks - Locks (defaults to the stored ones)
+ * @returns {Boolean} True if the month is locked
+ */
+export const isMonthLocked = (month, year, monthLocks = getMonthLocks()) => {
+  return !!monthLocks.locks[getMonthKey(month, year)];
+};
+
+/**
+ * List the locked months as year-month keys
+ * @param {Object} monthLocks - Locks (defaults to the stored ones)
+ * @returns {Array} Keys like '2025-03'
+ */
+export const getLockedMonthKeys = (monthLocks = getMonthLocks()) => {
+  return Object.keys(monthLocks.locks);
+};
+
+/**
+ * Describe a year-month key, e.g. 'Mar 2025'
+ * @param {String} monthKey - Year-month key
+ * @returns {String} Month and year
+ */
+export const formatMonthKey = (monthKey) => {
+  const period = parseMonthKey(monthKey);
+  return period ? `${period.month} ${period.year}` : monthKey;
+};
+
+/**
+ * Throw if any of the months is locked
+ * @param {Array} monthKeys - Year-month keys about to change
+ * @param {Object} monthLocks - Locks (defaults to the stored ones)
+ */
+export const assertMonthsUnlocked = (monthKeys, monthLocks = getMonthLocks()) => {
+  const locked = [...new Set(monthKeys)].filter(key => monthLocks.locks[key]);
+  if (locked.length > 0) {
+    throw new Error(`${locked.map(formatMonthKey).join(', ')} ${locked.length === 1 ? 'is' : 'are'} locked for payroll`);
+  }
+};
+
+/**
+ * Throw if any of the employees has attendance in a locked month, since
+ * removing them would change what payroll was run on
+ * @param {Array} employees - Employees about to be removed
+ * @param {Object} monthLocks - Locks (defaults to the stored ones)
+ */
+export const assertEmployeesRemovable = (employees, monthLocks = getMonthLocks()) => {
+  const lockedKeys = getLockedMonthKeys(monthLocks);
+  const held = employees.filter(emp => lockedKeys.some(key => emp.monthlyData?.[key]));
+  if (held.length > 0) {
+    throw new Error(`${held.map(emp => emp.empId).join(', ')} ${held.length === 1 ? 'has' : 'have'} attendance in a locked month and can't be deleted`);
+  }
+};
+
+/**
+ * Lock a month so its attendance can't be changed
+ * @param {Object} monthLocks - Current locks
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @param {String} by - Who locked it
+ * @param {String} reason - Optional note, e.g. 'Payroll run 12'
+ * @returns {Object} Updated locks
+ */
+export const lockMonth = (monthLocks, month, year, by, reason = '') => {
+  const monthKey = getMonthKey(month, year);
+  if (monthLocks.locks[monthKey]) {
+    throw new Error(`${month} ${year} is already locked`);
+  }
+  if (!by || !by.trim()) {
+    throw new Error('Enter your name before locking a month');
+  }
+  
+  const at = new Date().toISOString();
+  return {
+    locks: { ...monthLocks.locks, [monthKey]: { lockedBy: by.trim(), lockedAt: at } },
+    log: [...monthLocks.log, { monthKey, action: 'lock', by: by.trim(), reason: reason.trim(), at }]
+  };
+};
+
+/**
+ * Unlock a month. This overrides the payroll freeze, so a name and a reason
+ * are required and both go in the lock log.
+ * @param {Object} monthLocks - Current locks
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @param {String} by - Who unlocked it
+ * @param {String} reason - Why it had to be reopened
+ * @returns {Object} Updated locks
+ */
+export const unlockMonth = (monthLocks, month, year, by, reason) => {
+  const monthKey = getMonthKey(month, year);
+  if (!monthLocks.locks[monthKey]) {
+    throw new Error(`${month} ${year} is not locked`);
+  }
+  if (!by || !by.trim()) {
+    throw new Error('Enter your name before unlocking a month');
+  }
+  if (!reason || !reason.trim()) {
+    throw new Error('A reason is required to unlock a month');
+  }
+  
+  const { [monthKey]: removed, ...locks } = monthLocks.locks;
+  return {
+    locks,
+    log: [...monthLocks.log, { monthKey, action: 'unlock', by: by.trim(), reason: reason.trim(), at: new Date().toISOString() }]
+  };
+};
+
+/**
+ * Keep locked months as they are when new data replaces the employees, as
+ * on import. Values the new data has for a locked month are dropped.
+ * @param {Array} existing - Employees now
+ * @param {Array} incoming - Employees replacing them
+ * @param {Object} monthLocks - Locks (defaults to the stored ones)
+ * @returns {Object} { employees, skippedMonths } - keys of the locked months the new data would have changed
+ */
+export const preserveLockedMonths = (existing, incoming, monthLocks = getMonthLocks()) => {
+  const lockedKeys = getLockedMonthKeys(monthLocks);
+  if (lockedKeys.length === 0) {
+    return { employees: incoming, skippedMonths: [] };
+  }
+  
+  const incomingIds = new Set(incoming.map(emp => emp.empId));
+  const dropped = existing.filter(emp =>
+    !incomingIds.has(emp.empId) && lockedKeys.some(key => emp.monthlyData?.[key])
+  );
+  if (dropped.length > 0) {
+    throw new Error(`The file leaves out ${dropped.map(emp => emp.empId).join(', ')}, who ${dropped.length === 1 ? 'has' : 'have'} attendance in a locked month`);
+  }
+  
+  const existingById = new Map(existing.map(emp => [emp.empId, emp]));
+  const skippedMonths = new Set();
+  const employees = incoming.map(emp => {
+    const previous = existingById.get(emp.empId);
+    const monthlyData = { ...(emp.monthlyData || {}) };
+    
+    lockedKeys.forEach(key => {
+      const kept = previous?.monthlyData?.[key];
+      if (!kept && !monthlyData[key]) return;
+      
+      if (JSON.stringify(kept?.attendance || {}) !== JSON.stringify(monthlyData[key]?.attendance || {})) {
+        skippedMonths.add(key);
+      }
+      if (kept) {
+        monthlyData[key] = kept;
+      } else {
+        delete monthlyData[key];
+      }
+    });
+    
+    return { ...emp, monthlyData };
+  });
+  
+  return { employees, skippedMonths: [...skippedMonths].sort() };
+};
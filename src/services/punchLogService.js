@@ -0,0 +1,330 @@
+import {
+  MONTHS,
+  PUNCH_PAIRING,
+  SHIFT_OFF,
+  getDaysInMonth
+} from '../utils/constants';
+import { parseCSV, detectDelimiter, parseDateText } from '../utils/csv';
+import {
+  getMonthData,
+  getWeeklyOffsInMonth,
+  getHolidaysInMonth
+} from './attendanceService';
+import { parseClockTime, evaluateTimeEntry } from './timeService';
+import { getPlannedShifts } from './shiftService';
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * Read a punch timestamp such as "2024-01-05 09:02:11", "2024-01-05T09:02"
+ * or "05/01/2024 9:02 AM"
+ * @param {String} text - Timestamp text
+ * @returns {Date|null} Local date and time, or null if unreadable
+ */
+export const parsePunchTimestamp = (text) => {
+  const [datePart, ...timeParts] = (text || '').toString().trim().split(/[T\s]+/);
+  const date = parseDateText(datePart);
+  const time = parseClockTime(timeParts.join(' '));
+  if (!date || !time) return null;
+  
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+};
+
+/**
+ * Parse a biometric punch log CSV with columns Emp ID, Timestamp and
+ * Device, separated by commas, semicolons, tabs or pipes. A header row is
+ * detected and skipped.
+ * @param {String} text - File text
+ * @returns {Object} { punches: [{ empId, at, device }], skipped }
+ */
+export const parsePunchLogCSV = (text) => {
+  const rows = parseCSV(text, detectDelimiter(text)).filter(row => row.some(cell => cell.trim() !== ''));
+  const punches = [];
+  let skipped = 0;
+  
+  rows.forEach((row, index) => {
+    const empId = (row[0] || '').trim().toUpperCase();
+    const at = parsePunchTimestamp(row[1]);
+    
+    // Header and malformed rows have no parseable timestamp
+    if (!empId || !at) {
+      if (index > 0) skipped++;
+      return;
+    }
+    
+    punches.push({ empId, at, device: (row[2] || '').trim() });
+  });
+  
+  return { punches, skipped };
+};
+
+const HOUR_MS = 3600000;
+
+/**
+ * A clock time on a given day
+ * @param {Date} date - Day
+ * @param {String} time - 'HH:MM'
+ * @param {Number} addDays - Days to move on, e.g. 1 for the next morning
+ * @returns {Date} Local date and time
+ */
+const atClock = (date, time, addDays = 0) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + addDays, hours, minutes);
+};
+
+/**
+ * When a day's shift starts and ends; a shift that ends at or before its
+ * start ends the next morning
+ * @param {Date} date - Day
+ * @param {Object} times - { start, end } as 'HH:MM'
+ * @returns {Object} { start, end } as dates
+ */
+const getShiftSpan = (date, times) => {
+  const start = atClock(date, times.start);
+  const end = atClock(date, times.end);
+  return { start, end: end > start ? end : atClock(date, times.end, 1) };
+};
+
+/**
+ * Work day a punch belongs to: the earliest of the day before, its own day
+ * and the day after whose shift window holds it
+ * @param {Date} at - Punch time
+ * @param {Function} getShiftTimes - (date) => { start, end } as 'HH:MM'
+ * @param {Object} pairing - PUNCH_PAIRING
+ * @returns {Date|null} Work day at midnight, or null if no window holds it
+ */
+const getWorkDay = (at, getShiftTimes, pairing) => {
+  const days = [-1, 0, 1].map(offset => new Date(at.getFullYear(), at.getMonth(), at.getDate() + offset));
+  
+  return days.find(day => {
+    const { start, end } = getShiftSpan(day, getShiftTimes(day));
+    return at - start >= -pairing.earlyHours * HOUR_MS && at - end <= pairing.lateHours * HOUR_MS;
+  }) || null;
+};
+
+/**
+ * A punch that can't be paired, taken as a clock-in or a clock-out by
+ * whichever end of the day's shift it is nearer
+ * @param {Object} punch - { at, device }
+ * @param {Date} day - Work day
+ * @param {Function} getShiftTimes - (date) => { start, end } as 'HH:MM'
+ * @returns {Object} Session with only a start or only an end
+ */
+const toUnpaired = (punch, day, getShiftTimes) => {
+  const { start, end } = getShiftSpan(day, getShiftTimes(day));
+  const isIn = Math.abs(punch.at - start) <= Math.abs(punch.at - end);
+  
+  return {
+    day,
+    start: isIn ? punch.at : null,
+    end: isIn ? null : punch.at,
+    devices: [punch.device].filter(Boolean),
+    unpaired: true
+  };
+};
+
+/**
+ * Pair one employee's punches into sessions. Each punch goes to the work
+ * day whose planned shift (or the policy's day) it falls around, so a night
+ * shift's morning clock-out stays with the evening before. Within a day,
+ * punches alternate in and out and a double tap is dropped. A punch left
+ * without a partner, or outside every day's window, is marked unpaired
+ * rather than paired with another day's punch.
+ * @param {Array} punches - [{ at, device }] for one employee
+ * @param {Function} getShiftTimes - (date) => { start, end } as 'HH:MM'
+ *   for the shift planned that day
+ * @param {Object} pairing - { duplicateMinutes, maxSessionHours, earlyHours,
+ *   lateHours }
+ * @returns {Array} [{ day, start, end, devices, unpaired? }] where an
+ *   unpaired punch has only a start or only an end
+ */
+export const pairPunches = (punches, getShiftTimes, pairing = PUNCH_PAIRING) => {
+  const sorted = [...punches].sort((a, b) => a.at - b.at);
+  const distinct = sorted.filter((punch, index) => (
+    index === 0 || punch.at - sorted[index - 1].at > pairing.duplicateMinutes * 60000
+  ));
+  const sessions = [];
+  const byDay = new Map();
+  
+  distinct.forEach(punch => {
+    const day = getWorkDay(punch.at, getShiftTimes, pairing);
+    if (!day) {
+      const ownDay = new Date(punch.at.getFullYear(), punch.at.getMonth(), punch.at.getDate());
+      sessions.push(toUnpaired(punch, ownDay, getShiftTimes));
+      return;
+    }
+    
+    const entry = byDay.get(day.getTime()) || { day, punches: [] };
+    entry.punches.push(punch);
+    byDay.set(day.getTime(), entry);
+  });
+  
+  byDay.forEach(({ day, punches: dayPunches }) => {
+    for (let i = 0; i < dayPunches.length; i++) {
+      const start = dayPunches[i];
+      const end = dayPunches[i + 1];
+      
+      if (end && end.at - start.at <= pairing.maxSessionHours * HOUR_MS) {
+        sessions.push({
+          day,
+          start: start.at,
+          end: end.at,
+          devices: [...new Set([start.device, end.device].filter(Boolean))]
+        });
+        i++;
+      } else {
+        sessions.push(toUnpaired(start, day, getShiftTimes));
+      }
+    }
+  });
+  
+  return sessions.sort((a, b) => (a.start || a.end) - (b.start || b.end));
+};
+
+/**
+ * Shift hours for each day of one employee: the rostered shift, or the
+ * policy's day when none with hours is planned
+ * @param {Object} roster - Shift roster (optional)
+ * @param {String} empId - Employee ID
+ * @param {Object} policy - Time policy
+ * @returns {Function} (date) => { start, end } as 'HH:MM'
+ */
+const getShiftTimesFor = (roster, empId, policy) => {
+  const plannedByMonth = new Map();
+  
+  return (date) => {
+    const month = MONTHS[date.getMonth()].value;
+    const key = `${month} ${date.getFullYear()}`;
+    if (!plannedByMonth.has(key)) {
+      plannedByMonth.set(key, roster ? getPlannedShifts(roster, empId, month, date.getFullYear()) : {});
+    }
+    
+    const shift = plannedByMonth.get(key)[date.getDate()];
+    return shift?.start && shift?.end ? shift : { start: policy.dayStart, end: policy.dayEnd };
+  };
+};
+
+const toClock = (date) => `${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+
+/**
+ * Propose day codes for a month from a punch log. Each day's first
+ * clock-in and last clock-out become its clock times, and the hours map to
+ * a code under the time policy; unpaired punches are flagged. Working days
+ * up to today with no punches and nothing marked are proposed as absent,
+ * unless the roster has them off.
+ * @param {Array} punches - Parsed punches
+ * @param {Array} employees - Employees on the sheet
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @param {Object} policy - Time policy
+ * @param {Object} roster - Shift roster (optional)
+ * @returns {Object} { employees: [{ empId, employeeName, days }], unknownIds,
+ *   outsideMonth } where days are [{ day, in, out, sessions, devices,
+ *   workedMinutes, currentCode, proposedCode, note }]
+ */
+export const buildPunchProposal = (punches, employees, month, year, policy, roster = null) => {
+  const monthIndex = MONTHS.findIndex(m => m.value === month);
+  const daysInMonth = getDaysInMonth(month, year);
+  const today = new Date();
+  const byEmployee = new Map();
+  const unknownIds = new Set();
+  let outsideMonth = 0;
+  
+  punches.forEach(punch => {
+    byEmployee.set(punch.empId, [...(byEmployee.get(punch.empId) || []), punch]);
+  });
+  
+  const proposals = [];
+  byEmployee.forEach((employeePunches, empId) => {
+    const employee = employees.find(emp => emp.empId === empId);
+    if (!employee) {
+      unknownIds.add(empId);
+      return;
+    }
+    
+    const sessionsByDay = {};
+    pairPunches(employeePunches, getShiftTimesFor(roster, empId, policy)).forEach(session => {
+      if (session.day.getMonth() !== monthIndex || session.day.getFullYear() !== year) {
+        outsideMonth++;
+        return;
+      }
+      const day = session.day.getDate();
+      sessionsByDay[day] = [...(sessionsByDay[day] || []), session];
+    });
+    
+    const attendance = getMonthData(employee, month, year)?.attendance || {};
+    const planned = roster ? getPlannedShifts(roster, empId, month, year) : {};
+    const offDays = new Set([
+      ...getWeeklyOffsInMonth(month, year, employee),
+      ...getHolidaysInMonth(month, year, employee.location)
+    ]);
+    const days = [];
+    
+    for (let day = 1; day <= daysInMonth; day++) {
+      const sessions = sessionsByDay[day] || [];
+      const currentCode = attendance[day] || '';
+      
+      if (sessions.length === 0) {
+        const isWorkingDay = !offDays.has(day) && planned[day]?.id !== SHIFT_OFF;
+        if (isWorkingDay && !currentCode && new Date(year, monthIndex, day) < today) {
+          days.push({
+            day, in: '', out: '', sessions: 0, devices: [], workedMinutes: 0,
+            currentCode, proposedCode: policy.absentCode, note: 'No punches'
+          });
+        }
+        continue;
+      }
+      
+      const firstIn = sessions.find(session => session.start);
+      const lastOut = [...sessions].reverse().find(session => session.end);
+      const entry = { in: firstIn ? toClock(firstIn.start) : '', out: lastOut ? toClock(lastOut.end) : '' };
+      const evaluation = evaluateTimeEntry(entry, policy, planned[day]);
+      const unpaired = sessions
+        .filter(session => session.unpaired)
+        .map(session => (session.start ? `clock-in at ${toClock(session.start)}` : `clock-out at ${toClock(session.end)}`));
+      
+      days.push({
+        ...entry,
+        day,
+        sessions: sessions.length,
+        devices: [...new Set(sessions.flatMap(session => session.devices))],
+        workedMinutes: evaluation.workedMinutes,
+        currentCode,
+        proposedCode: evaluation.code || currentCode,
+        note: unpaired.length > 0
+          ? `Unpaired ${unpaired.join(', ')}`
+          : evaluation.missingPunch ? `No clock-${evaluation.missingPunch}` : ''
+      });
+    }
+    
+    proposals.push({ empId, employeeName: employee.employeeName, days });
+  });
+  
+  return {
+    employees: proposals.sort((a, b) => a.empId.localeCompare(b.empId)),
+    unknownIds: [...unknownIds].sort(),
+    outsideMonth
+  };
+};
+
+/**
+ * Turn an accepted proposal into clock-time entries for setTimeEntries.
+ * Days whose code and times are unchanged are left out.
+ * @param {Object} proposal - Employee proposal from buildPunchProposal
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @returns {Array} [{ month, year, day, in?, out?, code }]
+ */
+export const getProposalEntries = (proposal, month, year) => (
+  proposal.days
+    .filter(day => day.in || day.out || day.proposedCode !== day.currentCode)
+    .map(day => ({
+      month,
+      year,
+      day: day.day,
+      code: day.proposedCode,
+      ...(day.in || day.out ? { in: day.in, out: day.out } : {})
+    }))
+);
@@ -0,0 +1,486 @@
+import {
+  MONTHS,
+  STORAGE_KEYS,
+  DEFAULT_SHIFTS,
+  DEFAULT_ROSTER_TEMPLATES,
+  SHIFT_OFF,
+  getMonthKey
+} from '../utils/constants';
+import { parseDateText } from '../utils/csv';
+import { getAttendanceCodes, getDayParts } from './attendanceCodeService';
+
+// Pattern tokens that mean a day off
+const OFF_TOKENS = ['O', 'OFF', '-'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// In-memory copy of the stored shifts, templates and plan
+let rosterCache = null;
+
+/**
+ * Get the shift roster, loading it from local storage the first time
+ * @returns {Object} { shifts, templates, plan } where plan is
+ *   { empId: { 'YYYY-MM': { day: shiftId } } }
+ */
+export const getShiftRoster = () => {
+  if (rosterCache) return rosterCache;
+  
+  try {
+    const dataStr = localStorage.getItem(STORAGE_KEYS.SHIFT_ROSTER);
+    if (dataStr) {
+      rosterCache = normalizeShiftRoster(JSON.parse(dataStr).roster);
+      return rosterCache;
+    }
+  } catch (error) {
+    console.error('Load shift roster failed:', error);
+  }
+  
+  rosterCache = normalizeShiftRoster({});
+  return rosterCache;
+};
+
+/**
+ * Persist the shift roster
+ * @param {Object} roster - { shifts, templates, plan }
+ * @returns {Boolean} True if saved
+ */
+export const saveShiftRoster = (roster) => {
+  rosterCache = roster;
+  
+  try {
+    localStorage.setItem(STORAGE_KEYS.SHIFT_ROSTER, JSON.stringify({
+      roster,
+      timestamp: new Date().toISOString()
+    }));
+    return true;
+  } catch (error) {
+    console.error('Save shift roster failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Tidy a stored roster: fall back to the default shifts and templates, and
+ * codes upper-cased
+ * @param {Object} roster - Roster
+ * @returns {Object} Normalized roster
+ */
+export const normalizeShiftRoster = (roster) => ({
+  shifts: (roster?.shifts || DEFAULT_SHIFTS).map(normalizeShift),
+  templates: (roster?.templates || DEFAULT_ROSTER_TEMPLATES).map(template => ({
+    id: template.id,
+    name: (template.name || '').trim(),
+    pattern: [...(template.pattern || [])]
+  })),
+  plan: roster?.plan || {}
+});
+
+const normalizeShift = (shift, index) => ({
+  id: shift.id || `shift-${Date.now().toString(36)}-${index}`,
+  name: (shift.name || '').trim(),
+  code: (shift.code || '').trim().toUpperCase(),
+  start: shift.start || '',
+  end: shift.end || '',
+  attendanceCode: (shift.attendanceCode || '').trim().toUpperCase()
+});
+
+/**
+ * Validate the shift list
+ * @param {Array} shifts - Shifts to validate
+ * @param {Object} codes - Attendance code registry (omit to skip the code check)
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateShifts = (shifts, codes = null) => {
+  const errors = [];
+  const seenCodes = new Set();
+  
+  if (shifts.length === 0) {
+    errors.push('Add at least one shift');
+  }
+  
+  shifts.forEach((shift, index) => {
+    const name = (shift.name || '').trim() || `Shift ${index + 1}`;
+    const code = (shift.code || '').trim().toUpperCase();
+    const attendanceCode = (shift.attendanceCode || '').trim().toUpperCase();
+    
+    if (!(shift.name || '').trim()) {
+      errors.push(`${name}: name is required`);
+    }
+    if (!code) {
+      errors.push(`${name}: code is required`);
+    } else if (OFF_TOKENS.includes(code)) {
+      errors.push(`${name}: ${code} is reserved for days off in roster patterns`);
+    } else if (seenCodes.has(code)) {
+      errors.push(`${name}: code ${code} is used by another shift`);
+    }
+    seenCodes.add(code);
+    
+    if (!TIME_PATTERN.test(shift.start || '') || !TIME_PATTERN.test(shift.end || '')) {
+      errors.push(`${name}: start and end must be times like 09:00`);
+    } else if (shift.start === shift.end) {
+      errors.push(`${name}: start and end must differ`);
+    }
+    
+    if (!attendanceCode) {
+      errors.push(`${name}: attendance code is required`);
+    } else if (codes && !codes[attendanceCode]) {
+      errors.push(`${name}: code ${attendanceCode} is not an attendance code`);
+    }
+  });
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Replace the shift list. Roster entries for removed shifts are dropped and
+ * templates that used them lose those steps.
+ * @param {Object} roster - Current roster
+ * @param {Array} shifts - New shift list
+ * @param {Object} codes - Attendance code registry
+ * @returns {Object} Updated roster
+ */
+export const updateShifts = (roster, shifts, codes = getAttendanceCodes()) => {
+  const validation = validateShifts(shifts, codes);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '));
+  }
+  
+  const normalized = shifts.map(normalizeShift);
+  const known = new Set([SHIFT_OFF, ...normalized.map(shift => shift.id)]);
+  const plan = {};
+  
+  Object.entries(roster.plan).forEach(([empId, months]) => {
+    Object.entries(months).forEach(([monthKey, days]) => {
+      Object.entries(days)
+        .filter(([, shiftId]) => known.has(shiftId))
+        .forEach(([day, shiftId]) => {
+          plan[empId] = plan[empId] || {};
+          plan[empId][monthKey] = plan[empId][monthKey] || {};
+          plan[empId][monthKey][day] = shiftId;
+        });
+    });
+  });
+  
+  return {
+    ...roster,
+    shifts: normalized,
+    templates: roster.templates.map(template => ({
+      ...template,
+      pattern: template.pattern.filter(step => known.has(step))
+    })),
+    plan
+  };
+};
+
+/**
+ * Read a roster pattern typed as shift codes, e.g. "M, M, N, N, O, O".
+ * O, OFF or - marks a day off.
+ * @param {String} text - Pattern text
+ * @param {Array} shifts - Shifts
+ * @returns {Array} Pattern steps (shift ids or SHIFT_OFF)
+ */
+export const parseRosterPattern = (text, shifts) => {
+  const tokens = (text || '').split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0) {
+    throw new Error('The pattern needs at least one day');
+  }
+  
+  return tokens.map(token => {
+    const code = token.toUpperCase();
+    if (OFF_TOKENS.includes(code)) return SHIFT_OFF;
+    
+    const shift = shifts.find(s => s.code === code);
+    if (!shift) {
+      throw new Error(`${token} is not a shift code; use ${[...shifts.map(s => s.code), 'O'].join(', ')}`);
+    }
+    return shift.id;
+  });
+};
+
+/**
+ * Write a pattern back out as shift codes
+ * @param {Array} pattern - Pattern steps
+ * @param {Array} shifts - Shifts
+ * @returns {String} Pattern text
+ */
+export const formatRosterPattern = (pattern, shifts) => (
+  pattern
+    .map(step => (step === SHIFT_OFF ? 'O' : shifts.find(s => s.id === step)?.code || '?'))
+    .join(', ')
+);
+
+/**
+ * Add or replace a roster template
+ * @param {Object} roster - Current roster
+ * @param {Object} template - { id?, name, pattern }
+ * @returns {Object} Updated roster
+ */
+export const saveRosterTemplate = (roster, template) => {
+  const name = (template.name || '').trim();
+  if (!name) {
+    throw new Error('Template name is required');
+  }
+  if (!template.pattern || template.pattern.length === 0) {
+    throw new Error('The pattern needs at least one day');
+  }
+  if (roster.templates.some(t => t.id !== template.id && t.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`A template named ${name} already exists`);
+  }
+  
+  const saved = {
+    id: template.id || `roster-${Date.now().toString(36)}`,
+    name,
+    pattern: [...template.pattern]
+  };
+  const exists = roster.templates.some(t => t.id === saved.id);
+  
+  return {
+    ...roster,
+    templates: exists
+      ? roster.templates.map(t => (t.id === saved.id ? saved : t))
+      : [...roster.templates, saved]
+  };
+};
+
+/**
+ * Remove a roster template. Shifts already planned from it stay.
+ * @param {Object} roster - Current roster
+ * @param {String} id - Template id
+ * @returns {Object} Updated roster
+ */
+export const deleteRosterTemplate = (roster, id) => ({
+  ...roster,
+  templates: roster.templates.filter(template => template.id !== id)
+});
+
+/**
+ * List the dates between two 'YYYY-MM-DD' dates, inclusive
+ * @param {String} startDate - From date
+ * @param {String} endDate - To date
+ * @returns {Array} [{ monthKey, day }]
+ */
+const getRangeDates = (startDate, endDate) => {
+  const from = parseDateText(startDate);
+  const to = parseDateText(endDate);
+  if (!from || !to) {
+    throw new Error('From and to dates are required');
+  }
+  if (to < from) {
+    throw new Error('The to date must not be before the from date');
+  }
+  
+  const dates = [];
+  const [startYear, startMonth, startDay] = from.split('-').map(Number);
+  const end = new Date(`${to}T00:00:00`);
+  
+  for (
+    let date = new Date(startYear, startMonth - 1, startDay);
+    date <= end;
+    date.setDate(date.getDate() + 1)
+  ) {
+    dates.push({
+      monthKey: getMonthKey(MONTHS[date.getMonth()].value, date.getFullYear()),
+      day: date.getDate()
+    });
+  }
+  
+  return dates;
+};
+
+/**
+ * Roll a template out over a date range. The pattern starts on its first
+ * step at the from date; with a stagger each following employee starts that
+ * many steps further on, so a team doesn't all rotate together.
+ * @param {Object} roster - Current roster
+ * @param {String} templateId - Template to apply
+ * @param {Array} empIds - Employees to plan
+ * @param {String} startDate - From date
+ * @param {String} endDate - To date
+ * @param {Number} stagger - Steps between consecutive employees
+ * @returns {Object} Updated roster
+ */
+export const applyRosterTemplate = (roster, templateId, empIds, startDate, endDate, stagger = 0) => {
+  const template = roster.templates.find(t => t.id === templateId);
+  if (!template) {
+    throw new Error('Pick a roster template');
+  }
+  if (template.pattern.length === 0) {
+    throw new Error(`${template.name} has no days in its pattern`);
+  }
+  if (empIds.length === 0) {
+    throw new Error('Pick at least one employee');
+  }
+  
+  const dates = getRangeDates(startDate, endDate);
+  const length = template.pattern.length;
+  const plan = { ...roster.plan };
+  
+  empIds.forEach((empId, index) => {
+    const offset = (index * (Number(stagger) || 0)) % length;
+    const months = { ...(plan[empId] || {}) };
+    
+    dates.forEach(({ monthKey, day }, step) => {
+      months[monthKey] = {
+        ...(months[monthKey] || {}),
+        [day]: template.pattern[(step + offset) % length]
+      };
+    });
+    plan[empId] = months;
+  });
+  
+  return { ...roster, plan };
+};
+
+/**
+ * Remove planned shifts over a date range
+ * @param {Object} roster - Current roster
+ * @param {Array} empIds - Employees to clear
+ * @param {String} startDate - From date
+ * @param {String} endDate - To date
+ * @returns {Object} Updated roster
+ */
+export const clearRoster = (roster, empIds, startDate, endDate) => {
+  const dates = getRangeDates(startDate, endDate);
+  const plan = { ...roster.plan };
+  
+  empIds.filter(empId => plan[empId]).forEach(empId => {
+    const months = { ...plan[empId] };
+    
+    dates.forEach(({ monthKey, day }) => {
+      if (months[monthKey]?.[day] === undefined) return;
+      
+      const { [day]: removed, ...rest } = months[monthKey];
+      if (Object.keys(rest).length > 0) {
+        months[monthKey] = rest;
+      } else {
+        delete months[monthKey];
+      }
+    });
+    plan[empId] = months;
+  });
+  
+  return { ...roster, plan };
+};
+
+/**
+ * Get an employee's planned shifts for a month
+ * @param {Object} roster - Shift roster
+ * @param {String} empId - Employee ID
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @returns {Object} { day: shift } where shift is a shift or { id: SHIFT_OFF }
+ */
+export const getPlannedShifts = (roster, empId, month, year) => {
+  const days = roster.plan[empId]?.[getMonthKey(month, year)] || {};
+  const planned = {};
+  
+  Object.entries(days).forEach(([day, shiftId]) => {
+    const shift = shiftId === SHIFT_OFF
+      ? { id: SHIFT_OFF, name: 'Off', code: 'O' }
+      : roster.shifts.find(s => s.id === shiftId);
+    if (shift) planned[day] = shift;
+  });
+  
+  return planned;
+};
+
+/**
+ * Compare one planned day with what was recorded
+ * @param {Object} shift - Planned shift (or the off marker)
+ * @param {String} value - Recorded day value
+ * @param {Object} codes - Attendance code registry
+ * @returns {String|null} What doesn't match, or null if it does
+ */
+export const getRosterMismatch = (shift, value, codes = getAttendanceCodes()) => {
+  const parts = getDayParts(value);
+  const bucketsOf = (code) => codes[code]?.buckets || {};
+  const worked = parts.some(part => bucketsOf(part.code).workedDays);
+  
+  if (shift.id === SHIFT_OFF) {
+    return worked ? 'Worked on a rostered day off' : null;
+  }
+  
+  if (parts.length === 0) return 'Not marked';
+  if (parts.some(part => bucketsOf(part.code).absentDays)) {
+    return `Absent on a rostered ${shift.name.toLowerCase()} shift`;
+  }
+  if (parts.some(part => bucketsOf(part.code).leaveDays)) {
+    return `On leave during a rostered ${shift.name.toLowerCase()} shift`;
+  }
+  if (!worked) {
+    return `Marked ${value} on a rostered ${shift.name.toLowerCase()} shift`;
+  }
+  if (shift.attendanceCode && !parts.some(part => part.code === shift.attendanceCode)) {
+    return `Marked ${value}, ${shift.name.toLowerCase()} shift expects ${shift.attendanceCode}`;
+  }
+  return null;
+};
+
+/**
+ * Whether a day is still to come; those can't be compared yet
+ */
+const isFutureDay = (month, year, day) => {
+  const date = new Date(year, MONTHS.findIndex(m => m.value === month), day);
+  return date > new Date();
+};
+
+/**
+ * Find the days up to today where an employee's attendance differs from
+ * the roster
+ * @param {Object} employee - Employee
+ * @param {Object} roster - Shift roster
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @param {Object} codes - Attendance code registry
+ * @returns {Object} { day: mismatch text }
+ */
+export const getEmployeeRosterMismatches = (employee, roster, month, year, codes = getAttendanceCodes()) => {
+  const mismatches = {};
+  
+  Object.entries(getPlannedShifts(roster, employee.empId, month, year)).forEach(([day, shift]) => {
+    if (isFutureDay(month, year, Number(day))) return;
+    
+    const mismatch = getRosterMismatch(shift, employee.attendance?.[day], codes);
+    if (mismatch) mismatches[day] = mismatch;
+  });
+  
+  return mismatches;
+};
+
+/**
+ * Planned vs. actual report for a month
+ * @param {Array} employees - Employees (attendance for the month shown)
+ * @param {Object} roster - Shift roster
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @param {Object} codes - Attendance code registry
+ * @returns {Array} [{ empId, employeeName, day, planned, actual, issue }]
+ */
+export const compareRosterToAttendance = (employees, roster, month, year, codes = getAttendanceCodes()) => {
+  const rows = [];
+  
+  employees.forEach(employee => {
+    const planned = getPlannedShifts(roster, employee.empId, month, year);
+    const mismatches = getEmployeeRosterMismatches(employee, roster, month, year, codes);
+    
+    Object.keys(mismatches)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .forEach(day => {
+        const shift = planned[day];
+        rows.push({
+          empId: employee.empId,
+          employeeName: employee.employeeName,
+          day,
+          planned: shift.id === SHIFT_OFF ? 'Off' : `${shift.name} (${shift.start}-${shift.end})`,
+          actual: employee.attendance?.[day] || '',
+          issue: mismatches[day]
+        });
+      });
+  });
+  
+  return rows;
+};
@@ -0,0 +1,131 @@
+import {
+  IMPORT_ACTIONS,
+  SUMMARY_COLUMNS,
+  SUMMARY_SOURCES,
+  getDaysInMonth,
+  parseMonthKey
+} from '../utils/constants';
+import { calculateSummaries } from './attendanceService';
+
+/**
+ * List the totals where a sheet and the day codes disagree
+ * @param {Object} sheet - Totals read from the sheet
+ * @param {Object} codes - Totals calculated from the day codes
+ * @returns {Array} [{ key, label, sheet, codes }]
+ */
+const compareTotals = (sheet, codes) => (
+  SUMMARY_COLUMNS
+    .filter(col => Math.abs((sheet[col.key] || 0) - (codes[col.key] || 0)) > 0.001)
+    .map(col => ({ key: col.key, label: col.label, sheet: sheet[col.key] || 0, codes: codes[col.key] || 0 }))
+);
+
+/**
+ * Whether a month holds exactly the day codes the file has for it
+ * @param {Object} attendance - Day codes after the import
+ * @param {Object} fromFile - Day codes read from the file
+ * @param {Object} period - { month, year }
+ * @returns {Boolean} True if every day matches
+ */
+const matchesFile = (attendance = {}, fromFile = {}, period) => {
+  for (let day = 1; day <= getDaysInMonth(period.month, period.year); day++) {
+    if ((attendance[day] || '') !== (fromFile[day] || '')) return false;
+  }
+  return true;
+};
+
+/**
+ * Months of an employee whose attendance came from the file, so the sheet
+ * totals describe them. Skipped employees and months where some days were
+ * kept from the screen have none.
+ * @param {Object} emp - Employee after the import
+ * @param {Object} fileEmp - Same employee read from the file
+ * @param {Object} actions - { empId: IMPORT_ACTIONS value } chosen in the wizard
+ * @returns {Array} [{ monthKey, monthData, sheet, period }]
+ */
+const getFileMonths = (emp, fileEmp, actions) => {
+  if (!fileEmp || actions[emp.empId] === IMPORT_ACTIONS.SKIP) return [];
+  
+  return Object.keys(emp.monthlyData || {}).sort().reduce((months, monthKey) => {
+    const monthData = emp.monthlyData[monthKey];
+    const fromFile = fileEmp.monthlyData?.[monthKey];
+    const period = parseMonthKey(monthKey);
+    if (!fromFile?.sheetSummaries || !period) return months;
+    if (!matchesFile(monthData.attendance, fromFile.attendance, period)) return months;
+    
+    return [...months, { monthKey, monthData, sheet: fromFile.sheetSummaries, period }];
+  }, []);
+};
+
+/**
+ * Find employees whose sheet totals don't match the totals their day codes
+ * give once the import is applied. Only months the sheet had summary columns
+ * for, and whose day codes all came from the file, are checked.
+ * @param {Array} employees - Employees the import would produce
+ * @param {Array} incoming - Employees read from the file
+ * @param {Object} actions - { empId: IMPORT_ACTIONS value } chosen in the wizard
+ * @param {Array} lockedKeys - Locked year-month keys, which the import never changes
+ * @returns {Array} [{ empId, employeeName, months: [{ monthKey, fields }] }]
+ *   where fields are [{ key, label, sheet, codes }]
+ */
+export const findSummaryMismatches = (employees, incoming, actions = {}, lockedKeys = []) => {
+  const incomingById = new Map(incoming.map(emp => [emp.empId, emp]));
+  const mismatches = [];
+  
+  employees.forEach(emp => {
+    const months = getFileMonths(emp, incomingById.get(emp.empId), actions)
+      .filter(({ monthKey }) => !lockedKeys.includes(monthKey))
+      .map(({ monthKey, monthData, sheet, period }) => {
+        const codes = calculateSummaries(monthData.attendance || {}, period.month, period.year, emp);
+        return { monthKey, fields: compareTotals(sheet, codes) };
+      })
+      .filter(entry => entry.fields.length > 0);
+    
+    if (months.length > 0) {
+      mismatches.push({ empId: emp.empId, employeeName: emp.employeeName, months });
+    }
+  });
+  
+  return mismatches;
+};
+
+/**
+ * Settle the summaries of every month whose day codes an import brought in.
+ * Months follow their day codes unless the employee's choice is to keep the
+ * sheet totals; a month whose totals disagreed records which were kept, by
+ * whom and when. Skipped employees are left as they were.
+ * @param {Array} employees - Employees after the import
+ * @param {Array} incoming - Employees read from the file
+ * @param {Object} decisions - { actions, summaries: { empId: SUMMARY_SOURCES
+ *   value } } chosen in the wizard, day codes by default
+ * @param {String} month - Visible month
+ * @param {Number} year - Visible year
+ * @param {String} editor - Who made the choice
+ * @returns {Array} Updated employees
+ */
+export const applySummaryChoices = (employees, incoming, decisions, month, year, editor = '') => {
+  const { actions = {}, summaries: choices = {} } = decisions;
+  const incomingById = new Map(incoming.map(emp => [emp.empId, emp]));
+  const decidedAt = new Date().toISOString();
+  
+  return employees.map(emp => {
+    const kept = choices[emp.empId] || SUMMARY_SOURCES.CODES;
+    const months = getFileMonths(emp, incomingById.get(emp.empId), actions);
+    
+    return months.reduce((updated, { monthKey, monthData, sheet, period }) => {
+      const { sheetSummaries, ...rest } = monthData;
+      const codes = calculateSummaries(rest.attendance || {}, period.month, period.year, emp);
+      const disagrees = compareTotals(sheet, codes).length > 0;
+      const summaries = disagrees && kept === SUMMARY_SOURCES.SHEET ? { ...codes, ...sheet } : codes;
+      const settled = { ...rest, summaries };
+      if (disagrees) {
+        settled.summaryCheck = { kept, sheet, codes, editor, decidedAt };
+      }
+      
+      return {
+        ...updated,
+        monthlyData: { ...updated.monthlyData, [monthKey]: settled },
+        ...(period.month === month && period.year === year ? { summaries } : {})
+      };
+    }, emp);
+  });
+};
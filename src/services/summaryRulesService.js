@@ -0,0 +1,381 @@
+import { SUMMARY_BUCKETS, SUMMARY_COLUMNS, STORAGE_KEYS, VALIDATION } from '../utils/constants';
+import { getAttendanceCodes } from './attendanceCodeService';
+import {
+  parseExpression,
+  getExpressionNames,
+  evaluateExpression,
+  toExcelFormula
+} from '../utils/expression';
+
+// Counters a rule can use besides the per-code day counts (P, A, O, ...)
+export const SUMMARY_COUNTERS = [
+  ...SUMMARY_BUCKETS.map(bucket => ({
+    name: bucket.key,
+    description: `Days counted toward ${bucket.label} by the attendance codes`
+  })),
+  { name: 'holyDayWorking', description: 'Days worked on a weekly off or holiday' },
+  { name: 'offDayWorking', description: 'Days worked straight after an Off day' },
+  { name: 'weeklyOffs', description: 'Weekly-off days in the month' },
+  { name: 'holidays', description: 'Holidays in the month' },
+  { name: 'workingDaysInMonth', description: 'Days in the month less weekly offs and holidays' },
+  { name: 'daysInMonth', description: 'Days in the month' },
+  { name: 'unmarked', description: 'Days with no code' }
+];
+
+const PAID_DAYS = 'presentDays + offDays + weeklyOffDays + holidayDays + nightShiftDays';
+
+const STANDARD_RULES = {
+  totalPresent: 'floor(presentDays)',
+  totalOff: 'offDays',
+  totalSundays: 'weeklyOffDays',
+  totalHolidays: 'holidayDays',
+  totalNightShift: 'nightShiftDays',
+  totalHolyDayWorking: 'holyDayWorking',
+  totalOffDayWorking: 'offDayWorking',
+  totalAbsent: 'absentDays',
+  totalOnLeave: 'leaveDays',
+  totalWorkingDays: `floor(${PAID_DAYS} + 2 * holyDayWorking + 0.5 * offDayWorking)`
+};
+
+// Built-in rule sets. Custom rule sets are stored alongside the active id.
+export const SUMMARY_RULE_PRESETS = [
+  {
+    id: 'standard',
+    name: 'Standard',
+    description: 'Holy-day working paid double, off-day working paid half, rounded down',
+    builtIn: true,
+    rules: STANDARD_RULES
+  },
+  {
+    id: 'standard-exact',
+    name: 'Standard (no rounding)',
+    description: 'As Standard, keeping half days',
+    builtIn: true,
+    rules: {
+      ...STANDARD_RULES,
+      totalPresent: 'presentDays',
+      totalWorkingDays: `${PAID_DAYS} + 2 * holyDayWorking + 0.5 * offDayWorking`
+    }
+  },
+  {
+    id: 'straight-time',
+    name: 'Straight time',
+    description: 'Every paid day counts once, no premium for holy-day or off-day working',
+    builtIn: true,
+    rules: {
+      ...STANDARD_RULES,
+      totalPresent: 'presentDays',
+      totalWorkingDays: PAID_DAYS
+    }
+  },
+  {
+    id: 'payable-days',
+    name: 'Payable days',
+    description: 'Calendar days less absences and half of each half day',
+    builtIn: true,
+    rules: {
+      ...STANDARD_RULES,
+      totalPresent: 'presentDays',
+      totalWorkingDays: 'max(0, daysInMonth - absentDays - 0.5 * HD)'
+    }
+  }
+];
+
+const DEFAULT_SETTINGS = { activeId: 'standard', custom: [] };
+
+// In-memory copy of the stored settings and parsed expressions
+let settingsCache = null;
+const parsedExpressions = new Map();
+
+/**
+ * Get the summary rule settings, loading them from local storage the first
+ * time
+ * @returns {Object} { activeId, custom }
+ */
+export const getSummaryRuleSettings = () => {
+  if (settingsCache) return settingsCache;
+  
+  try {
+    const dataStr = localStorage.getItem(STORAGE_KEYS.SUMMARY_RULES);
+    if (dataStr) {
+      const { activeId, custom } = JSON.parse(dataStr);
+      settingsCache = { activeId: activeId || DEFAULT_SETTINGS.activeId, custom: custom || [] };
+      return settingsCache;
+    }
+  } catch (error) {
+    console.error('Load summary rules failed:', error);
+  }
+  
+  settingsCache = { ...DEFAULT_SETTINGS };
+  return settingsCache;
+};
+
+/**
+ * Persist the summary rule settings
+ * @param {Object} settings - { activeId, custom }
+ * @returns {Boolean} True if saved
+ */
+export const saveSummaryRuleSettings = (settings) => {
+  settingsCache = settings;
+  
+  try {
+    localStorage.setItem(STORAGE_KEYS.SUMMARY_RULES, JSON.stringify({
+      ...settings,
+      timestamp: new Date().toISOString()
+    }));
+    return true;
+  } catch (error) {
+    console.error('Save summary rules failed:', error);
+    return false;
+  }
+};
+
+/**
+ * List the built-in and custom rule sets
+ * @param {Object} settings - { activeId, custom }
+ * @returns {Array} Rule sets
+ */
+export const getSummaryRuleSets = (settings = getSummaryRuleSettings()) => {
+  return [...SUMMARY_RULE_PRESETS, ...settings.custom];
+};
+
+/**
+ * Get the rule set summaries are calculated with
+ * @returns {Object} Rule set
+ */
+export const getActiveSummaryRuleSet = () => {
+  const settings = getSummaryRuleSettings();
+  return getSummaryRuleSets(settings).find(set => set.id === settings.activeId) ||
+    SUMMARY_RULE_PRESETS[0];
+};
+
+/**
+ * Parse an expression once and reuse the result
+ * @param {String} expression - Expression text
+ * @returns {Object} Syntax tree
+ */
+const getParsedExpression = (expression) => {
+  if (!parsedExpressions.has(expression)) {
+    parsedExpressions.set(expression, parseExpression(expression));
+  }
+  return parsedExpressions.get(expression);
+};
+
+/**
+ * Validate a rule set. A rule can use code counts, the derived counters and
+ * the summary columns before it.
+ * @param {Object} ruleSet - Rule set to validate
+ * @param {Object} codes - Attendance code registry (defaults to the current one)
+ * @returns {Object} Validation result with isValid, errors (general) and
+ *   ruleErrors (by column key)
+ */
+export const validateSummaryRuleSet = (ruleSet, codes = getAttendanceCodes()) => {
+  const errors = [];
+  const ruleErrors = {};
+  
+  if (!ruleSet.name || !ruleSet.name.trim()) {
+    errors.push('Rule set name is required');
+  }
+  
+  const known = new Set([
+    ...Object.keys(codes),
+    ...SUMMARY_COUNTERS.map(counter => counter.name)
+  ]);
+  
+  SUMMARY_COLUMNS.forEach(col => {
+    const expression = ruleSet.rules?.[col.key];
+    
+    try {
+      const unknown = getExpressionNames(parseExpression(expression))
+        .filter(name => !known.has(name));
+      if (unknown.length > 0) {
+        ruleErrors[col.key] = `Unknown name${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`;
+      }
+    } catch (error) {
+      ruleErrors[col.key] = error.message;
+    }
+    
+    known.add(col.key);
+  });
+  
+  return {
+    isValid: errors.length === 0 && Object.keys(ruleErrors).length === 0,
+    errors,
+    ruleErrors
+  };
+};
+
+/**
+ * Apply a rule set to a month's counters
+ * @param {Object} ruleSet - Rule set
+ * @param {Object} counters - Code counts and derived counters
+ * @returns {Object} Summary totals by column key
+ */
+export const evaluateSummaryRules = (ruleSet, counters) => {
+  const variables = { ...counters };
+  const summaries = {};
+  
+  SUMMARY_COLUMNS.forEach(col => {
+    let value = 0;
+    
+    try {
+      value = evaluateExpression(getParsedExpression(ruleSet.rules[col.key]), variables);
+    } catch (error) {
+      // Stored rule sets are validated on save; a broken one counts as 0
+      console.error(`Summary rule for ${col.key} failed:`, error);
+    }
+    
+    // Drop floating-point noise such as 20.499999999
+    summaries[col.key] = Math.round(value * 100) / 100;
+    variables[col.key] = summaries[col.key];
+  });
+  
+  return summaries;
+};
+
+/**
+ * Excel formulas for the counters of one sheet row. Day cells hold a code
+ * or two halves such as "P/L"; each half counts for half a day.
+ * @param {Object} row - { dayCells, weeklyOffs, holidays } where dayCells
+ *   are the addresses of days 1 to the end of the month
+ * @param {Object} codes - Attendance code registry
+ * @returns {Function} Formula for a counter or code name, or null if unknown
+ */
+const getCounterFormulas = ({ dayCells, weeklyOffs, holidays }, codes) => {
+  const daysInMonth = dayCells.length;
+  const range = `${dayCells[0]}:${dayCells[daysInMonth - 1]}`;
+  const daysOff = new Set([...weeklyOffs, ...holidays]);
+  const entries = Object.values(codes);
+  
+  const countCode = (code) => (
+    `COUNTIF(${range},"${code}")+COUNTIF(${range},"${code}/*")/2+COUNTIF(${range},"*/${code}")/2`
+  );
+  const sumTerms = (terms) => (terms.length > 0 ? terms.join('+') : '0');
+  
+  // Share of each day in a range worked, and whether each day ended on an Off code
+  const workedShare = (cells) => sumTerms(
+    entries
+      .filter(info => info.buckets?.workedDays)
+      .map(({ value }) => `(${cells}="${value}")+(LEFT(${cells},${value.length + 1})="${value}/")/2+(RIGHT(${cells},${value.length + 1})="/${value}")/2`)
+  );
+  const endsOff = (cells) => sumTerms(
+    entries
+      .filter(info => info.buckets?.offDays)
+      .map(({ value }) => `(${cells}="${value}")+(RIGHT(${cells},${value.length + 1})="/${value}")`)
+  );
+  
+  const counters = {
+    holyDayWorking: daysOff.size > 0
+      ? `SUMPRODUCT((${workedShare(range)})*{${dayCells.map((cell, index) => (daysOff.has(index + 1) ? 1 : 0)).join(',')}})`
+      : '0',
+    offDayWorking: daysInMonth > 1
+      ? `SUMPRODUCT((${workedShare(`${dayCells[1]}:${dayCells[daysInMonth - 1]}`)})*(${endsOff(`${dayCells[0]}:${dayCells[daysInMonth - 2]}`)}))`
+      : '0',
+    weeklyOffs: String(weeklyOffs.length),
+    holidays: String(holidays.length),
+    workingDaysInMonth: String(daysInMonth - daysOff.size),
+    daysInMonth: String(daysInMonth),
+    unmarked: `COUNTBLANK(${range})`
+  };
+  SUMMARY_BUCKETS.forEach(bucket => {
+    counters[bucket.key] = sumTerms(
+      entries
+        .filter(info => info.buckets?.[bucket.key])
+        .map(info => {
+          const weight = info.buckets[bucket.key];
+          return weight === 1 ? `(${countCode(info.value)})` : `${weight}*(${countCode(info.value)})`;
+        })
+    );
+  });
+  
+  return (name) => {
+    if (counters[name] !== undefined) return counters[name];
+    return VALIDATION.ATTENDANCE_CODE_PATTERN.test(name) ? countCode(name) : null;
+  };
+};
+
+/**
+ * Write a rule set as Excel formulas over one sheet row, giving the totals
+ * evaluateSummaryRules gives for the row's codes. Later columns refer to
+ * the cells of earlier ones; a rule that doesn't parse gets no formula.
+ * @param {Object} ruleSet - Rule set
+ * @param {Object} row - { dayCells, summaryCells, weeklyOffs, holidays }:
+ *   addresses of days 1 to the end of the month, summary cell addresses by
+ *   column key, and the row's weekly-off and holiday days
+ * @param {Object} codes - Attendance code registry (defaults to the current one)
+ * @returns {Object} Formulas by column key
+ */
+export const getSummaryFormulas = (ruleSet, row, codes = getAttendanceCodes()) => {
+  const counterFormula = getCounterFormulas(row, codes);
+  const written = {};
+  const formulas = {};
+  
+  SUMMARY_COLUMNS.forEach(col => {
+    try {
+      const expression = toExcelFormula(
+        getParsedExpression(ruleSet.rules[col.key]),
+        name => written[name] || counterFormula(name) || '0'
+      );
+      
+      // Rounded to hundredths the way evaluateSummaryRules rounds
+      formulas[col.key] = `INT(${expression}*100+0.5)/100`;
+      written[col.key] = row.summaryCells[col.key];
+    } catch (error) {
+      console.error(`Summary rule for ${col.key} has no formula:`, error);
+    }
+  });
+  
+  return formulas;
+};
+
+/**
+ * Add or replace a custom rule set
+ * @param {Object} settings - Current settings
+ * @param {Object} ruleSet - Rule set (without an id to add a new one)
+ * @returns {Object} { settings, ruleSet }
+ */
+export const saveCustomRuleSet = (settings, ruleSet) => {
+  if (SUMMARY_RULE_PRESETS.some(preset => preset.id === ruleSet.id)) {
+    throw new Error('Built-in rule sets cannot be changed; duplicate it first');
+  }
+  
+  const validation = validateSummaryRuleSet(ruleSet);
+  if (!validation.isValid) {
+    const ruleMessages = Object.entries(validation.ruleErrors).map(([key, message]) => {
+      const col = SUMMARY_COLUMNS.find(c => c.key === key);
+      return `${col.label}: ${message}`;
+    });
+    throw new Error([...validation.errors, ...ruleMessages].join(', '));
+  }
+  
+  const saved = {
+    id: ruleSet.id || `rules-${Date.now().toString(36)}`,
+    name: ruleSet.name.trim(),
+    description: (ruleSet.description || '').trim(),
+    rules: { ...ruleSet.rules }
+  };
+  const exists = settings.custom.some(set => set.id === saved.id);
+  
+  return {
+    settings: {
+      ...settings,
+      custom: exists
+        ? settings.custom.map(set => (set.id === saved.id ? saved : set))
+        : [...settings.custom, saved]
+    },
+    ruleSet: saved
+  };
+};
+
+/**
+ * Remove a custom rule set. If it was active, Standard becomes active.
+ * @param {Object} settings - Current settings
+ * @param {String} id - Rule set id
+ * @returns {Object} Updated settings
+ */
+export const deleteCustomRuleSet = (settings, id) => {
+  return {
+    activeId: settings.activeId === id ? DEFAULT_SETTINGS.activeId : settings.activeId,
+    custom: settings.custom.filter(set => set.id !== id)
+  };
+};
@@ -0,0 +1,403 @@
+import {
+  MONTHS,
+  STORAGE_KEYS,
+  DEFAULT_TIME_POLICY,
+  getMonthKey
+} from '../utils/constants';
+import { parseCSV, parseDateText } from '../utils/csv';
+import { getMonthData, applyAttendanceDays, calculateSummaries } from './attendanceService';
+import { getPlannedShifts } from './shiftService';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// In-memory copy of the stored time policy
+let policyCache = null;
+
+/**
+ * Get the time policy, loading it from local storage the first time
+ * @returns {Object} Time policy
+ */
+export const getTimePolicy = () => {
+  if (policyCache) return policyCache;
+  
+  try {
+    const dataStr = localStorage.getItem(STORAGE_KEYS.TIME_POLICY);
+    if (dataStr) {
+      policyCache = normalizeTimePolicy(JSON.parse(dataStr).policy);
+      return policyCache;
+    }
+  } catch (error) {
+    console.error('Load time policy failed:', error);
+  }
+  
+  policyCache = normalizeTimePolicy(DEFAULT_TIME_POLICY);
+  return policyCache;
+};
+
+/**
+ * Persist the time policy
+ * @param {Object} policy - Policy to save
+ * @param {Object} codes - Attendance code registry (omit to skip the code check)
+ * @returns {Boolean} True if saved
+ */
+export const saveTimePolicy = (policy, codes = null) => {
+  const validation = validateTimePolicy(policy, codes);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '));
+  }
+  
+  policyCache = normalizeTimePolicy(policy);
+  
+  try {
+    localStorage.setItem(STORAGE_KEYS.TIME_POLICY, JSON.stringify({
+      policy: policyCache,
+      timestamp: new Date().toISOString()
+    }));
+    return true;
+  } catch (error) {
+    console.error('Save time policy failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Tidy a time policy: numbers as numbers and codes upper-cased, with
+ * defaults for anything missing
+ * @param {Object} policy - Policy
+ * @returns {Object} Normalized policy
+ */
+export const normalizeTimePolicy = (policy) => {
+  const merged = { ...DEFAULT_TIME_POLICY, ...(policy || {}) };
+  
+  return {
+    dayStart: parseClockTime(merged.dayStart) || DEFAULT_TIME_POLICY.dayStart,
+    dayEnd: parseClockTime(merged.dayEnd) || DEFAULT_TIME_POLICY.dayEnd,
+    fullDayHours: Number(merged.fullDayHours) || 0,
+    halfDayHours: Number(merged.halfDayHours) || 0,
+    presentCode: (merged.presentCode || '').trim().toUpperCase(),
+    halfDayCode: (merged.halfDayCode || '').trim().toUpperCase(),
+    absentCode: (merged.absentCode || '').trim().toUpperCase(),
+    graceMinutes: Number(merged.graceMinutes) || 0,
+    minOvertimeMinutes: Number(merged.minOvertimeMinutes) || 0
+  };
+};
+
+/**
+ * Validate a time policy
+ * @param {Object} policy - Policy to validate
+ * @param {Object} codes - Attendance code registry (omit to skip the code check)
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateTimePolicy = (policy, codes = null) => {
+  const errors = [];
+  const fullDayHours = Number(policy.fullDayHours);
+  const halfDayHours = Number(policy.halfDayHours);
+  
+  if (!parseClockTime(policy.dayStart) || !parseClockTime(policy.dayEnd)) {
+    errors.push('Standard day start and end must be times like 09:00');
+  }
+  if (!(fullDayHours > 0 && fullDayHours <= 24)) {
+    errors.push('Full-day hours must be between 0 and 24');
+  }
+  if (!(halfDayHours > 0) || halfDayHours >= fullDayHours) {
+    errors.push('Half-day hours must be more than 0 and less than full-day hours');
+  }
+  if (!(Number(policy.graceMinutes) >= 0) || !(Number(policy.minOvertimeMinutes) >= 0)) {
+    errors.push('Grace period and minimum overtime must be 0 or more minutes');
+  }
+  
+  [
+    ['presentCode', 'Full-day code'],
+    ['halfDayCode', 'Half-day code'],
+    ['absentCode', 'Short-day code']
+  ].forEach(([field, label]) => {
+    const code = (policy[field] || '').trim().toUpperCase();
+    if (!code) {
+      errors.push(`${label} is required`);
+    } else if (codes && !codes[code]) {
+      errors.push(`${label}: ${code} is not an attendance code`);
+    }
+  });
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Read a clock time typed as 9:05, 09:05, 0905, 9.05 or 9:05 pm
+ * @param {String} text - Time text
+ * @returns {String|null} 'HH:MM' or null if not a valid time
+ */
+export const parseClockTime = (text) => {
+  const value = (text || '').toString().trim().toLowerCase();
+  const match = /^(\d{1,2})(?:[:.]?(\d{2}))?(?::\d{2})?\s*(am|pm)?$/.exec(value);
+  if (!match) return null;
+  
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes from one clock time to another, going past midnight if needed
+const minutesBetween = (from, to) => (
+  (toMinutes(to) - toMinutes(from) + MINUTES_PER_DAY) % MINUTES_PER_DAY
+);
+
+// How far a time is from the expected one, either way, within half a day
+const offsetFrom = (expected, actual) => {
+  const diff = minutesBetween(expected, actual);
+  return diff > MINUTES_PER_DAY / 2 ? diff - MINUTES_PER_DAY : diff;
+};
+
+/**
+ * Format minutes as hours, e.g. 530 → "8:50"
+ * @param {Number} minutes - Minutes
+ * @returns {String} Hours and minutes
+ */
+export const formatDuration = (minutes) => {
+  const total = Math.round(minutes || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Work out what a day's clock times add up to. A clock-out earlier than the
+ * clock-in is taken as the next morning, e.g. a night shift.
+ * @param {Object} entry - { in, out } as 'HH:MM'
+ * @param {Object} policy - Time policy
+ * @param {Object} shift - Rostered shift for the day (optional); its hours
+ *   replace the standard day and a full day gets its attendance code
+ * @returns {Object|null} { workedMinutes, code, lateMinutes, earlyMinutes,
+ *   overtimeMinutes, missingPunch }, or null if no times are recorded
+ */
+export const evaluateTimeEntry = (entry, policy, shift = null) => {
+  if (!entry || (!entry.in && !entry.out)) return null;
+  if (!entry.in || !entry.out) {
+    return {
+      workedMinutes: 0,
+      code: null,
+      lateMinutes: 0,
+      earlyMinutes: 0,
+      overtimeMinutes: 0,
+      missingPunch: entry.in ? 'out' : 'in'
+    };
+  }
+  
+  const hasShiftHours = shift && shift.start && shift.end;
+  const start = hasShiftHours ? shift.start : policy.dayStart;
+  const end = hasShiftHours ? shift.end : policy.dayEnd;
+  const expectedMinutes = minutesBetween(start, end) || MINUTES_PER_DAY;
+  const workedMinutes = minutesBetween(entry.in, entry.out) || MINUTES_PER_DAY;
+  
+  const lateMinutes = offsetFrom(start, entry.in);
+  const earlyMinutes = offsetFrom(entry.out, end);
+  const extraMinutes = workedMinutes - expectedMinutes;
+  
+  let code = policy.absentCode;
+  if (workedMinutes >= policy.fullDayHours * 60) {
+    code = (hasShiftHours && shift.attendanceCode) || policy.presentCode;
+  } else if (workedMinutes >= policy.halfDayHours * 60) {
+    code = policy.halfDayCode;
+  }
+  
+  return {
+    workedMinutes,
+    code,
+    lateMinutes: lateMinutes > policy.graceMinutes ? lateMinutes : 0,
+    earlyMinutes: earlyMinutes > policy.graceMinutes ? earlyMinutes : 0,
+    overtimeMinutes: extraMinutes > 0 && extraMinutes >= policy.minOvertimeMinutes ? extraMinutes : 0,
+    missingPunch: null
+  };
+};
+
+/**
+ * Give each clock-time entry the code its hours map to. Entries missing a
+ * punch are left without one.
+ * @param {String} empId - Employee the entries belong to
+ * @param {Array} entries - [{ month, year, day, in, out }]
+ * @param {Object} policy - Time policy
+ * @param {Object} roster - Shift roster (optional)
+ * @returns {Array} Entries, with a code where the hours decide one
+ */
+export const deriveTimeCodes = (empId, entries, policy, roster = null) => (
+  entries.map(entry => {
+    const shift = roster ? getPlannedShifts(roster, empId, entry.month, entry.year)[entry.day] : null;
+    const evaluation = evaluateTimeEntry(entry, policy, shift);
+    return evaluation?.code ? { ...entry, code: evaluation.code } : entry;
+  })
+);
+
+/**
+ * Get the clock times recorded for an employee in a month
+ * @param {Object} employee - Employee
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @returns {Object} { day: { in, out } }
+ */
+export const getMonthTimes = (employee, month, year) => (
+  getMonthData(employee, month, year)?.times || {}
+);
+
+/**
+ * Record clock times for days in any months of an employee's history.
+ * Days whose entry has a code get that code too.
+ * @param {Object} employee - Employee
+ * @param {Array} entries - [{ month, year, day, in, out, code? }]; empty
+ *   times clear the day's entry, and an entry without in/out only sets the
+ *   code
+ * @param {String} month - Visible month
+ * @param {Number} year - Visible year
+ * @returns {Object} Updated employee
+ */
+export const applyTimeEntries = (employee, entries, month, year) => {
+  let updatedEmployee = applyAttendanceDays(
+    employee,
+    entries.filter(entry => entry.code),
+    month,
+    year
+  );
+  const visibleKey = getMonthKey(month, year);
+  
+  entries.filter(entry => 'in' in entry || 'out' in entry).forEach(entry => {
+    const key = getMonthKey(entry.month, entry.year);
+    let monthData = getMonthData(updatedEmployee, entry.month, entry.year);
+    if (!monthData) {
+      const attendance = key === visibleKey ? updatedEmployee.attendance || {} : {};
+      monthData = {
+        attendance,
+        summaries: calculateSummaries(attendance, entry.month, entry.year, updatedEmployee)
+      };
+    }
+    const times = { ...(monthData.times || {}) };
+    
+    if (entry.in || entry.out) {
+      times[entry.day] = { in: entry.in || '', out: entry.out || '' };
+    } else {
+      delete times[entry.day];
+    }
+    
+    updatedEmployee = {
+      ...updatedEmployee,
+      monthlyData: {
+        ...(updatedEmployee.monthlyData || {}),
+        [key]: { ...monthData, times }
+      }
+    };
+  });
+  
+  return updatedEmployee;
+};
+
+/**
+ * Evaluate every day with clock times in a month and total them up
+ * @param {Object} employee - Employee
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @param {Object} policy - Time policy
+ * @param {Object} roster - Shift roster (optional)
+ * @returns {Object} { days: { day: evaluation }, workedMinutes,
+ *   overtimeMinutes, lateCount, earlyCount, missingCount }
+ */
+export const summarizeMonthTimes = (employee, month, year, policy, roster = null) => {
+  const times = getMonthTimes(employee, month, year);
+  const planned = roster ? getPlannedShifts(roster, employee.empId, month, year) : {};
+  const summary = {
+    days: {},
+    workedMinutes: 0,
+    overtimeMinutes: 0,
+    lateCount: 0,
+    earlyCount: 0,
+    missingCount: 0
+  };
+  
+  Object.entries(times).forEach(([day, entry]) => {
+    const evaluation = evaluateTimeEntry(entry, policy, planned[day]);
+    if (!evaluation) return;
+    
+    summary.days[day] = evaluation;
+    summary.workedMinutes += evaluation.workedMinutes;
+    summary.overtimeMinutes += evaluation.overtimeMinutes;
+    if (evaluation.lateMinutes) summary.lateCount++;
+    if (evaluation.earlyMinutes) summary.earlyCount++;
+    if (evaluation.missingPunch) summary.missingCount++;
+  });
+  
+  return summary;
+};
+
+/**
+ * Parse a timesheet CSV with columns Emp ID, Date, In and Out. A header
+ * row is detected and skipped.
+ * @param {String} text - File text
+ * @returns {Object} { entriesByEmployee: { empId: [{ month, year, day, in, out }] }, skipped }
+ */
+export const parseTimesheetCSV = (text) => {
+  const rows = parseCSV(text).filter(row => row.some(cell => cell.trim() !== ''));
+  const entriesByEmployee = {};
+  let skipped = 0;
+  
+  rows.forEach((row, index) => {
+    const empId = (row[0] || '').trim().toUpperCase();
+    const date = parseDateText(row[1]);
+    const timeIn = parseClockTime(row[2]);
+    const timeOut = parseClockTime(row[3]);
+    
+    // Header and malformed rows have no parseable date or times
+    if (!empId || !date || (!timeIn && !timeOut)) {
+      if (index > 0) skipped++;
+      return;
+    }
+    
+    const [year, monthNumber, day] = date.split('-').map(Number);
+    entriesByEmployee[empId] = [
+      ...(entriesByEmployee[empId] || []),
+      { month: MONTHS[monthNumber - 1].value, year, day, in: timeIn || '', out: timeOut || '' }
+    ];
+  });
+  
+  return { entriesByEmployee, skipped };
+};
+
+/**
+ * Read a timesheet CSV
+ * @param {File} file - File to read
+ * @returns {Promise<Object>} { entriesByEmployee, skipped }
+ */
+export const readTimesheetFile = (file) => {
+  return new Promise((resolve, reject) => {
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+      reject(new Error('Please upload a CSV (.csv) file'));
+      return;
+    }
+    
+    const reader = new FileReader();
+    
+    reader.onload = (e) => {
+      const result = parseTimesheetCSV(e.target.result);
+      
+      if (Object.keys(result.entriesByEmployee).length === 0) {
+        reject(new Error('No clock times found in ' + file.name));
+        return;
+      }
+      resolve(result);
+    };
+    
+    reader.onerror = (error) => {
+      reject(new Error('File reading failed: ' + error.message));
+    };
+    
+    reader.readAsText(file);
+  });
+};
@@ -0,0 +1,222 @@
+import {
+  getDaysInMonth,
+  MONTHS,
+  WEEKDAYS,
+  STORAGE_KEYS,
+  WORK_WEEK_TYPES,
+  WORK_WEEK_TYPE_OPTIONS,
+  DEFAULT_WORK_WEEK_POLICY
+} from '../utils/constants';
+import { parseDateText } from '../utils/csv';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// In-memory copy of the stored organisation policy
+let policyCache = null;
+
+/**
+ * Get the organisation work-week policy, loading it from local storage the
+ * first time
+ * @returns {Object} Work-week policy
+ */
+export const getWorkWeekPolicy = () => {
+  if (policyCache) return policyCache;
+  
+  try {
+    const dataStr = localStorage.getItem(STORAGE_KEYS.WORK_WEEK_POLICY);
+    if (dataStr) {
+      policyCache = normalizeWorkWeekPolicy(JSON.parse(dataStr).policy);
+      return policyCache;
+    }
+  } catch (error) {
+    console.error('Load work-week policy failed:', error);
+  }
+  
+  policyCache = { ...DEFAULT_WORK_WEEK_POLICY };
+  return policyCache;
+};
+
+/**
+ * Persist the organisation work-week policy
+ * @param {Object} policy - Policy to save
+ * @returns {Boolean} True if saved
+ */
+export const saveWorkWeekPolicy = (policy) => {
+  const validation = validateWorkWeekPolicy(policy);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '));
+  }
+  
+  policyCache = normalizeWorkWeekPolicy(policy);
+  
+  try {
+    localStorage.setItem(STORAGE_KEYS.WORK_WEEK_POLICY, JSON.stringify({
+      policy: policyCache,
+      timestamp: new Date().toISOString()
+    }));
+    return true;
+  } catch (error) {
+    console.error('Save work-week policy failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Fill in missing fields of a policy with the defaults
+ * @param {Object} policy - Partial policy
+ * @returns {Object} Complete policy
+ */
+export const normalizeWorkWeekPolicy = (policy) => {
+  const normalized = { ...DEFAULT_WORK_WEEK_POLICY, ...(policy || {}) };
+  
+  return {
+    ...normalized,
+    offSaturdays: [...new Set(normalized.offSaturdays.map(Number))].sort(),
+    rotation: normalized.rotation.map(Number)
+  };
+};
+
+/**
+ * Validate a work-week policy
+ * @param {Object} policy - Policy to validate
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateWorkWeekPolicy = (policy) => {
+  const errors = [];
+  
+  if (!policy || !Object.values(WORK_WEEK_TYPES).includes(policy.type)) {
+    errors.push('Choose a weekly-off pattern');
+    return { isValid: false, errors };
+  }
+  
+  if (policy.type === WORK_WEEK_TYPES.ALTERNATE_SATURDAYS) {
+    const saturdays = policy.offSaturdays || [];
+    if (saturdays.length === 0) {
+      errors.push('Pick at least one Saturday of the month to be off');
+    } else if (saturdays.some(n => n < 1 || n > 5)) {
+      errors.push('Saturdays are numbered 1 to 5 within a month');
+    }
+  }
+  
+  if (policy.type === WORK_WEEK_TYPES.ROTATING) {
+    const rotation = policy.rotation || [];
+    if (rotation.length === 0) {
+      errors.push('A rotating weekly off needs at least one week in the rotation');
+    } else if (rotation.some(d => !WEEKDAYS.some(w => w.value === Number(d)))) {
+      errors.push('Each week in the rotation needs a weekday');
+    }
+    if (!policy.rotationStart || !parseDateText(policy.rotationStart)) {
+      errors.push('A rotating weekly off needs a start date (YYYY-MM-DD)');
+    }
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Get the policy that applies to an employee: their own override if they
+ * have one, otherwise the organisation policy
+ * @param {Object} orgPolicy - Organisation policy
+ * @param {Object} employee - Employee (optional)
+ * @returns {Object} Work-week policy
+ */
+export const resolveWorkWeekPolicy = (orgPolicy, employee = null) => {
+  return employee?.workWeekPolicy
+    ? normalizeWorkWeekPolicy(employee.workWeekPolicy)
+    : normalizeWorkWeekPolicy(orgPolicy);
+};
+
+/**
+ * Count whole weeks between the weeks (Sunday to Saturday) of two dates
+ * @param {Number} fromUtc - UTC timestamp of the start date
+ * @param {Number} toUtc - UTC timestamp of the date
+ * @returns {Number} Week offset (negative before the start)
+ */
+const weeksBetween = (fromUtc, toUtc) => {
+  const fromWeek = fromUtc - new Date(fromUtc).getUTCDay() * DAY_MS;
+  const toWeek = toUtc - new Date(toUtc).getUTCDay() * DAY_MS;
+  return Math.round((toWeek - fromWeek) / (7 * DAY_MS));
+};
+
+/**
+ * Check whether a date is a weekly off under a policy
+ * @param {Object} policy - Work-week policy
+ * @param {Number} year - Year
+ * @param {Number} monthIndex - Month index (0-11)
+ * @param {Number} day - Day of month
+ * @returns {Boolean} True if the day is a weekly off
+ */
+export const isWeeklyOff = (policy, year, monthIndex, day) => {
+  const dateUtc = Date.UTC(year, monthIndex, day);
+  const weekday = new Date(dateUtc).getUTCDay();
+  
+  switch (policy.type) {
+    case WORK_WEEK_TYPES.SATURDAY_SUNDAY:
+      return weekday === 0 || weekday === 6;
+    
+    case WORK_WEEK_TYPES.ALTERNATE_SATURDAYS:
+      if (weekday === 0) return true;
+      return weekday === 6 && policy.offSaturdays.includes(Math.ceil(day / 7));
+    
+    case WORK_WEEK_TYPES.ROTATING: {
+      const start = parseDateText(policy.rotationStart);
+      if (!start || policy.rotation.length === 0) return weekday === 0;
+      
+      const [startYear, startMonth, startDay] = start.split('-').map(Number);
+      const week = weeksBetween(Date.UTC(startYear, startMonth - 1, startDay), dateUtc);
+      const length = policy.rotation.length;
+      return weekday === policy.rotation[((week % length) + length) % length];
+    }
+    
+    case WORK_WEEK_TYPES.SUNDAY:
+    default:
+      return weekday === 0;
+  }
+};
+
+/**
+ * Get the weekly-off days of a month under a policy
+ * @param {Object} policy - Work-week policy
+ * @param {String} month - Month name
+ * @param {Number} year - Year
+ * @returns {Array} Day numbers that are weekly offs
+ */
+export const getWeeklyOffsForMonth = (policy, month, year) => {
+  const normalized = normalizeWorkWeekPolicy(policy);
+  const monthIndex = MONTHS.findIndex(m => m.value === month);
+  const daysInMonth = getDaysInMonth(month, year);
+  const days = [];
+  
+  for (let day = 1; day <= daysInMonth; day++) {
+    if (isWeeklyOff(normalized, year, monthIndex, day)) {
+      days.push(day);
+    }
+  }
+  
+  return days;
+};
+
+/**
+ * Describe a policy in a few words
+ * @param {Object} policy - Work-week policy
+ * @returns {String} Description, e.g. "Sunday and 2nd, 4th Saturdays off"
+ */
+export const describeWorkWeekPolicy = (policy) => {
+  const normalized = normalizeWorkWeekPolicy(policy);
+  
+  switch (normalized.type) {
+    case WORK_WEEK_TYPES.ALTERNATE_SATURDAYS: {
+      const ordinals = normalized.offSaturdays.map(n => ['1st', '2nd', '3rd', '4th', '5th'][n - 1]);
+      return `Sunday and ${ordinals.join(', ')} Saturdays off`;
+    }
+    case WORK_WEEK_TYPES.ROTATING: {
+      const days = normalized.rotation.map(d => WEEKDAYS[d].short);
+      return `Rotating off (${days.join(' → ')}) from ${normalized.rotationStart}`;
+    }
+    default:
+      return WORK_WEEK_TYPE_OPTIONS.find(o => o.value === normalized.type).label;
+  }
+};
@@ -12,13 +12,13 @@ export const calculateAttendancePercentage = (present, total) => {
 };
 
 /**
- * Calculate overtime hours based on night shifts
- * @param {Number} nightShifts - Number of night shifts
- * @param {Number} hoursPerShift - Extra hours per night shift (default 2)
- * @returns {Number} Total overtime hours
+ * Calculate overtime hours from a month's clock times
+ * @param {Object} days - Evaluated clock times by day (summarizeMonthTimes)
+ * @returns {Number} Total overtime hours with 2 decimal places
  */
-export const calculateOvertimeHours = (nightShifts, hoursPerShift = 2) => {
-  return nightShifts * hoursPerShift;
+export const calculateOvertimeHours = (days) => {
+  const minutes = Object.values(days || {}).reduce((sum, day) => sum + day.overtimeMinutes, 0);
+  return Number((minutes / 60).toFixed(2));
 };
 
 /**
@@ -45,16 +45,6 @@ export const calculateAttendanceBonus = (summaries, bonusAmount = 1000) => {
   return 0;
 };
 
-/**
- * Calculate leave balance
- * @param {Number} totalLeaveAllowed - Total leaves allowed
- * @param {Number} leavesTaken - Leaves already taken
- * @returns {Number} Remaining leave balance
- */
-export const calculateLeaveBalance = (totalLeaveAllowed = 21, leavesTaken = 0) => {
-  return Math.max(0, totalLeaveAllowed - leavesTaken);
-};
-
 /**
  * Get attendance summary for a date range
  * @param {Object} attendance - Attendance object
@@ -316,9 +306,11 @@ export const analyzeAttendancePatterns = (attendance, month, year) => {
  * @param {Object} employee - Employee object
  * @param {String} month - Month
  * @param {Number} year - Year
+ * @param {Object} timeSummary - The month's clock times (summarizeMonthTimes),
+ *   if any were recorded
  * @returns {String} Report text
  */
-export const generateAttendanceReport = (employee, month, year) => {
+export const generateAttendanceReport = (employee, month, year, timeSummary = null) => {
   const { summaries } = employee;
   const attendancePercentage = calculateAttendancePercentage(
     summaries.totalPresent,
@@ -345,6 +337,17 @@ export const generateAttendanceReport = (employee, month, year) => {
     report += `• Holiday Working: ${summaries.totalHolyDayWorking} days\n`;
   }
   
+  if (timeSummary && Object.keys(timeSummary.days).length > 0) {
+    report += `\nClock Times:\n`;
+    report += `• Hours Worked: ${(timeSummary.workedMinutes / 60).toFixed(2)}\n`;
+    report += `• Overtime: ${calculateOvertimeHours(timeSummary.days)} hours\n`;
+    report += `• Late Arrivals: ${timeSummary.lateCount}\n`;
+    report += `• Early Departures: ${timeSummary.earlyCount}\n`;
+    if (timeSummary.missingCount > 0) {
+      report += `• Days Missing a Punch: ${timeSummary.missingCount}\n`;
+    }
+  }
+  
   if (consecutiveAbsences.maxConsecutive > 0) {
     report += `\nAbsence Patterns:\n`;
     report += `• Maximum Consecutive Absences: ${consecutiveAbsences.maxConsecutive} days\n`;
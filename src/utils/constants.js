@@ -1,68 +1,136 @@
-// Attendance status codes with their meanings and colors
+// Built-in attendance codes with their meanings and colors. These seed the
+// code registry (services/attendanceCodeService), where admins can add more.
+// buckets: summary bucket key -> how much one day counts toward it
 export const ATTENDANCE_CODES = {
   P: {
     label: 'Present',
     color: '#4CAF50',
     bgColor: '#E8F5E9',
-    value: 'P'
+    value: 'P',
+    shortcut: 'P',
+    buckets: { presentDays: 1, workedDays: 1 }
   },
   A: {
     label: 'Absent',
     color: '#F44336',
     bgColor: '#FFEBEE',
-    value: 'A'
+    value: 'A',
+    shortcut: 'A',
+    buckets: { absentDays: 1 }
   },
   O: {
     label: 'Off',
     color: '#9E9E9E',
     bgColor: '#F5F5F5',
-    value: 'O'
+    value: 'O',
+    shortcut: 'O',
+    buckets: { offDays: 1 }
   },
   S: {
     label: 'Sunday',
     color: '#FF9800',
     bgColor: '#FFF3E0',
-    value: 'S'
+    value: 'S',
+    shortcut: 'S',
+    buckets: { weeklyOffDays: 1 }
   },
   H: {
     label: 'Holiday',
     color: '#2196F3',
     bgColor: '#E3F2FD',
-    value: 'H'
+    value: 'H',
+    shortcut: 'H',
+    buckets: { holidayDays: 1 }
   },
   N: {
     label: 'Night Shift',
     color: '#9C27B0',
     bgColor: '#F3E5F5',
-    value: 'N'
+    value: 'N',
+    shortcut: 'N',
+    buckets: { nightShiftDays: 1, workedDays: 1 }
   },
   L: {
     label: 'Leave',
     color: '#00BCD4',
     bgColor: '#E0F7FA',
-    value: 'L'
+    value: 'L',
+    shortcut: 'L',
+    buckets: { leaveDays: 1 }
+  },
+  CL: {
+    label: 'Casual Leave',
+    color: '#0097A7',
+    bgColor: '#E0F7FA',
+    value: 'CL',
+    shortcut: '',
+    buckets: { leaveDays: 1 }
+  },
+  SL: {
+    label: 'Sick Leave',
+    color: '#00897B',
+    bgColor: '#E0F2F1',
+    value: 'SL',
+    shortcut: '',
+    buckets: { leaveDays: 1 }
+  },
+  EL: {
+    label: 'Earned Leave',
+    color: '#0288D1',
+    bgColor: '#E1F5FE',
+    value: 'EL',
+    shortcut: '',
+    buckets: { leaveDays: 1 }
+  },
+  ML: {
+    label: 'Maternity Leave',
+    color: '#C2185B',
+    bgColor: '#FCE4EC',
+    value: 'ML',
+    shortcut: '',
+    buckets: { leaveDays: 1 }
+  },
+  UL: {
+    label: 'Unpaid Leave',
+    color: '#795548',
+    bgColor: '#EFEBE9',
+    value: 'UL',
+    shortcut: '',
+    buckets: { leaveDays: 1 }
   },
   HD: {
     label: 'Half Day',
     color: '#FFC107',
     bgColor: '#FFF8E1',
-    value: 'HD'
+    value: 'HD',
+    shortcut: '',
+    buckets: { presentDays: 0.5 }
   },
   WFH: {
     label: 'Work From Home',
     color: '#607D8B',
     bgColor: '#ECEFF1',
-    value: 'WFH'
+    value: 'WFH',
+    shortcut: 'W',
+    buckets: { presentDays: 1, workedDays: 1 }
   }
 };
 
-// Convert 'a' to 'A' for consistency (from your Excel)
-export const normalizeAttendanceCode = (code) => {
-  if (!code) return '';
-  const upperCode = code.toString().toUpperCase();
-  // Map lowercase 'a' to 'A' for Absent
-  return upperCode === 'A' ? 'A' : ATTENDANCE_CODES[upperCode] ? upperCode : '';
-};
+// Separates the first-half and second-half codes of a split day, e.g. "P/L"
+export const SPLIT_DAY_SEPARATOR = '/';
+
+// Buckets a code's days can count toward. Summary rules read these as
+// counters, e.g. "floor(presentDays)".
+export const SUMMARY_BUCKETS = [
+  { key: 'presentDays', label: 'Present' },
+  { key: 'offDays', label: 'Off' },
+  { key: 'weeklyOffDays', label: 'Weekly off (Sunday)' },
+  { key: 'holidayDays', label: 'Holiday' },
+  { key: 'nightShiftDays', label: 'Night shift' },
+  { key: 'absentDays', label: 'Absent' },
+  { key: 'leaveDays', label: 'Leave' },
+  { key: 'workedDays', label: 'Worked (for holy-day / off-day working)' }
+];
 
 // Months for dropdown
 export const MONTHS = [
@@ -90,6 +158,153 @@ export const getDaysInMonth = (month, year) => {
   return MONTHS[monthIndex]?.days || 31;
 };
 
+// Storage key for a month's data, e.g. ('Jan', 2026) -> '2026-01'
+export const getMonthKey = (month, year) => {
+  const monthIndex = MONTHS.findIndex(m => m.value === month);
+  return `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+};
+
+// Split a storage key back into { month, year }, or null if it isn't one
+export const parseMonthKey = (key) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(key || '');
+  if (!match) return null;
+  const monthObj = MONTHS[parseInt(match[2], 10) - 1];
+  if (!monthObj) return null;
+  return { month: monthObj.value, year: parseInt(match[1], 10) };
+};
+
+// Days of the week, indexed like Date.getDay()
+export const WEEKDAYS = [
+  { value: 0, label: 'Sunday', short: 'Sun' },
+  { value: 1, label: 'Monday', short: 'Mon' },
+  { value: 2, label: 'Tuesday', short: 'Tue' },
+  { value: 3, label: 'Wednesday', short: 'Wed' },
+  { value: 4, label: 'Thursday', short: 'Thu' },
+  { value: 5, label: 'Friday', short: 'Fri' },
+  { value: 6, label: 'Saturday', short: 'Sat' }
+];
+
+// Weekly-off patterns a work-week policy can follow
+export const WORK_WEEK_TYPES = {
+  SUNDAY: 'sunday',
+  SATURDAY_SUNDAY: 'saturday-sunday',
+  ALTERNATE_SATURDAYS: 'alternate-saturdays',
+  ROTATING: 'rotating'
+};
+
+export const WORK_WEEK_TYPE_OPTIONS = [
+  { value: WORK_WEEK_TYPES.SUNDAY, label: 'Sunday off' },
+  { value: WORK_WEEK_TYPES.SATURDAY_SUNDAY, label: 'Saturday and Sunday off' },
+  { value: WORK_WEEK_TYPES.ALTERNATE_SATURDAYS, label: 'Sunday and alternate Saturdays off' },
+  { value: WORK_WEEK_TYPES.ROTATING, label: 'Rotating weekly off' }
+];
+
+// Organisation policy used until one is saved.
+// offSaturdays: which Saturdays of the month are off (alternate Saturdays)
+// rotation: weekday off in week 1, 2, ... counted from rotationStart (rotating)
+export const DEFAULT_WORK_WEEK_POLICY = {
+  type: WORK_WEEK_TYPES.SUNDAY,
+  offSaturdays: [2, 4],
+  rotation: [0],
+  rotationStart: ''
+};
+
+// How a leave type's yearly entitlement is credited
+export const LEAVE_ACCRUAL_TYPES = {
+  ANNUAL: 'annual',
+  MONTHLY: 'monthly'
+};
+
+export const LEAVE_ACCRUAL_OPTIONS = [
+  { value: LEAVE_ACCRUAL_TYPES.ANNUAL, label: 'Whole year up front' },
+  { value: LEAVE_ACCRUAL_TYPES.MONTHLY, label: 'A twelfth each month' }
+];
+
+// Leave policy used until one is saved.
+// code: attendance code that records the leave
+// entitlement: days per year (employees can have their own)
+// carryForward: most days an unused balance carries into the next year
+// hasBalance: false for leave that is never limited, e.g. unpaid
+// genericType: leave type the plain L code draws from
+export const DEFAULT_LEAVE_POLICY = {
+  genericType: 'casual',
+  leaveTypes: [
+    { id: 'casual', name: 'Casual Leave', code: 'CL', entitlement: 12, accrual: LEAVE_ACCRUAL_TYPES.ANNUAL, carryForward: 0, hasBalance: true },
+    { id: 'sick', name: 'Sick Leave', code: 'SL', entitlement: 12, accrual: LEAVE_ACCRUAL_TYPES.ANNUAL, carryForward: 0, hasBalance: true },
+    { id: 'earned', name: 'Earned Leave', code: 'EL', entitlement: 15, accrual: LEAVE_ACCRUAL_TYPES.MONTHLY, carryForward: 30, hasBalance: true },
+    { id: 'maternity', name: 'Maternity Leave', code: 'ML', entitlement: 182, accrual: LEAVE_ACCRUAL_TYPES.ANNUAL, carryForward: 0, hasBalance: true },
+    { id: 'unpaid', name: 'Unpaid Leave', code: 'UL', entitlement: 0, accrual: LEAVE_ACCRUAL_TYPES.ANNUAL, carryForward: 0, hasBalance: false }
+  ]
+};
+
+// Leave request lifecycle: pending until approved or rejected; the person
+// who filed it can cancel it while it is pending
+export const LEAVE_REQUEST_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled'
+};
+
+// Named shifts with their hours; attendanceCode is the code a worked day on
+// that shift should carry
+export const DEFAULT_SHIFTS = [
+  { id: 'morning', name: 'Morning', code: 'M', start: '06:00', end: '14:00', attendanceCode: 'P' },
+  { id: 'evening', name: 'Evening', code: 'E', start: '14:00', end: '22:00', attendanceCode: 'P' },
+  { id: 'night', name: 'Night', code: 'N', start: '22:00', end: '06:00', attendanceCode: 'N' },
+  { id: 'general', name: 'General', code: 'G', start: '09:00', end: '18:00', attendanceCode: 'P' }
+];
+
+// Roster entry for a planned day off
+export const SHIFT_OFF = 'off';
+
+// Rotating roster templates; each pattern step is a shift id or SHIFT_OFF
+export const DEFAULT_ROSTER_TEMPLATES = [
+  {
+    id: 'rotation',
+    name: 'Morning / Evening / Night rotation',
+    pattern: ['morning', 'morning', 'evening', 'evening', 'night', 'night', SHIFT_OFF, SHIFT_OFF]
+  }
+];
+
+// How clock-in/clock-out times become attendance. Hours worked map to the
+// full-day, half-day or absent code; arrivals and departures more than the
+// grace period off the rostered shift (or the standard day) are flagged, and
+// time past the expected hours counts as overtime once it reaches the minimum.
+export const DEFAULT_TIME_POLICY = {
+  dayStart: '09:00',
+  dayEnd: '18:00',
+  fullDayHours: 8,
+  halfDayHours: 4,
+  presentCode: 'P',
+  halfDayCode: 'HD',
+  absentCode: 'A',
+  graceMinutes: 10,
+  minOvertimeMinutes: 30
+};
+
+// How raw punches from a biometric log pair into sessions: punches this
+// close together are one double-tap, and a session can't run longer than
+// the maximum (a later punch starts a new one). A day's punches fall from
+// earlyHours before its shift (or the policy's day) starts to lateHours
+// after it ends; punches are only paired within the same day.
+export const PUNCH_PAIRING = {
+  duplicateMinutes: 2,
+  maxSessionHours: 16,
+  earlyHours: 4,
+  lateHours: 8
+};
+
+// How an import resolves a difference from the data on screen: merge fills
+// blank days and keeps edits, overwrite takes the file's values (clearing
+// days the file leaves blank, or removing an employee it leaves out), and
+// skip keeps what is on screen
+export const IMPORT_ACTIONS = {
+  MERGE: 'merge',
+  OVERWRITE: 'overwrite',
+  SKIP: 'skip'
+};
+
 // Column headers for the Excel sheet
 export const EXCEL_COLUMNS = {
   SL_NO: 'Sl#',
@@ -109,6 +324,32 @@ export const EXCEL_COLUMNS = {
   TOTAL_WORKING_DAYS: 'Total Working Days in this Month'
 };
 
+// Problems an import reports against a cell. Errors are values that were
+// not imported; warnings were imported but need a look.
+export const IMPORT_ISSUE_SEVERITIES = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+export const IMPORT_ISSUE_TYPES = {
+  UNKNOWN_CODE: 'unknown-code',
+  DAY_OUTSIDE_MONTH: 'day-outside-month',
+  UNRESOLVED_MONTH: 'unresolved-month',
+  INVALID_EMP_ID: 'invalid-emp-id',
+  NAME_CONFLICT: 'name-conflict',
+  DUPLICATE_ROW: 'duplicate-row'
+};
+
+// Which totals an imported month keeps when the sheet's summary columns
+// disagree with its day codes
+export const SUMMARY_SOURCES = {
+  CODES: 'codes',
+  SHEET: 'sheet'
+};
+
+// Built-in choice for sheets laid out like this app's own export
+export const STANDARD_COLUMN_MAPPING = { id: 'standard', name: 'Standard layout' };
+
 // Summary column keys for calculations
 export const SUMMARY_COLUMNS = [
   { key: 'totalPresent', label: 'Total Present', codes: ['P', 'WFH'] },
@@ -147,17 +388,57 @@ export const DEFAULT_EMPLOYEE = {
 // File constants
 export const FILE_TYPES = {
   EXCEL: '.xlsx',
-  CSV: '.csv'
+  EXCEL_LEGACY: '.xls',
+  ODS: '.ods',
+  CSV: '.csv',
+  TSV: '.tsv'
 };
 
+// Formats the grid can be saved in
+export const EXPORT_FORMATS = [
+  { value: 'xlsx', extension: FILE_TYPES.EXCEL, label: 'Excel (.xlsx)' },
+  { value: 'xlsx-formulas', extension: FILE_TYPES.EXCEL, label: 'Excel, live totals (.xlsx)', formulas: true },
+  { value: 'ods', extension: FILE_TYPES.ODS, label: 'OpenDocument (.ods)' },
+  { value: 'csv', extension: FILE_TYPES.CSV, label: 'CSV (.csv)' },
+  { value: 'tsv', extension: FILE_TYPES.TSV, label: 'Tab-separated (.tsv)' }
+];
+
 // Local storage keys
 export const STORAGE_KEYS = {
   ATTENDANCE_DATA: 'attendance_data',
   LAST_SAVED: 'last_saved',
   CURRENT_MONTH: 'current_month',
-  CURRENT_YEAR: 'current_year'
+  CURRENT_YEAR: 'current_year',
+  HOLIDAY_CALENDAR: 'holiday_calendar',
+  ATTENDANCE_CODES: 'attendance_codes',
+  WORK_WEEK_POLICY: 'work_week_policy',
+  SUMMARY_RULES: 'summary_rules',
+  LEAVE_POLICY: 'leave_policy',
+  LEAVE_REQUESTS: 'leave_requests',
+  AUDIT_LOG: 'audit_log',
+  MONTH_LOCKS: 'month_locks',
+  SHIFT_ROSTER: 'shift_roster',
+  TIME_POLICY: 'time_policy',
+  COLUMN_MAPPINGS: 'column_mappings',
+  EDITOR_NAME: 'editor_name'
+};
+
+// Session storage keys (kept until the tab is closed)
+export const SESSION_KEYS = {
+  EDIT_HISTORY: 'edit_history'
 };
 
+// Most undo steps kept; older ones drop off first
+export const EDIT_HISTORY_LIMIT = 30;
+
+// Most characters of undo history kept in session storage, well inside the
+// usual 5 MB quota; the oldest steps drop off to stay under it
+export const EDIT_HISTORY_MAX_CHARS = 2000000;
+
+// Local storage backup format. 1.0 keyed monthlyData by month name only,
+// 2.0 keys it by year and month ('2026-01')
+export const BACKUP_VERSION = '2.0';
+
 // Table configuration
 export const TABLE_CONFIG = {
   STICKY_COLUMNS: 4, // Sl#, Emp ID, Name, Month
@@ -173,6 +454,7 @@ export const TABLE_CONFIG = {
 export const VALIDATION = {
   EMP_ID_PATTERN: /^[A-Z]{2,3}-\d{3,5}$/,
   EMP_ID_EXAMPLE: 'QR-417',
+  ATTENDANCE_CODE_PATTERN: /^[A-Z][A-Z0-9]{0,3}$/,
   MIN_NAME_LENGTH: 3,
   MAX_NAME_LENGTH: 50
 };
\ No newline at end of file
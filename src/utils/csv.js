@@ -0,0 +1,135 @@
+// CSV helpers shared by the importers
+
+/**
+ * Parse delimited text into rows of cells. Handles quoted cells,
+ * doubled quotes inside quotes and line breaks inside quoted cells.
+ * @param {String} text - Raw file text
+ * @param {String} delimiter - Cell delimiter (default ',')
+ * @returns {Array} Array of rows, each an array of cell strings
+ */
+export const parseCSV = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  
+  // Drop a UTF-8 byte order mark if the file starts with one
+  const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  
+  return rows;
+};
+
+// Delimiters tried when a file doesn't say which it uses
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Lines sampled to detect the delimiter
+const DELIMITER_SAMPLE_LINES = 20;
+
+/**
+ * Work out which delimiter a file uses: the one that splits every non-blank
+ * line of its start into the most cells
+ * @param {String} text - Raw file text
+ * @returns {String} Delimiter (',' when nothing splits the lines)
+ */
+export const detectDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).slice(0, DELIMITER_SAMPLE_LINES).join('\n');
+  let best = { delimiter: ',', cells: 1 };
+  
+  DELIMITERS.forEach(delimiter => {
+    const rows = parseCSV(sample, delimiter).filter(row => row.some(cell => cell.trim() !== ''));
+    const cells = rows.length > 0 ? Math.min(...rows.map(row => row.length)) : 0;
+    if (cells > best.cells) best = { delimiter, cells };
+  });
+  
+  return best.delimiter;
+};
+
+/**
+ * Decode a text file, detecting its encoding: a UTF-8 or UTF-16 byte order
+ * mark, UTF-16 without one, plain UTF-8, or else Windows-1252 as older
+ * spreadsheet tools write it
+ * @param {ArrayBuffer} buffer - Raw file bytes
+ * @returns {String} Decoded text
+ */
+export const decodeText = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes);
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes);
+  
+  // ASCII text in UTF-16 has a zero byte beside every character
+  if (bytes.length >= 4 && bytes[0] !== 0 && bytes[1] === 0 && bytes[3] === 0) {
+    return new TextDecoder('utf-16le').decode(bytes);
+  }
+  if (bytes.length >= 4 && bytes[0] === 0 && bytes[2] === 0 && bytes[1] !== 0) {
+    return new TextDecoder('utf-16be').decode(bytes);
+  }
+  
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+};
+
+/**
+ * Read a calendar date written as YYYY-MM-DD, YYYY/MM/DD, YYYYMMDD,
+ * or day-first DD/MM/YYYY, DD-MM-YYYY, DD.MM.YYYY
+ * @param {String} text - Date text
+ * @returns {String|null} ISO date 'YYYY-MM-DD' or null if not a valid date
+ */
+export const parseDateText = (text) => {
+  const value = (text || '').toString().trim();
+  let year, month, day;
+  
+  let match = /^(\d{4})[-/.]?(\d{1,2})[-/.]?(\d{1,2})$/.exec(value);
+  if (match) {
+    [, year, month, day] = match;
+  } else {
+    match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(value);
+    if (!match) return null;
+    [, day, month, year] = match;
+  }
+  
+  const date = new Date(Number(year), Number(month) - 1, Number(day));
+  if (date.getFullYear() !== Number(year) ||
+      date.getMonth() !== Number(month) - 1 ||
+      date.getDate() !== Number(day)) {
+    return null;
+  }
+  
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
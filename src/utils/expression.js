@@ -0,0 +1,246 @@
+// Arithmetic expressions for configurable rules, e.g.
+// "floor(P + WFH + 0.5 * HD + 2 * holyDayWorking)"
+
+const FUNCTIONS = {
+  floor: { arity: [1, 1], fn: Math.floor },
+  ceil: { arity: [1, 1], fn: Math.ceil },
+  round: { arity: [1, 1], fn: Math.round },
+  abs: { arity: [1, 1], fn: Math.abs },
+  min: { arity: [1, Infinity], fn: Math.min },
+  max: { arity: [1, Infinity], fn: Math.max }
+};
+
+/**
+ * Split an expression into tokens
+ * @param {String} text - Expression text
+ * @returns {Array} Tokens: { type: 'number'|'name'|'op', value }
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/(),]))/y;
+  let index = 0;
+  
+  while (index < text.length) {
+    if (/^\s*$/.test(text.slice(index))) break;
+    
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) {
+      throw new Error(`Unexpected "${text.slice(index).trim()[0]}" at position ${index + 1}`);
+    }
+    
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+    else tokens.push({ type: 'op', value: match[3] });
+    
+    index = pattern.lastIndex;
+  }
+  
+  return tokens;
+};
+
+/**
+ * Parse an expression into a syntax tree. Supports numbers, variable names,
+ * + - * /, parentheses and floor/ceil/round/abs/min/max.
+ * @param {String} text - Expression text
+ * @returns {Object} Syntax tree
+ */
+export const parseExpression = (text) => {
+  const tokens = tokenize(String(text || ''));
+  let position = 0;
+  
+  if (tokens.length === 0) {
+    throw new Error('Expression is empty');
+  }
+  
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new Error(`Expected "${value}"${peek() ? ` before "${peek().value}"` : ' at the end'}`);
+    }
+    position++;
+  };
+  
+  const parseSum = () => {
+    let node = parseProduct();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[position++].value;
+      node = { type: 'binary', op, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+  
+  const parseProduct = () => {
+    let node = parseUnary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[position++].value;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+  
+  const parseUnary = () => {
+    if (isOp('-')) {
+      position++;
+      return { type: 'negate', operand: parseUnary() };
+    }
+    if (isOp('+')) {
+      position++;
+      return parseUnary();
+    }
+    return parsePrimary();
+  };
+  
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error('Expression ends too early');
+    
+    if (token.type === 'number') {
+      position++;
+      return { type: 'number', value: token.value };
+    }
+    
+    if (token.type === 'name') {
+      position++;
+      if (!isOp('(')) return { type: 'name', name: token.value };
+      
+      const func = FUNCTIONS[token.value.toLowerCase()];
+      if (!func) throw new Error(`Unknown function "${token.value}"`);
+      
+      position++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(parseSum());
+        while (isOp(',')) {
+          position++;
+          args.push(parseSum());
+        }
+      }
+      expect(')');
+      
+      if (args.length < func.arity[0] || args.length > func.arity[1]) {
+        throw new Error(`Wrong number of arguments for ${token.value}()`);
+      }
+      return { type: 'call', name: token.value.toLowerCase(), args };
+    }
+    
+    if (isOp('(')) {
+      position++;
+      const node = parseSum();
+      expect(')');
+      return node;
+    }
+    
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+  
+  const tree = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return tree;
+};
+
+/**
+ * List the variable names an expression uses
+ * @param {Object} tree - Syntax tree from parseExpression
+ * @returns {Array} Variable names
+ */
+export const getExpressionNames = (tree) => {
+  const names = new Set();
+  
+  const visit = (node) => {
+    switch (node.type) {
+      case 'name':
+        names.add(node.name);
+        break;
+      case 'negate':
+        visit(node.operand);
+        break;
+      case 'binary':
+        visit(node.left);
+        visit(node.right);
+        break;
+      case 'call':
+        node.args.forEach(visit);
+        break;
+      default:
+        break;
+    }
+  };
+  
+  visit(tree);
+  return [...names];
+};
+
+/**
+ * Write a syntax tree as an Excel formula that gives what evaluateExpression
+ * gives: floor, ceil and round keep their JavaScript meaning for negative
+ * numbers, and division by zero gives 0
+ * @param {Object} tree - Syntax tree from parseExpression
+ * @param {Function} resolveName - Returns the formula for a variable name
+ * @returns {String} Formula, without the leading '='
+ */
+export const toExcelFormula = (tree, resolveName) => {
+  const write = (node) => toExcelFormula(node, resolveName);
+  
+  switch (tree.type) {
+    case 'number':
+      return String(tree.value);
+    case 'name':
+      return `(${resolveName(tree.name)})`;
+    case 'negate':
+      return `(-${write(tree.operand)})`;
+    case 'call': {
+      const args = tree.args.map(write);
+      switch (tree.name) {
+        case 'floor': return `INT(${args[0]})`;
+        case 'ceil': return `(-INT(-${args[0]}))`;
+        case 'round': return `INT(${args[0]}+0.5)`;
+        default: return `${tree.name.toUpperCase()}(${args.join(',')})`;
+      }
+    }
+    case 'binary': {
+      const left = write(tree.left);
+      const right = write(tree.right);
+      if (tree.op === '/') return `IF(${right}=0,0,${left}/${right})`;
+      return `(${left}${tree.op}${right})`;
+    }
+    default:
+      return '0';
+  }
+};
+
+/**
+ * Evaluate a syntax tree. Unknown variables count as 0 and division by
+ * zero gives 0.
+ * @param {Object} tree - Syntax tree from parseExpression
+ * @param {Object} variables - Variable values by name
+ * @returns {Number} Result
+ */
+export const evaluateExpression = (tree, variables) => {
+  switch (tree.type) {
+    case 'number':
+      return tree.value;
+    case 'name':
+      return Number(variables[tree.name]) || 0;
+    case 'negate':
+      return -evaluateExpression(tree.operand, variables);
+    case 'call':
+      return FUNCTIONS[tree.name].fn(...tree.args.map(arg => evaluateExpression(arg, variables)));
+    case 'binary': {
+      const left = evaluateExpression(tree.left, variables);
+      const right = evaluateExpression(tree.right, variables);
+      switch (tree.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return right === 0 ? 0 : left / right;
+        default: return 0;
+      }
+    }
+    default:
+      return 0;
+  }
+};
@@ -0,0 +1,192 @@
+// Helpers for rectangular blocks of day cells in the attendance grid. A
+// range is { top, bottom, left, right }: row indexes and days, inclusive.
+
+import { parseCSV } from './csv';
+
+/**
+ * Get the block spanned by two corner cells
+ * @param {Object} anchor - { row, day } where the selection started
+ * @param {Object} focus - { row, day } where it ends
+ * @returns {Object} Range
+ */
+export const getRangeBounds = (anchor, focus) => ({
+  top: Math.min(anchor.row, focus.row),
+  bottom: Math.max(anchor.row, focus.row),
+  left: Math.min(anchor.day, focus.day),
+  right: Math.max(anchor.day, focus.day)
+});
+
+/**
+ * Count the cells in a range
+ * @param {Object} range - Range
+ * @returns {Number} Cells
+ */
+export const getRangeSize = (range) => {
+  return (range.bottom - range.top + 1) * (range.right - range.left + 1);
+};
+
+/**
+ * Read the values in a range
+ * @param {Array} rows - Employees in grid order
+ * @param {Object} range - Range
+ * @returns {Array} Rows of day values
+ */
+export const readRange = (rows, range) => {
+  const values = [];
+  for (let row = range.top; row <= range.bottom; row++) {
+    const attendance = rows[row]?.attendance || {};
+    const line = [];
+    for (let day = range.left; day <= range.right; day++) {
+      line.push(attendance[day] || '');
+    }
+    values.push(line);
+  }
+  return values;
+};
+
+/**
+ * Write values as tab-separated text, the format spreadsheets copy and paste
+ * @param {Array} values - Rows of cell values
+ * @returns {String} TSV text
+ */
+export const toTSV = (values) => {
+  return values.map(line => line.join('\t')).join('\n');
+};
+
+/**
+ * Read tab-separated text from the clipboard into rows of cells
+ * @param {String} text - TSV text
+ * @returns {Array} Rows of trimmed cell values
+ */
+export const parseTSV = (text) => {
+  return parseCSV(text, '\t').map(line => line.map(cell => cell.trim()));
+};
+
+/**
+ * Collect per-employee updates in the shape bulkUpdateAttendance expects
+ * @param {Array} rows - Employees in grid order
+ * @param {Array} cells - [{ row, day, value }]
+ * @returns {Object} { [empId]: { [day]: value } }
+ */
+const groupUpdates = (rows, cells) => {
+  const updates = {};
+  cells.forEach(({ row, day, value }) => {
+    const empId = rows[row].empId;
+    updates[empId] = { ...updates[empId], [day]: value };
+  });
+  return updates;
+};
+
+/**
+ * Set one value in every cell of a range
+ * @param {Array} rows - Employees in grid order
+ * @param {Object} range - Range
+ * @param {String} value - Day value, or '' to clear
+ * @returns {Object} Updates by employee ID
+ */
+export const buildRangeUpdates = (rows, range, value) => {
+  const cells = [];
+  for (let row = range.top; row <= range.bottom; row++) {
+    for (let day = range.left; day <= range.right; day++) {
+      cells.push({ row, day, value });
+    }
+  }
+  return groupUpdates(rows, cells);
+};
+
+/**
+ * Repeat the pattern in a source range across a larger target range, as
+ * when the fill handle is dragged right or down
+ * @param {Array} rows - Employees in grid order
+ * @param {Object} source - Range holding the pattern
+ * @param {Object} target - Range it is dragged to; starts at the source's top-left
+ * @returns {Object} Updates by employee ID
+ */
+export const buildFillUpdates = (rows, source, target) => {
+  const pattern = readRange(rows, source);
+  const height = pattern.length;
+  const width = pattern[0].length;
+  const cells = [];
+  
+  for (let row = target.top; row <= target.bottom; row++) {
+    for (let day = target.left; day <= target.right; day++) {
+      const inSource = row <= source.bottom && day <= source.right;
+      if (!inSource) {
+        const value = pattern[(row - source.top) % height][(day - source.left) % width];
+        cells.push({ row, day, value });
+      }
+    }
+  }
+  
+  return groupUpdates(rows, cells);
+};
+
+/**
+ * Work out the range the fill handle covers while it is dragged to a cell.
+ * Fills only go forward: right along the days or down the employees.
+ * @param {Object} source - Range holding the pattern
+ * @param {Object} cell - { row, day } under the pointer
+ * @returns {Object|null} Target range, or null if the pointer is inside the source
+ */
+export const getFillTarget = (source, cell) => {
+  const extraDays = cell.day - source.right;
+  const extraRows = cell.row - source.bottom;
+  
+  if (extraDays > 0 && extraDays >= extraRows) {
+    return { ...source, right: cell.day };
+  }
+  if (extraRows > 0) {
+    return { ...source, bottom: cell.row };
+  }
+  return null;
+};
+
+/**
+ * Place a pasted block in the grid. A single pasted value fills the whole
+ * selection; a larger block starts at the selection's top-left cell and is
+ * cut off at the grid's edges.
+ * @param {Array} rows - Employees in grid order
+ * @param {Array} block - Rows of pasted values
+ * @param {Object} selection - Range selected when pasting
+ * @param {Number} lastDay - Days in the month
+ * @param {Function} normalize - Turns a pasted value into a day value, or '' if unknown
+ * @returns {Object} { updates, range, unknown } - unknown lists values that weren't codes
+ */
+export const buildPasteUpdates = (rows, block, selection, lastDay, normalize) => {
+  const unknown = new Set();
+  const toDayValue = (text) => {
+    const value = normalize(text);
+    if (text && !value) unknown.add(text);
+    return value;
+  };
+  
+  if (block.length === 1 && block[0].length === 1) {
+    const value = toDayValue(block[0][0]);
+    return {
+      updates: unknown.size > 0 ? {} : buildRangeUpdates(rows, selection, value),
+      range: selection,
+      unknown: [...unknown]
+    };
+  }
+  
+  const range = {
+    top: selection.top,
+    left: selection.left,
+    bottom: Math.min(rows.length - 1, selection.top + block.length - 1),
+    right: Math.min(lastDay, selection.left + Math.max(...block.map(line => line.length)) - 1)
+  };
+  const cells = [];
+  
+  for (let row = range.top; row <= range.bottom; row++) {
+    const line = block[row - range.top];
+    for (let day = range.left; day <= range.right; day++) {
+      const text = line[day - range.left];
+      if (text === undefined) continue;
+      
+      const value = toDayValue(text);
+      if (!text || value) cells.push({ row, day, value });
+    }
+  }
+  
+  return { updates: groupUpdates(rows, cells), range, unknown: [...unknown] };
+};